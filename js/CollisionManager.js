@@ -31,6 +31,9 @@ export class CollisionManager {
         
         // Check enemy-enemy collisions
         this.checkEnemyEnemyCollisions();
+        
+        // Check enemy projectiles against players, clones and structures
+        this.checkEnemyProjectileCollisions();
     }
     
     checkPlayerEnemyCollisions() {
@@ -254,9 +257,9 @@ export class CollisionManager {
             enemyId: enemyId
         });
         
-        // Apply skill damage to enemy
-        const damage = skill.getDamage();
-        enemy.takeDamage(damage);
+        // Apply skill damage to enemy through the equipment damage pipeline (crits, procs, life steal)
+        const hit = this.player.combat.dealDamage(enemy, skill.getDamage(), { element: skill.getElement() });
+        const damage = hit.damage;
         
         // Get enemy position for effects
         const enemyPosition = enemy.getPosition();
@@ -366,4 +369,163 @@ export class CollisionManager {
             position2.z - direction.z * pushDistance
         );
     }
-}
\ No newline at end of file
+    
+    /**
+     * Resolve enemy projectile hits
+     * Projectiles are stopped by structures and terrain, then hit the first player or clone they reach
+     */
+    checkEnemyProjectileCollisions() {
+        const projectileManager = this.enemyManager.projectileManager;
+        if (!projectileManager) {
+            return;
+        }
+        
+        const projectiles = projectileManager.getActiveProjectiles();
+        if (projectiles.length === 0) {
+            return;
+        }
+        
+        const navigationManager = this.world ? this.world.navigationManager : null;
+        const clones = this.getShadowClones();
+        const remotePlayers = this.getRemotePlayersForProjectiles();
+        
+        // Iterate over a copy since hits release projectiles
+        [...projectiles].forEach(projectile => {
+            const position = projectile.object.position;
+            
+            // Structures and obstacles block projectiles
+            if (navigationManager && navigationManager.isBlocked(position.x, position.z)) {
+                projectileManager.releaseProjectile(projectile);
+                return;
+            }
+            
+            // So does rising ground
+            if (this.world && position.y < this.world.getTerrainHeight(position.x, position.z)) {
+                projectileManager.releaseProjectile(projectile);
+                return;
+            }
+            
+            // Local player
+            if (!this.player.state.isDead() &&
+                this.isProjectileTouching(projectile, this.player.getPosition(), this.player.getCollisionRadius())) {
+                this.applyProjectileHit(projectile, this.player);
+                projectileManager.releaseProjectile(projectile);
+                return;
+            }
+            
+            // Shadow clones soak projectiles aimed at the player
+            for (const clone of clones) {
+                if (this.isProjectileTouching(projectile, clone.group.position, 0.5)) {
+                    if (typeof clone.takeDamage === 'function') {
+                        clone.takeDamage(projectile.damage);
+                    } else {
+                        clone.health -= projectile.damage;
+                    }
+                    projectileManager.releaseProjectile(projectile);
+                    return;
+                }
+            }
+            
+            // Remote players (the host reports the hit to the player's client)
+            for (const remote of remotePlayers) {
+                if (this.isProjectileTouching(projectile, remote.position, 0.5)) {
+                    remote.takeDamage(projectile.damage, projectile.owner ? projectile.owner.id : null);
+                    projectileManager.releaseProjectile(projectile);
+                    return;
+                }
+            }
+        });
+    }
+    
+    /**
+     * Check whether a projectile overlaps a target on the ground plane
+     * @param {Object} projectile - Projectile entry
+     * @param {THREE.Vector3} targetPosition - Target position (feet)
+     * @param {number} targetRadius - Target collision radius
+     * @returns {boolean} - True if the projectile touches the target
+     */
+    isProjectileTouching(projectile, targetPosition, targetRadius) {
+        const position = projectile.object.position;
+        const dx = position.x - targetPosition.x;
+        const dz = position.z - targetPosition.z;
+        const reach = projectile.radius + targetRadius;
+        
+        // Ignore projectiles passing far above the target (e.g. fired from a cliff)
+        if (Math.abs(position.y - targetPosition.y) > 3) {
+            return false;
+        }
+        
+        return dx * dx + dz * dz <= reach * reach;
+    }
+    
+    /**
+     * Apply a projectile hit to a target and let the shooter's affixes react
+     * @param {Object} projectile - Projectile entry
+     * @param {Object} target - Target with a takeDamage method
+     */
+    applyProjectileHit(projectile, target) {
+        target.takeDamage(projectile.damage);
+        
+        const owner = projectile.owner;
+        if (owner && !owner.isDead()) {
+            owner.abilities.forEach(ability => ability.onAttackHit(projectile.damage));
+        }
+    }
+    
+    /**
+     * Get the living shadow clones that can be hit
+     * @returns {Array<Object>} - Clone objects with a group
+     */
+    getShadowClones() {
+        const clones = [];
+        const effectsManager = this.player.game ? this.player.game.effectsManager : null;
+        if (!effectsManager) {
+            return clones;
+        }
+        
+        effectsManager.getActiveEffects().forEach(effect => {
+            if (effect.constructor.name === 'BulShadowCloneEffect' && effect.clones) {
+                effect.clones.forEach(clone => {
+                    if (clone.group && clone.health > 0) {
+                        clones.push(clone);
+                    }
+                });
+            }
+        });
+        
+        return clones;
+    }
+    
+    /**
+     * Get remote players that projectiles can hit
+     * Only the host reports hits on remote players, matching how melee hits are reported
+     * @returns {Array<{position: THREE.Vector3, takeDamage: function(number, string): void}>} - Remote player targets
+     */
+    getRemotePlayersForProjectiles() {
+        const game = this.player.game;
+        const multiplayerManager = game ? game.multiplayerManager : null;
+        if (!multiplayerManager || !multiplayerManager.isHost || !multiplayerManager.remotePlayerManager) {
+            return [];
+        }
+        
+        const targets = [];
+        multiplayerManager.remotePlayerManager.getPlayers().forEach((remotePlayer, peerId) => {
+            if (!remotePlayer || !remotePlayer.group) {
+                return;
+            }
+            
+            targets.push({
+                position: remotePlayer.group.position,
+                takeDamage: (amount, enemyId) => {
+                    multiplayerManager.connection.sendToPeer(peerId, {
+                        type: 'playerDamage',
+                        amount: amount,
+                        enemyId: enemyId
+                    });
+                }
+            });
+        });
+        
+        return targets;
+    }
+}
@@ -96,6 +96,14 @@ export class InputHandler {
                     this.handleInteractionWithNearestObject();
                     break;
                     
+                case ACTION_KEYS.DODGE:
+                    // Keep Space from scrolling the page or clicking a focused button
+                    event.preventDefault();
+                    if (!this.game.isPaused && this.game.player) {
+                        this.game.player.dodge();
+                    }
+                    break;
+                    
                 case ACTION_KEYS.START_GAME:
                     // Only allow starting a new game when the game is not already running
                     if (this.game.isPaused && document.getElementById('game-menu')) {
@@ -1,3 +1,5 @@
+import { DIFFICULTY_SCALING } from './config/game-balance.js';
+
 /**
  * Handles the results of interactions with interactive objects
  */
@@ -21,11 +23,13 @@ export class InteractionResultHandler {
             return false;
         }
         
+        // Count the interaction for quest objectives (e.g. opening chests)
+        if (interactiveObject && this.game && this.game.questManager) {
+            this.game.questManager.updateInteraction(interactiveObject.type);
+        }
+        
         // Handle different interaction types
         switch (result.type) {
-            case 'quest':
-                return this.handleQuestInteraction(result);
-                
             case 'treasure':
             case 'item':
                 return this.handleItemInteraction(result);
@@ -33,6 +37,12 @@ export class InteractionResultHandler {
             case 'boss_spawn':
                 return this.handleBossSpawnInteraction(result, interactiveObject);
                 
+            case 'world_tier':
+                return this.handleWorldTierInteraction(result);
+                
+            case 'npc':
+                return this.handleNPCInteraction(result);
+                
             default:
                 console.warn(`Unknown interaction type: ${result.type}`);
                 return false;
@@ -40,28 +50,17 @@ export class InteractionResultHandler {
     }
     
     /**
-     * Handle quest interaction
+     * Handle talking to an NPC
      * @param {Object} result - The interaction result
      * @returns {boolean} - Whether the interaction was handled successfully
      */
-    handleQuestInteraction(result) {
-        // Start the quest
-        if (this.game && this.game.questManager) {
-            this.game.questManager.startQuest(result.quest);
-        }
-        
-        // Toggle quest dialog if HUD manager exists
-        if (this.game && this.game.hudManager) {
-            if (this.game.hudManager.isDialogVisible && this.game.hudManager.isDialogVisible()) {
-                this.game.hudManager.hideDialog();
-            } else if (this.game.hudManager.showDialog) {
-                this.game.hudManager.showDialog(
-                    `New Quest: ${result.quest.name}`,
-                    result.quest.description
-                );
-            }
+    handleNPCInteraction(result) {
+        // Don't start a conversation on top of another dialog
+        if (!result.npc || (this.game.hudManager && this.game.hudManager.isDialogVisible && this.game.hudManager.isDialogVisible())) {
+            return false;
         }
         
+        result.npc.talk();
         return true;
     }
     
@@ -87,6 +86,34 @@ export class InteractionResultHandler {
         return false;
     }
     
+    /**
+     * Handle world tier shrine interaction
+     * Each use advances to the next tier, wrapping back to the first
+     * @param {Object} result - The interaction result
+     * @returns {boolean} - Whether the interaction was handled successfully
+     */
+    handleWorldTierInteraction(result) {
+        if (!this.game || !this.game.player) {
+            return false;
+        }
+        
+        const stats = this.game.player.stats;
+        if (!stats.isWorldTierUnlocked()) {
+            if (this.game.hudManager) {
+                this.game.hudManager.showNotification(
+                    `The shrine is silent. World tiers unlock at level ${DIFFICULTY_SCALING.worldTiers.unlockLevel}.`
+                );
+            }
+            return false;
+        }
+        
+        const tiers = DIFFICULTY_SCALING.worldTiers.tiers;
+        const currentIndex = tiers.findIndex(tier => tier.tier === stats.getWorldTier());
+        const nextTier = tiers[(currentIndex + 1) % tiers.length];
+        
+        return this.game.player.setWorldTier(nextTier.tier);
+    }
+    
     /**
      * Handle boss spawn interaction
      * @param {Object} result - The interaction result
@@ -94,21 +121,40 @@ export class InteractionResultHandler {
      * @returns {boolean} - Whether the interaction was handled successfully
      */
     handleBossSpawnInteraction(result, interactiveObject) {
-        // Show notification
-        if (this.game && this.game.hudManager) {
-            this.game.hudManager.showNotification(result.message, 5);
+        // Spawn the boss if enemy manager exists
+        if (!this.game || !this.game.enemyManager || !interactiveObject || !interactiveObject.position) {
+            return false;
         }
         
-        // Spawn the boss if enemy manager exists
-        if (this.game && this.game.enemyManager && interactiveObject && interactiveObject.position) {
+        const spawnBoss = () => {
+            // Show notification
+            if (this.game.hudManager) {
+                this.game.hudManager.showNotification(result.message, 5);
+            }
+            
             this.game.enemyManager.spawnBoss(
                 result.bossType,
                 interactiveObject.position
             );
-            
-            return true;
+        };
+        
+        // Ask before waking the boss
+        if (this.game.hudManager) {
+            const bossName = result.bossType.replace(/_/g, ' ');
+            this.game.hudManager.showDialog(
+                `Summon the ${bossName}?`,
+                `Disturbing this place will awaken the ${bossName}. Are you ready to fight?`,
+                {
+                    choices: [
+                        { label: 'Summon', onSelect: spawnBoss },
+                        { label: 'Leave', cancel: true }
+                    ]
+                }
+            );
+        } else {
+            spawnBoss();
         }
         
-        return false;
+        return true;
     }
 }
\ No newline at end of file
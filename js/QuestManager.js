@@ -1,300 +1,293 @@
+import { PLAYER_PROGRESSION } from './config/game-balance.js';
+import { QUEST_SETTINGS } from './config/quests.js';
+import { formatObjective, isObjectiveComplete } from './utils/QuestUtils.js';
+
+const { SKILL_POINTS } = PLAYER_PROGRESSION;
+
 export class QuestManager {
     constructor(game) {
         this.game = game;
+        
+        // Every known quest definition by ID (global and loaded map quests)
+        this.questDefinitions = new Map();
+        
+        // Quests that have not been started yet
         this.quests = [];
         this.activeQuests = [];
         this.completedQuests = [];
         
-        // Initialize with some default quests
-        this.initializeQuests();
+        // Saved progress of quests whose definitions are not loaded yet (quests of another map)
+        this.pendingActiveQuests = [];
+        
+        // Maps whose quests have already been loaded
+        this.loadedMapQuests = new Set();
+        
+        // Time since reach/defend/escort/explore objectives were last checked
+        this.locationCheckTimer = 0;
+        this.lastZoneName = null;
     }
     
-    initializeQuests() {
-        // Main storyline quests
-        const mainQuests = [
-            {
-                id: 'main_quest_1',
-                name: 'The Beginning of the Journey',
-                description: 'Defeat the enemies in the forest to prove your worth.',
-                objective: {
-                    type: 'kill',
-                    target: 'any',
-                    count: 5,
-                    progress: 0
-                },
-                reward: {
-                    experience: 100,
-                    gold: 50,
-                    items: [
-                        { name: 'Health Potion', amount: 2 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 1,
-                nextQuestId: 'main_quest_2'
-            },
-            {
-                id: 'main_quest_2',
-                name: 'The Skeleton Threat',
-                description: 'Skeletons have been spotted in the ruins. Defeat them to secure the area.',
-                objective: {
-                    type: 'kill',
-                    target: 'skeleton',
-                    count: 8,
-                    progress: 0
-                },
-                reward: {
-                    experience: 200,
-                    gold: 100,
-                    items: [
-                        { name: 'Monk Bracers', type: 'accessory', damage: 0, damageReduction: 0.05, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 2,
-                nextQuestId: 'main_quest_3'
-            },
-            {
-                id: 'main_quest_3',
-                name: 'The Skeleton King',
-                description: 'The Skeleton King has risen in the ancient ruins. Defeat him to restore peace.',
-                objective: {
-                    type: 'kill',
-                    target: 'skeleton_king',
-                    count: 1,
-                    progress: 0
-                },
-                reward: {
-                    experience: 500,
-                    gold: 250,
-                    items: [
-                        { name: 'Monk Staff', type: 'weapon', damage: 15, damageReduction: 0, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 4,
-                nextQuestId: 'main_quest_4'
-            },
-            {
-                id: 'main_quest_4',
-                name: 'The Swamp of Despair',
-                description: 'Zombies have infested the swamp. Clear them out to make the area safe again.',
-                objective: {
-                    type: 'kill',
-                    target: 'zombie',
-                    count: 12,
-                    progress: 0
-                },
-                reward: {
-                    experience: 800,
-                    gold: 350,
-                    items: [
-                        { name: 'Monk Robe', type: 'armor', damage: 0, damageReduction: 0.1, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 6,
-                nextQuestId: 'main_quest_5'
-            },
-            {
-                id: 'main_quest_5',
-                name: 'The Demon Invasion',
-                description: 'Demons have begun invading from the mountains. Defeat them to protect the realm.',
-                objective: {
-                    type: 'kill',
-                    target: 'demon',
-                    count: 15,
-                    progress: 0
-                },
-                reward: {
-                    experience: 1200,
-                    gold: 500,
-                    items: [
-                        { name: 'Monk Sandals', type: 'boots', damage: 0, damageReduction: 0.05, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 8,
-                nextQuestId: 'main_quest_6'
-            },
-            {
-                id: 'main_quest_6',
-                name: 'The Final Battle',
-                description: 'The Demon Lord has appeared. Defeat him to save the world from destruction.',
-                objective: {
-                    type: 'kill',
-                    target: 'demon_lord',
-                    count: 1,
-                    progress: 0
-                },
-                reward: {
-                    experience: 2000,
-                    gold: 1000,
-                    items: [
-                        { name: 'Legendary Monk Helmet', type: 'helmet', damage: 5, damageReduction: 0.15, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 10,
-                nextQuestId: null
+    /**
+     * Load the global quests and the quests of the current map
+     * @returns {Promise<boolean>} - True once the quests are loaded
+     */
+    async init() {
+        await this.loadQuestFile(QUEST_SETTINGS.questsPath);
+        await this.loadMapQuests();
+        
+        // Pick up the quests of every map the player travels to
+        if (this.game.events) {
+            this.game.events.addEventListener('worldChanged', () => this.loadMapQuests());
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Load quest definitions from a JSON file ({ "quests": [...] })
+     * @param {string} path - Path of the quest file
+     * @param {string|null} [mapId=null] - Map the quests belong to, null for quests available everywhere
+     * @returns {Promise<number>} - Number of quests added
+     */
+    async loadQuestFile(path, mapId = null) {
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                // Per-map quest files are optional
+                if (!mapId) {
+                    console.error(`Failed to load quests from ${path}: ${response.status}`);
+                }
+                return 0;
             }
-        ];
+            
+            const data = await response.json();
+            return this.addQuestDefinitions(data.quests || [], mapId);
+        } catch (error) {
+            console.error(`Error loading quests from ${path}:`, error);
+            return 0;
+        }
+    }
+    
+    /**
+     * Load the quests of the current map, either embedded in the map data
+     * or shipped next to the map file (<map>.quests.json)
+     * @returns {Promise<void>}
+     */
+    async loadMapQuests() {
+        const world = this.game.world;
+        const mapId = world?.currentMapId;
+        if (!mapId || this.loadedMapQuests.has(mapId)) return;
+        this.loadedMapQuests.add(mapId);
         
-        // Side quests
-        const sideQuests = [
-            {
-                id: 'side_quest_1',
-                name: 'Treasure Hunter',
-                description: 'Find and open treasure chests scattered around the world.',
-                objective: {
-                    type: 'interact',
-                    target: 'chest',
-                    count: 3,
-                    progress: 0
-                },
-                reward: {
-                    experience: 50,
-                    gold: 100
-                },
-                isMainQuest: false,
-                requiredLevel: 1
-            },
-            {
-                id: 'side_quest_2',
-                name: 'Explorer',
-                description: 'Discover all zones in the world.',
-                objective: {
-                    type: 'explore',
-                    target: 'zone',
-                    count: 4,
-                    progress: 0,
-                    discovered: []
-                },
-                reward: {
-                    experience: 150,
-                    gold: 75,
-                    items: [
-                        { name: 'Map Fragment', amount: 1 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 1
-            },
-            {
-                id: 'side_quest_3',
-                name: 'Skeleton Slayer',
-                description: 'Defeat 20 skeletons to thin their numbers.',
-                objective: {
-                    type: 'kill',
-                    target: 'skeleton',
-                    count: 20,
-                    progress: 0
-                },
-                reward: {
-                    experience: 200,
-                    gold: 150,
-                    items: [
-                        { name: 'Bone Dust', amount: 5 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 3
-            },
-            {
-                id: 'side_quest_4',
-                name: 'Zombie Hunter',
-                description: 'Cleanse the swamp by defeating 25 zombies.',
-                objective: {
-                    type: 'kill',
-                    target: 'zombie',
-                    count: 25,
-                    progress: 0
-                },
-                reward: {
-                    experience: 300,
-                    gold: 200,
-                    items: [
-                        { name: 'Putrid Essence', amount: 3 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 5
-            },
-            {
-                id: 'side_quest_5',
-                name: 'Demon Slayer',
-                description: 'Defeat 30 demons to weaken their invasion force.',
-                objective: {
-                    type: 'kill',
-                    target: 'demon',
-                    count: 30,
-                    progress: 0
-                },
-                reward: {
-                    experience: 400,
-                    gold: 300,
-                    items: [
-                        { name: 'Demon Heart', amount: 2 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 7
-            },
-            {
-                id: 'side_quest_6',
-                name: 'Master Treasure Hunter',
-                description: 'Find and open 10 treasure chests throughout the world.',
-                objective: {
-                    type: 'interact',
-                    target: 'chest',
-                    count: 10,
-                    progress: 0
-                },
-                reward: {
-                    experience: 500,
-                    gold: 400,
-                    items: [
-                        { name: 'Lucky Charm', type: 'accessory', damage: 2, damageReduction: 0.02, amount: 1 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 5
-            },
-            {
-                id: 'side_quest_7',
-                name: 'Rare Materials',
-                description: 'Collect rare materials from defeated bosses.',
-                objective: {
-                    type: 'kill',
-                    target: 'boss',
-                    count: 3,
-                    progress: 0
-                },
-                reward: {
-                    experience: 600,
-                    gold: 500,
-                    items: [
-                        { name: 'Enchanted Crystal', amount: 1 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 8
+        const embeddedQuests = world.mapLoader?.currentMap?.quests;
+        if (Array.isArray(embeddedQuests)) {
+            this.addQuestDefinitions(embeddedQuests, mapId);
+        }
+        
+        const mapPath = mapId === 'default-map' ? world.defaultMapPath : `assets/maps/${world.currentMapFilename}`;
+        await this.loadQuestFile(mapPath.replace(/\.json$/, QUEST_SETTINGS.mapQuestsSuffix), mapId);
+    }
+    
+    /**
+     * Register quest definitions and make the new ones available
+     * @param {Array<Object>} definitions - Quest definitions (see QuestDefinition in config/quests.js)
+     * @param {string|null} [mapId=null] - Map the quests belong to
+     * @returns {number} - Number of quests added
+     */
+    addQuestDefinitions(definitions, mapId = null) {
+        let added = 0;
+        
+        definitions.forEach(definition => {
+            if (!definition || !definition.id || !Array.isArray(definition.stages)) {
+                console.warn('Skipping invalid quest definition:', definition);
+                return;
+            }
+            
+            if (this.questDefinitions.has(definition.id)) return;
+            
+            const quest = this.normalizeQuest({ mapId, ...definition });
+            this.questDefinitions.set(quest.id, quest);
+            added++;
+            
+            // Continue quests that were saved while their map wasn't loaded
+            const pendingIndex = this.pendingActiveQuests.findIndex(saved => saved.id === quest.id);
+            if (pendingIndex !== -1) {
+                this.restoreActiveQuest(this.pendingActiveQuests.splice(pendingIndex, 1)[0]);
+            } else if (!this.isQuestStarted(quest.id)) {
+                this.quests.push(quest);
+            }
+        });
+        
+        if (added > 0) {
+            console.debug(`Loaded ${added} quests${mapId ? ` for map ${mapId}` : ''}`);
+            this.game.hudManager?.updateQuestLog(this.activeQuests);
+        }
+        
+        return added;
+    }
+    
+    /**
+     * Fill in the defaults of a quest definition and work out the order of its stages
+     * @param {Object} definition - Quest definition
+     * @returns {Object} - Normalized quest definition
+     */
+    normalizeQuest(definition) {
+        const quest = JSON.parse(JSON.stringify(definition));
+        quest.isMainQuest = !!quest.isMainQuest;
+        quest.requiredLevel = quest.requiredLevel || 1;
+        quest.prerequisites = quest.prerequisites || [];
+        quest.reward = quest.reward || {};
+        quest.nextQuestId = quest.nextQuestId ?? null;
+        
+        // A stage waits for the group of stages before it; parallel stages join that group
+        let previousGroup = [];
+        let currentGroup = [];
+        
+        quest.stages.forEach((stage, stageIndex) => {
+            stage.id = stage.id || `stage_${stageIndex + 1}`;
+            stage.completion = stage.completion || 'all';
+            stage.objectives = stage.objectives || [];
+            
+            if (Array.isArray(stage.requires)) {
+                previousGroup = stage.requires;
+                currentGroup = [stage.id];
+            } else if (stage.parallel && stageIndex > 0) {
+                stage.requires = [...previousGroup];
+                currentGroup.push(stage.id);
+            } else {
+                previousGroup = currentGroup;
+                stage.requires = [...previousGroup];
+                currentGroup = [stage.id];
             }
-        ];
+            
+            stage.objectives.forEach((objective, objectiveIndex) => {
+                objective.id = objective.id || String(objectiveIndex);
+                objective.count = objective.count || 1;
+                
+                if (objective.location) {
+                    objective.location.radius = objective.location.radius || QUEST_SETTINGS.defaultRadius;
+                    
+                    // Shown on the minimap while the objective is active
+                    objective.position = { x: objective.location.x, y: 0, z: objective.location.z };
+                }
+            });
+        });
+        
+        return quest;
+    }
+    
+    /**
+     * Create the runtime copy of a quest with empty progress
+     * @param {Object} definition - Normalized quest definition
+     * @returns {Object} - Quest that can be started
+     */
+    createQuestInstance(definition) {
+        const quest = JSON.parse(JSON.stringify(definition));
+        quest.outcome = null;
+        
+        quest.stages.forEach(stage => {
+            stage.completed = false;
+            stage.objectives.forEach(objective => {
+                objective.progress = 0;
+                objective.completed = false;
+                if (objective.type === 'explore') {
+                    objective.discovered = [];
+                }
+            });
+        });
         
-        // Combine all quests
-        this.quests = [...mainQuests, ...sideQuests];
+        return quest;
+    }
+    
+    /**
+     * Clear all quest progress (used before loading a save)
+     */
+    resetProgress() {
+        this.quests = Array.from(this.questDefinitions.values());
+        this.activeQuests = [];
+        this.completedQuests = [];
+        this.pendingActiveQuests = [];
+    }
+    
+    /**
+     * Make a saved quest active again with its stage progress
+     * Quests of maps that haven't been loaded yet are kept until their definitions arrive
+     * @param {Object} savedQuest - Saved quest (see QuestSerializer)
+     * @returns {boolean} - True if the quest was restored
+     */
+    restoreActiveQuest(savedQuest) {
+        const definition = this.questDefinitions.get(savedQuest.id);
+        if (!definition) {
+            this.pendingActiveQuests.push(savedQuest);
+            return false;
+        }
+        
+        const quest = this.createQuestInstance(definition);
+        quest.outcome = savedQuest.outcome || null;
+        
+        if (Array.isArray(savedQuest.stages)) {
+            savedQuest.stages.forEach(savedStage => {
+                const stage = quest.stages.find(s => s.id === savedStage.id);
+                if (!stage) return;
+                
+                stage.completed = !!savedStage.completed;
+                (savedStage.objectives || []).forEach(savedObjective => {
+                    const objective = stage.objectives.find(o => o.id === savedObjective.id);
+                    if (!objective) return;
+                    
+                    objective.progress = savedObjective.progress || 0;
+                    objective.completed = !!savedObjective.completed;
+                    if (savedObjective.discovered) {
+                        objective.discovered = savedObjective.discovered;
+                    }
+                });
+            });
+        } else if (savedQuest.objective) {
+            // Saves from before quests had stages hold a single objective
+            const objective = quest.stages[0]?.objectives[0];
+            if (objective) {
+                objective.progress = savedQuest.objective.progress || 0;
+                if (savedQuest.objective.discovered) {
+                    objective.discovered = savedQuest.objective.discovered;
+                }
+            }
+        }
+        
+        this.activeQuests = this.activeQuests.filter(q => q.id !== quest.id);
+        this.activeQuests.push(quest);
+        this.quests = this.quests.filter(q => q.id !== quest.id);
+        
+        return true;
+    }
+    
+    /**
+     * Check whether a quest is active or completed
+     * @param {string} questId - Quest ID
+     * @returns {boolean} - True if the quest was started
+     */
+    isQuestStarted(questId) {
+        return this.activeQuests.some(q => q.id === questId) ||
+            this.completedQuests.some(q => q.id === questId);
+    }
+    
+    /**
+     * Check whether all prerequisite quests of a quest are completed
+     * @param {Object} quest - Quest definition
+     * @returns {boolean} - True if the quest may be started
+     */
+    arePrerequisitesMet(quest) {
+        return (quest.prerequisites || []).every(questId => this.completedQuests.some(q => q.id === questId));
     }
     
     startQuest(quest) {
-        // Find the quest in the available quests
-        const questToStart = this.quests.find(q => q.name === quest.name);
+        // Find the quest in the available quests (quest markers only know the name)
+        const questToStart = this.quests.find(q => q.id === quest.id) || this.quests.find(q => q.name === quest.name);
         
-        if (questToStart) {
+        if (questToStart && this.arePrerequisitesMet(questToStart)) {
             // Check if quest is already active
             if (!this.activeQuests.some(q => q.id === questToStart.id)) {
                 // Add to active quests
-                this.activeQuests.push(questToStart);
+                this.activeQuests.push(this.createQuestInstance(questToStart));
                 
                 // Remove from available quests
                 this.quests = this.quests.filter(q => q.id !== questToStart.id);
@@ -309,67 +302,243 @@ export class QuestManager {
         return false;
     }
     
-    updateEnemyKill(enemy) {
-        // Update kill objectives for active quests
-        this.activeQuests.forEach(quest => {
-            if (quest.objective.type === 'kill') {
-                // Check if this enemy type matches the quest target
-                if (quest.objective.target === 'any' || quest.objective.target === enemy.type) {
-                    quest.objective.progress++;
+    /**
+     * Check whether a stage can be worked on
+     * @param {Object} quest - Active quest
+     * @param {Object} stage - Stage of the quest
+     * @returns {boolean} - True if the stage is unlocked and not completed
+     */
+    isStageActive(quest, stage) {
+        return !stage.completed && stage.requires.every(stageId => {
+            const required = quest.stages.find(s => s.id === stageId);
+            return !required || required.completed;
+        });
+    }
+    
+    /**
+     * Get the stages of a quest that can currently be worked on
+     * @param {Object} quest - Active quest
+     * @returns {Array<Object>} - Active stages
+     */
+    getActiveStages(quest) {
+        return quest.stages.filter(stage => this.isStageActive(quest, stage));
+    }
+    
+    /**
+     * Get the unfinished objectives of the active stages of a quest
+     * @param {Object} quest - Active quest
+     * @returns {Array<Object>} - Active objectives
+     */
+    getActiveObjectives(quest) {
+        return this.getActiveStages(quest).flatMap(stage => stage.objectives.filter(objective => !objective.completed));
+    }
+    
+    /**
+     * Add progress to the active objectives that match a filter
+     * @param {function(Object, Object): boolean} matches - Called with (objective, quest)
+     * @param {number} [amount=1] - Progress to add
+     * @param {boolean} [notify=true] - Show a notification for progress that doesn't complete the objective
+     */
+    progressObjectives(matches, amount = 1, notify = true) {
+        let changed = false;
+        
+        [...this.activeQuests].forEach(quest => {
+            // Objectives unlocked by this progress only count from the next event on
+            this.getActiveStages(quest).forEach(stage => {
+                stage.objectives.forEach(objective => {
+                    if (stage.completed || objective.completed || !matches(objective, quest)) return;
                     
-                    // Check if objective is complete
-                    if (quest.objective.progress >= quest.objective.count) {
-                        this.completeQuest(quest);
-                    } else {
-                        // Update UI
-                        this.game.hudManager.updateQuestLog(this.activeQuests);
-                        this.game.hudManager.showNotification(`Quest progress: ${quest.objective.progress}/${quest.objective.count} enemies defeated`);
+                    objective.progress = Math.min(objective.progress + amount, objective.count);
+                    changed = true;
+                    
+                    if (isObjectiveComplete(objective)) {
+                        this.completeObjective(quest, stage, objective);
+                    } else if (notify) {
+                        this.game.hudManager.showNotification(`Quest progress: ${formatObjective(objective)}`);
                     }
-                }
-            }
+                });
+            });
         });
+        
+        if (changed) {
+            this.game.hudManager.updateQuestLog(this.activeQuests);
+        }
+    }
+    
+    /**
+     * Mark an objective as done and complete its stage when the stage's condition is met
+     * @param {Object} quest - Active quest
+     * @param {Object} stage - Stage of the objective
+     * @param {Object} objective - Completed objective
+     */
+    completeObjective(quest, stage, objective) {
+        objective.completed = true;
+        if (objective.outcome) {
+            quest.outcome = objective.outcome;
+        }
+        
+        const stageDone = stage.completion === 'any' || stage.objectives.every(o => o.completed);
+        if (stageDone) {
+            this.completeStage(quest, stage);
+        } else {
+            this.game.hudManager.showNotification(`Objective complete: ${formatObjective(objective)}`);
+        }
+    }
+    
+    /**
+     * Complete a stage, and the quest once every stage is done
+     * @param {Object} quest - Active quest
+     * @param {Object} stage - Completed stage
+     */
+    completeStage(quest, stage) {
+        stage.completed = true;
+        
+        if (quest.stages.every(s => s.completed)) {
+            this.completeQuest(quest);
+            return;
+        }
+        
+        // Announce the stage this one unlocked, if any
+        const unlockedStage = quest.stages.find(s => s.requires.includes(stage.id) && this.isStageActive(quest, s));
+        this.game.hudManager.showNotification(unlockedStage?.description ?
+            `${quest.name}: ${unlockedStage.description}` :
+            `${quest.name}: ${stage.description || 'Stage'} complete`
+        );
+    }
+    
+    updateEnemyKill(enemy) {
+        // Update kill objectives for active quests
+        this.progressObjectives(objective => objective.type === 'kill' && (
+            objective.target === 'any' ||
+            objective.target === enemy.type ||
+            (objective.target === 'boss' && enemy.isBoss)
+        ));
     }
     
     updateInteraction(objectType) {
         // Update interaction objectives for active quests
-        this.activeQuests.forEach(quest => {
-            if (quest.objective.type === 'interact' && quest.objective.target === objectType) {
-                quest.objective.progress++;
-                
-                // Check if objective is complete
-                if (quest.objective.progress >= quest.objective.count) {
-                    this.completeQuest(quest);
-                } else {
-                    // Update UI
-                    this.game.hudManager.updateQuestLog(this.activeQuests);
-                    this.game.hudManager.showNotification(`Quest progress: ${quest.objective.progress}/${quest.objective.count} ${objectType}s found`);
-                }
-            }
-        });
+        this.progressObjectives(objective => objective.type === 'interact' && objective.target === objectType);
     }
     
     updateExploration(zoneName) {
         // Update exploration objectives for active quests
-        this.activeQuests.forEach(quest => {
-            if (quest.objective.type === 'explore' && quest.objective.target === 'zone') {
-                // Check if this zone has already been discovered for this quest
-                if (!quest.objective.discovered.includes(zoneName)) {
-                    quest.objective.discovered.push(zoneName);
-                    quest.objective.progress++;
-                    
-                    // Check if objective is complete
-                    if (quest.objective.progress >= quest.objective.count) {
-                        this.completeQuest(quest);
-                    } else {
-                        // Update UI
-                        this.game.hudManager.updateQuestLog(this.activeQuests);
-                        this.game.hudManager.showNotification(`Zone discovered: ${zoneName}`);
-                    }
-                }
-            }
+        this.progressObjectives(objective => {
+            if (objective.type !== 'explore') return false;
+            if (objective.target !== 'zone' && objective.target !== zoneName) return false;
+            
+            // Each zone only counts once per objective
+            if (objective.discovered.includes(zoneName)) return false;
+            objective.discovered.push(zoneName);
+            return true;
         });
     }
     
+    /**
+     * Update collect objectives when the player picks up an item
+     * @param {Object} item - Picked up item
+     */
+    updateItemCollected(item) {
+        if (!item) return;
+        
+        this.progressObjectives(objective => objective.type === 'collect' && (
+            objective.target === 'any' ||
+            objective.target === item.id ||
+            objective.target === item.name ||
+            objective.target === item.type
+        ), item.amount || 1);
+    }
+    
+    /**
+     * Update talk objectives when the player talks to an NPC
+     * Objectives can target a specific NPC by ID or any NPC of a profession.
+     * @param {Object} npc - The NPC (id and profession)
+     */
+    updateTalk(npc) {
+        if (!npc) return;
+        
+        this.progressObjectives(objective => objective.type === 'talk' && (
+            objective.target === npc.id ||
+            objective.target === npc.profession
+        ));
+    }
+    
+    /**
+     * Check the location based objectives (reach, defend, escort and explore)
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        this.locationCheckTimer += delta;
+        if (this.locationCheckTimer < QUEST_SETTINGS.locationCheckInterval) return;
+        
+        const elapsed = this.locationCheckTimer;
+        this.locationCheckTimer = 0;
+        
+        if (!this.game.player || this.activeQuests.length === 0) return;
+        const playerPosition = this.game.player.getPosition();
+        
+        // Reach: the player arrives at the location
+        this.progressObjectives(objective =>
+            objective.type === 'reach' && this.isAtLocation(playerPosition, objective.location)
+        );
+        
+        // Defend: time the player spends at the location (leaving pauses the timer)
+        this.progressObjectives(objective =>
+            objective.type === 'defend' && this.isAtLocation(playerPosition, objective.location),
+            elapsed, false
+        );
+        
+        // Escort: the NPC arrives at the location
+        this.progressObjectives(objective =>
+            objective.type === 'escort' && this.updateEscort(objective, playerPosition)
+        );
+        
+        // Explore: the player enters a new zone
+        const zone = this.game.world?.getZoneAt(playerPosition);
+        if (zone && zone.name !== this.lastZoneName) {
+            this.lastZoneName = zone.name;
+            this.updateExploration(zone.name);
+        }
+    }
+    
+    /**
+     * Move the escorted NPC of an objective: it follows the player once they come close,
+     * and settles down when it reaches the location
+     * @param {Object} objective - Escort objective
+     * @param {THREE.Vector3} playerPosition - The player's position
+     * @returns {boolean} - True if the NPC arrived at the location
+     */
+    updateEscort(objective, playerPosition) {
+        const npc = this.game.npcManager?.getNPC(objective.target, playerPosition);
+        if (!npc) return false;
+        
+        if (this.isAtLocation(npc.position, objective.location)) {
+            npc.follow(null);
+            npc.setHome(npc.position);
+            return true;
+        }
+        
+        if (!npc.followTarget && npc.position.distanceTo(playerPosition) <= QUEST_SETTINGS.escortStartDistance) {
+            npc.follow(this.game.player);
+            this.game.hudManager.showNotification(`${npc.name} is following you`);
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Check whether a position is inside an objective location
+     * @param {Object} position - Position with x and z
+     * @param {Object} location - Objective location (x, z, radius)
+     * @returns {boolean} - True if the position is within the radius
+     */
+    isAtLocation(position, location) {
+        if (!position || !location) return false;
+        
+        const dx = position.x - location.x;
+        const dz = position.z - location.z;
+        return dx * dx + dz * dz <= location.radius * location.radius;
+    }
+    
     completeQuest(quest) {
         // Remove from active quests
         this.activeQuests = this.activeQuests.filter(q => q.id !== quest.id);
@@ -396,46 +565,67 @@ export class QuestManager {
         this.checkForNextQuest(quest);
     }
     
+    /**
+     * Get the follow-up quest IDs of a quest, following the branch of its outcome
+     * @param {Object} quest - Completed quest
+     * @returns {Array<string>} - Quest IDs
+     */
+    getNextQuestIds(quest) {
+        const next = quest.nextQuestId;
+        if (!next) return [];
+        if (typeof next === 'string') return [next];
+        if (Array.isArray(next)) return next;
+        
+        const branch = next[quest.outcome] ?? next.default;
+        return branch ? [].concat(branch) : [];
+    }
+    
     checkForNextQuest(completedQuest) {
-        // Check if this quest has a next quest in the storyline
-        if (completedQuest.isMainQuest && completedQuest.nextQuestId) {
-            // Find the next quest
-            const nextQuest = this.quests.find(q => q.id === completedQuest.nextQuestId);
-            
-            if (nextQuest) {
-                // Check if player meets level requirement
-                if (this.game.player.getLevel() >= nextQuest.requiredLevel) {
-                    // Automatically start the next main quest
-                    setTimeout(() => {
-                        this.game.hudManager.showDialog(
-                            `New Quest Available: ${nextQuest.name}`,
-                            `${nextQuest.description}\n\nWould you like to accept this quest?`,
-                            () => this.startQuest(nextQuest)
-                        );
-                    }, 2000); // Show after a short delay
-                } else {
-                    // Inform player about level requirement
-                    setTimeout(() => {
-                        this.game.hudManager.showNotification(
-                            `New quest "${nextQuest.name}" will be available at level ${nextQuest.requiredLevel}.`
-                        );
-                    }, 2000);
-                }
+        // Offer the follow-up quests (dialogs queue up if there are several)
+        const nextQuests = this.getNextQuestIds(completedQuest)
+            .map(questId => this.quests.find(q => q.id === questId))
+            .filter(nextQuest => nextQuest && this.arePrerequisitesMet(nextQuest));
+        
+        nextQuests.forEach(nextQuest => {
+            // Check if player meets level requirement
+            if (this.game.player.getLevel() >= nextQuest.requiredLevel) {
+                setTimeout(() => {
+                    this.offerQuest(nextQuest, 'New Quest Available');
+                }, QUEST_SETTINGS.nextQuestDelay); // Show after a short delay
+            } else {
+                // Inform player about level requirement
+                setTimeout(() => {
+                    this.game.hudManager.showNotification(
+                        `New quest "${nextQuest.name}" will be available at level ${nextQuest.requiredLevel}.`
+                    );
+                }, QUEST_SETTINGS.nextQuestDelay);
             }
-        }
+        });
     }
     
     awardQuestRewards(quest) {
+        // World tier bonuses apply to quest rewards as well
+        const worldTier = this.game.player.stats.getWorldTierSettings();
+        
+        // Award skill points (quests without an explicit amount use the defaults)
+        const defaultSkillPoints = quest.isMainQuest ? SKILL_POINTS.mainQuestReward : SKILL_POINTS.questReward;
+        this.game.player.addSkillPoints(quest.reward.skillPoints !== undefined ? quest.reward.skillPoints : defaultSkillPoints);
+        
+        // Unlock the skill variants whose unlockedBy condition names this quest
+        this.game.player.unlockVariantsFromQuest(quest);
+        
         // Award experience
         if (quest.reward.experience) {
-            this.game.player.addExperience(quest.reward.experience);
-            this.game.hudManager.showNotification(`Gained ${quest.reward.experience} experience`);
+            const experience = Math.round(quest.reward.experience * worldTier.experienceMultiplier);
+            this.game.player.addExperience(experience);
+            this.game.hudManager.showNotification(`Gained ${experience} experience`);
         }
         
         // Award gold
         if (quest.reward.gold) {
-            this.game.player.addGold(quest.reward.gold);
-            this.game.hudManager.showNotification(`Gained ${quest.reward.gold} gold`);
+            const gold = Math.round(quest.reward.gold * worldTier.goldMultiplier);
+            this.game.player.addGold(gold);
+            this.game.hudManager.showNotification(`Gained ${gold} gold`);
         }
         
         // Award items
@@ -457,16 +647,17 @@ export class QuestManager {
     
     getAvailableQuests() {
         const playerLevel = this.game.player.getLevel();
+        const currentMapId = this.game.world?.currentMapId;
         
-        // Filter quests based on player level and completed quests
+        // Filter quests based on player level, prerequisites and completed quests
         return this.quests.filter(quest => {
-            // Check if quest is already completed
-            const isCompleted = this.completedQuests.some(q => q.id === quest.id);
-            if (isCompleted) return false;
+            // Check if quest is already completed or active
+            if (this.isQuestStarted(quest.id)) return false;
             
-            // Check if quest is already active
-            const isActive = this.activeQuests.some(q => q.id === quest.id);
-            if (isActive) return false;
+            // Map quests are only offered on their map
+            if (quest.mapId && quest.mapId !== currentMapId) return false;
+            
+            if (!this.arePrerequisitesMet(quest)) return false;
             
             // Check if player meets level requirement
             return playerLevel >= quest.requiredLevel;
@@ -480,12 +671,7 @@ export class QuestManager {
         const mainQuests = availableQuests.filter(q => q.isMainQuest);
         if (mainQuests.length > 0) {
             // Offer the first available main quest
-            const mainQuest = mainQuests[0];
-            this.game.hudManager.showDialog(
-                `New Main Quest Available: ${mainQuest.name}`,
-                `${mainQuest.description}\n\nWould you like to accept this quest?`,
-                () => this.startQuest(mainQuest)
-            );
+            this.offerQuest(mainQuests[0], 'New Main Quest Available');
             return;
         }
         
@@ -494,12 +680,27 @@ export class QuestManager {
         if (sideQuests.length > 0) {
             // Offer a random side quest
             const randomIndex = Math.floor(Math.random() * sideQuests.length);
-            const sideQuest = sideQuests[randomIndex];
-            this.game.hudManager.showDialog(
-                `New Side Quest Available: ${sideQuest.name}`,
-                `${sideQuest.description}\n\nWould you like to accept this quest?`,
-                () => this.startQuest(sideQuest)
-            );
+            this.offerQuest(sideQuests[randomIndex], 'New Side Quest Available');
         }
     }
-}
\ No newline at end of file
+    
+    /**
+     * Ask the player whether to accept a quest
+     * @param {Object} quest - Quest to offer
+     * @param {string} [title='New Quest'] - Dialog title, followed by the quest name
+     * @param {Object} [dialogOptions={}] - Extra dialog options (speaker, portrait, onClose)
+     */
+    offerQuest(quest, title = 'New Quest', dialogOptions = {}) {
+        this.game.hudManager.showDialog(
+            `${title}: ${quest.name}`,
+            `${quest.description}\n\nWould you like to accept this quest?`,
+            {
+                ...dialogOptions,
+                choices: [
+                    { label: 'Accept', onSelect: () => this.startQuest(quest) },
+                    { label: 'Decline', cancel: true }
+                ]
+            }
+        );
+    }
+}
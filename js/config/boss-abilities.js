@@ -0,0 +1,122 @@
+/**
+ * Boss Ability Configuration
+ * Contains the abilities listed in BOSS_TYPES and the health-threshold phases bosses go through.
+ * Each ability names the module that runs it (type) plus that module's settings;
+ * damageRatio values are multiplied by the boss's damage.
+ */
+
+/**
+ * @typedef {Object} BossPhase
+ * @property {number} healthThreshold - Phase starts once health drops to this share of max health
+ * @property {number} cooldownMultiplier - Multiplier applied to ability cooldowns in this phase
+ * @property {number} damageMultiplier - Multiplier applied to ability damage in this phase
+ * @property {string} [message] - Announcement shown when the phase starts (prefixed with the boss name)
+ */
+
+/**
+ * @typedef {Object} BossAbilityConfig
+ * @property {string} type - Ability module (area_strike, cone, projectile_volley, summon, pull, teleport, self_buff, aura)
+ * @property {string} name - Display name
+ * @property {number} cooldown - Seconds between casts
+ * @property {number} range - Maximum distance to the target for the boss to start the cast
+ * @property {number} [minRange] - Minimum distance to the target for the boss to start the cast
+ * @property {number} [minPhase] - First phase (index into the boss's phases) the ability is used in
+ * @property {number} castTime - Seconds the boss channels while the ground marker fills
+ * @property {number} color - Marker and effect color
+ * @property {string} [effect] - Player status effect applied on hit (an id from STATUS_EFFECTS)
+ * @property {number} [effectDuration] - Status effect duration in seconds
+ * @property {number} [effectIntensity] - Status effect intensity
+ * @property {number} [effectDamageRatio] - Damage over time per second as a share of the boss's damage
+ *                                          (used instead of effectIntensity)
+ */
+
+// Shared settings for the boss ability controller
+export const BOSS_ABILITY_SETTINGS = {
+    globalCooldown: 2, // Seconds between two ability casts
+    initialCooldownRatio: 0.5 // Share of each cooldown that must pass before the first cast
+};
+
+/**
+ * Phases by boss type; bosses without an entry use the default phases
+ * @type {Object<string, Array<BossPhase>>}
+ */
+export const BOSS_PHASES = {
+    default: [
+        { healthThreshold: 1.0, cooldownMultiplier: 1.0, damageMultiplier: 1.0 },
+        { healthThreshold: 0.6, cooldownMultiplier: 0.8, damageMultiplier: 1.15, message: 'grows furious!' },
+        { healthThreshold: 0.3, cooldownMultiplier: 0.6, damageMultiplier: 1.3, message: 'unleashes its full power!' }
+    ]
+};
+
+/**
+ * Abilities by id (the ids used in BOSS_TYPES[].abilities)
+ * @type {Object<string, BossAbilityConfig>}
+ */
+export const BOSS_ABILITIES = {
+    // Skeleton King
+    summon_minions: { type: 'summon', name: 'Summon Minions', cooldown: 18, range: 25, castTime: 1.5, color: 0xccccaa, summonTypes: ['skeleton', 'skeleton_archer'], count: 3, spawnRadius: 4, maxSummons: 6 },
+    ground_slam: { type: 'area_strike', name: 'Ground Slam', cooldown: 7, range: 5, castTime: 1.2, color: 0xaa8855, targeting: 'self', radius: 5, damageRatio: 1.5, effect: 'stun', effectDuration: 1 },
+
+    // Swamp Horror
+    poison_cloud: { type: 'area_strike', name: 'Poison Cloud', cooldown: 10, range: 18, castTime: 1.0, color: 0x6bdc3a, targeting: 'target', radius: 3.5, damageRatio: 0.5, lingerDuration: 6, lingerDamageRatio: 0.25, tickInterval: 0.5, effect: 'poison', effectDuration: 4, effectDamageRatio: 0.05 },
+    tentacle_grab: { type: 'pull', name: 'Tentacle Grab', cooldown: 12, range: 16, minRange: 5, castTime: 1.2, color: 0x335533, radius: 2, damageRatio: 1.0, effect: 'stun', effectDuration: 1 },
+
+    // Demon Lord
+    fire_nova: { type: 'area_strike', name: 'Fire Nova', cooldown: 8, range: 7, castTime: 1.2, color: 0xff5511, targeting: 'self', radius: 7, damageRatio: 1.4, effect: 'burning', effectDuration: 3, effectDamageRatio: 0.1 },
+    teleport: { type: 'teleport', name: 'Teleport', cooldown: 12, range: 30, minRange: 8, castTime: 1.0, color: 0xaa2222, radius: 3.5, damageRatio: 1.0, minDistance: 2, maxDistance: 4 },
+
+    // Frost Titan
+    ice_storm: { type: 'area_strike', name: 'Ice Storm', cooldown: 8, range: 14, castTime: 1.5, color: 0x88ccff, targeting: 'target', count: 5, scatter: 4, stagger: 0.25, radius: 2.5, damageRatio: 1.0, effect: 'slow', effectDuration: 3, effectIntensity: 0.4 },
+    frost_nova: { type: 'area_strike', name: 'Frost Nova', cooldown: 6, range: 4.5, castTime: 1.0, color: 0xaaddff, targeting: 'self', radius: 5, damageRatio: 1.0, effect: 'freeze', effectDuration: 2 },
+    ice_barrier: { type: 'self_buff', name: 'Ice Barrier', cooldown: 20, range: 30, minPhase: 1, castTime: 0.8, color: 0x99ddff, duration: 6, damageReduction: 0.5 },
+
+    // Necromancer Lord
+    summon_undead: { type: 'summon', name: 'Summon Undead', cooldown: 20, range: 25, castTime: 1.5, color: 0x77aa77, summonTypes: ['skeleton', 'zombie'], count: 4, spawnRadius: 5, maxSummons: 8 },
+    death_nova: { type: 'area_strike', name: 'Death Nova', cooldown: 10, range: 8, castTime: 1.4, color: 0x663399, targeting: 'self', radius: 8, damageRatio: 1.3 },
+    life_drain: { type: 'aura', name: 'Life Drain', cooldown: 14, range: 10, minPhase: 1, castTime: 0.6, color: 0x990033, duration: 4, radius: 10, damageRatio: 0.2, tickInterval: 0.5, healRatio: 1.0 },
+
+    // Ancient Treant
+    root_prison: { type: 'area_strike', name: 'Root Prison', cooldown: 10, range: 16, castTime: 1.2, color: 0x557722, targeting: 'target', radius: 2.5, damageRatio: 0.6, effect: 'stun', effectDuration: 2 },
+    nature_wrath: { type: 'area_strike', name: "Nature's Wrath", cooldown: 12, range: 18, minPhase: 1, castTime: 1.4, color: 0x88cc44, targeting: 'target', count: 4, scatter: 5, stagger: 0.3, radius: 3, damageRatio: 1.0 },
+    healing_sap: { type: 'self_buff', name: 'Healing Sap', cooldown: 25, range: 30, minPhase: 1, castTime: 1.5, color: 0x66ff66, duration: 5, healRatio: 0.15 },
+
+    // Spider Queen
+    web_prison: { type: 'area_strike', name: 'Web Prison', cooldown: 9, range: 16, castTime: 1.0, color: 0xeeeeee, targeting: 'target', radius: 2.5, damageRatio: 0.4, effect: 'stun', effectDuration: 1.5 },
+    summon_spiderlings: { type: 'summon', name: 'Summon Spiderlings', cooldown: 16, range: 25, castTime: 1.2, color: 0x557733, summonTypes: ['forest_spider'], count: 4, spawnRadius: 4, maxSummons: 8 },
+    venom_spray: { type: 'cone', name: 'Venom Spray', cooldown: 7, range: 8, castTime: 0.9, color: 0x66cc22, radius: 8, arc: 70, damageRatio: 0.8, effect: 'poison', effectDuration: 4, effectDamageRatio: 0.05 },
+
+    // Ancient Construct
+    stone_barrage: { type: 'projectile_volley', name: 'Stone Barrage', cooldown: 8, range: 20, castTime: 0.8, color: 0x8a7a66, projectile: 'projectile_stone', count: 5, spreadAngle: 40, waves: 2, waveInterval: 0.4, projectileSpeed: 16, projectileRadius: 0.6, damageRatio: 0.7 },
+    earthquake: { type: 'area_strike', name: 'Earthquake', cooldown: 14, range: 10, minPhase: 1, castTime: 1.8, color: 0x886644, targeting: 'self', radius: 10, damageRatio: 1.2, effect: 'stun', effectDuration: 1 },
+    ancient_curse: { type: 'area_strike', name: 'Ancient Curse', cooldown: 15, range: 18, minPhase: 2, castTime: 1.0, color: 0xaa66ff, targeting: 'target', radius: 3, damageRatio: 0.3, effect: 'blind', effectDuration: 5, effectIntensity: 0.4 },
+
+    // Plague Lord
+    plague_cloud: { type: 'area_strike', name: 'Plague Cloud', cooldown: 12, range: 18, castTime: 1.2, color: 0x99bb33, targeting: 'target', count: 3, scatter: 4, stagger: 0.2, radius: 3, damageRatio: 0.4, lingerDuration: 8, lingerDamageRatio: 0.2, tickInterval: 0.5, effect: 'poison', effectDuration: 4, effectDamageRatio: 0.04 },
+    summon_flies: { type: 'summon', name: 'Summon Flies', cooldown: 16, range: 25, castTime: 1.0, color: 0x667733, summonTypes: ['ruin_crawler'], count: 5, spawnRadius: 4, maxSummons: 10 },
+    toxic_explosion: { type: 'area_strike', name: 'Toxic Explosion', cooldown: 15, range: 6, minPhase: 2, castTime: 1.5, color: 0x99ff33, targeting: 'self', radius: 6, damageRatio: 1.5, lingerDuration: 5, lingerDamageRatio: 0.25, tickInterval: 0.5 },
+
+    // Void Harbinger
+    void_rift: { type: 'area_strike', name: 'Void Rift', cooldown: 10, range: 18, castTime: 1.2, color: 0x5500aa, targeting: 'target', radius: 3.5, damageRatio: 0.8, lingerDuration: 5, lingerDamageRatio: 0.3, tickInterval: 0.5 },
+    shadow_tendrils: { type: 'pull', name: 'Shadow Tendrils', cooldown: 12, range: 16, minRange: 5, castTime: 1.0, color: 0x330066, radius: 2.5, damageRatio: 0.8, effect: 'slow', effectDuration: 2, effectIntensity: 0.5 },
+    mind_shatter: { type: 'area_strike', name: 'Mind Shatter', cooldown: 18, range: 9, minPhase: 1, castTime: 2.0, color: 0xcc66ff, targeting: 'self', radius: 9, damageRatio: 1.0, effect: 'blind', effectDuration: 4, effectIntensity: 0.5 },
+
+    // Inferno Lord
+    meteor_strike: { type: 'area_strike', name: 'Meteor Strike', cooldown: 10, range: 20, castTime: 1.6, color: 0xff4400, targeting: 'target', count: 3, scatter: 3, stagger: 0.4, radius: 3, damageRatio: 1.6, lingerDuration: 3, lingerDamageRatio: 0.2, tickInterval: 0.5 },
+    flame_pillar: { type: 'area_strike', name: 'Flame Pillar', cooldown: 6, range: 16, castTime: 0.9, color: 0xff8800, targeting: 'target', radius: 2, damageRatio: 1.2, lingerDuration: 4, lingerDamageRatio: 0.3, tickInterval: 0.5, effect: 'burning', effectDuration: 2, effectDamageRatio: 0.1 },
+    inferno_aura: { type: 'aura', name: 'Inferno Aura', cooldown: 16, range: 12, minPhase: 1, castTime: 0.8, color: 0xff3300, duration: 8, radius: 5, damageRatio: 0.15, tickInterval: 0.5 },
+
+    // Molten Behemoth
+    lava_wave: { type: 'cone', name: 'Lava Wave', cooldown: 9, range: 10, castTime: 1.2, color: 0xff5500, radius: 10, arc: 90, damageRatio: 1.2, effect: 'burning', effectDuration: 3, effectDamageRatio: 0.1 },
+    molten_smash: { type: 'area_strike', name: 'Molten Smash', cooldown: 6, range: 4.5, castTime: 1.1, color: 0xff6622, targeting: 'self', radius: 4.5, damageRatio: 1.8, lingerDuration: 3, lingerDamageRatio: 0.25, tickInterval: 0.5 },
+    eruption: { type: 'area_strike', name: 'Eruption', cooldown: 14, range: 12, minPhase: 1, castTime: 1.4, color: 0xff2200, targeting: 'self', count: 6, scatter: 8, stagger: 0.2, radius: 2.5, damageRatio: 1.0 },
+
+    // Frost Monarch
+    blizzard: { type: 'area_strike', name: 'Blizzard', cooldown: 14, range: 18, castTime: 1.4, color: 0xcceeff, targeting: 'target', radius: 6, damageRatio: 0.4, lingerDuration: 6, lingerDamageRatio: 0.15, tickInterval: 0.5, effect: 'slow', effectDuration: 2, effectIntensity: 0.4 },
+    ice_prison: { type: 'area_strike', name: 'Ice Prison', cooldown: 11, range: 16, castTime: 1.1, color: 0x88ddff, targeting: 'target', radius: 2.2, damageRatio: 0.5, effect: 'freeze', effectDuration: 2 },
+    freezing_touch: { type: 'aura', name: 'Freezing Touch', cooldown: 15, range: 6, minPhase: 1, castTime: 0.6, color: 0xaaeeff, duration: 6, radius: 3, damageRatio: 0.1, tickInterval: 0.5, effect: 'chill', effectDuration: 2, effectIntensity: 0.1 },
+
+    // Ancient Yeti
+    avalanche: { type: 'area_strike', name: 'Avalanche', cooldown: 12, range: 18, castTime: 1.5, color: 0xe8f4ff, targeting: 'target', count: 4, scatter: 4, stagger: 0.3, radius: 3, damageRatio: 1.2, effect: 'slow', effectDuration: 2, effectIntensity: 0.4 },
+    frost_breath: { type: 'cone', name: 'Frost Breath', cooldown: 7, range: 9, castTime: 1.0, color: 0x99ccff, radius: 9, arc: 60, damageRatio: 1.0, effect: 'chill', effectDuration: 3, effectIntensity: 0.15 },
+    ice_shards: { type: 'projectile_volley', name: 'Ice Shards', cooldown: 8, range: 20, castTime: 0.7, color: 0x44aaff, projectile: 'projectile_ice', count: 7, spreadAngle: 60, waves: 1, waveInterval: 0, projectileSpeed: 18, projectileRadius: 0.5, damageRatio: 0.6 }
+};
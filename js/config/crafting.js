@@ -0,0 +1,149 @@
+/**
+ * Crafting Configuration
+ * Contains crafting materials, gems, salvage yields and recipe costs (see CraftingManager).
+ */
+
+/**
+ * @typedef {Object} CraftingMaterial
+ * @property {string} name - Display name (stacks are matched and saved by name)
+ * @property {string} subType - 'scrap' for salvage materials, 'gem' for socketable gems
+ * @property {string} icon - Icon representation (emoji)
+ * @property {string} rarity - Display rarity
+ * @property {string} description - Item description text
+ * @property {{type: string, value: number, element?: string}} [gemStat] - Secondary stat added when socketed
+ */
+
+/**
+ * @typedef {Object} CraftingCost
+ * @property {number} gold - Gold cost at item level 0 (scaled by CRAFTING_SETTINGS.levelCostScaling)
+ * @property {Object<string, number>} [materials] - Material id to amount
+ */
+
+// Materials by id
+export const CRAFTING_MATERIALS = {
+    ironScrap: {
+        name: 'Iron Scrap',
+        subType: 'scrap',
+        icon: '🔩',
+        rarity: 'common',
+        description: 'Salvaged metal. Used to upgrade common and uncommon gear.'
+    },
+    spiritEssence: {
+        name: 'Spirit Essence',
+        subType: 'scrap',
+        icon: '💠',
+        rarity: 'uncommon',
+        description: 'The lingering spirit of a salvaged item. Used to reroll and upgrade gear.'
+    },
+    celestialShard: {
+        name: 'Celestial Shard',
+        subType: 'scrap',
+        icon: '🔷',
+        rarity: 'epic',
+        description: 'A shard of starlight left behind by exquisite gear.'
+    },
+    primordialEmber: {
+        name: 'Primordial Ember',
+        subType: 'scrap',
+        icon: '🔥',
+        rarity: 'legendary',
+        description: 'An ember of creation. Needed to forge legendary and mythic gear.'
+    },
+    ruby: {
+        name: 'Ruby',
+        subType: 'gem',
+        icon: '🔴',
+        rarity: 'rare',
+        description: 'Socket into gear to increase attack power.',
+        gemStat: { type: 'attackPower', value: 8 }
+    },
+    sapphire: {
+        name: 'Sapphire',
+        subType: 'gem',
+        icon: '🔵',
+        rarity: 'rare',
+        description: 'Socket into gear to increase maximum mana.',
+        gemStat: { type: 'manaBonus', value: 20 }
+    },
+    emerald: {
+        name: 'Emerald',
+        subType: 'gem',
+        icon: '🟢',
+        rarity: 'rare',
+        description: 'Socket into gear to increase critical hit chance.',
+        gemStat: { type: 'critChance', value: 3 }
+    },
+    amethyst: {
+        name: 'Amethyst',
+        subType: 'gem',
+        icon: '🟣',
+        rarity: 'rare',
+        description: 'Socket into gear to increase maximum health.',
+        gemStat: { type: 'healthBonus', value: 25 }
+    },
+    topaz: {
+        name: 'Topaz',
+        subType: 'gem',
+        icon: '🟡',
+        rarity: 'rare',
+        description: 'Socket into gear to add lightning damage.',
+        gemStat: { type: 'elementalDamage', value: 10, element: 'lightning' }
+    },
+    diamond: {
+        name: 'Diamond',
+        subType: 'gem',
+        icon: '💎',
+        rarity: 'epic',
+        description: 'Socket into gear to increase defense.',
+        gemStat: { type: 'defense', value: 10 }
+    }
+};
+
+// Materials gained by salvaging an item of each rarity: material id to [min, max]
+export const SALVAGE_YIELDS = {
+    common: { ironScrap: [1, 2] },
+    uncommon: { ironScrap: [2, 3], spiritEssence: [0, 1] },
+    rare: { ironScrap: [2, 4], spiritEssence: [1, 2] },
+    epic: { spiritEssence: [2, 3], celestialShard: [1, 1] },
+    legendary: { celestialShard: [2, 3], primordialEmber: [1, 1] },
+    mythic: { celestialShard: [3, 5], primordialEmber: [1, 2] }
+};
+
+// Recipe costs; upgrade costs are keyed by the rarity being upgraded to
+export const CRAFTING_RECIPES = {
+    salvage: { gold: 5 },
+    reroll: { gold: 40, materials: { spiritEssence: 2 } },
+    socket: { gold: 60 },
+    upgrade: {
+        uncommon: { gold: 80, materials: { ironScrap: 6 } },
+        rare: { gold: 200, materials: { ironScrap: 8, spiritEssence: 3 } },
+        epic: { gold: 500, materials: { spiritEssence: 6, celestialShard: 1 } },
+        legendary: { gold: 1200, materials: { celestialShard: 4, primordialEmber: 1 } },
+        mythic: { gold: 3000, materials: { celestialShard: 6, primordialEmber: 3 } }
+    }
+};
+
+// Rarities in upgrade order
+export const RARITY_ORDER = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic'];
+
+// Gem sockets on items of each rarity
+export const SOCKETS_BY_RARITY = {
+    common: 0,
+    uncommon: 1,
+    rare: 1,
+    epic: 2,
+    legendary: 2,
+    mythic: 3
+};
+
+// Secondary stats that rerolls and upgrades can roll, by item type
+export const CRAFTING_STAT_POOLS = {
+    weapon: ['critChance', 'critDamage', 'attackSpeed', 'elementalDamage', 'cooldownReduction'],
+    armor: ['healthBonus', 'manaBonus', 'damageReduction', 'movementSpeed', 'cooldownReduction'],
+    accessory: ['critChance', 'critDamage', 'manaBonus', 'goldFind', 'magicFind', 'experienceBonus']
+};
+
+// Shared crafting settings
+export const CRAFTING_SETTINGS = {
+    levelCostScaling: 0.1 // Gold costs grow by 10% per item level
+};
@@ -0,0 +1,41 @@
+/**
+ * Damage Element Configuration
+ * Contains the elements skill and item damage is tagged with and how enemy
+ * resistances (ENEMY_TYPES[].resistances) are applied to them.
+ */
+
+/**
+ * @typedef {Object} DamageElementConfig
+ * @property {string} name - Display name
+ * @property {string} color - Floating damage number color (CSS)
+ */
+
+/**
+ * Elements by id
+ * @type {Object<string, DamageElementConfig>}
+ */
+export const DAMAGE_ELEMENTS = {
+    physical: { name: 'Physical', color: '#ff9900' },
+    fire: { name: 'Fire', color: '#ff5522' },
+    cold: { name: 'Cold', color: '#66ccff' },
+    lightning: { name: 'Lightning', color: '#bb99ff' },
+    holy: { name: 'Holy', color: '#ffee66' },
+    poison: { name: 'Poison', color: '#77dd33' }
+};
+
+// Element used for hits that don't declare one
+export const DEFAULT_DAMAGE_ELEMENT = 'physical';
+
+// Other names items and skills use for the elements above
+export const DAMAGE_ELEMENT_ALIASES = {
+    ice: 'cold',
+    frost: 'cold',
+    shock: 'lightning',
+    light: 'holy'
+};
+
+// Resistance limits: a resistance of 0.5 halves the damage of its element, -0.5 (a weakness) adds half
+export const RESISTANCE_SETTINGS = {
+    maxResistance: 0.9, // Resistances never reduce damage by more than 90%
+    maxWeakness: 1.0 // Weaknesses at most double the damage
+};
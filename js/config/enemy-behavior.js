@@ -45,4 +45,122 @@ export const ENEMY_TYPE_BEHAVIOR = {
         persistentAggression: true,
         aggressionTimeout: 10
     }
-};
\ No newline at end of file
+};
+// Navigation settings used by enemy pathfinding and steering
+export const ENEMY_NAVIGATION_SETTINGS = {
+    // Navigation grid
+    chunkSize: 25, // Matches the map loader chunk size so grids follow chunk loading
+    cellSize: 1, // Size of a navigation grid cell (in units)
+    agentClearance: 0.5, // Extra margin added around every obstacle footprint
+    maxObstacleSize: 120, // Footprints larger than this (in units) are ignored as bad bounds
+    
+    // Structures that block movement, with the share of their bounds used as footprint
+    // perChild: stamp each child mesh separately so gaps (doorways, courtyards) stay walkable
+    blockingStructures: {
+        tower: { footprintScale: 0.8 },
+        watchtower: { footprintScale: 0.8 },
+        darkSanctum: { footprintScale: 0.9 },
+        ruins: { footprintScale: 0.9, perChild: true },
+        village: { footprintScale: 0.9, perChild: true },
+        mountain_shrine: { footprintScale: 0.8 }
+    },
+    
+    // Environment objects that block movement, with the share of their bounds used as footprint
+    blockingEnvironment: {
+        mountain: { footprintScale: 0.6 },
+        small_peak: { footprintScale: 0.6 },
+        mountain_cave: { footprintScale: 0.7 },
+        lava: { footprintScale: 1 },
+        lava_pool: { footprintScale: 1 },
+        bog_pit: { footprintScale: 1 },
+        tree: { footprintScale: 0.25 },
+        pine_tree: { footprintScale: 0.25 },
+        twisted_tree: { footprintScale: 0.3 },
+        tree_cluster: { footprintScale: 0.5 },
+        ancient_tree: { footprintScale: 0.3 },
+        giant_mushroom: { footprintScale: 0.4 },
+        alpine_hut: { footprintScale: 0.9 },
+        witch_hut: { footprintScale: 0.9 },
+        tent: { footprintScale: 0.8 },
+        ancient_statue: { footprintScale: 0.7 },
+        overgrown_statue: { footprintScale: 0.7 },
+        broken_column: { footprintScale: 0.7 },
+        strange_monolith: { footprintScale: 0.8 },
+        forgotten_tomb: { footprintScale: 0.9 },
+        crystal_formation: { footprintScale: 0.7 },
+        ice_formation: { footprintScale: 0.7 },
+        obsidian_formation: { footprintScale: 0.7 }
+    },
+    
+    // A* search
+    maxSearchNodes: 1500, // Node budget per search; the best partial path is used when exceeded
+    maxPathDistance: 60, // Beyond this distance enemies chase directly instead of pathing
+    goalSearchRadius: 3, // Cells searched around a blocked goal for a walkable replacement
+    
+    // Path following
+    repathInterval: 0.5, // Minimum seconds between path requests per enemy
+    targetMoveThreshold: 2, // Repath when the target moved further than this since the last path
+    waypointReachDistance: 0.6, // Distance at which a waypoint counts as reached
+    
+    // Local steering
+    separationRadius: 1.5, // Enemies closer than this push each other apart
+    separationWeight: 0.6, // Strength of the separation force relative to path direction
+    avoidanceProbeDistance: 1.5, // How far ahead enemies probe for obstacles
+    avoidanceAngles: [0.5, -0.5, 1.0, -1.0, 1.5, -1.5] // Deflection angles (radians) tried when blocked
+};
+
+// Attack strategy selected by the enemy type's behavior field (see ENEMY_TYPES)
+export const ENEMY_ATTACK_STRATEGIES = {
+    default: 'melee',
+    ranged: 'ranged',
+    caster: 'ranged'
+};
+
+// Settings for enemies using the melee attack strategy
+// Melee hits wind up behind a ground marker; the hit lands only if the target is still inside it
+export const ENEMY_MELEE_SETTINGS = {
+    default: {
+        windUpTime: 0.5, // Seconds between starting the swing and the hit landing
+        reachMultiplier: 1.3, // Marker radius as a multiple of the attack range
+        arc: 110, // Marker angle in degrees
+        telegraphColor: 0xff3322
+    },
+    types: {
+        zombie_brute: { windUpTime: 0.8, arc: 140 },
+        infernal_golem: { windUpTime: 0.8, arc: 140 },
+        mountain_troll: { windUpTime: 0.9, arc: 150 },
+        ancient_guardian: { windUpTime: 0.8 },
+        lava_golem: { windUpTime: 0.8 },
+        ice_golem: { windUpTime: 0.8 },
+        feral_wolf: { windUpTime: 0.35, arc: 80 },
+        winter_wolf: { windUpTime: 0.35, arc: 80 },
+        hellhound: { windUpTime: 0.35, arc: 80 },
+        flame_imp: { windUpTime: 0.3, arc: 80 }
+    }
+};
+
+// Settings for enemies using the ranged attack strategy
+// Type entries override the defaults; projectile names are EffectObjectPool projectile types
+export const ENEMY_RANGED_SETTINGS = {
+    default: {
+        projectile: 'projectile_arrow',
+        projectileSpeed: 14, // Units per second - fast enough to threaten, slow enough to sidestep
+        projectileRadius: 0.4, // Hit radius added to the target's collision radius
+        maxRangeMultiplier: 1.8, // Projectiles fizzle after travelling this many attack ranges
+        launchHeight: 1.2, // Height above the enemy's feet where projectiles spawn
+        kiteDistanceRatio: 0.5, // Back away while reloading when the target is closer than this share of the attack range
+        kiteSpeedMultiplier: 0.8, // Movement speed while backing away
+        windUpTime: 0.3 // Seconds spent aiming before the projectile is released
+    },
+    types: {
+        skeleton_archer: { projectile: 'projectile_arrow', projectileSpeed: 18 },
+        poison_toad: { projectile: 'projectile_poison', projectileSpeed: 10, kiteDistanceRatio: 0.3 },
+        necromancer: { projectile: 'projectile_shadow', projectileSpeed: 11 },
+        cursed_spirit: { projectile: 'projectile_shadow', projectileSpeed: 12 },
+        swamp_witch: { projectile: 'projectile_poison', projectileSpeed: 11 },
+        frost_elemental: { projectile: 'projectile_ice', projectileSpeed: 12 },
+        void_wraith: { projectile: 'projectile_shadow', projectileSpeed: 13 },
+        fire_elemental: { projectile: 'projectile_fireball', projectileSpeed: 12 },
+        frozen_revenant: { projectile: 'projectile_ice', projectileSpeed: 12, kiteDistanceRatio: 0 }
+    }
+};
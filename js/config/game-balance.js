@@ -45,6 +45,15 @@ export const PLAYER_PROGRESSION = {
         intelligence: 1,
         attackPower: 2
     },
+
+    // Skill tree points (variants and buffs cost 5 points each)
+    SKILL_POINTS: {
+        starting: 5,           // Points available at level 1
+        perLevel: 2,           // Points granted on each level up
+        questReward: 1,        // Default points for quests without an explicit skillPoints reward
+        mainQuestReward: 3,    // Default points for main quests without an explicit skillPoints reward
+        legendaryUnlockChance: 0.35 // Chance for a legendary/mythic drop to be the item a locked skill variant's unlockedBy names
+    },
 };
 
 // Enemy configuration
@@ -124,6 +133,7 @@ export const ENEMY_CONFIG = {
     },
 
     // Enemy types
+    // resistances: share of each element's damage the enemy ignores (negative values are weaknesses)
     ENEMY_TYPES: [
         // Original enemies - scaled to better match player stats
         {
@@ -137,6 +147,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 25,
             color: 0xcccccc,
             behavior: 'aggressive',
+            resistances: { poison: 0.5, holy: -0.5 },
             zone: 'ruins'
         },
         {
@@ -150,6 +161,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 30,
             color: 0xddccbb,
             behavior: 'ranged',
+            resistances: { poison: 0.5, holy: -0.5 },
             zone: 'ruins'
         },
         {
@@ -163,6 +175,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 35,
             color: 0x88aa88,
             behavior: 'slow',
+            resistances: { poison: 0.5, holy: -0.5, fire: -0.25 },
             zone: 'swamp'
         },
         {
@@ -176,6 +189,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 50,
             color: 0x668866,
             behavior: 'tank',
+            resistances: { poison: 0.5, holy: -0.5 },
             zone: 'swamp'
         },
         {
@@ -189,6 +203,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 55,
             color: 0xaa3333,
             behavior: 'aggressive',
+            resistances: { fire: 0.5, holy: -0.5 },
             zone: 'mountains'
         },
         {
@@ -202,6 +217,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 45,
             color: 0xcc5555,
             behavior: 'flanker',
+            resistances: { fire: 0.5, holy: -0.5 },
             zone: 'mountains'
         },
         {
@@ -215,6 +231,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 50,
             color: 0x330033,
             behavior: 'caster',
+            resistances: { poison: 0.25, holy: -0.5 },
             zone: 'ruins'
         },
         {
@@ -228,6 +245,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 60,
             color: 0x000000,
             behavior: 'ambusher',
+            resistances: { holy: -0.5 },
             zone: 'forest'
         },
         {
@@ -241,6 +259,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 75,
             color: 0x333333,
             behavior: 'tank',
+            resistances: { fire: 0.75, physical: 0.25, cold: -0.5 },
             zone: 'mountains'
         },
         
@@ -256,6 +275,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 30,
             color: 0x553300,
             behavior: 'ambusher',
+            resistances: { poison: 0.5, fire: -0.5 },
             zone: 'forest',
             abilities: ['web_trap', 'poison_bite']
         },
@@ -270,6 +290,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 45,
             color: 0x336633,
             behavior: 'tank',
+            resistances: { physical: 0.25, fire: -0.5 },
             zone: 'forest',
             abilities: ['root_grasp', 'thorn_spray']
         },
@@ -284,6 +305,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 35,
             color: 0x777777,
             behavior: 'pack',
+            resistances: { cold: 0.25 },
             zone: 'forest',
             abilities: ['howl', 'pounce']
         },
@@ -300,6 +322,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 65,
             color: 0x888866,
             behavior: 'defensive',
+            resistances: { physical: 0.25, lightning: -0.5 },
             zone: 'ruins',
             abilities: ['stone_throw', 'ground_pound']
         },
@@ -314,6 +337,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 40,
             color: 0xaaaaff,
             behavior: 'caster',
+            resistances: { physical: 0.5, holy: -0.5 },
             zone: 'ruins',
             abilities: ['spirit_drain', 'haunt']
         },
@@ -328,6 +352,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 35,
             color: 0x996633,
             behavior: 'swarm',
+            resistances: { poison: 0.5 },
             zone: 'ruins',
             abilities: ['burrow', 'surprise_attack']
         },
@@ -344,6 +369,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 40,
             color: 0x66aa66,
             behavior: 'ranged',
+            resistances: { poison: 0.75, cold: -0.25 },
             zone: 'swamp',
             abilities: ['poison_spit', 'toxic_cloud']
         },
@@ -358,6 +384,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 50,
             color: 0x445544,
             behavior: 'ambusher',
+            resistances: { poison: 0.5, lightning: -0.5 },
             zone: 'swamp',
             abilities: ['swamp_grab', 'mud_throw']
         },
@@ -372,6 +399,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 55,
             color: 0x559955,
             behavior: 'caster',
+            resistances: { poison: 0.5, fire: -0.25 },
             zone: 'swamp',
             abilities: ['hex', 'summon_toad']
         },
@@ -388,6 +416,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 45,
             color: 0x88ccff,
             behavior: 'caster',
+            resistances: { cold: 0.75, fire: -0.5 },
             zone: 'mountains',
             abilities: ['ice_shard', 'frost_armor']
         },
@@ -402,6 +431,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 65,
             color: 0x778877,
             behavior: 'tank',
+            resistances: { physical: 0.25, fire: -0.25 },
             zone: 'mountains',
             abilities: ['boulder_throw', 'regeneration']
         },
@@ -416,6 +446,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 40,
             color: 0xddbb88,
             behavior: 'flanker',
+            resistances: { lightning: -0.5 },
             zone: 'mountains',
             abilities: ['dive_attack', 'screech']
         },
@@ -432,6 +463,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 55,
             color: 0x440088,
             behavior: 'caster',
+            resistances: { physical: 0.5, holy: -0.5 },
             zone: 'dark_sanctum',
             abilities: ['void_bolt', 'phase_shift']
         },
@@ -446,6 +478,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 45,
             color: 0x880000,
             behavior: 'aggressive',
+            resistances: { holy: -0.25 },
             zone: 'dark_sanctum',
             abilities: ['blood_ritual', 'life_drain']
         },
@@ -460,6 +493,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 60,
             color: 0x222222,
             behavior: 'ambusher',
+            resistances: { holy: -0.5 },
             zone: 'dark_sanctum',
             abilities: ['shadow_step', 'darkness_cloud']
         },
@@ -476,6 +510,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 50,
             color: 0xff6600,
             behavior: 'caster',
+            resistances: { fire: 0.9, cold: -0.5 },
             zone: 'hellfire_peaks',
             abilities: ['fireball', 'flame_wave']
         },
@@ -490,6 +525,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 70,
             color: 0xcc3300,
             behavior: 'tank',
+            resistances: { fire: 0.75, physical: 0.25, cold: -0.5 },
             zone: 'hellfire_peaks',
             abilities: ['magma_slam', 'heat_aura']
         },
@@ -504,6 +540,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 55,
             color: 0x666666,
             behavior: 'aggressive',
+            resistances: { fire: 0.5, holy: -0.5 },
             zone: 'hellfire_peaks',
             abilities: ['ash_cloud', 'burning_touch']
         },
@@ -518,6 +555,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 30,
             color: 0xff9900,
             behavior: 'swarm',
+            resistances: { fire: 0.75, cold: -0.5 },
             zone: 'hellfire_peaks',
             abilities: ['fire_dart', 'self_destruct']
         },
@@ -532,6 +570,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 45,
             color: 0x993300,
             behavior: 'pack',
+            resistances: { fire: 0.5, cold: -0.25 },
             zone: 'hellfire_peaks',
             abilities: ['fire_breath', 'pounce']
         },
@@ -548,6 +587,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 65,
             color: 0xaaddff,
             behavior: 'tank',
+            resistances: { cold: 0.75, physical: 0.25, fire: -0.5 },
             zone: 'frozen_wastes',
             abilities: ['ice_slam', 'frost_armor']
         },
@@ -562,6 +602,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 60,
             color: 0xddddee,
             behavior: 'aggressive',
+            resistances: { cold: 0.5, fire: -0.5 },
             zone: 'frozen_wastes',
             abilities: ['snowball', 'frost_bite']
         },
@@ -576,6 +617,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 50,
             color: 0x8888ff,
             behavior: 'caster',
+            resistances: { cold: 0.5, fire: -0.25, holy: -0.5 },
             zone: 'frozen_wastes',
             abilities: ['ice_lance', 'freezing_touch']
         },
@@ -590,6 +632,7 @@ export const ENEMY_CONFIG = {
             experienceValue: 40,
             color: 0xeeeeff,
             behavior: 'pack',
+            resistances: { cold: 0.5, fire: -0.5 },
             zone: 'frozen_wastes',
             abilities: ['frost_howl', 'snow_dash']
         }
@@ -611,6 +654,7 @@ export const ENEMY_CONFIG = {
             scale: 2,
             isBoss: true,
             behavior: 'boss',
+            resistances: { poison: 0.5, holy: -0.25 },
             zone: 'ruins',
             abilities: ['summon_minions', 'ground_slam']
         },
@@ -627,6 +671,7 @@ export const ENEMY_CONFIG = {
             scale: 2.2,
             isBoss: true,
             behavior: 'boss',
+            resistances: { poison: 0.75, fire: -0.25 },
             zone: 'swamp',
             abilities: ['poison_cloud', 'tentacle_grab']
         },
@@ -643,6 +688,7 @@ export const ENEMY_CONFIG = {
             scale: 2.5,
             isBoss: true,
             behavior: 'boss',
+            resistances: { fire: 0.5, holy: -0.25 },
             zone: 'mountains',
             abilities: ['fire_nova', 'teleport']
         },
@@ -659,6 +705,7 @@ export const ENEMY_CONFIG = {
             scale: 3,
             isBoss: true,
             behavior: 'boss',
+            resistances: { cold: 0.75, fire: -0.5 },
             zone: 'mountains',
             abilities: ['ice_storm', 'frost_nova', 'ice_barrier']
         },
@@ -675,6 +722,7 @@ export const ENEMY_CONFIG = {
             scale: 2.2,
             isBoss: true,
             behavior: 'boss',
+            resistances: { poison: 0.5, holy: -0.25 },
             zone: 'dark_sanctum',
             abilities: ['summon_undead', 'death_nova', 'life_drain']
         },
@@ -693,6 +741,7 @@ export const ENEMY_CONFIG = {
             scale: 2.8,
             isBoss: true,
             behavior: 'boss',
+            resistances: { physical: 0.25, fire: -0.5 },
             zone: 'forest',
             abilities: ['root_prison', 'nature_wrath', 'healing_sap']
         },
@@ -709,6 +758,7 @@ export const ENEMY_CONFIG = {
             scale: 2.3,
             isBoss: true,
             behavior: 'boss',
+            resistances: { poison: 0.75, fire: -0.25 },
             zone: 'forest',
             abilities: ['web_prison', 'summon_spiderlings', 'venom_spray']
         },
@@ -727,6 +777,7 @@ export const ENEMY_CONFIG = {
             scale: 2.6,
             isBoss: true,
             behavior: 'boss',
+            resistances: { physical: 0.5, poison: 0.9, lightning: -0.5 },
             zone: 'ruins',
             abilities: ['stone_barrage', 'earthquake', 'ancient_curse']
         },
@@ -745,6 +796,7 @@ export const ENEMY_CONFIG = {
             scale: 2.4,
             isBoss: true,
             behavior: 'boss',
+            resistances: { poison: 0.9, holy: -0.25 },
             zone: 'swamp',
             abilities: ['plague_cloud', 'summon_flies', 'toxic_explosion']
         },
@@ -763,6 +815,7 @@ export const ENEMY_CONFIG = {
             scale: 2.7,
             isBoss: true,
             behavior: 'boss',
+            resistances: { physical: 0.25, holy: -0.5 },
             zone: 'dark_sanctum',
             abilities: ['void_rift', 'shadow_tendrils', 'mind_shatter']
         },
@@ -781,6 +834,7 @@ export const ENEMY_CONFIG = {
             scale: 3.0,
             isBoss: true,
             behavior: 'boss',
+            resistances: { fire: 0.9, cold: -0.5 },
             zone: 'hellfire_peaks',
             abilities: ['meteor_strike', 'flame_pillar', 'inferno_aura']
         },
@@ -797,6 +851,7 @@ export const ENEMY_CONFIG = {
             scale: 3.2,
             isBoss: true,
             behavior: 'boss',
+            resistances: { fire: 0.75, cold: -0.5 },
             zone: 'hellfire_peaks',
             abilities: ['lava_wave', 'molten_smash', 'eruption']
         },
@@ -815,6 +870,7 @@ export const ENEMY_CONFIG = {
             scale: 2.8,
             isBoss: true,
             behavior: 'boss',
+            resistances: { cold: 0.9, fire: -0.5 },
             zone: 'frozen_wastes',
             abilities: ['blizzard', 'ice_prison', 'freezing_touch']
         },
@@ -831,6 +887,7 @@ export const ENEMY_CONFIG = {
             scale: 3.1,
             isBoss: true,
             behavior: 'boss',
+            resistances: { cold: 0.75, fire: -0.5 },
             zone: 'frozen_wastes',
             abilities: ['avalanche', 'frost_breath', 'ice_shards']
         }
@@ -871,7 +928,24 @@ export const COMBAT_BALANCE = {
         // Critical hit damage multiplier
         critDamageMultiplier: 1.5, // 150% damage on crit
         // Elemental damage bonus multiplier
-        elementalDamageMultiplier: 1.2 // 20% bonus for elemental damage
+        elementalDamageMultiplier: 1.2, // 20% bonus for elemental damage
+        // Caps for equipment-based combat stats
+        maxCritChance: 0.75, // 75% crit chance at most
+        maxCooldownReduction: 0.5, // Cooldowns can be halved at most
+        maxLifeSteal: 0.25, // 25% of damage dealt at most
+        // Seconds without landing a hit before stacking damage resets
+        damageStackDuration: 3,
+        // Seconds without landing a hit before time-in-combat damage scaling resets
+        combatTimeout: 5,
+        // Seconds the status effect from an item's damageOverTime stat lasts (refreshed by every hit)
+        damageOverTimeDuration: 3,
+        // Dodge roll: distance covered, roll time, invulnerable window from the start of the roll, and cooldown (seconds)
+        dodge: {
+            distance: 6,
+            duration: 0.35,
+            invulnerableTime: 0.3,
+            cooldown: 1.0
+        }
     },
     
     // Enemy combat settings
@@ -1144,6 +1218,9 @@ export const DIFFICULTY_SCALING = {
         eliteAffixChance: 0.8, // 80% chance
         // Chance for a champion enemy to have an affix (base value, modified by difficulty)
         championAffixChance: 1.0, // 100% chance
+        // Chance for a regular (non-boss) spawn to be promoted to elite or champion
+        eliteSpawnChance: 0.08, // 8% chance
+        championSpawnChance: 0.03, // 3% chance
         // Maximum number of affixes per enemy type
         maxAffixesPerEnemyType: {
             normal: 0,
@@ -1159,56 +1236,101 @@ export const DIFFICULTY_SCALING = {
                 name: "Frozen",
                 description: "Creates ice patches that slow and damage players",
                 damageMultiplier: 1.0,
-                healthMultiplier: 1.1
+                healthMultiplier: 1.1,
+                resistances: { cold: 0.5 },
+                visualEffect: "frost_aura",
+                abilities: [
+                    // Ice patches dropped under the target that chill (and eventually freeze) and damage
+                    { type: "ice_patch", interval: 5, range: 15, armTime: 1.0, duration: 6, radius: 2.5, damageRatio: 0.2, tickInterval: 0.5, effect: "chill", effectDuration: 1.5, effectIntensity: 0.1, maxPatches: 3 }
+                ]
             },
             {
                 id: "molten",
                 name: "Molten",
                 description: "Leaves fire trails and explodes on death",
                 damageMultiplier: 1.2,
-                healthMultiplier: 1.0
+                healthMultiplier: 1.0,
+                resistances: { fire: 0.5 },
+                visualEffect: "molten_glow",
+                abilities: [
+                    // Burning ground left behind while moving
+                    { type: "fire_trail", dropInterval: 0.4, duration: 3, radius: 0.9, damageRatio: 0.25, tickInterval: 0.5, maxSegments: 12, effect: "burning", effectDuration: 2, effectDamageRatio: 0.1 },
+                    // Delayed explosion where the enemy dies
+                    { type: "death_explosion", delay: 1.2, radius: 3.5, damageRatio: 1.5, effect: "burning", effectDuration: 3, effectDamageRatio: 0.15 }
+                ]
             },
             {
                 id: "teleporter",
                 name: "Teleporter",
                 description: "Can teleport to avoid attacks",
                 damageMultiplier: 1.1,
-                healthMultiplier: 1.0
+                healthMultiplier: 1.0,
+                visualEffect: "teleport_shimmer",
+                abilities: [
+                    // Blink next to the target (or away when hurt) on a cooldown
+                    { type: "blink", cooldown: 4, chanceOnHit: 0.5, engageRange: 20, minDistance: 2, maxDistance: 5 }
+                ]
             },
             {
                 id: "shielded",
                 name: "Shielded",
                 description: "Periodically immune to damage",
                 damageMultiplier: 1.0,
-                healthMultiplier: 1.3
+                healthMultiplier: 1.3,
+                visualEffect: "shield_runes",
+                abilities: [
+                    // Cycles between vulnerable and immune
+                    { type: "damage_shield", cooldown: 8, duration: 3 }
+                ]
             },
             {
                 id: "vampiric",
                 name: "Vampiric",
                 description: "Heals from damage dealt",
                 damageMultiplier: 1.1,
-                healthMultiplier: 1.2
+                healthMultiplier: 1.2,
+                visualEffect: "vampiric_aura",
+                abilities: [
+                    // Heals for a share of damage dealt
+                    { type: "life_leech", leechRatio: 0.5 }
+                ]
             },
             {
                 id: "berserker",
                 name: "Berserker",
                 description: "Gains increased damage at low health",
                 damageMultiplier: 1.3,
-                healthMultiplier: 1.0
+                healthMultiplier: 1.0,
+                visualEffect: "berserker_glow",
+                abilities: [
+                    // Enrages once below the health threshold
+                    { type: "enrage", healthThreshold: 0.35, damageMultiplier: 1.5, attackSpeedMultiplier: 1.4, speedMultiplier: 1.25 }
+                ]
             },
             {
                 id: "arcane",
                 name: "Arcane",
                 description: "Creates arcane beams that deal high damage",
                 damageMultiplier: 1.2,
-                healthMultiplier: 1.1
+                healthMultiplier: 1.1,
+                visualEffect: "arcane_orbs",
+                abilities: [
+                    // Rotating beam anchored at the enemy's position
+                    { type: "arcane_beam", interval: 7, range: 12, armTime: 1.0, duration: 4, length: 9, width: 0.6, rotationSpeed: 0.8, damageRatio: 0.6, tickInterval: 0.4 }
+                ]
             },
             {
                 id: "poison",
                 name: "Poison",
                 description: "Leaves poison clouds that deal damage over time",
                 damageMultiplier: 1.1,
-                healthMultiplier: 1.1
+                healthMultiplier: 1.1,
+                resistances: { poison: 0.5 },
+                visualEffect: "poison_mist",
+                abilities: [
+                    // Lingering clouds that deal damage over time
+                    { type: "poison_cloud", interval: 5, range: 12, duration: 7, radius: 2.8, damageRatio: 0.15, tickInterval: 0.5, maxClouds: 3, effect: "poison", effectDuration: 4, effectDamageRatio: 0.05 }
+                ]
             }
         ]
     },
@@ -1240,6 +1362,17 @@ export const DIFFICULTY_SCALING = {
             fastKillTime: 0.5, // 50% faster than expected
             // If player is dying too frequently, reduce difficulty
             highDeathRate: 0.2 // More than 1 death per 5 encounters
+        },
+        // An encounter ends after this many seconds without combat
+        encounterTimeout: 8,
+        // Number of recent encounters and kills used for the metrics
+        historySize: 10,
+        // Expected seconds from first hit to kill, by enemy rank
+        expectedTimeToKill: {
+            normal: 4,
+            elite: 10,
+            champion: 15,
+            boss: 45
         }
     },
     
@@ -1310,7 +1443,9 @@ export const DIFFICULTY_SCALING = {
 // Item drop configuration
 export const DROP_CHANCES = {
     bossDropChance: 1.0,    // 100% drop chance for bosses
-    normalDropChance: 0.05 * 2   // 5% drop chance for regular enemies (increased from 0.1% to make drops more visible)
+    normalDropChance: 0.05 * 2,   // 5% drop chance for regular enemies (increased from 0.1% to make drops more visible)
+    bossMaterialDropChance: 1.0, // Bosses always drop a crafting material
+    materialDropChance: 0.2 // Crafting materials (type 'material' entries in the drop tables) are rolled separately
 };
 
 // Item quality distribution
@@ -1335,7 +1470,15 @@ export const REGULAR_DROP_TABLE = [
     { name: 'Mana Potion', amount: 1, weight: 30 },
     { name: 'Gold Coin', amount: Math.floor(5 + Math.random() * 20), weight: 20 },
     { name: 'Common Weapon', type: 'weapon', damage: 5 + Math.floor(Math.random() * 5), damageReduction: 0, amount: 1, weight: 5 },
-    { name: 'Common Armor', type: 'armor', damage: 0, damageReduction: 0.05 + Math.random() * 0.05, amount: 1, weight: 5 }
+    { name: 'Common Armor', type: 'armor', damage: 0, damageReduction: 0.05 + Math.random() * 0.05, amount: 1, weight: 5 },
+    // Crafting materials (see CRAFTING_MATERIALS)
+    { name: 'Iron Scrap', type: 'material', materialId: 'ironScrap', amount: 2, weight: 30 },
+    { name: 'Spirit Essence', type: 'material', materialId: 'spiritEssence', amount: 1, weight: 12 },
+    { name: 'Ruby', type: 'material', materialId: 'ruby', amount: 1, weight: 2 },
+    { name: 'Sapphire', type: 'material', materialId: 'sapphire', amount: 1, weight: 2 },
+    { name: 'Emerald', type: 'material', materialId: 'emerald', amount: 1, weight: 2 },
+    { name: 'Amethyst', type: 'material', materialId: 'amethyst', amount: 1, weight: 2 },
+    { name: 'Topaz', type: 'material', materialId: 'topaz', amount: 1, weight: 2 }
 ];
 
 // Boss drop table
@@ -1346,5 +1489,10 @@ export const BOSS_DROP_TABLE = [
     { name: 'Rare Weapon', type: 'weapon', damage: 15 + Math.floor(Math.random() * 10), damageReduction: 0, amount: 1, weight: 15 },
     { name: 'Rare Armor', type: 'armor', damage: 0, damageReduction: 0.1 + Math.random() * 0.1, amount: 1, weight: 15 },
     { name: 'Rare Helmet', type: 'helmet', damage: 2 + Math.floor(Math.random() * 3), damageReduction: 0.05 + Math.random() * 0.05, amount: 1, weight: 10 },
-    { name: 'Rare Boots', type: 'boots', damage: 0, damageReduction: 0.05 + Math.random() * 0.05, amount: 1, weight: 5 }
+    { name: 'Rare Boots', type: 'boots', damage: 0, damageReduction: 0.05 + Math.random() * 0.05, amount: 1, weight: 5 },
+    // Crafting materials (see CRAFTING_MATERIALS)
+    { name: 'Spirit Essence', type: 'material', materialId: 'spiritEssence', amount: 3, weight: 20 },
+    { name: 'Celestial Shard', type: 'material', materialId: 'celestialShard', amount: 2, weight: 15 },
+    { name: 'Primordial Ember', type: 'material', materialId: 'primordialEmber', amount: 1, weight: 5 },
+    { name: 'Diamond', type: 'material', materialId: 'diamond', amount: 1, weight: 5 }
 ];
@@ -14,7 +14,8 @@ export const MOVEMENT_KEYS = {
 // Action keys
 export const ACTION_KEYS = {
     INTERACT: 'KeyE',
-    START_GAME: 'KeyG'
+    START_GAME: 'KeyG',
+    DODGE: 'Space'
 };
 
 // UI toggle keys
@@ -27,6 +28,34 @@ export const UI_KEYS = {
     MINIMAP_ZOOM_OUT: 'BracketRight'
 };
 
+// Dialog keys (handled by DialogUI while a dialog is open, before any other hotkey)
+export const DIALOG_KEYS = {
+    PREVIOUS: ['ArrowUp', 'ArrowLeft', 'KeyW', 'KeyA'],
+    NEXT: ['ArrowDown', 'ArrowRight', 'KeyS', 'KeyD'],
+    CONFIRM: ['Enter', 'NumpadEnter', 'Space', 'KeyE'],
+    CANCEL: ['Escape']
+};
+
+// Chat keys (handled by ChatUI during multiplayer sessions, before any other hotkey)
+export const CHAT_KEYS = {
+    OPEN: ['Enter', 'NumpadEnter'],
+    SEND: ['Enter', 'NumpadEnter'],
+    CANCEL: ['Escape']
+};
+
+// Gamepad buttons (standard mapping) used to navigate dialogs
+export const GAMEPAD_BUTTONS = {
+    CONFIRM: 0, // A / Cross
+    CANCEL: 1, // B / Circle
+    UP: 12,
+    DOWN: 13,
+    LEFT: 14,
+    RIGHT: 15
+};
+
+// How far the left stick has to be pushed to count as a D-pad press
+export const GAMEPAD_STICK_THRESHOLD = 0.5;
+
 // Skill keys
 export const SKILL_KEYS = {
     PRIMARY_ATTACK: 'KeyH',
@@ -74,5 +103,6 @@ export const INTERACTION_RANGE = 3;
 export const JOYSTICK = {
     sizeMultiplier: 1, // Size multiplier (1 = 100% of defined size)
     baseSize: 130, // Base size in pixels
-    handleSize: 60  // Handle size in pixels
+    handleSize: 60,  // Handle size in pixels
+    dodgeButtonSize: 56 // Dodge button next to the joystick, in pixels
 }
\ No newline at end of file
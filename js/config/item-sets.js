@@ -0,0 +1,138 @@
+/**
+ * Item Set Configuration
+ * Contains set definitions for set items (items with a setId) and their 2/4/6-piece bonuses
+ */
+
+/**
+ * @typedef {Object} ItemSetPiece
+ * @property {string} name - Display name of the piece
+ * @property {string} type - Item type of the piece
+ * @property {string} subType - Item subtype of the piece
+ */
+
+/**
+ * @typedef {Object} ItemSetSkillModifier
+ * @property {number} [damage] - Skill damage increase in percent
+ * @property {number} [cooldownReduction] - Skill cooldown reduction in percent
+ * @property {number} [manaCostReduction] - Skill mana cost reduction in percent
+ */
+
+/**
+ * @typedef {Object} ItemSetBonus
+ * @property {string} description - Bonus text shown in the UI
+ * @property {Object<string, number>} [stats] - Combat bonus modifiers in percent (critChance, critDamage, elementalDamage, attackSpeed, lifeSteal, cooldownReduction)
+ * @property {Object<string, ItemSetSkillModifier>} [skills] - Skill-altering effects keyed by skill name
+ */
+
+/**
+ * @typedef {Object} ItemSet
+ * @property {string} id - Unique set identifier (stored as item.setId)
+ * @property {string} name - Display name of the set
+ * @property {Array<ItemSetPiece>} pieces - Pieces belonging to the set
+ * @property {Object<number, ItemSetBonus>} bonuses - Bonuses keyed by the number of equipped pieces
+ */
+
+/**
+ * @type {Object<string, ItemSet>}
+ */
+export const ITEM_SETS = {
+    thousandStorms: {
+        id: 'thousandStorms',
+        name: 'Raiment of a Thousand Storms',
+        pieces: [
+            { name: 'Fists of Thunder', type: 'weapon', subType: 'fist' },
+            { name: 'Mask of the Searing Sky', type: 'armor', subType: 'helmet' },
+            { name: 'Heart of the Crashing Wave', type: 'armor', subType: 'robe' },
+            { name: 'Mantle of the Upside-Down Sinners', type: 'armor', subType: 'gloves' },
+            { name: 'Scales of the Dancing Serpent', type: 'armor', subType: 'boots' },
+            { name: 'Spirit of the Storm', type: 'accessory', subType: 'amulet' }
+        ],
+        bonuses: {
+            2: {
+                description: '+10% attack speed and +5% critical hit chance',
+                stats: { attackSpeed: 10, critChance: 5 }
+            },
+            4: {
+                description: 'Fist of Thunder and Deadly Reach deal 100% more damage',
+                skills: {
+                    'Fist of Thunder': { damage: 100 },
+                    'Deadly Reach': { damage: 100 }
+                }
+            },
+            6: {
+                description: 'Flying Dragon deals 200% more damage and its cooldown is reduced by 40%',
+                skills: {
+                    'Flying Dragon': { damage: 200, cooldownReduction: 40 }
+                }
+            }
+        }
+    },
+    innasMantra: {
+        id: 'innasMantra',
+        name: "Inna's Mantra",
+        pieces: [
+            { name: "Inna's Reach", type: 'weapon', subType: 'staff' },
+            { name: "Inna's Radiance", type: 'armor', subType: 'helmet' },
+            { name: "Inna's Vast Expanse", type: 'armor', subType: 'robe' },
+            { name: "Inna's Favor", type: 'armor', subType: 'belt' },
+            { name: "Inna's Sandals", type: 'armor', subType: 'boots' },
+            { name: "Inna's Prayer Beads", type: 'accessory', subType: 'talisman' }
+        ],
+        bonuses: {
+            2: {
+                description: '+20% cooldown reduction on Mystic Allies',
+                skills: {
+                    'Mystic Allies': { cooldownReduction: 20 }
+                }
+            },
+            4: {
+                description: '+15% elemental damage and +25% critical hit damage',
+                stats: { elementalDamage: 15, critDamage: 25 }
+            },
+            6: {
+                description: 'Mystic Allies deal 300% more damage and cost 50% less mana',
+                skills: {
+                    'Mystic Allies': { damage: 300, manaCostReduction: 50 }
+                }
+            }
+        }
+    },
+    monkeyKingsGarb: {
+        id: 'monkeyKingsGarb',
+        name: "Monkey King's Garb",
+        pieces: [
+            { name: "Sunwuko's Paws", type: 'armor', subType: 'gloves' },
+            { name: "Sunwuko's Crown", type: 'armor', subType: 'helmet' },
+            { name: "Sunwuko's Soul", type: 'accessory', subType: 'amulet' },
+            { name: "Sunwuko's Balance", type: 'accessory', subType: 'ring' }
+        ],
+        bonuses: {
+            2: {
+                description: '+5% life steal',
+                stats: { lifeSteal: 5 }
+            },
+            4: {
+                description: 'Wave of Light and Seven-Sided Strike deal 150% more damage and cost 30% less mana',
+                skills: {
+                    'Wave of Light': { damage: 150, manaCostReduction: 30 },
+                    'Seven-Sided Strike': { damage: 150, manaCostReduction: 30 }
+                }
+            }
+        }
+    },
+    guardiansJourney: {
+        id: 'guardiansJourney',
+        name: "Guardian's Journey",
+        pieces: [
+            { name: "Guardian's Aversion", type: 'armor', subType: 'helmet' },
+            { name: "Guardian's Case", type: 'armor', subType: 'belt' },
+            { name: "Guardian's Gaze", type: 'accessory', subType: 'ring' }
+        ],
+        bonuses: {
+            2: {
+                description: '+10% cooldown reduction and +20% critical hit damage',
+                stats: { cooldownReduction: 10, critDamage: 20 }
+            }
+        }
+    }
+};
@@ -21,6 +21,7 @@
  * @property {number} [manaRegen] - Mana regeneration modifier
  * @property {number} [healthRestore] - Amount of health restored when consumed
  * @property {number} [manaRestore] - Amount of mana/spirit restored when consumed
+ * @property {boolean} [cleanse] - Removes harmful status effects (see STATUS_EFFECTS) when consumed
  * @property {number} [staminaRestore] - Amount of stamina restored when consumed
  * @property {number} [healthBonus] - Temporary bonus to maximum health
  * @property {number} [maxHealth] - Temporary bonus to maximum health (alternative name)
@@ -904,6 +904,20 @@ export const ITEM_TEMPLATES = [
         },
         consumable: true
     },
+    {
+        id: "purifyingDraught",
+        name: "Purifying Draught",
+        type: "consumable",
+        subType: "potion",
+        description: "Removes poison, burning, slows, stuns and other harmful effects.",
+        icon: "💧",
+        baseStats: {
+            cleanse: true,
+            healthRestore: 20,
+            effectType: "instant"
+        },
+        consumable: true
+    },
     
     // Scrolls
     {
@@ -0,0 +1,44 @@
+/**
+ * Multiplayer Configuration
+ * Contains co-op session settings: signaling, loot, reconnection, chat and quick emotes.
+ */
+
+// Self-hosted PeerJS signaling server (see server.js); without a host the public PeerJS cloud is used
+export const SIGNALING_DEFAULTS = {
+    port: 9000,
+    path: '/peerjs'
+};
+
+// How drops are shared between players
+export const LOOT_MODES = {
+    FREE_FOR_ALL: 'freeForAll', // Everyone sees every drop; the first player to pick it up gets it
+    INSTANCED: 'instanced' // Every player gets their own drops that only they can see
+};
+
+// Shared multiplayer settings
+export const MULTIPLAYER_SETTINGS = {
+    defaultLootMode: LOOT_MODES.FREE_FOR_ALL,
+    lootClaimGrace: 2, // Seconds a drop can still be claimed after it disappeared locally (covers latency)
+    reconnectAttempts: 3, // Attempts to reach a host before giving up on it
+    reconnectDelay: 2, // Seconds between attempts
+    connectTimeout: 5 // Seconds to wait for a host to accept a connection
+};
+
+// Chat settings (see MultiplayerChatManager and ChatUI)
+export const CHAT_SETTINGS = {
+    maxMessageLength: 120, // Longer messages are cut off
+    maxLogMessages: 50, // Older lines are removed from the chat log
+    rateLimitCount: 4, // Messages a player may send...
+    rateLimitWindow: 5, // ...within this many seconds
+    speechBubbleDuration: 5 // Seconds a speech bubble stays above a remote player
+};
+
+// Preset messages that can be sent with one tap
+export const QUICK_EMOTES = [
+    { id: 'hello', icon: '👋', text: 'Hello!' },
+    { id: 'help', icon: '🆘', text: 'Help me!' },
+    { id: 'follow', icon: '👉', text: 'Follow me!' },
+    { id: 'wait', icon: '✋', text: 'Wait for me!' },
+    { id: 'thanks', icon: '🙏', text: 'Thank you!' },
+    { id: 'victory', icon: '🎉', text: 'Well fought!' }
+];
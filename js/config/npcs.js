@@ -0,0 +1,136 @@
+/**
+ * NPC Configuration
+ * Contains the villagers, quest givers, vendors and guards that inhabit villages
+ * (see NPCManager.populateVillage) and which village buildings they live in.
+ */
+
+/**
+ * @typedef {Object} NPCTypeConfig
+ * @property {string} behavior - 'idle' (stays home), 'wander' (walks around home) or 'patrol' (walks a loop)
+ * @property {number} moveSpeed - Walking speed in units per second
+ * @property {number} wanderRadius - How far from home the NPC walks
+ * @property {Array<number>} idleTime - Min and max seconds to wait between walks
+ * @property {Array<number>} robeColors - Body colors picked from per NPC
+ * @property {string} portrait - Dialog portrait (emoji or image URL)
+ * @property {Array<string>} greetings - Dialog lines, one is picked per conversation
+ */
+
+// NPC types by id
+export const NPC_TYPES = {
+    villager: {
+        behavior: 'wander',
+        moveSpeed: 1.2,
+        wanderRadius: 8,
+        idleTime: [2, 6],
+        robeColors: [0x8b6b4a, 0x6b7b8c, 0x7a5c8a, 0x5a7a4a, 0x9a8a6a],
+        portrait: '🧑‍🌾',
+        greetings: [
+            'Safe travels, monk. The roads are not what they used to be.',
+            'They say the ruins glow at night. I keep my doors shut.',
+            'Have you come from the forest? My brother went hunting there days ago...',
+            'The temple elders may have work for someone like you.',
+            'Don\'t mind me, just enjoying the quiet while it lasts.'
+        ]
+    },
+    questGiver: {
+        behavior: 'idle',
+        moveSpeed: 0,
+        wanderRadius: 0,
+        idleTime: [4, 8],
+        robeColors: [0xe0c080, 0xd0d0e0],
+        portrait: '🧙',
+        greetings: [
+            'The land is troubled. Will you lend us your strength?',
+            'Ah, a wandering monk. Perhaps fate brought you here.'
+        ]
+    },
+    vendor: {
+        behavior: 'idle',
+        moveSpeed: 0,
+        wanderRadius: 0,
+        idleTime: [4, 8],
+        robeColors: [0x2a6a8a, 0x8a3a2a, 0x3a8a5a],
+        portrait: '🧑‍💼',
+        greetings: [
+            'Welcome! Finest goods this side of the mountains.',
+            'Take a look around, friend. Everything has a price.'
+        ]
+    },
+    guard: {
+        behavior: 'patrol',
+        moveSpeed: 1.6,
+        wanderRadius: 12,
+        idleTime: [1, 3],
+        robeColors: [0x555566],
+        portrait: '💂',
+        greetings: [
+            'Keep your fists to yourself inside the village.',
+            'Nothing to report. Move along.'
+        ]
+    }
+};
+
+/**
+ * @typedef {Object} NPCProfessionConfig
+ * @property {string} type - NPC type (see NPC_TYPES)
+ * @property {string} [name] - Display name; villagers and guards get one from NPC_NAMES
+ * @property {string} [portrait] - Overrides the type's portrait
+ * @property {Array<string>} [greetings] - Overrides the type's greetings
+ */
+
+// Professions by id; quest objectives can target an NPC by profession (e.g. talk to 'alchemist')
+export const NPC_PROFESSIONS = {
+    villager: { type: 'villager' },
+    guard: { type: 'guard' },
+    elder: { type: 'questGiver', name: 'Temple Elder' },
+    merchant: { type: 'vendor', name: 'Merchant' },
+    alchemist: {
+        type: 'vendor',
+        name: 'Alchemist',
+        portrait: '⚗️',
+        greetings: ['Potions, tinctures, remedies. Mind the fumes.']
+    },
+    blacksmith: {
+        type: 'vendor',
+        name: 'Blacksmith',
+        portrait: '⚒️',
+        greetings: ['Steel for your hands, if fists aren\'t enough.']
+    },
+    innkeeper: {
+        type: 'vendor',
+        name: 'Innkeeper',
+        portrait: '🍺',
+        greetings: ['A warm meal and a warmer bed. What\'ll it be?']
+    }
+};
+
+// Professions living in each village building type (building.type from the map data);
+// buildings of the same type in a village take the professions in order, then repeat the first
+export const VILLAGE_BUILDING_NPCS = {
+    shop: ['merchant', 'alchemist', 'blacksmith'],
+    tavern: ['innkeeper'],
+    temple: ['elder'],
+    house: ['villager']
+};
+
+// Professions standing by a village's central feature (e.g. market stalls)
+export const VILLAGE_FEATURE_NPCS = {
+    market: ['merchant']
+};
+
+// Names given to villagers and guards
+export const NPC_NAMES = [
+    'Aldric', 'Bryn', 'Cora', 'Dunstan', 'Elowen', 'Fenn', 'Greta', 'Hale',
+    'Ilse', 'Jory', 'Kestrel', 'Liora', 'Marek', 'Nessa', 'Orrin', 'Pell'
+];
+
+// Shared NPC settings
+export const NPC_SETTINGS = {
+    maxVillagersPerVillage: 4, // Houses beyond this stay empty
+    guardsPerVillage: 1, // Guards patrolling around the village square
+    interactionRadius: 2, // Added to the interaction range when looking for NPCs to talk to
+    updateDistance: 60, // NPCs further from the player are hidden and not updated
+    doorOffset: 1.2, // Distance in front of a building's door where its NPC stands
+    facePlayerDistance: 4, // NPCs turn toward a player closer than this
+    questIndicatorColor: 0xffcc00 // Floating "!" over quest givers with quests to offer
+};
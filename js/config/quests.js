@@ -0,0 +1,74 @@
+/**
+ * Quest Configuration
+ * Contains where quest definitions are loaded from and the defaults used by
+ * location based objectives. The quests themselves live in JSON files
+ * (see QUEST_SETTINGS.questsPath and the per-map quest files).
+ */
+
+/**
+ * @typedef {Object} QuestLocation
+ * @property {number} x - World X coordinate
+ * @property {number} z - World Z coordinate
+ * @property {number} [radius] - Distance that counts as "there" (QUEST_SETTINGS.defaultRadius)
+ * @property {string} [name] - Display name for the quest log and minimap
+ */
+
+/**
+ * @typedef {Object} QuestObjectiveDefinition
+ * @property {string} type - One of QUEST_OBJECTIVE_TYPES
+ * @property {string} [id] - Objective id (defaults to its index in the stage)
+ * @property {string} [target] - kill: enemy type, 'boss' or 'any'; interact: object type;
+ *                               collect: item id, name, type or 'any'; talk/escort: NPC id;
+ *                               explore: zone name or 'zone' for any zone
+ * @property {number} [count] - Amount required (defend: seconds to hold the location)
+ * @property {QuestLocation} [location] - reach/defend/escort destination
+ * @property {string} [description] - Text shown instead of the generated one
+ * @property {string} [outcome] - Quest outcome recorded when this objective completes (see nextQuestId)
+ */
+
+/**
+ * @typedef {Object} QuestStageDefinition
+ * @property {string} id - Stage id, unique within the quest
+ * @property {string} [description] - Stage text for the quest log
+ * @property {Array<QuestObjectiveDefinition>} objectives - Objectives of the stage
+ * @property {boolean} [parallel] - Starts together with the previous stage instead of after it
+ * @property {Array<string>} [requires] - Stage ids that must be completed first (overrides the order)
+ * @property {string} [completion] - 'all' (default) or 'any' objective completes the stage
+ */
+
+/**
+ * @typedef {Object} QuestDefinition
+ * @property {string} id - Unique quest id
+ * @property {string} name - Display name
+ * @property {string} description - Quest description
+ * @property {boolean} [isMainQuest] - Part of the main storyline
+ * @property {number} [requiredLevel] - Player level needed to start the quest
+ * @property {Array<string>} [prerequisites] - Quest ids that must be completed first
+ * @property {Array<QuestStageDefinition>} stages - Quest stages
+ * @property {Object} reward - experience, gold, skillPoints, items (skill variants that name
+ *           the quest in their unlockedBy condition are unlocked on completion)
+ * @property {string|Array<string>|Object<string, string>|null} [nextQuestId] - Follow-up quest(s);
+ *           an object maps the quest outcome to a quest id with 'default' as fallback
+ */
+
+// Objective types and the event that advances them
+export const QUEST_OBJECTIVE_TYPES = {
+    kill: 'kill', // Enemy killed (QuestManager.updateEnemyKill)
+    interact: 'interact', // Interactive object used (QuestManager.updateInteraction)
+    explore: 'explore', // Zone entered (QuestManager.updateExploration)
+    collect: 'collect', // Item picked up (QuestManager.updateItemCollected)
+    talk: 'talk', // NPC talked to (QuestManager.updateTalk)
+    escort: 'escort', // NPC brought to a location (checked in QuestManager.update)
+    defend: 'defend', // Location held for a number of seconds (checked in QuestManager.update)
+    reach: 'reach' // Location reached (checked in QuestManager.update)
+};
+
+// Quest loading and objective defaults
+export const QUEST_SETTINGS = {
+    questsPath: 'assets/quests/quests.json', // Quests available on every map
+    mapQuestsSuffix: '.quests.json', // Per-map quests: assets/maps/<map>.quests.json next to the map file
+    defaultRadius: 5, // Radius of locations that don't set one
+    locationCheckInterval: 0.25, // Seconds between reach/defend/escort/explore checks
+    escortStartDistance: 4, // Escorted NPCs start following the player within this distance
+    nextQuestDelay: 2000 // Milliseconds before a follow-up quest is offered
+};
@@ -0,0 +1,88 @@
+/**
+ * Shop Configuration
+ * Contains vendor stock, item prices and buyback settings (see ShopManager).
+ */
+
+/**
+ * @typedef {Object} ShopStockEntry
+ * @property {string} type - Item type passed to ItemGenerator.generateItem
+ * @property {string} [subType] - Item subtype; random when omitted
+ * @property {string} [rarity] - Forced rarity; rolled by ItemGenerator when omitted
+ * @property {number} count - Number of items generated for this entry
+ * @property {number} [amount=1] - Stack size of each generated consumable
+ */
+
+/**
+ * @typedef {Object} ShopTypeConfig
+ * @property {string} name - Shop title
+ * @property {number} markup - Multiplier applied to item values when buying
+ * @property {Array<ShopStockEntry>} stock - Items generated at the player's level
+ */
+
+// Shops by vendor profession (see NPC_PROFESSIONS)
+export const SHOP_TYPES = {
+    merchant: {
+        name: 'General Goods',
+        markup: 1.0,
+        stock: [
+            { type: 'consumable', subType: 'potion', rarity: 'common', count: 2, amount: 5 },
+            { type: 'weapon', count: 2 },
+            { type: 'armor', count: 3 },
+            { type: 'accessory', count: 3 }
+        ]
+    },
+    alchemist: {
+        name: 'Alchemy Supplies',
+        markup: 1.1,
+        stock: [
+            { type: 'consumable', subType: 'potion', rarity: 'common', count: 4, amount: 10 },
+            { type: 'consumable', subType: 'scroll', rarity: 'common', count: 2, amount: 3 },
+            { type: 'accessory', subType: 'talisman', count: 1 }
+        ]
+    },
+    blacksmith: {
+        name: 'Forge',
+        markup: 1.2,
+        stock: [
+            { type: 'weapon', count: 4 },
+            { type: 'armor', count: 5 }
+        ]
+    },
+    innkeeper: {
+        name: 'Tavern Fare',
+        markup: 0.9,
+        stock: [
+            { type: 'consumable', subType: 'food', rarity: 'common', count: 3, amount: 10 },
+            { type: 'consumable', subType: 'potion', rarity: 'common', count: 1, amount: 5 }
+        ]
+    }
+};
+
+// Base value of an item before rarity, level and stats
+export const ITEM_BASE_VALUES = {
+    weapon: 60,
+    armor: 45,
+    accessory: 50,
+    consumable: 12,
+    default: 10
+};
+
+// Value multiplier per rarity
+export const ITEM_RARITY_VALUE_MULTIPLIERS = {
+    common: 1,
+    uncommon: 2,
+    rare: 4,
+    epic: 8,
+    legendary: 20,
+    mythic: 40
+};
+
+// Shared shop settings
+export const SHOP_SETTINGS = {
+    levelValueScaling: 0.1, // Item value grows by 10% per item level
+    statValue: 1.5, // Gold added per point of base and secondary stats
+    consumableStatValue: 0.2, // Gold added per point of a consumable's effect (e.g. health restored)
+    sellRatio: 0.25, // Vendors pay a quarter of an item's value
+    restockInterval: 10 * 60 * 1000, // Milliseconds before a vendor restocks (also restocks on level up)
+    buybackLimit: 12 // Sold items that can be bought back
+};
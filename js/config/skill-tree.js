@@ -8,6 +8,7 @@ const BASE_SKILL_TREES = {
     variants: {
       "Circle of Life": {
         description: "Increases the healing radius and amount healed.",
+        element: "holy",
         effects: ["Increased healing", "Extended radius"],
         unlockedBy: "Legendary item Circle of Life",
         cost: 5,
@@ -15,6 +16,7 @@ const BASE_SKILL_TREES = {
       },
       "Infused with Light": {
         description: "Grants a temporary damage boost to allies healed.",
+        element: "holy",
         effects: ["Damage boost", "Area of effect"],
         unlockedBy: "Legendary item Infused Light",
         cost: 5,
@@ -23,6 +25,7 @@ const BASE_SKILL_TREES = {
       "Radiant Breath": {
         description:
           "Adds a blinding effect to enemies within the healing area.",
+        element: "holy",
         effects: ["Blind effect", "Area of effect"],
         unlockedBy: "Legendary item Radiant Breath",
         cost: 5,
@@ -30,6 +33,7 @@ const BASE_SKILL_TREES = {
       },
       "Soothing Mist": {
         description: "Heals over time instead of instantly.",
+        element: "holy",
         effects: ["Healing over time", "Area of effect"],
         unlockedBy: "Legendary item Soothing Mist",
         cost: 5,
@@ -37,6 +41,7 @@ const BASE_SKILL_TREES = {
       },
       "Zephyr's Grace": {
         description: "Increases movement speed of allies healed.",
+        element: "holy",
         effects: ["Movement speed increase", "Area of effect"],
         unlockedBy: "Legendary item Zephyr's Grace",
         cost: 5,
@@ -101,6 +106,7 @@ const BASE_SKILL_TREES = {
       "Eye of the Storm": {
         description:
           "Increases the radius of Cyclone Strike by 20%.",
+        element: "physical",
         effects: ["Increased radius", "Area of effect"],
         unlockedBy: "Legendary off-hand Eye of the Storm",
         cost: 5,
@@ -109,6 +115,7 @@ const BASE_SKILL_TREES = {
       "Path of the Storm": {
         description:
           "Cyclone Strike also temporarily decreases all damage you take by 20%.",
+        element: "physical",
         effects: ["Damage reduction", "Area of effect"],
         unlockedBy: "Legendary legs Path of the Storm",
         cost: 5,
@@ -117,6 +124,7 @@ const BASE_SKILL_TREES = {
       "Storm Spirit": {
         description:
           "Generates a powerful tornado that continually damages all nearby enemies.",
+        element: "physical",
         effects: ["Continuous damage", "Area of effect"],
         unlockedBy: "Legendary chest armor Storm Spirit",
         cost: 5,
@@ -125,6 +133,7 @@ const BASE_SKILL_TREES = {
       "Tempest's Heart": {
         description:
           "Turns the Monk into a vortex that pulls in enemies and then detonates, damaging and knocking away all nearby enemies.",
+        element: "physical",
         effects: ["Knockback", "Area of effect"],
         unlockedBy: "Legendary chest armor Tempest's Heart",
         cost: 5,
@@ -191,6 +200,7 @@ const BASE_SKILL_TREES = {
       "Crippling Insight": {
         description:
           "Maximum charges of Exploding Palm increased by 1.",
+        element: "physical",
         effects: ["Additional charge", "Area of effect"],
         unlockedBy: "Legendary head Crippling Insight",
         cost: 5,
@@ -199,6 +209,7 @@ const BASE_SKILL_TREES = {
       "Reaching Rebuke": {
         description:
           "Exploding Palm now launches you at a location and strikes that area with a giant palm as you land, damaging all nearby enemies.",
+        element: "physical",
         effects: ["Movement ability", "Area of effect"],
         unlockedBy: "Legendary off-hand Reaching Rebuke",
         cost: 5,
@@ -207,6 +218,7 @@ const BASE_SKILL_TREES = {
       "Scolding Storm": {
         description:
           "Exploding Palm is now icy and inflicts Chill on enemies.",
+        element: "cold",
         effects: ["Chill effect", "Area of effect"],
         unlockedBy: "Legendary off-hand Scolding Storm",
         cost: 5,
@@ -215,6 +227,7 @@ const BASE_SKILL_TREES = {
       "Breath of Incense": {
         description:
           "Seven-Sided Strike can now trigger the Exploding Palm explosion when it kills Bleeding enemies.",
+        element: "physical",
         effects: ["Skill synergy", "Area of effect"],
         unlockedBy: "Legendary chest Breath of Incense",
         cost: 5,
@@ -223,6 +236,7 @@ const BASE_SKILL_TREES = {
       "Path of the Present": {
         description:
           "Exploding Palm now throws a giant palm in a direction, damaging and Stunning all enemies in its path.",
+        element: "physical",
         effects: ["Stun effect", "Area of effect"],
         unlockedBy: "Legendary weapon Path of the Present",
         cost: 5,
@@ -287,6 +301,7 @@ const BASE_SKILL_TREES = {
       "Dragon's Flight": {
         description:
           "Increases the distance and speed of the flight, allowing you to cover more ground.",
+        element: "physical",
         effects: ["Increased distance", "Increased speed"],
         unlockedBy: "Legendary item Dragon's Flight",
         cost: 5,
@@ -295,6 +310,7 @@ const BASE_SKILL_TREES = {
       "Inferno Dragon": {
         description:
           "Adds fire damage to each kick, burning enemies over time.",
+        element: "fire",
         effects: ["Fire damage", "Damage over time"],
         unlockedBy: "Legendary item Inferno Dragon",
         cost: 5,
@@ -302,6 +318,7 @@ const BASE_SKILL_TREES = {
       },
       "Thunder Dragon": {
         description: "Each kick releases a shockwave that stuns enemies.",
+        element: "lightning",
         effects: ["Stun effect", "Area of effect"],
         unlockedBy: "Legendary item Thunder Dragon",
         cost: 5,
@@ -310,6 +327,7 @@ const BASE_SKILL_TREES = {
       "Gale Dragon": {
         description:
           "Creates a wind barrier that deflects projectiles while flying.",
+        element: "physical",
         effects: ["Projectile deflection", "Increased defense"],
         unlockedBy: "Legendary item Gale Dragon",
         cost: 5,
@@ -318,6 +336,7 @@ const BASE_SKILL_TREES = {
       "Shadow Dragon": {
         description:
           "Leaves behind a shadow that mimics your attacks for a short duration.",
+        element: "physical",
         effects: ["Shadow clone", "Increased damage"],
         unlockedBy: "Legendary item Shadow Dragon",
         cost: 5,
@@ -382,6 +401,7 @@ const BASE_SKILL_TREES = {
       "Mantle of the Crane": {
         description:
           "Flying Kick range increased by 20%.",
+        element: "physical",
         effects: ["Increased range", "Area of effect"],
         unlockedBy: "Legendary shoulder Mantle of the Crane",
         cost: 5,
@@ -390,6 +410,7 @@ const BASE_SKILL_TREES = {
       "Tiger's Flight": {
         description:
           "Flying Kick now generates a flaming tornado that damages enemies in its path.",
+        element: "fire",
         effects: ["Fire damage", "Area of effect"],
         unlockedBy: "Legendary legs Tiger's Flight",
         cost: 5,
@@ -398,6 +419,7 @@ const BASE_SKILL_TREES = {
       "Grace's Bounty": {
         description:
           "Flying Kick becomes Spinning Kick, damaging all nearby enemies.",
+        element: "physical",
         effects: ["Area damage", "Transformation"],
         unlockedBy: "Legendary legs Grace's Bounty",
         cost: 5,
@@ -406,6 +428,7 @@ const BASE_SKILL_TREES = {
       "Momentum's Flow": {
         description:
           "Flying Kick now unleashes a series of kicks at enemies in a direction, with the final kick knocking enemies away.",
+        element: "physical",
         effects: ["Multiple hits", "Knockback"],
         unlockedBy: "Legendary legs Momentum's Flow",
         cost: 5,
@@ -414,6 +437,7 @@ const BASE_SKILL_TREES = {
       "Spokes of the Wheel": {
         description:
           "Flying Kick also temporarily increases all damage you deal by 10%.",
+        element: "physical",
         effects: ["Damage boost", "Temporary buff"],
         unlockedBy: "Legendary weapon Spokes of the Wheel",
         cost: 5,
@@ -478,30 +502,35 @@ const BASE_SKILL_TREES = {
       "Frozen Shackles": {
         description:
           "Imprisoned Fists now freezes enemies, dealing cold damage over time.",
+        element: "cold",
         effects: ["Freeze effect", "Cold damage"],
         unlockedBy: "Legendary item Frozen Shackles",
       },
       "Fiery Chains": {
         description:
           "Adds fire damage to the strike, burning enemies over time.",
+        element: "fire",
         effects: ["Fire damage", "Damage over time"],
         unlockedBy: "Legendary item Fiery Chains",
       },
       "Thunderous Grip": {
         description:
           "Each strike releases a shockwave that stuns nearby enemies.",
+        element: "lightning",
         effects: ["Stun effect", "Area of effect"],
         unlockedBy: "Legendary item Thunderous Grip",
       },
       "Shadow Bind": {
         description:
           "Creates shadow tendrils that immobilize enemies for a longer duration.",
+        element: "physical",
         effects: ["Extended immobilization", "Shadow damage"],
         unlockedBy: "Legendary item Shadow Bind",
       },
       "Gale Chains": {
         description:
           "Increases the range and speed of the strike, allowing for rapid engagement.",
+        element: "physical",
         effects: ["Increased range", "Increased speed"],
         unlockedBy: "Legendary item Gale Chains",
       },
@@ -533,28 +562,33 @@ const BASE_SKILL_TREES = {
       "Sanctified Ground": {
         description:
           "The sanctuary also heals allies over time while they remain within its bounds.",
+        element: "holy",
         effects: ["Healing over time"],
         unlockedBy: "Legendary item Healing Circle",
       },
       "Forbidden Palace": {
         description:
           "Enemies within the sanctuary have their movement speed reduced.",
+        element: "holy",
         effects: ["Enemy movement speed reduction"],
         unlockedBy: "Legendary item Palace of Restraint",
       },
       "Safe Haven": {
         description:
           "Increases the duration of the sanctuary and provides a shield to allies when they enter.",
+        element: "holy",
         effects: ["Increased duration", "Shield on entry"],
         unlockedBy: "Legendary item Guardian's Refuge",
       },
       "Temple of Protection": {
         description: "Increases the damage reduction effect of the sanctuary.",
+        element: "holy",
         effects: ["Increased damage reduction"],
         unlockedBy: "Legendary item Protector's Temple",
       },
       "Circle of Wrath": {
         description: "Enemies within the sanctuary take damage over time.",
+        element: "holy",
         effects: ["Damage over time to enemies"],
         unlockedBy: "Legendary item Wrathful Circle",
       },
@@ -587,30 +621,35 @@ const BASE_SKILL_TREES = {
       "Fire Allies": {
         description:
           "Summon fiery spirit allies that deal fire damage and have a chance to burn enemies over time.",
+        element: "fire",
         effects: ["Fire damage", "Burning effect"],
         unlockedBy: "Legendary item Ember Spirits",
       },
       "Water Allies": {
         description:
           "Summon water spirit allies that heal you and your allies over time.",
+        element: "cold",
         effects: ["Healing effect"],
         unlockedBy: "Legendary item Tidal Companions",
       },
       "Earth Allies": {
         description:
           "Summon earth spirit allies that increase your defense and reduce incoming damage.",
+        element: "physical",
         effects: ["Increased defense", "Damage reduction"],
         unlockedBy: "Legendary item Stone Guardians",
       },
       "Air Allies": {
         description:
           "Summon air spirit allies that increase your movement speed and attack speed.",
+        element: "physical",
         effects: ["Increased movement speed", "Increased attack speed"],
         unlockedBy: "Legendary item Wind Walkers",
       },
       "Shadow Allies": {
         description:
           "Summon shadow spirit allies that deal increased damage to enemies affected by crowd control effects.",
+        element: "physical",
         effects: ["Increased damage to CC'd enemies"],
         unlockedBy: "Legendary item Night Stalkers",
       },
@@ -640,26 +679,31 @@ const BASE_SKILL_TREES = {
     variants: {
       "Spirit's Reach": {
         description: "Increases the dash distance and damage.",
+        element: "physical",
         effects: ["Increased distance", "Increased damage"],
         unlockedBy: "Legendary item Spirit's Extension",
       },
       "Phantom Strike": {
         description: "Leaves behind a decoy that explodes after a delay.",
+        element: "physical",
         effects: ["Decoy", "Explosive damage"],
         unlockedBy: "Legendary item Phantom's Echo",
       },
       "Ethereal Embrace": {
         description: "Grants a shield when the spirit returns.",
+        element: "physical",
         effects: ["Shield", "Damage absorption"],
         unlockedBy: "Legendary item Ethereal Guard",
       },
       "Shadow Step": {
         description: "Allows you to teleport to the spirit's location.",
+        element: "physical",
         effects: ["Teleportation", "Increased mobility"],
         unlockedBy: "Legendary item Shadow Walker",
       },
       "Soul Reaver": {
         description: "Drains life from enemies as the spirit returns.",
+        element: "physical",
         effects: ["Life drain", "Area of effect"],
         unlockedBy: "Legendary item Reaver's Grasp",
       },
@@ -692,26 +736,31 @@ const BASE_SKILL_TREES = {
       "Blazing Fists": {
         description:
           "Each strike ignites enemies, dealing fire damage over time.",
+        element: "fire",
         effects: ["Fire damage", "Damage over time"],
         unlockedBy: "Legendary item Inferno Knuckles",
       },
       "Frozen Assault": {
         description: "Each strike has a chance to freeze enemies.",
+        element: "cold",
         effects: ["Freeze effect", "Crowd control"],
         unlockedBy: "Legendary item Glacial Fists",
       },
       Thunderclap: {
         description: "Each strike releases a shockwave, dealing area damage.",
+        element: "lightning",
         effects: ["Area damage", "Shockwave"],
         unlockedBy: "Legendary item Thunderous Grasp",
       },
       "Phantom Echo": {
         description: "Creates an echo that repeats the strikes after a delay.",
+        element: "physical",
         effects: ["Echo strikes", "Delayed damage"],
         unlockedBy: "Legendary item Echoing Spirit",
       },
       "Celestial Impact": {
         description: "Increases the number of strikes and damage.",
+        element: "holy",
         effects: ["Increased strikes", "Increased damage"],
         unlockedBy: "Legendary item Celestial Gauntlets",
       },
@@ -742,28 +791,33 @@ const BASE_SKILL_TREES = {
       "Radiant Barrier": {
         description:
           "The shield emits a healing aura, restoring health to nearby allies.",
+        element: "holy",
         effects: ["Healing aura", "Health restoration"],
         unlockedBy: "Legendary item Luminous Guard",
       },
       "Reflective Shield": {
         description: "Reflects a portion of absorbed damage back to attackers.",
+        element: "holy",
         effects: ["Damage reflection"],
         unlockedBy: "Legendary item Mirror Plate",
       },
       "Fortified Wall": {
         description: "Increases the shield's absorption capacity and duration.",
+        element: "holy",
         effects: ["Increased absorption", "Extended duration"],
         unlockedBy: "Legendary item Bastion's Embrace",
       },
       "Mystic Veil": {
         description:
           "Grants invisibility to the Monk while the shield is active.",
+        element: "holy",
         effects: ["Invisibility"],
         unlockedBy: "Legendary item Veil of Shadows",
       },
       "Zen's Retribution": {
         description:
           "Upon expiration, the shield explodes, dealing damage to nearby enemies.",
+        element: "holy",
         effects: ["Explosive damage"],
         unlockedBy: "Legendary item Retribution's End",
       },
@@ -794,30 +848,35 @@ const BASE_SKILL_TREES = {
       "Crashing Wave": {
         description:
           "The wave travels further and deals increased damage to distant enemies.",
+        element: "holy",
         effects: ["Extended range", "Increased damage"],
         unlockedBy: "Legendary item Ocean's Fury",
       },
       "Blinding Light": {
         description:
           "Enemies hit by the wave are blinded for a short duration.",
+        element: "holy",
         effects: ["Blinding effect"],
         unlockedBy: "Legendary item Radiant Dawn",
       },
       "Molten Wave": {
         description:
           "The wave leaves a trail of fire, burning enemies over time.",
+        element: "fire",
         effects: ["Fire damage over time"],
         unlockedBy: "Legendary item Ember's Wrath",
       },
       "Thunderous Wave": {
         description:
           "The wave emits a thunderous sound, stunning enemies briefly.",
+        element: "lightning",
         effects: ["Stunning effect"],
         unlockedBy: "Legendary item Thunderclap",
       },
       "Healing Wave": {
         description:
           "Allies hit by the wave are healed for a portion of the damage dealt.",
+        element: "holy",
         effects: ["Healing effect"],
         unlockedBy: "Legendary item Light's Embrace",
       },
@@ -849,30 +908,35 @@ const BASE_SKILL_TREES = {
       "Tidal Force": {
         description:
           "The wave travels further and deals increased damage to enemies at the end of its path.",
+        element: "holy",
         effects: ["Extended range", "Increased end damage"],
         unlockedBy: "Legendary item Ocean's Might",
       },
       "Shocking Wave": {
         description:
           "Enemies hit by the wave are electrified, taking additional lightning damage over time.",
+        element: "lightning",
         effects: ["Lightning damage over time"],
         unlockedBy: "Legendary item Storm Surge",
       },
       "Freezing Wave": {
         description:
           "The wave chills enemies, reducing their movement speed for a short duration.",
+        element: "cold",
         effects: ["Chilling effect", "Movement speed reduction"],
         unlockedBy: "Legendary item Frostbite",
       },
       "Explosive Wave": {
         description:
           "The wave explodes on impact, dealing area damage to nearby enemies.",
+        element: "fire",
         effects: ["Area damage on impact"],
         unlockedBy: "Legendary item Detonation Core",
       },
       "Healing Surge": {
         description:
           "Allies hit by the wave are healed for a portion of the damage dealt.",
+        element: "holy",
         effects: ["Healing effect"],
         unlockedBy: "Legendary item Life's Flow",
       },
@@ -902,6 +966,7 @@ const BASE_SKILL_TREES = {
     variants: {
       "Palm Rain": {
         description: "Summons 10 giant palms from the sky that crash down on enemies in an area.",
+        element: "holy",
         effects: ["Multiple palms", "Area of effect", "Increased damage"],
         unlockedBy: "Legendary gloves Hand of the Heavens",
         cost: 5,
@@ -909,6 +974,7 @@ const BASE_SKILL_TREES = {
       },
       "Palm Cross": {
         description: "Summons 4 giant palms in a cross pattern that fall simultaneously and cause a massive explosion.",
+        element: "holy",
         effects: ["Cross pattern", "Giant palms", "Massive explosion"],
         unlockedBy: "Legendary bracers Cross of the Heavens",
         cost: 5,
@@ -916,6 +982,7 @@ const BASE_SKILL_TREES = {
       },
       "Storm of Palms": {
         description: "Summons a storm of giant palms that follow you and crash down on enemies in your path.",
+        element: "holy",
         effects: ["Follows hero", "Increased palm count", "Extended duration"],
         unlockedBy: "Legendary amulet Storm Caller's Pendant",
         cost: 5,
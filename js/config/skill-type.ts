@@ -31,6 +31,17 @@ export type SkillType =
   | 'dash'       // Dash attack
   | 'control';   // Control effects
 
+/**
+ * Damage elements (see DAMAGE_ELEMENTS in elements.js)
+ */
+export type DamageElement =
+  | 'physical'
+  | 'fire'
+  | 'cold'
+  | 'lightning'
+  | 'holy'
+  | 'poison';
+
 /**
  * Optional ground rectangle properties for skill collision detection
  */
@@ -54,6 +65,8 @@ export interface SkillConfig {
   description: string;
   /** Type of skill effect */
   type: SkillType;
+  /** Element of the skill's damage (variants can override it in skill-tree.js) */
+  element: DamageElement;
   /** Base damage of the skill */
   damage: number;
   /** Mana cost to use the skill */
@@ -12,6 +12,7 @@ export const PRIMARY_ATTACKS = [
         name: 'Fist of Thunder',
         description: 'Teleport to the nearest enemy and strike them with lightning',
         type: 'teleport',
+        element: 'lightning', // Damage element (see DAMAGE_ELEMENTS)
         damage: 15, // Balanced primary attack damage
         manaCost: 0,
         cooldown: 0.2, // Very short cooldown for basic attack
@@ -31,6 +32,7 @@ export const PRIMARY_ATTACKS = [
         name: "Deadly Reach",
         description: "Extend your reach to strike enemies from a distance.",
         type: "projectile",
+        element: "physical",
         damage: 10, // Keeping this the same as it's already balanced
         manaCost: 0,
         cooldown: 0.2,
@@ -59,6 +61,7 @@ export const NORMAL_SKILLS = [
         name: 'Wave of Light',
         description: 'Summon a massive bell that crashes down on enemies',
         type: 'wave',
+        element: 'holy',
         damage: 35, // Reduced from 50 for better balance
         manaCost: 25, // Increased from 20 to match damage output
         cooldown: 0.2, // Reduced cooldown
@@ -77,6 +80,7 @@ export const NORMAL_SKILLS = [
         name: 'Shield of Zen',
         description: 'Envelop yourself in a golden aura with a protective Buddha figure that absorbs 30% of damage and reflects 10% back to attackers',
         type: 'buff',
+        element: 'holy',
         damage: 2, // This is a defensive skill, low damage is appropriate
         manaCost: 25, // Reduced from 30 as it's a defensive skill
         cooldown: 0.2, // Reduced cooldown
@@ -95,6 +99,7 @@ export const NORMAL_SKILLS = [
         name: 'Breath of Heaven',
         description: 'A healing skill that restores health to the Monk and nearby allies.',
         type: 'heal',
+        element: 'holy',
         damage: 5, // Low damage is appropriate for a healing skill
         healing: 15, // Increased from 10 to make healing more effective
         manaCost: 25, // Increased from 20 to balance the improved healing
@@ -114,6 +119,7 @@ export const NORMAL_SKILLS = [
         name: 'Wave Strike',
         description: 'Send a wave of energy towards enemies',
         type: 'ranged',
+        element: 'holy',
         damage: 25, // Increased from 20 to make it more effective
         manaCost: 20, // Kept the same as it's balanced
         cooldown: 0.2, // Reduced cooldown
@@ -132,6 +138,7 @@ export const NORMAL_SKILLS = [
         name: 'Cyclone Strike',
         description: 'Generate a vortex of wind that pulls in enemies and deals damage.',
         type: 'aoe',
+        element: 'physical',
         damage: 30, // Kept the same as it's balanced
         manaCost: 35, // Reduced from 40 to make it more usable
         cooldown: 0.2, // Reduced cooldown
@@ -150,6 +157,7 @@ export const NORMAL_SKILLS = [
         name: 'Seven-Sided Strike',
         description: 'Rapidly attack multiple enemies',
         type: 'multi',
+        element: 'physical',
         damage: 40, // Reduced from 50 for better balance
         manaCost: 35, // Increased from 30 to match the power
         cooldown: 0.2, // Reduced cooldown
@@ -169,6 +177,7 @@ export const NORMAL_SKILLS = [
         name: 'Inner Sanctuary',
         description: 'Create a protective zone that reduces damage',
         type: 'buff',
+        element: 'holy',
         damage: 5, // Low damage is appropriate for a defensive skill
         manaCost: 25, // Increased from 20 to match the utility
         cooldown: 0.2, // Reduced cooldown
@@ -187,6 +196,7 @@ export const NORMAL_SKILLS = [
         name: 'Mystic Allies',
         description: 'Summon spirit allies to fight alongside you',
         type: 'summon',
+        element: 'physical',
         damage: 30, // Reduced from 50 for better balance
         manaCost: 40, // Increased from 0 to match the power (summoning should cost mana)
         cooldown: 0.2, // Reduced cooldown
@@ -206,6 +216,7 @@ export const NORMAL_SKILLS = [
         name: 'Exploding Palm',
         description: 'A skill that marks an enemy for death, causing them to explode upon death and deal damage to nearby enemies.',
         type: 'mark',
+        element: 'physical',
         damage: 45, // Reduced from 55 for better balance
         manaCost: 45, // Reduced from 50 to match the adjusted damage
         cooldown: 0.2, // Reduced cooldown
@@ -224,6 +235,7 @@ export const NORMAL_SKILLS = [
         name: 'Flying Dragon',
         description: 'A powerful attack that launches the Monk into the air, striking enemies with a flurry of kicks.',
         type: 'dash',
+        element: 'physical',
         damage: 100, // Significantly reduced from 120 for better balance
         manaCost: 60, // Reduced from 100 to match the adjusted damage
         cooldown: 0.2,
@@ -246,6 +258,7 @@ export const NORMAL_SKILLS = [
         name: 'Flying Kick',
         description: 'A swift kick that propels the Monk forward, dealing damage to enemies in its path.',
         type: 'dash',
+        element: 'physical',
         damage: 30, // Kept the same as it's balanced
         manaCost: 25, // Increased from 20 to match other mobility skills
         cooldown: 0.2,
@@ -254,6 +267,7 @@ export const NORMAL_SKILLS = [
         range: 30,       // Maximum distance the kick can travel (in units)
         duration: 5,      // Maximum time the effect can last (in seconds)
         kickSpeed: 40,    // Speed of the kick (units per second)
+        cancelsDodge: true, // Can be used during a dodge roll, ending the roll
         get color() { return SKILL_ICONS[this.name].color; },
         get icon() { return SKILL_ICONS[this.name].emoji; },
         sounds: {
@@ -266,6 +280,7 @@ export const NORMAL_SKILLS = [
         name: 'Imprisoned Fists',
         description: 'A powerful strike that locks enemies in place, preventing them from moving.',
         type: 'control',
+        element: 'physical',
         damage: 15, // Increased from 5 to make it more impactful
         manaCost: 30, // Increased from 25 to match the utility
         range: 10,
@@ -299,6 +314,7 @@ export const NORMAL_SKILLS = [
         name: 'Bul Palm',
         description: 'Giant palm moving, damaging all enemies on the path.',
         type: 'projectile',
+        element: 'holy',
         get damage() {
             if (!this.variant) {
                 return 200;
@@ -353,6 +369,7 @@ export const NORMAL_SKILLS = [
         name: 'Bul Breath Of Heaven',
         description: 'Same like Breath of Heaven, which allows you to run faster, but x5 current effect, like cast 5 times continuously.',
         type: 'buff',
+        element: 'holy',
         damage: 5, // Low damage is appropriate for a utility skill
         healing: 20, // Increased from 10 to match the enhanced effect
         manaCost: 35, // Increased from 25 to match the enhanced effect
@@ -375,6 +392,7 @@ export const NORMAL_SKILLS = [
         name: 'Bul Shadow Clone',
         description: 'Creates multiple shadow clones of the monk in yellow theme color. These transparent clones automatically seek out enemies, attack them, and can absorb damage.',
         type: 'summon',
+        element: 'physical',
         damage: 25, // Moderate damage for each clone
         manaCost: 45, // Higher mana cost for powerful ability
         cooldown: 0.2, // Standard cooldown
@@ -0,0 +1,83 @@
+/**
+ * Status Effect Configuration
+ * Contains the buffs and debuffs shared by players and enemies (see StatusEffects),
+ * how repeated applications stack, and which targets are immune to what.
+ */
+
+/**
+ * @typedef {Object} StatusEffectConfig
+ * @property {string} name - Display name
+ * @property {string} icon - HUD icon
+ * @property {string} category - 'buff' or 'debuff'
+ * @property {number} color - Icon border and tick damage number color
+ * @property {string} stacking - 'refresh' keeps the strongest intensity and the longest duration;
+ *                               'stack' adds a stack (up to maxStacks) and refreshes the duration
+ * @property {number} [maxStacks] - Stack limit for 'stack' effects
+ * @property {string} [onMaxStacks] - Effect that replaces this one once it reaches maxStacks
+ * @property {number} defaultIntensity - Intensity used when none is given
+ * @property {number} [tickInterval] - Seconds between ticks for damage/heal over time
+ * @property {string} [tick] - 'damage' or 'heal'; each tick deals intensity * stacks * tickInterval
+ * @property {Object<string, number>} [modifiers] - Stat modifiers per point of intensity and stack
+ *                                                  (movementSpeed, missChance)
+ * @property {boolean} [incapacitates] - Prevents moving, attacking and casting
+ * @property {number} [immunityAfter] - Seconds of immunity to the effect once it ends
+ * @property {boolean} [cleansable] - Whether cleanse removes the effect (debuffs only)
+ * @property {string} [element] - Element the effect belongs to
+ */
+
+// Shared settings for status effects
+export const STATUS_EFFECT_SETTINGS = {
+    minMovementMultiplier: 0.1, // Slows never take movement speed below this share
+    maxMissChance: 0.75 // Blind never makes more than this share of attacks miss
+};
+
+/**
+ * Effects by id
+ * @type {Object<string, StatusEffectConfig>}
+ */
+export const STATUS_EFFECTS = {
+    // Crowd control
+    slow: { name: 'Slowed', icon: '🐌', category: 'debuff', color: 0x88aaff, stacking: 'refresh', defaultIntensity: 0.3, modifiers: { movementSpeed: -1 }, cleansable: true },
+    chill: { name: 'Chilled', icon: '❄️', category: 'debuff', color: 0x9fe8ff, stacking: 'stack', maxStacks: 5, onMaxStacks: 'freeze', defaultIntensity: 0.1, modifiers: { movementSpeed: -1 }, cleansable: true, element: 'cold' },
+    stun: { name: 'Stunned', icon: '💫', category: 'debuff', color: 0xffdd44, stacking: 'refresh', defaultIntensity: 1, incapacitates: true, immunityAfter: 1.5, cleansable: true },
+    freeze: { name: 'Frozen', icon: '🧊', category: 'debuff', color: 0x66ccff, stacking: 'refresh', defaultIntensity: 1, incapacitates: true, immunityAfter: 2, cleansable: true, element: 'cold' },
+    blind: { name: 'Blinded', icon: '🌑', category: 'debuff', color: 0x8866aa, stacking: 'refresh', defaultIntensity: 0.5, modifiers: { missChance: 1 }, cleansable: true },
+
+    // Damage over time (intensity is damage per second per stack)
+    poison: { name: 'Poisoned', icon: '☠️', category: 'debuff', color: 0x6bdc3a, stacking: 'stack', maxStacks: 5, defaultIntensity: 5, tickInterval: 1, tick: 'damage', cleansable: true, element: 'poison' },
+    burning: { name: 'Burning', icon: '🔥', category: 'debuff', color: 0xff6622, stacking: 'refresh', defaultIntensity: 8, tickInterval: 0.5, tick: 'damage', cleansable: true, element: 'fire' },
+    bleed: { name: 'Bleeding', icon: '🩸', category: 'debuff', color: 0xcc2222, stacking: 'stack', maxStacks: 3, defaultIntensity: 4, tickInterval: 1, tick: 'damage', cleansable: true, element: 'physical' },
+
+    // Buffs
+    haste: { name: 'Haste', icon: '💨', category: 'buff', color: 0xffffff, stacking: 'refresh', defaultIntensity: 0.3, modifiers: { movementSpeed: 1 } },
+    regeneration: { name: 'Regeneration', icon: '💚', category: 'buff', color: 0x44ff88, stacking: 'refresh', defaultIntensity: 5, tickInterval: 1, tick: 'heal' }
+};
+
+// Other names skills use for the effects above
+export const STATUS_EFFECT_ALIASES = {
+    frozen: 'freeze',
+    stunned: 'stun',
+    slowed: 'slow',
+    poisoned: 'poison',
+    burn: 'burning',
+    ignite: 'burning'
+};
+
+// Effect applied by damage over time from items and skills, by element
+export const ELEMENT_STATUS_EFFECTS = {
+    fire: 'burning',
+    poison: 'poison',
+    cold: 'chill',
+    ice: 'chill',
+    physical: 'bleed'
+};
+
+// Immunities granted to enemies: bosses and elites with matching affixes shrug these off
+export const STATUS_EFFECT_IMMUNITIES = {
+    boss: ['freeze'],
+    affixes: {
+        frozen: ['chill', 'freeze'],
+        molten: ['burning'],
+        poison: ['poison']
+    }
+};
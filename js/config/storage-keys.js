@@ -41,8 +41,15 @@ export const STORAGE_KEYS = {
     CUSTOM_SKILLS: 'monk_journey_custom_skills',
     CAMERA_ZOOM: 'monk_journey_camera_zoom',
     
+    // Multiplayer settings
+    SIGNALING_HOST: 'monk_journey_signaling_host',
+    SIGNALING_PORT: 'monk_journey_signaling_port',
+    SIGNALING_PATH: 'monk_journey_signaling_path',
+    
     // Save system keys
-    SAVE_DATA: 'monk_journey_save',
+    SAVE_DATA: 'monk_journey_save', // Legacy single save, migrated into slot 1
+    SAVE_SLOT_PREFIX: 'monk_journey_save_slot_',
+    ACTIVE_SAVE_SLOT: 'monk_journey_active_save_slot',
     CHUNK_PREFIX: 'monk_journey_chunk_',
     CHUNK_INDEX: 'monk_journey_chunk_index',
     
@@ -13,4 +13,30 @@ export const TERRAIN_CONFIG = {
     
     // Terrain buffering properties
     bufferDistance: 5, // Distance beyond view distance to pre-generate terrain chunks
+
+    // Heightmap generation properties
+    heightmap: {
+        seed: 20250611, // Fallback seed when the loaded map does not provide one
+        chunkResolution: 16, // Height samples per chunk edge (matches chunk mesh segments)
+        frequency: 0.012, // Base noise frequency (lower = broader hills)
+        octaves: 4, // Number of noise layers combined for detail
+        persistence: 0.5, // Amplitude falloff per octave
+        lacunarity: 2.0, // Frequency gain per octave
+        cacheSize: 512, // Maximum number of chunk heightmaps kept in memory
+        zoneBlendRadius: 1.3, // Zone influence fades out at this multiple of the zone radius
+        defaultWeight: 0.05, // Weight of the default profile so zone edges blend smoothly
+        ignoredZones: ['Boundary'], // Zones that never shape the terrain
+
+        // Height profile per zone type: noise amplitude and base level offset
+        zoneProfiles: {
+            default: { amplitude: 1.2, offset: 0 },
+            Terrant: { amplitude: 1.2, offset: 0 },
+            Forest: { amplitude: 2.0, offset: 0.2 },
+            Desert: { amplitude: 1.6, offset: 0 },
+            Ruins: { amplitude: 1.0, offset: 0 },
+            Lava: { amplitude: 3.0, offset: 0.5 },
+            Mountains: { amplitude: 9.0, offset: 3.0 },
+            Swamp: { amplitude: 0.3, offset: -0.8 }
+        }
+    }
 };
\ No newline at end of file
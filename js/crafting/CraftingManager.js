@@ -0,0 +1,344 @@
+import { Item } from '../entities/items/Item.js';
+import {
+    CRAFTING_MATERIALS,
+    CRAFTING_RECIPES,
+    CRAFTING_SETTINGS,
+    CRAFTING_STAT_POOLS,
+    RARITY_ORDER,
+    SALVAGE_YIELDS,
+    SOCKETS_BY_RARITY
+} from '../config/crafting.js';
+import { createMaterial } from '../utils/CraftingUtils.js';
+
+// Name prefixes by rarity, as given by ItemGenerator.generateItemName
+const QUALITY_PREFIXES = {
+    common: '',
+    uncommon: 'Fine ',
+    rare: 'Superior ',
+    epic: 'Exquisite '
+};
+
+/**
+ * Salvages, rerolls, upgrades and socketing for the player's gear
+ * Crafting works on items in the inventory, changing them in place so they keep
+ * their instance id; costs are paid in gold and materials (see CRAFTING_RECIPES).
+ */
+export class CraftingManager {
+    /**
+     * @param {import('../game/Game.js').Game} game - The game instance
+     */
+    constructor(game) {
+        this.game = game;
+    }
+    
+    /**
+     * Check whether an item can be crafted with
+     * @param {Object} item - The item
+     * @returns {boolean} - True for weapons, armor and accessories
+     */
+    isCraftable(item) {
+        return !!CRAFTING_STAT_POOLS[item.type];
+    }
+    
+    /**
+     * Get the amount of a material in the player's inventory
+     * @param {string} materialId - Material id from CRAFTING_MATERIALS
+     * @returns {number} - Amount carried
+     */
+    getMaterialCount(materialId) {
+        return this.game.player.getInventory()
+            .filter(item => item.materialId === materialId)
+            .reduce((total, item) => total + (item.amount || 0), 0);
+    }
+    
+    /**
+     * Scale a recipe's gold cost by item level
+     * @param {Object} recipe - Recipe from CRAFTING_RECIPES
+     * @param {Object} item - The item being crafted
+     * @returns {{gold: number, materials: Object<string, number>}} - The cost
+     */
+    getCost(recipe, item) {
+        return {
+            gold: Math.round(recipe.gold * (1 + (item.level || 1) * CRAFTING_SETTINGS.levelCostScaling)),
+            materials: recipe.materials || {}
+        };
+    }
+    
+    /**
+     * Get the cost of salvaging an item
+     * @param {Object} item - The item
+     * @returns {{gold: number, materials: Object<string, number>}} - The cost
+     */
+    getSalvageCost(item) {
+        return this.getCost(CRAFTING_RECIPES.salvage, item);
+    }
+    
+    /**
+     * Get the cost of rerolling one of an item's secondary stats
+     * @param {Object} item - The item
+     * @returns {{gold: number, materials: Object<string, number>}} - The cost
+     */
+    getRerollCost(item) {
+        return this.getCost(CRAFTING_RECIPES.reroll, item);
+    }
+    
+    /**
+     * Get the cost of socketing a gem into an item
+     * @param {Object} item - The item
+     * @returns {{gold: number, materials: Object<string, number>}} - The cost
+     */
+    getSocketCost(item) {
+        return this.getCost(CRAFTING_RECIPES.socket, item);
+    }
+    
+    /**
+     * Get the cost of upgrading an item to the next rarity
+     * @param {Object} item - The item
+     * @returns {{gold: number, materials: Object<string, number>}|null} - The cost, or null at the highest rarity
+     */
+    getUpgradeCost(item) {
+        const nextRarity = this.getNextRarity(item);
+        return nextRarity ? this.getCost(CRAFTING_RECIPES.upgrade[nextRarity], item) : null;
+    }
+    
+    /**
+     * Get the rarity an item would be upgraded to
+     * @param {Object} item - The item
+     * @returns {string|null} - Next rarity, or null at the highest rarity
+     */
+    getNextRarity(item) {
+        const index = RARITY_ORDER.indexOf(item.rarity || 'common');
+        return index >= 0 && index < RARITY_ORDER.length - 1 ? RARITY_ORDER[index + 1] : null;
+    }
+    
+    /**
+     * Check whether the player can pay a cost
+     * @param {{gold: number, materials: Object<string, number>}} cost - The cost
+     * @returns {boolean} - True if the player has enough gold and materials
+     */
+    canAfford(cost) {
+        if (this.game.player.getGold() < cost.gold) return false;
+        
+        return Object.entries(cost.materials).every(([materialId, amount]) => this.getMaterialCount(materialId) >= amount);
+    }
+    
+    /**
+     * Take a cost's gold and materials from the player
+     * @param {{gold: number, materials: Object<string, number>}} cost - The cost
+     * @param {string} action - Action name, for the notification
+     * @returns {boolean} - True if the cost was paid
+     */
+    pay(cost, action) {
+        if (!this.canAfford(cost)) {
+            this.game.hudManager.showNotification(`Not enough gold or materials to ${action}`);
+            return false;
+        }
+        
+        this.game.player.removeGold(cost.gold);
+        Object.entries(cost.materials).forEach(([materialId, amount]) => {
+            this.removeMaterial(materialId, amount);
+        });
+        return true;
+    }
+    
+    /**
+     * Remove materials from the player's inventory
+     * @param {string} materialId - Material id
+     * @param {number} amount - Amount to remove
+     */
+    removeMaterial(materialId, amount) {
+        let remaining = amount;
+        this.game.player.getInventory()
+            .filter(item => item.materialId === materialId)
+            .forEach(stack => {
+                const taken = Math.min(stack.amount, remaining);
+                if (taken > 0) {
+                    this.game.player.removeFromInventory(stack, taken);
+                    remaining -= taken;
+                }
+            });
+    }
+    
+    /**
+     * Salvage an item into materials
+     * @param {Object} item - Item in the player's inventory
+     * @returns {Object<string, number>|null} - Materials gained, or null if the item wasn't salvaged
+     */
+    salvage(item) {
+        if (!this.isCraftable(item) || !this.pay(this.getSalvageCost(item), `salvage ${item.name}`)) return null;
+        
+        this.game.player.removeFromInventory(item, 1);
+        
+        const gained = {};
+        const yields = SALVAGE_YIELDS[item.rarity] || SALVAGE_YIELDS.common;
+        Object.entries(yields).forEach(([materialId, [min, max]]) => {
+            const amount = min + Math.floor(Math.random() * (max - min + 1));
+            if (amount > 0) {
+                this.game.player.addToInventory(createMaterial(materialId, amount));
+                gained[materialId] = amount;
+            }
+        });
+        
+        // Socketed gems are returned
+        this.getSocketedGems(item).forEach(stat => {
+            this.game.player.addToInventory(createMaterial(stat.gem, 1));
+        });
+        
+        const summary = Object.entries(gained)
+            .map(([materialId, amount]) => `${amount} ${CRAFTING_MATERIALS[materialId].name}`)
+            .join(', ');
+        this.game.hudManager.showNotification(`Salvaged ${item.name}${summary ? ` into ${summary}` : ''}`);
+        return gained;
+    }
+    
+    /**
+     * Get the indices of the secondary stats that can be rerolled
+     * Fixed stats of unique items and socketed gems can't be rerolled
+     * @param {Object} item - The item
+     * @returns {Array<number>} - Indices into item.secondaryStats
+     */
+    getRerollableStats(item) {
+        const pool = CRAFTING_STAT_POOLS[item.type] || [];
+        return (item.secondaryStats || []).reduce((indices, stat, index) => {
+            if (!stat.gem && pool.includes(stat.type)) {
+                indices.push(index);
+            }
+            return indices;
+        }, []);
+    }
+    
+    /**
+     * Reroll one secondary stat into a new stat from the item type's pool
+     * @param {Object} item - Item in the player's inventory
+     * @param {number} index - Index into item.secondaryStats
+     * @returns {boolean} - True if the stat was rerolled
+     */
+    rerollStat(item, index) {
+        if (!this.getRerollableStats(item).includes(index)) return false;
+        if (!this.pay(this.getRerollCost(item), `reroll ${item.name}`)) return false;
+        
+        const oldStat = item.secondaryStats[index];
+        const otherTypes = item.secondaryStats.filter((stat, i) => i !== index).map(stat => stat.type);
+        const secondaryStats = [...item.secondaryStats];
+        secondaryStats[index] = this.rollStat(item, item.rarity, otherTypes);
+        
+        item.secondaryStats = secondaryStats;
+        this.recalculate(item);
+        
+        this.game.hudManager.showNotification(`Rerolled ${oldStat.type} on ${item.name}`);
+        return true;
+    }
+    
+    /**
+     * Upgrade an item to the next rarity, adding a secondary stat
+     * @param {Object} item - Item in the player's inventory
+     * @returns {boolean} - True if the item was upgraded
+     */
+    upgradeRarity(item) {
+        const nextRarity = this.getNextRarity(item);
+        if (!this.isCraftable(item) || !nextRarity) return false;
+        if (!this.pay(this.getUpgradeCost(item), `upgrade ${item.name}`)) return false;
+        
+        const existingTypes = (item.secondaryStats || []).map(stat => stat.type);
+        const secondaryStats = [...(item.secondaryStats || []), this.rollStat(item, nextRarity, existingTypes)];
+        
+        // Set pieces and unique names keep theirs; legendary and mythic names are enhanced by Item
+        const keepName = item.setId || ['legendary', 'mythic'].includes(item.rarity);
+        const baseName = item.name.replace(/^(Fine|Superior|Exquisite) /, '');
+        
+        const upgraded = new Item({
+            ...item,
+            name: keepName ? item.name : `${QUALITY_PREFIXES[nextRarity] || ''}${baseName}`,
+            rarity: nextRarity,
+            secondaryStats,
+            specialEffects: [...(item.specialEffects || [])],
+            visual: { ...item.visual }
+        });
+        if (keepName) {
+            upgraded.name = item.name;
+        }
+        
+        // Update the inventory entry in place so it keeps its instance id
+        Object.assign(item, upgraded);
+        this.recalculate(item);
+        
+        this.game.hudManager.showNotification(`Upgraded ${item.name} to ${nextRarity}`);
+        return true;
+    }
+    
+    /**
+     * Get the number of gem sockets on an item
+     * @param {Object} item - The item
+     * @returns {number} - Socket count
+     */
+    getSocketCount(item) {
+        return this.isCraftable(item) ? SOCKETS_BY_RARITY[item.rarity] || 0 : 0;
+    }
+    
+    /**
+     * Get the gems socketed into an item
+     * @param {Object} item - The item
+     * @returns {Array<Object>} - Secondary stats added by gems
+     */
+    getSocketedGems(item) {
+        return (item.secondaryStats || []).filter(stat => stat.gem);
+    }
+    
+    /**
+     * Socket a gem into an item, adding the gem's stat
+     * @param {Object} item - Item in the player's inventory
+     * @param {Object} gem - Gem stack in the player's inventory
+     * @returns {boolean} - True if the gem was socketed
+     */
+    socketGem(item, gem) {
+        const gemStat = CRAFTING_MATERIALS[gem.materialId]?.gemStat;
+        if (!gemStat || !this.isCraftable(item)) return false;
+        
+        if (this.getSocketedGems(item).length >= this.getSocketCount(item)) {
+            this.game.hudManager.showNotification(`${item.name} has no free sockets`);
+            return false;
+        }
+        if (!this.pay(this.getSocketCost(item), `socket ${gem.name}`)) return false;
+        
+        this.game.player.removeFromInventory(gem, 1);
+        item.secondaryStats = [...(item.secondaryStats || []), { ...gemStat, gem: gem.materialId }];
+        this.recalculate(item);
+        
+        this.game.hudManager.showNotification(`Socketed ${gem.name} into ${item.name}`);
+        return true;
+    }
+    
+    /**
+     * Roll a secondary stat from the item type's pool
+     * @param {Object} item - The item
+     * @param {string} rarity - Rarity the value is rolled for
+     * @param {Array<string>} excludeTypes - Stat types the item already has
+     * @returns {{type: string, value: number, element?: string}} - The stat
+     */
+    rollStat(item, rarity, excludeTypes) {
+        const generator = this.game.itemGenerator;
+        const pool = CRAFTING_STAT_POOLS[item.type];
+        const available = pool.filter(type => !excludeTypes.includes(type));
+        const type = generator.randomElement(available.length > 0 ? available : pool);
+        
+        const stat = { type, value: generator.generateStatValue(type, item.level || 1, rarity) };
+        if (type === 'elementalDamage') {
+            stat.element = generator.randomElement(['fire', 'ice', 'lightning', 'holy']);
+        }
+        return stat;
+    }
+    
+    /**
+     * Recalculate an inventory item's effective stats after its secondary stats changed
+     * Inventory entries are plain copies of Item instances, so Item's calculation is borrowed;
+     * gem stats are flat and don't scale with level and rarity
+     * @param {Object} item - The item
+     */
+    recalculate(item) {
+        Item.prototype.calculateEffectiveStats.call(item);
+        item.processedSecondaryStats = item.processedSecondaryStats.map((stat, index) => {
+            const source = item.secondaryStats[index];
+            return source.gem ? { ...stat, value: source.value } : stat;
+        });
+    }
+}
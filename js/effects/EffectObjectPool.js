@@ -107,6 +107,15 @@ export class EffectObjectPool {
             case 'projectile_arrow':
                 color = 0x885522;
                 break;
+            case 'projectile_poison':
+                color = 0x66cc22;
+                break;
+            case 'projectile_shadow':
+                color = 0x8833cc;
+                break;
+            case 'projectile_stone':
+                color = 0x8a7a66;
+                break;
             default:
                 color = 0xffffff;
         }
@@ -0,0 +1,258 @@
+import { DIFFICULTY_SCALING } from '../../config/game-balance.js';
+
+/**
+ * Adjusts enemy strength to the player's recent performance
+ * Tracks damage taken per encounter, time-to-kill versus expected and deaths,
+ * and turns them into a bounded adjustment applied to newly spawned enemies
+ */
+export class DifficultyDirector {
+    /**
+     * @param {import("../../game/Game.js").Game} game - The main game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.config = DIFFICULTY_SCALING.dynamicDifficulty;
+        this.enabled = this.config.enabled;
+
+        // Current adjustment (-maxAdjustmentFactor..+maxAdjustmentFactor)
+        this.adjustment = 0;
+
+        // Game clock in seconds (only advances while the game updates)
+        this.elapsed = 0;
+        this.adjustmentTimer = this.config.adjustmentCooldown;
+
+        // Current encounter
+        this.encounter = null;
+
+        // Recent history
+        this.encounterHistory = []; // { damageRatio, deaths }
+        this.killHistory = []; // time-to-kill / expected time-to-kill
+
+        // Last computed metric signals, kept for the debug overlay
+        this.lastMetrics = {
+            damageTaken: null,
+            timeToKill: null,
+            deathRate: null,
+            performance: 0
+        };
+    }
+
+    /**
+     * Advance the clock, close idle encounters and adjust on cooldown
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        this.elapsed += delta;
+
+        if (this.encounter && this.elapsed - this.encounter.lastActivity > this.config.encounterTimeout) {
+            this.endEncounter();
+        }
+
+        this.adjustmentTimer -= delta;
+        if (this.adjustmentTimer <= 0) {
+            this.adjustmentTimer = this.config.adjustmentCooldown;
+            this.adjust();
+        }
+    }
+
+    /**
+     * Start or extend the current encounter
+     */
+    markCombatActivity() {
+        if (!this.encounter) {
+            this.encounter = { damageTaken: 0, deaths: 0, lastActivity: this.elapsed };
+        }
+        this.encounter.lastActivity = this.elapsed;
+    }
+
+    /**
+     * Record damage taken by the local player
+     * @param {number} amount - Damage after reductions
+     */
+    recordDamageTaken(amount) {
+        this.markCombatActivity();
+        this.encounter.damageTaken += amount;
+    }
+
+    /**
+     * Record a local player death (ends the encounter)
+     */
+    recordPlayerDeath() {
+        this.markCombatActivity();
+        this.encounter.deaths++;
+        this.endEncounter();
+    }
+
+    /**
+     * Record damage dealt to an enemy (starts its time-to-kill clock)
+     * @param {import("./Enemy.js").Enemy} enemy - The enemy that was hit
+     */
+    recordEnemyDamaged(enemy) {
+        this.markCombatActivity();
+        if (enemy.firstDamagedAt === undefined) {
+            enemy.firstDamagedAt = this.elapsed;
+        }
+    }
+
+    /**
+     * Record an enemy kill and compare its time-to-kill with the expected value
+     * @param {import("./Enemy.js").Enemy} enemy - The enemy that died
+     */
+    recordEnemyKilled(enemy) {
+        this.markCombatActivity();
+        if (enemy.firstDamagedAt === undefined) {
+            return;
+        }
+
+        const expectedTimes = this.config.expectedTimeToKill;
+        const rank = enemy.isBoss ? 'boss' : (enemy.rank || 'normal');
+        const expected = expectedTimes[rank] || expectedTimes.normal;
+        const timeToKill = this.elapsed - enemy.firstDamagedAt;
+
+        this.pushHistory(this.killHistory, timeToKill / expected);
+    }
+
+    /**
+     * Store the finished encounter in the history
+     */
+    endEncounter() {
+        const encounter = this.encounter;
+        this.encounter = null;
+        if (!encounter) {
+            return;
+        }
+
+        const maxHealth = this.game && this.game.player ? this.game.player.getMaxHealth() : 100;
+        this.pushHistory(this.encounterHistory, {
+            damageRatio: encounter.damageTaken / Math.max(1, maxHealth),
+            deaths: encounter.deaths
+        });
+    }
+
+    /**
+     * Append to a history list, dropping the oldest entries
+     * @param {Array} history - The history list
+     * @param {*} entry - The entry to add
+     */
+    pushHistory(history, entry) {
+        history.push(entry);
+        while (history.length > this.config.historySize) {
+            history.shift();
+        }
+    }
+
+    /**
+     * Compute metric signals in -1..1 (positive = player doing well, raise difficulty)
+     * @returns {Object} - The metric values and signals
+     */
+    computeMetrics() {
+        const thresholds = this.config.thresholds;
+        const clamp = value => Math.max(-1, Math.min(1, value));
+        const metrics = {
+            damageTaken: null,
+            timeToKill: null,
+            deathRate: null,
+            signals: {}
+        };
+
+        if (this.encounterHistory.length > 0) {
+            const totalDamage = this.encounterHistory.reduce((sum, entry) => sum + entry.damageRatio, 0);
+            const totalDeaths = this.encounterHistory.reduce((sum, entry) => sum + entry.deaths, 0);
+
+            metrics.damageTaken = totalDamage / this.encounterHistory.length;
+            metrics.deathRate = totalDeaths / this.encounterHistory.length;
+
+            // Taking no damage = +1, exactly the threshold = 0, far above = -1
+            metrics.signals.damageTaken = clamp((thresholds.highDamageTaken - metrics.damageTaken) / thresholds.highDamageTaken);
+            metrics.signals.deathRate = clamp((thresholds.highDeathRate - metrics.deathRate) / thresholds.highDeathRate);
+        }
+
+        if (this.killHistory.length > 0) {
+            metrics.timeToKill = this.killHistory.reduce((sum, ratio) => sum + ratio, 0) / this.killHistory.length;
+
+            // Killing at the "fast" threshold = +1, as expected = 0, twice as slow = -1
+            metrics.signals.timeToKill = clamp((1 - metrics.timeToKill) / (1 - thresholds.fastKillTime));
+        }
+
+        return metrics;
+    }
+
+    /**
+     * Move the adjustment toward the target given by the weighted metrics
+     */
+    adjust() {
+        if (!this.enabled) {
+            return;
+        }
+
+        const metrics = this.computeMetrics();
+        const weights = this.config.metrics;
+        const weightedSignals = [
+            [metrics.signals.damageTaken, weights.damageTakenWeight],
+            [metrics.signals.timeToKill, weights.timeToKillWeight],
+            [metrics.signals.deathRate, weights.deathFrequencyWeight]
+        ].filter(([signal]) => signal !== undefined);
+
+        // Nothing happened since the game started
+        if (weightedSignals.length === 0) {
+            return;
+        }
+
+        // Normalize by the weights of the metrics that have data
+        const totalWeight = weightedSignals.reduce((sum, [, weight]) => sum + weight, 0);
+        const performance = weightedSignals.reduce((sum, [signal, weight]) => sum + signal * weight, 0) / totalWeight;
+
+        const maxFactor = this.config.maxAdjustmentFactor;
+        const target = performance * maxFactor;
+        this.adjustment += (target - this.adjustment) * this.config.adjustmentRate;
+        this.adjustment = Math.max(-maxFactor, Math.min(maxFactor, this.adjustment));
+
+        this.lastMetrics = {
+            damageTaken: metrics.damageTaken,
+            timeToKill: metrics.timeToKill,
+            deathRate: metrics.deathRate,
+            performance
+        };
+
+        console.debug(`Dynamic difficulty: performance ${performance.toFixed(2)}, adjustment ${(this.adjustment * 100).toFixed(1)}%`);
+    }
+
+    /**
+     * Get the multiplier for newly spawned enemies' health and damage
+     * @returns {number} - Multiplier between 1 - maxAdjustmentFactor and 1 + maxAdjustmentFactor
+     */
+    getMultiplier() {
+        return this.enabled ? 1 + this.adjustment : 1;
+    }
+
+    /**
+     * Enable or disable the director (disabling resets the adjustment)
+     * @param {boolean} enabled - Whether dynamic difficulty is active
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.adjustment = 0;
+        }
+    }
+
+    /**
+     * Get the state shown by the debug overlay
+     * @returns {Object} - Current factor, metrics and timers
+     */
+    getDebugInfo() {
+        return {
+            enabled: this.enabled,
+            multiplier: this.getMultiplier(),
+            adjustment: this.adjustment,
+            performance: this.lastMetrics.performance,
+            damageTaken: this.lastMetrics.damageTaken,
+            timeToKill: this.lastMetrics.timeToKill,
+            deathRate: this.lastMetrics.deathRate,
+            encounters: this.encounterHistory.length,
+            kills: this.killHistory.length,
+            inEncounter: this.encounter !== null,
+            nextAdjustmentIn: Math.max(0, this.adjustmentTimer)
+        };
+    }
+}
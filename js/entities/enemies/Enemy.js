@@ -1,7 +1,14 @@
 import * as THREE from 'three';
 import { EnemyModelFactory } from './models/EnemyModelFactory.js';
-import { ENEMY_BEHAVIOR_SETTINGS, ENEMY_TYPE_BEHAVIOR } from '../../config/enemy-behavior.js';
+import { ENEMY_BEHAVIOR_SETTINGS, ENEMY_TYPE_BEHAVIOR, ENEMY_NAVIGATION_SETTINGS } from '../../config/enemy-behavior.js';
 import { ENEMY_CONFIG } from '../../config/game-balance.js';
+import { EnemyAbilityFactory } from './affixes/EnemyAbilityFactory.js';
+import { AffixVisualEffect } from './affixes/AffixVisualEffect.js';
+import { EnemyAttackStrategyFactory } from './attacks/EnemyAttackStrategyFactory.js';
+import { BossAbilityController } from './bosses/BossAbilityController.js';
+import { EnemyStatusEffects } from './EnemyStatusEffects.js';
+import { RESISTANCE_SETTINGS } from '../../config/elements.js';
+import { resolveElement } from '../../utils/ElementUtils.js';
 
 export class Enemy {
     // Static counter for generating unique IDs
@@ -32,6 +39,10 @@ export class Enemy {
         this.color = config.color || 0xcccccc;
         this.scale = config.scale || 1;
         this.isBoss = config.isBoss || false;
+        this.behavior = config.behavior || 'aggressive';
+        
+        // Elemental resistances by element (negative values are weaknesses); affixes can add to them
+        this.resistances = { ...(config.resistances || {}) };
         
         // Flag for minimap identification
         this.isEnemy = true;
@@ -49,13 +60,21 @@ export class Enemy {
             knockbackEndTime: 0,
             isAggressive: false,
             aggressionEndTime: 0,
-            isStunned: false,
-            stunEndTime: 0
+            isStunned: false
         };
         
         // Apply behavior settings from config
         this.applyBehaviorSettings();
         
+        // How the basic attack is delivered (melee hit or projectile), chosen from the behavior
+        this.attackStrategy = EnemyAttackStrategyFactory.createStrategy(this);
+        
+        // Buffs and debuffs (slow, stun, freeze, poison, burning...) and immunities to them
+        this.statusEffects = new EnemyStatusEffects(this);
+        
+        // Speed multipliers added by skills, by source id
+        this.speedModifiers = new Map();
+        
         // Enemy position and orientation
         this.position = new THREE.Vector3();
         this.rotation = new THREE.Euler(0, 0, 0);
@@ -78,8 +97,26 @@ export class Enemy {
         // Flag to track if initial position has been set (for bosses)
         this.initialPositionSet = false;
         
-        // Store the initial Y position for bosses to prevent sinking
-        this.initialYPosition = null;
+        // Grounded Y position for bosses (terrain height + offset), kept up to date as
+        // they move and re-applied every frame so other code cannot make them sink
+        this.groundedYPosition = null;
+        
+        // Affixes and the abilities/visuals they grant
+        this.rank = 'normal';
+        this.affixes = [];
+        this.abilities = [];
+        this.visualEffects = [];
+        
+        // Bosses cast the abilities listed in their configuration (see BOSS_ABILITIES)
+        this.bossAbilities = this.isBoss && config.abilities ? new BossAbilityController(this, config.abilities) : null;
+        
+        // Path following state for obstacle-aware chasing
+        this.navigation = {
+            path: null,
+            waypointIndex: 0,
+            repathTimer: 0,
+            lastTargetPosition: new THREE.Vector3()
+        };
     }
     
     init() {
@@ -172,18 +209,27 @@ export class Enemy {
         }
         
         // For bosses, ensure Y position is maintained at all times
-        if (this.isBoss && this.initialPositionSet && this.initialYPosition !== null) {
-            // Force Y position to always be the initial value
-            if (this.position.y !== this.initialYPosition) {
-                this.position.y = this.initialYPosition;
+        if (this.isBoss && this.initialPositionSet && this.groundedYPosition !== null) {
+            // Force Y position to always be the grounded value
+            if (this.position.y !== this.groundedYPosition) {
+                this.position.y = this.groundedYPosition;
                 
                 // Also force the model's Y position
                 if (this.modelGroup) {
-                    this.modelGroup.position.y = this.initialYPosition;
+                    this.modelGroup.position.y = this.groundedYPosition;
                 }
             }
         }
         
+        // Update affix and boss abilities and visuals (hazards and markers keep ticking while stunned or knocked back)
+        this.updateAbilities(delta);
+        
+        // Update status effects (damage over time can kill the enemy)
+        this.statusEffects.update(delta);
+        if (this.state.isDead) {
+            return;
+        }
+        
         // Handle knockback
         if (this.state.isKnockedBack) {
             if (Date.now() < this.state.knockbackEndTime) {
@@ -197,18 +243,12 @@ export class Enemy {
             }
         }
         
-        // Handle stun state
+        // Handle stun state (stuns and freezes are status effects that set isStunned)
         if (this.state.isStunned) {
-            if (Date.now() < this.state.stunEndTime) {
-                // Enemy is stunned, only update terrain height and animations
-                this.updateTerrainHeight();
-                this.updateAnimations(delta);
-                return;
-            } else {
-                // Stun has ended
-                this.state.isStunned = false;
-                console.debug(`${this.name} is no longer stunned`);
-            }
+            // Enemy is stunned, only update terrain height and animations
+            this.updateTerrainHeight();
+            this.updateAnimations(delta);
+            return;
         }
         
         // Update terrain height
@@ -241,42 +281,21 @@ export class Enemy {
             console.debug(`Enemy ${this.id} targeting ${targetType}, distance: ${distanceToPlayer.toFixed(2)}, attack range: ${this.attackRange.toFixed(2)}`);
         }
         
-        // Special abilities for certain enemy types
-        if (this.type === 'frost_titan') {
-            // Initialize special ability cooldowns if not already
-            if (!this.specialAbilityCooldowns) {
-                this.specialAbilityCooldowns = {
-                    iceStorm: 0,
-                    frostNova: 0
-                };
-            }
-            
-            // Reduce cooldowns
-            if (this.specialAbilityCooldowns.iceStorm > 0) {
-                this.specialAbilityCooldowns.iceStorm -= delta;
-            }
-            
-            if (this.specialAbilityCooldowns.frostNova > 0) {
-                this.specialAbilityCooldowns.frostNova -= delta;
-            }
-            
-            // Ice Storm ability (ranged)
-            if (distanceToPlayer <= 10 && distanceToPlayer > this.attackRange && this.specialAbilityCooldowns.iceStorm <= 0) {
-                this.castIceStorm(playerPosition);
-                this.specialAbilityCooldowns.iceStorm = 8; // 8 second cooldown
-                return;
-            }
-            
-            // Frost Nova ability (close range)
-            if (distanceToPlayer <= this.attackRange * 1.5 && this.specialAbilityCooldowns.frostNova <= 0) {
-                this.castFrostNova();
-                this.specialAbilityCooldowns.frostNova = 5; // 5 second cooldown
-                return;
-            }
+        // Advance a telegraphed attack; the enemy holds position until it lands
+        this.attackStrategy.update(delta);
+        if (this.attackStrategy.isWindingUp()) {
+            this.updateAnimations(delta);
+            return;
         }
         
-        // Check if target (player or clone) is in attack range
-        if (distanceToPlayer <= this.attackRange) {
+        // Boss abilities take priority over the basic attack; the boss holds still while channeling
+        if (this.bossAbilities && this.bossAbilities.update(delta, distanceToPlayer)) {
+            this.updateAnimations(delta);
+            return;
+        }
+        
+        // Check if target (player or clone) is in attack range (ranged attackers also need a clear line of fire)
+        if (this.attackStrategy.canAttack(this.targetPlayer, distanceToPlayer)) {
             console.debug(`Enemy ${this.id} in attack range of target, distance: ${distanceToPlayer.toFixed(2)}, attack range: ${this.attackRange.toFixed(2)}, cooldown: ${this.state.attackCooldown.toFixed(2)}`);
             
             // Stop moving when in attack range
@@ -301,6 +320,11 @@ export class Enemy {
                 console.debug(`Enemy ${this.id} waiting for attack cooldown: ${this.state.attackCooldown.toFixed(2)}`);
             }
             
+            // Ranged attackers keep their distance while reloading
+            if (this.attackStrategy.shouldKite(distanceToPlayer)) {
+                this.retreatFrom(playerPosition, delta, this.attackStrategy.settings.kiteSpeedMultiplier);
+            }
+            
             // Set aggressive state when target is in attack range
             this.state.isAggressive = true;
             this.state.aggressionEndTime = Date.now() + (this.aggressionTimeout * 1000);
@@ -316,32 +340,12 @@ export class Enemy {
             if (distanceToPlayer <= this.detectionRange || this.state.isAggressive) {
                 this.state.isMoving = true;
                 
-                // Calculate direction to target (player or clone)
-                const directionX = playerPosition.x - this.position.x;
-                const directionZ = playerPosition.z - this.position.z;
-                
-                // Normalize direction
-                const length = Math.sqrt(directionX * directionX + directionZ * directionZ);
-                const normalizedDirectionX = directionX / length;
-                const normalizedDirectionZ = directionZ / length;
-                
-                // Update rotation to face target
-                this.rotation.y = Math.atan2(normalizedDirectionX, normalizedDirectionZ);
-                
-                // Calculate new position
-                const moveSpeed = this.speed * delta;
-                const newPosition = {
-                    x: this.position.x + normalizedDirectionX * moveSpeed,
-                    y: this.position.y,
-                    z: this.position.z + normalizedDirectionZ * moveSpeed
-                };
-                
                 // Update position - but only if we're not already in attack range of a clone
                 const isTargetingClone = this.targetPlayer !== this.player;
                 
                 if (!isTargetingClone || (isTargetingClone && distanceToPlayer > this.attackRange * 0.9)) {
                     // Only move if we're not targeting a clone or if we're not close enough to attack it
-                    this.setPosition(newPosition.x, newPosition.y, newPosition.z);
+                    this.moveTowards(playerPosition, distanceToPlayer, delta);
                     console.debug(`Enemy ${this.id} moving toward ${isTargetingClone ? 'CLONE' : 'player'}, distance: ${distanceToPlayer.toFixed(2)}`);
                 } else {
                     // We're targeting a clone and we're close enough to attack, so don't move
@@ -361,6 +365,205 @@ export class Enemy {
         this.updateAnimations(delta);
     }
 
+    /**
+     * Move toward a target, following a navigation path around obstacles
+     * and steering away from nearby enemies
+     * @param {THREE.Vector3} targetPosition - Position to move toward
+     * @param {number} distanceToTarget - Current distance to the target
+     * @param {number} delta - Time since last update (in seconds)
+     * @param {number} [speedMultiplier=1] - Multiplier applied to the movement speed
+     */
+    moveTowards(targetPosition, distanceToTarget, delta, speedMultiplier = 1) {
+        const navigationManager = this.world ? this.world.navigationManager : null;
+        
+        // Direction along the path (or straight at the target when no path is needed)
+        const direction = this.getPathDirection(navigationManager, targetPosition, distanceToTarget, delta);
+        if (!direction) {
+            return;
+        }
+        
+        // Local steering: keep distance from other enemies and probe for obstacles ahead
+        this.applySeparation(direction);
+        this.avoidObstacles(navigationManager, direction);
+        
+        // Update rotation to face the movement direction
+        this.rotation.y = Math.atan2(direction.x, direction.z);
+        
+        // Calculate new position
+        const moveSpeed = this.speed * speedMultiplier * this.getSpeedMultiplier() * delta;
+        this.setPosition(
+            this.position.x + direction.x * moveSpeed,
+            this.position.y,
+            this.position.z + direction.z * moveSpeed
+        );
+    }
+    
+    /**
+     * Back away from a target (kiting), still facing it so the next shot is aimed
+     * @param {THREE.Vector3} targetPosition - Position to move away from
+     * @param {number} delta - Time since last update (in seconds)
+     * @param {number} [speedMultiplier=1] - Multiplier applied to the movement speed
+     */
+    retreatFrom(targetPosition, delta, speedMultiplier = 1) {
+        const away = new THREE.Vector3(
+            this.position.x - targetPosition.x,
+            0,
+            this.position.z - targetPosition.z
+        );
+        if (away.lengthSq() === 0) {
+            away.set(Math.sin(this.rotation.y), 0, Math.cos(this.rotation.y)).negate();
+        }
+        away.normalize();
+        
+        // Aim for a point a full attack range away; pathing steers around obstacles behind the enemy
+        const retreatPoint = this.position.clone().addScaledVector(away, this.attackRange);
+        this.state.isMoving = true;
+        this.moveTowards(retreatPoint, this.attackRange, delta, speedMultiplier);
+        
+        // Keep facing the target
+        this.rotation.y = Math.atan2(-away.x, -away.z);
+    }
+    
+    /**
+     * Get the normalized movement direction toward a target, using A* paths when obstacles are in the way
+     * @param {import("../../world/navigation/NavigationManager.js").NavigationManager|null} navigationManager - The navigation grid
+     * @param {THREE.Vector3} targetPosition - Position to move toward
+     * @param {number} distanceToTarget - Current distance to the target
+     * @param {number} delta - Time since last update (in seconds)
+     * @returns {THREE.Vector3|null} - The direction, or null if already at the target
+     */
+    getPathDirection(navigationManager, targetPosition, distanceToTarget, delta) {
+        const navigation = this.navigation;
+        navigation.repathTimer -= delta;
+        
+        let waypoint = targetPosition;
+        
+        // Only path when obstacles are registered, the target is not too far, and the straight line is blocked
+        const needsPath = navigationManager &&
+            navigationManager.hasObstacles() &&
+            distanceToTarget <= ENEMY_NAVIGATION_SETTINGS.maxPathDistance &&
+            !navigationManager.hasLineOfSight(this.position, targetPosition);
+        
+        if (needsPath) {
+            const targetMoved = navigation.lastTargetPosition.distanceTo(targetPosition) > ENEMY_NAVIGATION_SETTINGS.targetMoveThreshold;
+            const pathFinished = !navigation.path || navigation.waypointIndex >= navigation.path.length;
+            
+            if (navigation.repathTimer <= 0 && (pathFinished || targetMoved)) {
+                navigation.path = navigationManager.findPath(this.position, targetPosition);
+                navigation.waypointIndex = 0;
+                navigation.repathTimer = ENEMY_NAVIGATION_SETTINGS.repathInterval;
+                navigation.lastTargetPosition.copy(targetPosition);
+            }
+            
+            // Advance past reached waypoints
+            const path = navigation.path;
+            if (path) {
+                while (navigation.waypointIndex < path.length) {
+                    const current = path[navigation.waypointIndex];
+                    const dx = current.x - this.position.x;
+                    const dz = current.z - this.position.z;
+                    if (Math.sqrt(dx * dx + dz * dz) > ENEMY_NAVIGATION_SETTINGS.waypointReachDistance) {
+                        break;
+                    }
+                    navigation.waypointIndex++;
+                }
+                
+                if (navigation.waypointIndex < path.length) {
+                    waypoint = path[navigation.waypointIndex];
+                }
+            }
+        } else if (navigation.path) {
+            // Direct line is clear again
+            navigation.path = null;
+            navigation.waypointIndex = 0;
+        }
+        
+        const direction = new THREE.Vector3(waypoint.x - this.position.x, 0, waypoint.z - this.position.z);
+        if (direction.lengthSq() < 0.0001) {
+            return null;
+        }
+        
+        return direction.normalize();
+    }
+    
+    /**
+     * Blend a separation force from nearby enemies into a movement direction
+     * @param {THREE.Vector3} direction - Normalized movement direction (modified in place)
+     */
+    applySeparation(direction) {
+        const enemyManager = this.player && this.player.game ? this.player.game.enemyManager : null;
+        if (!enemyManager) {
+            return;
+        }
+        
+        const radius = ENEMY_NAVIGATION_SETTINGS.separationRadius;
+        let pushX = 0;
+        let pushZ = 0;
+        
+        for (const other of enemyManager.enemies.values()) {
+            if (other === this || other.state.isDead) {
+                continue;
+            }
+            
+            const dx = this.position.x - other.position.x;
+            const dz = this.position.z - other.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance > 0.0001 && distance < radius) {
+                // Closer enemies push harder
+                const strength = (radius - distance) / radius;
+                pushX += (dx / distance) * strength;
+                pushZ += (dz / distance) * strength;
+            }
+        }
+        
+        if (pushX === 0 && pushZ === 0) {
+            return;
+        }
+        
+        const weight = ENEMY_NAVIGATION_SETTINGS.separationWeight;
+        direction.x += pushX * weight;
+        direction.z += pushZ * weight;
+        
+        if (direction.lengthSq() < 0.0001) {
+            return;
+        }
+        direction.normalize();
+    }
+    
+    /**
+     * Deflect a movement direction when the grid is blocked just ahead
+     * @param {import("../../world/navigation/NavigationManager.js").NavigationManager|null} navigationManager - The navigation grid
+     * @param {THREE.Vector3} direction - Normalized movement direction (modified in place)
+     */
+    avoidObstacles(navigationManager, direction) {
+        if (!navigationManager || !navigationManager.hasObstacles()) {
+            return;
+        }
+        
+        const probe = ENEMY_NAVIGATION_SETTINGS.avoidanceProbeDistance;
+        const isBlockedAhead = (dirX, dirZ) => navigationManager.isBlocked(
+            this.position.x + dirX * probe,
+            this.position.z + dirZ * probe
+        );
+        
+        // Enemies already inside a footprint (spawned or knocked there) walk straight out
+        if (!isBlockedAhead(direction.x, direction.z) || navigationManager.isBlocked(this.position.x, this.position.z)) {
+            return;
+        }
+        
+        for (const angle of ENEMY_NAVIGATION_SETTINGS.avoidanceAngles) {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const dirX = direction.x * cos - direction.z * sin;
+            const dirZ = direction.x * sin + direction.z * cos;
+            
+            if (!isBlockedAhead(dirX, dirZ)) {
+                direction.set(dirX, 0, dirZ);
+                return;
+            }
+        }
+    }
+    
     /**
      * Find the closest player (local or remote) or shadow clone to target
      */
@@ -491,96 +694,18 @@ export class Enemy {
         // Play attack animation
         this.playAttackAnimation();
         
-        // Deal damage to target (player, remote player, or clone)
+        // Hit the target (player, remote player, or clone) or fire at it, depending on the attack strategy
         if (this.targetPlayer) {
-            const isClone = this.targetPlayer !== this.player;
-            console.debug(`ENEMY TARGET: Enemy ${this.id} has target: ${isClone ? 'CLONE' : 'PLAYER'}`);
-            
-            if (typeof this.targetPlayer.takeDamage === 'function') {
-                try {
-                    console.debug(`ENEMY DAMAGE: Enemy ${this.id} dealing ${this.damage} damage to ${isClone ? 'CLONE' : 'PLAYER'}`);
-                    
-                    // Apply damage to the target
-                    this.targetPlayer.takeDamage(this.damage);
-                    
-                    // Visual feedback for attack
-                    if (isClone) {
-                        console.debug(`ENEMY EFFECT: Creating visual effect for clone attack`);
-                        
-                        // If attacking a clone, create a visual effect
-                        const targetPos = this.targetPlayer.getPosition();
-                        if (targetPos && this.player.game && this.player.game.effectsManager) {
-                            // Create a simple attack effect at the target position
-                            const effectPos = new THREE.Vector3(targetPos.x, targetPos.y + 1, targetPos.z);
-                            this.player.game.effectsManager.createBleedingEffect(this.damage, effectPos, false);
-                        }
-                    }
-                } catch (error) {
-                    console.error(`Error in enemy attack: ${error.message}`);
-                }
-            } else {
-                console.error(`Enemy ${this.id} target doesn't have takeDamage function`);
-            }
+            this.attackStrategy.execute(this.targetPlayer);
         } else {
             console.error(`Enemy ${this.id} has no target to attack`);
         }
         
-        // Reset attack state after a short delay
-        setTimeout(() => {
-            this.state.isAttacking = false;
-        }, 500);
-    }
-    
-    castIceStorm(targetPosition) {
-        // Set attack state
-        this.state.isAttacking = true;
-        
-        // Create ice storm effect
-        // (This would be implemented with particle effects and area damage)
-        console.debug(`${this.name} casts Ice Storm at position ${targetPosition.x}, ${targetPosition.z}`);
-        
-        // Deal damage to player if in area
-        const distanceToPlayer = Math.sqrt(
-            Math.pow(targetPosition.x - this.player.getPosition().x, 2) +
-            Math.pow(targetPosition.z - this.player.getPosition().z, 2)
-        );
-        
-        if (distanceToPlayer < 5) {
-            this.player.takeDamage(this.damage * 1.5);
-            // Apply slow effect to player
-            this.player.applyEffect('slow', 3);
-        }
-        
-        // Reset attack state after a delay
-        setTimeout(() => {
-            this.state.isAttacking = false;
-        }, 1000);
-    }
-    
-    castFrostNova() {
-        // Set attack state
-        this.state.isAttacking = true;
-        
-        // Create frost nova effect
-        // (This would be implemented with particle effects and area damage)
-        console.debug(`${this.name} casts Frost Nova`);
-        
-        // Deal damage to player if in area
-        const distanceToPlayer = Math.sqrt(
-            Math.pow(this.position.x - this.player.getPosition().x, 2) +
-            Math.pow(this.position.z - this.player.getPosition().z, 2)
-        );
-        
-        if (distanceToPlayer < this.attackRange * 1.5) {
-            this.player.takeDamage(this.damage);
-            // Apply freeze effect to player
-            this.player.applyEffect('freeze', 2);
-        }
-        
-        // Reset attack state after a delay
+        // Reset attack state after a short delay (covering the wind-up)
+        const windUpTime = this.attackStrategy.settings.windUpTime || 0;
         setTimeout(() => {
             this.state.isAttacking = false;
-        }, 800);
+        }, 500 + windUpTime * 1000);
     }
     
     /**
@@ -589,9 +714,21 @@ export class Enemy {
      * @param {boolean} knockback - Whether to apply knockback
      * @param {THREE.Vector3} knockbackDirection - Direction of knockback
      * @param {boolean} ignoreDefense - Whether to ignore defense (for true damage)
+     * @param {string|null} [element=null] - Element of the damage, checked against the enemy's resistances
      * @returns {number} - The actual damage taken after reductions
      */
-    takeDamage(amount, knockback = false, knockbackDirection = null, ignoreDefense = false) {
+    takeDamage(amount, knockback = false, knockbackDirection = null, ignoreDefense = false, element = null) {
+        // Affix and boss abilities can reduce or block incoming damage (e.g. shielded, ice barrier)
+        for (const ability of this.abilities) {
+            amount = ability.modifyIncomingDamage(amount);
+        }
+        if (amount <= 0) {
+            return 0;
+        }
+        
+        // Resistances reduce the damage of their element, weaknesses increase it
+        amount *= 1 - this.getResistance(element);
+        
         // Calculate actual damage after defense
         let actualDamage = amount;
         
@@ -635,6 +772,9 @@ export class Enemy {
         // Reduce health by the actual damage
         this.health -= actualDamage;
         
+        // Start the time-to-kill clock for dynamic difficulty
+        this.player.game?.enemyManager?.difficultyDirector?.recordEnemyDamaged(this);
+        
         // Check if dead
         if (this.health <= 0) {
             this.die();
@@ -649,9 +789,56 @@ export class Enemy {
         // Update health bar
         this.updateHealthBar();
         
+        // Let affix abilities react to the hit (e.g. teleport away, enrage)
+        this.abilities.forEach(ability => ability.onDamageTaken(actualDamage));
+        
         return actualDamage;
     }
     
+    /**
+     * Add a persistent affix visual to the enemy
+     * @param {string} effectType - Visual effect id from the affix configuration
+     */
+    addVisualEffect(effectType) {
+        this.visualEffects.push(new AffixVisualEffect(this, effectType));
+    }
+    
+    /**
+     * Add an affix ability to the enemy
+     * @param {Object} abilityConfig - Ability configuration from the affix (must include a type)
+     */
+    addAbility(abilityConfig) {
+        const ability = EnemyAbilityFactory.createAbility(this, abilityConfig);
+        if (ability) {
+            this.abilities.push(ability);
+        }
+    }
+    
+    /**
+     * Update affix abilities and visuals
+     * @param {number} delta - Time since last update in seconds
+     */
+    updateAbilities(delta) {
+        for (const ability of this.abilities) {
+            ability.update(delta);
+        }
+        
+        for (const visualEffect of this.visualEffects) {
+            visualEffect.update(delta);
+        }
+    }
+    
+    /**
+     * Remove all affix abilities and visuals
+     */
+    disposeAbilities() {
+        this.abilities.forEach(ability => ability.dispose());
+        this.abilities = [];
+        
+        this.visualEffects.forEach(visualEffect => visualEffect.dispose());
+        this.visualEffects = [];
+    }
+    
     /**
      * Updates the enemy's health bar (if any)
      * This method is called when health changes
@@ -718,8 +905,10 @@ export class Enemy {
         this.state.isKnockedBack = true;
         this.state.knockbackEndTime = Date.now() + 300; // 300ms knockback duration
         
-        // Apply knockback movement only for non-boss enemies
+        // Apply knockback movement only for non-boss enemies (it also interrupts their wind-up)
         if (direction && !this.isBoss) {
+            this.attackStrategy.cancel();
+            
             const knockbackDistance = 1.0; // Knockback distance in units
             const newPosition = {
                 x: this.position.x + direction.x * knockbackDistance,
@@ -735,6 +924,16 @@ export class Enemy {
         // Set dead state
         this.state.isDead = true;
         
+        // Drop any attack being wound up and end every effect
+        this.attackStrategy.cancel();
+        this.statusEffects.clearAllEffects();
+        
+        // Trigger on-death affix abilities (e.g. molten explosion)
+        this.abilities.forEach(ability => ability.onDeath());
+        
+        // Report the kill for dynamic difficulty
+        this.player.game?.enemyManager?.difficultyDirector?.recordEnemyKilled(this);
+        
         // Check if we're in multiplayer mode
         if (this.player.game && 
             this.player.game.multiplayerManager && 
@@ -851,6 +1050,12 @@ export class Enemy {
     }
 
     removeFromScene() {
+        // Remove affix hazards and visuals
+        this.disposeAbilities();
+        
+        // Remove attack telegraphs
+        this.attackStrategy.dispose();
+        
         // Remove model from scene
         if (this.modelGroup) {
             this.scene.remove(this.modelGroup);
@@ -875,7 +1080,8 @@ export class Enemy {
     }
 
     updateTerrainHeight() {
-        // For bosses, we NEVER update Y position after initial setup
+        // Bosses follow the terrain through their stored grounded Y position, which
+        // is re-applied every frame so they neither float nor sink
         if (this.isBoss) {
             if (this.modelGroup) {
                 // For bosses, only update rotation
@@ -885,24 +1091,32 @@ export class Enemy {
                 if (!this.initialPositionSet && this.world) {
                     const terrainHeight = this.world.getTerrainHeight(this.position.x, this.position.z);
                     if (terrainHeight !== null) {
-                        // Store the initial Y position for bosses
-                        this.initialYPosition = terrainHeight + this.heightOffset;
-                        this.position.y = this.initialYPosition;
+                        // Store the first grounded Y position for bosses
+                        this.groundedYPosition = terrainHeight + this.heightOffset;
+                        this.position.y = this.groundedYPosition;
                         
                         // Update model position with this Y value
                         this.modelGroup.position.copy(this.position);
                         
                         // Mark as initialized
                         this.initialPositionSet = true;
-                        console.debug(`Boss ${this.name} initial Y position set to ${this.initialYPosition}`);
+                        console.debug(`Boss ${this.name} initial Y position set to ${this.groundedYPosition}`);
                     }
                 } else if (this.initialPositionSet) {
-                    // Always restore the Y position to the initial value for bosses
+                    // Track the terrain heightmap so bosses neither float nor sink on slopes
+                    if (this.world) {
+                        const terrainHeight = this.world.getTerrainHeight(this.position.x, this.position.z);
+                        if (terrainHeight !== null && !isNaN(terrainHeight)) {
+                            this.groundedYPosition = terrainHeight + this.heightOffset;
+                        }
+                    }
+                    
+                    // Always apply the grounded Y position for bosses
                     // This ensures they never sink regardless of what other code might do
-                    this.position.y = this.initialYPosition;
+                    this.position.y = this.groundedYPosition;
                     
                     // Force the model's Y position to match
-                    this.modelGroup.position.y = this.initialYPosition;
+                    this.modelGroup.position.y = this.groundedYPosition;
                 }
             }
             return;
@@ -929,24 +1143,24 @@ export class Enemy {
     setPosition(x, y, z) {
         // Special handling for bosses
         if (this.isBoss) {
-            if (this.initialPositionSet && this.initialYPosition !== null) {
+            if (this.initialPositionSet && this.groundedYPosition !== null) {
                 // For bosses with established position, only update X and Z
                 this.position.x = x;
                 this.position.z = z;
                 
-                // ALWAYS use the stored initial Y position to prevent sinking
-                this.position.y = this.initialYPosition;
+                // ALWAYS use the stored grounded Y position to prevent sinking
+                this.position.y = this.groundedYPosition;
                 
                 // Update model position, ensuring Y is correct
                 if (this.modelGroup) {
                     this.modelGroup.position.x = this.position.x;
                     this.modelGroup.position.z = this.position.z;
-                    this.modelGroup.position.y = this.initialYPosition;
+                    this.modelGroup.position.y = this.groundedYPosition;
                 }
                 
                 // Debug log to track boss position
                 if (Math.random() < 0.01) { // Log occasionally to avoid spam
-                    console.debug(`Boss ${this.name} position maintained at Y=${this.initialYPosition}`);
+                    console.debug(`Boss ${this.name} position maintained at Y=${this.groundedYPosition}`);
                 }
                 return;
             } else if (!this.initialPositionSet) {
@@ -959,15 +1173,15 @@ export class Enemy {
                     const terrainHeight = this.world.getTerrainHeight(x, z);
                     if (terrainHeight !== null) {
                         // Use terrain height + offset for Y position
-                        this.initialYPosition = terrainHeight + this.heightOffset;
-                        this.position.y = this.initialYPosition;
+                        this.groundedYPosition = terrainHeight + this.heightOffset;
+                        this.position.y = this.groundedYPosition;
                     } else {
                         // If terrain height is not available, use provided Y
-                        this.initialYPosition = y;
+                        this.groundedYPosition = y;
                     }
                 } else {
                     // No world reference, use provided Y
-                    this.initialYPosition = y;
+                    this.groundedYPosition = y;
                 }
                 
                 // Update model position
@@ -977,7 +1191,7 @@ export class Enemy {
                 
                 // Mark as initialized
                 this.initialPositionSet = true;
-                console.debug(`Boss ${this.name} initial position set at Y=${this.initialYPosition}`);
+                console.debug(`Boss ${this.name} initial position set at Y=${this.groundedYPosition}`);
                 return;
             }
         }
@@ -1019,9 +1233,110 @@ export class Enemy {
      * @param {number} duration - Duration of stun in seconds
      */
     stun(duration) {
-        this.state.isStunned = true;
-        this.state.stunEndTime = Date.now() + (duration * 1000);
-        console.debug(`${this.name} stunned for ${duration} seconds`);
+        if (this.statusEffects.applyEffect('stun', duration)) {
+            console.debug(`${this.name} stunned for ${duration} seconds`);
+        }
+    }
+    
+    /**
+     * Apply a status effect to the enemy
+     * Skills pass either an effect type or an effect object ({type, duration, intensity, onApply, onTick, onRemove})
+     * @param {string|Object} effect - Effect type (see STATUS_EFFECTS) or effect object
+     * @param {number} [duration] - Duration in seconds (when passing a type)
+     * @param {number} [intensity] - Intensity (when passing a type)
+     * @returns {boolean} - Whether the effect was applied
+     */
+    addStatusEffect(effect, duration, intensity) {
+        if (this.state.isDead) {
+            return false;
+        }
+        
+        if (typeof effect === 'string') {
+            return this.statusEffects.applyEffect(effect, duration, intensity);
+        }
+        
+        return this.statusEffects.applyEffect(effect.type, effect.duration, effect.intensity, {
+            hooks: { onApply: effect.onApply, onTick: effect.onTick, onRemove: effect.onRemove }
+        });
+    }
+    
+    /**
+     * Apply a status effect to the enemy (alias of addStatusEffect)
+     * @param {string|Object} effect - Effect type or effect object
+     * @param {number} [duration] - Duration in seconds
+     * @param {number} [intensity] - Intensity
+     * @returns {boolean} - Whether the effect was applied
+     */
+    applyStatusEffect(effect, duration, intensity) {
+        return this.addStatusEffect(effect, duration, intensity);
+    }
+    
+    /**
+     * Remove a status effect from the enemy
+     * @param {string} effectType - Effect type
+     * @returns {boolean} - Whether the effect was removed
+     */
+    removeStatusEffect(effectType) {
+        return this.statusEffects.removeEffect(effectType);
+    }
+    
+    /**
+     * Check if a status effect is active on the enemy
+     * @param {string} effectType - Effect type
+     * @returns {boolean} - Whether the effect is active
+     */
+    hasStatusEffect(effectType) {
+        return this.statusEffects.hasEffect(effectType);
+    }
+    
+    /**
+     * Get the enemy's resistance to an element
+     * @param {string|null} element - Damage element (untyped damage counts as physical)
+     * @returns {number} - Share of the damage ignored; negative for weaknesses
+     */
+    getResistance(element) {
+        const resistance = this.resistances[resolveElement(element)] || 0;
+        return Math.max(-RESISTANCE_SETTINGS.maxWeakness, Math.min(RESISTANCE_SETTINGS.maxResistance, resistance));
+    }
+    
+    /**
+     * Add resistances on top of the enemy type's own (e.g. from affixes)
+     * @param {Object<string, number>} [resistances] - Resistances by element
+     */
+    addResistances(resistances) {
+        Object.entries(resistances || {}).forEach(([element, value]) => {
+            const resolved = resolveElement(element);
+            this.resistances[resolved] = (this.resistances[resolved] || 0) + value;
+        });
+    }
+    
+    /**
+     * Scale the enemy's movement speed until the modifier is removed
+     * @param {string} sourceId - Id of the skill adding the modifier
+     * @param {number} multiplier - Speed multiplier (0.5 = half speed)
+     */
+    applySpeedModifier(sourceId, multiplier) {
+        this.speedModifiers.set(sourceId, multiplier);
+    }
+    
+    /**
+     * Remove a speed modifier added by a skill
+     * @param {string} sourceId - Id of the skill that added the modifier
+     */
+    removeSpeedModifier(sourceId) {
+        this.speedModifiers.delete(sourceId);
+    }
+    
+    /**
+     * Get the multiplier slows, hastes and skill modifiers apply to movement speed
+     * @returns {number} - Movement speed multiplier
+     */
+    getSpeedMultiplier() {
+        let multiplier = this.statusEffects.getMovementMultiplier();
+        for (const modifier of this.speedModifiers.values()) {
+            multiplier *= modifier;
+        }
+        return multiplier;
     }
     
     getHealth() {
@@ -13,6 +13,9 @@ import {
     DIFFICULTY_SCALING 
 } from '../../config/game-balance.js';
 import { ItemGenerator } from '../items/ItemGenerator.js';
+import { createMaterial } from '../../utils/CraftingUtils.js';
+import { DifficultyDirector } from './DifficultyDirector.js';
+import { EnemyProjectileManager } from './attacks/EnemyProjectileManager.js';
 
 /**
  * @typedef {Object} EnemyType
@@ -102,6 +105,10 @@ export class EnemyManager {
         this.zoneDifficultyMultipliers = ZONE_DIFFICULTY_MULTIPLIERS;
         // Track current difficulty
         this.currentDifficulty = 'basic'; // Default difficulty
+        this.sessionDifficulty = null; // Host's difficulty while in a multiplayer session
+        
+        // Dynamic difficulty adjustment based on player performance
+        this.difficultyDirector = new DifficultyDirector(game);
         
         // Multiplayer support
         this.isMultiplayer = false;
@@ -130,6 +137,9 @@ export class EnemyManager {
         
         // Track enemies that have already dropped items to prevent duplicate drops
         this.processedDrops = new Map();
+        
+        // Projectiles fired by ranged enemies (hits are resolved by CollisionManager)
+        this.projectileManager = new EnemyProjectileManager(scene);
     }
     
     // setGame method removed - game is now passed in constructor
@@ -187,6 +197,9 @@ export class EnemyManager {
         
         // In multiplayer mode, only the host should spawn enemies
         if (!this.isMultiplayer || (this.isMultiplayer && this.isHost)) {
+            // Update dynamic difficulty (affects enemies spawned from now on)
+            this.difficultyDirector.update(delta);
+            
             // Update regular enemy spawn timer
             this.spawnTimer += delta;
             
@@ -340,6 +353,9 @@ export class EnemyManager {
             }
         }
         
+        // Move projectiles fired by ranged enemies
+        this.projectileManager.update(delta);
+        
         // Check if boss theme should be stopped (all bosses are dead)
         if (!bossAlive && this.game && this.game.audioManager && 
             this.game.audioManager.getCurrentMusic() === 'bossTheme') {
@@ -381,6 +397,16 @@ export class EnemyManager {
             enemyType = this.getRandomEnemyType();
         }
         
+        // Promote some spawns to elite or champion (members receive ranks from the host instead)
+        const rank = enemyId ? 'normal' : this.rollEnemyRank(enemyType);
+        if (rank !== 'normal') {
+            enemyType = {
+                ...enemyType,
+                isElite: rank === 'elite',
+                isChampion: rank === 'champion'
+            };
+        }
+        
         // Apply difficulty scaling
         const scaledEnemyType = this.applyDifficultyScaling(enemyType);
         
@@ -414,6 +440,11 @@ export class EnemyManager {
         // Track when this enemy was last updated
         this.enemyLastUpdated.set(id, Date.now());
         
+        // Give elites and champions their affixes
+        if (rank !== 'normal') {
+            this.applyEnemyRank(enemy, rank);
+        }
+        
         return enemy;
     }
     
@@ -462,6 +493,17 @@ export class EnemyManager {
                 b: enemy.isBoss || false // Shortened property name
             };
             
+            // Only include rank and affixes for elites and champions
+            if (enemy.affixes && enemy.affixes.length > 0) {
+                enemyData[id].k = enemy.rank;
+                enemyData[id].a = enemy.affixes.map(affix => affix.id);
+            }
+            
+            // Only include status effects while any are active
+            if (enemy.statusEffects.activeEffects.size > 0) {
+                enemyData[id].fx = enemy.statusEffects.serialize();
+            }
+            
             // Only include maxHealth for new enemies or when health changes
             if (enemy.health === enemy.maxHealth) {
                 enemyData[id].mh = enemy.maxHealth; // Include maxHealth when it's needed
@@ -536,6 +578,9 @@ export class EnemyManager {
                     enemy.updateHealthBar();
                 }
                 
+                // Mirror the host's status effects (an absent list means none are active)
+                enemy.statusEffects.applySnapshot(enemyData.fx);
+                
                 // Update state
                 if (state && enemy.state !== state) {
                     // Handle string state or object state
@@ -565,7 +610,9 @@ export class EnemyManager {
                     maxHealth: maxHealth || health, // Use health as maxHealth if not provided
                     type: type,
                     state: state,
-                    isBoss: isBoss
+                    isBoss: isBoss,
+                    rank: enemyData.k,
+                    affixes: enemyData.a
                 };
                 this.createEnemyFromData(fullEnemyData);
             }
@@ -637,6 +684,12 @@ export class EnemyManager {
         // Spawn enemy with the specified ID
         const enemy = this.spawnEnemy(enemyType.type, positionVector, enemyData.id);
         
+        // Apply the host's affixes so abilities and visuals match
+        if (enemyData.affixes && enemyData.affixes.length > 0) {
+            enemy.rank = enemyData.rank || 'elite';
+            this.applyAffixesById(enemy, enemyData.affixes);
+        }
+        
         // Update enemy properties
         if (health !== undefined) {
             enemy.health = health;
@@ -693,6 +746,26 @@ export class EnemyManager {
         console.debug(`EnemyManager: Multiplayer mode ${isMultiplayer ? 'enabled' : 'disabled'}, isHost: ${isHost}`);
     }
     
+    /**
+     * Take over enemy authority after host migration
+     * Keeps the enemies last synced from the previous host and continues spawning from there
+     */
+    takeOverAsHost() {
+        this.setMultiplayerMode(true, true);
+        
+        // New IDs must not collide with the IDs the previous host gave out
+        this.enemies.forEach((enemy, id) => {
+            const number = parseInt(String(id).split('_').pop(), 10);
+            if (!isNaN(number) && number >= this.nextEnemyId) {
+                this.nextEnemyId = number + 1;
+            }
+        });
+        
+        this.spawnTimer = 0;
+        
+        console.debug(`EnemyManager: Took over ${this.enemies.size} enemies as the new host`);
+    }
+    
     /**
      * Enable local enemy spawning
      * Used when transitioning from multiplayer (member) to local mode
@@ -727,8 +800,51 @@ export class EnemyManager {
         }
     }
 
+    /**
+     * Get the active difficulty
+     * A multiplayer session difficulty takes precedence over the player's own setting
+     * @returns {string} Difficulty key
+     */
+    getDifficulty() {
+        return this.sessionDifficulty !== null ? this.sessionDifficulty : this.currentDifficulty;
+    }
+
+    /**
+     * Use a host's difficulty for the current multiplayer session
+     * Unlike setDifficulty this does not change the player's own setting
+     * @param {string} difficulty - Difficulty key
+     * @returns {boolean} True if the difficulty exists
+     */
+    setSessionDifficulty(difficulty) {
+        if (!DIFFICULTY_SCALING.difficultyLevels[difficulty]) {
+            console.warn(`Unknown difficulty: ${difficulty}`);
+            return false;
+        }
+        
+        this.sessionDifficulty = difficulty;
+        return true;
+    }
+
+    /**
+     * Return to the player's own difficulty after a multiplayer session
+     */
+    clearSessionDifficulty() {
+        this.sessionDifficulty = null;
+    }
+
     getDifficultySettings() {
-        return DIFFICULTY_SCALING.difficultyLevels[this.currentDifficulty];
+        return DIFFICULTY_SCALING.difficultyLevels[this.getDifficulty()];
+    }
+    
+    /**
+     * Get the settings of the world tier selected by the local player
+     * @returns {Object} World tier settings from DIFFICULTY_SCALING.worldTiers
+     */
+    getWorldTierSettings() {
+        if (this.player && this.player.stats && typeof this.player.stats.getWorldTierSettings === 'function') {
+            return this.player.stats.getWorldTierSettings();
+        }
+        return DIFFICULTY_SCALING.worldTiers.tiers[0];
     }
 
     // Removed duplicate spawnEnemy method that was causing conflicts
@@ -909,9 +1025,64 @@ export class EnemyManager {
             (difficultySettings.itemQualityMultiplier - 1) * 100;
     }
 
+    /**
+     * Roll whether a spawn is promoted to elite or champion
+     * @param {EnemyType} enemyType - The enemy type being spawned
+     * @returns {string} 'normal', 'elite' or 'champion'
+     */
+    rollEnemyRank(enemyType) {
+        if (!enemyType || enemyType.isBoss) {
+            return 'normal';
+        }
+        
+        const affixSettings = DIFFICULTY_SCALING.affixes;
+        const roll = Math.random();
+        
+        if (roll < affixSettings.championSpawnChance) {
+            return 'champion';
+        }
+        if (roll < affixSettings.championSpawnChance + affixSettings.eliteSpawnChance) {
+            return 'elite';
+        }
+        return 'normal';
+    }
+    
+    /**
+     * Mark an enemy with its rank and roll its affixes
+     * The affix count is capped by maxAffixesPerEnemyType for the rank
+     * @param {Enemy} enemy - The enemy to promote
+     * @param {string} rank - 'elite' or 'champion'
+     */
+    applyEnemyRank(enemy, rank) {
+        const affixSettings = DIFFICULTY_SCALING.affixes;
+        
+        enemy.rank = rank;
+        enemy.name = `${rank === 'champion' ? 'Champion' : 'Elite'} ${enemy.name}`;
+        
+        const maxAffixes = affixSettings.maxAffixesPerEnemyType[rank] || 0;
+        if (maxAffixes <= 0) {
+            return;
+        }
+        
+        // Difficulty scales the chance of getting any affix at all
+        const difficultySettings = DIFFICULTY_SCALING.difficultyLevels[this.getDifficulty()] || 
+                                  DIFFICULTY_SCALING.difficultyLevels.medium;
+        const baseChance = rank === 'champion' ? affixSettings.championAffixChance : affixSettings.eliteAffixChance;
+        const affixChance = baseChance * (difficultySettings.affixChanceMultiplier || 1);
+        
+        if (Math.random() >= affixChance && !difficultySettings.guaranteedRareAffix) {
+            return;
+        }
+        
+        const count = 1 + Math.floor(Math.random() * maxAffixes);
+        this.assignRandomAffixes(enemy, count);
+        
+        console.debug(`Spawned ${enemy.name} (${rank}) with ${enemy.affixes.length} affix(es)`);
+    }
+
     assignRandomAffixes(enemy, count) {
         // Copy available affixes
-        const availableAffixes = [...ENEMY_AFFIXES];
+        const availableAffixes = [...DIFFICULTY_SCALING.affixes.affixList];
         
         // Assign random affixes
         enemy.affixes = [];
@@ -937,6 +1108,28 @@ export class EnemyManager {
             enemy.name = `${affixNames.join(' ')} ${enemy.name}`;
         }
     }
+    
+    /**
+     * Apply a known list of affixes (used by multiplayer members to mirror the host)
+     * @param {Enemy} enemy - The enemy to modify
+     * @param {Array<string>} affixIds - Affix ids
+     */
+    applyAffixesById(enemy, affixIds) {
+        enemy.affixes = [];
+        
+        affixIds.forEach(affixId => {
+            const affix = DIFFICULTY_SCALING.affixes.affixList.find(entry => entry.id === affixId);
+            if (affix) {
+                enemy.affixes.push(affix);
+                this.applyAffixToEnemy(enemy, affix);
+            }
+        });
+        
+        if (enemy.affixes.length > 0) {
+            const affixNames = enemy.affixes.map(affix => affix.name);
+            enemy.name = `${affixNames.join(' ')} ${enemy.rank === 'champion' ? 'Champion' : 'Elite'} ${enemy.name}`;
+        }
+    }
 
     applyAffixToEnemy(enemy, affix) {
         // Add visual effect
@@ -951,12 +1144,16 @@ export class EnemyManager {
             });
         }
         
-        // Apply passive effects
-        if (affix.id === 'fast') {
-            enemy.moveSpeed *= 1.5;
-            enemy.attackSpeed *= 1.3;
-        }
+        // Elemental affixes make the enemy immune to their own effects and resistant to their element
+        enemy.statusEffects.addAffixImmunities(affix.id);
+        enemy.addResistances(affix.resistances);
+        
+        // Apply stat multipliers
+        enemy.maxHealth = Math.round(enemy.maxHealth * (affix.healthMultiplier || 1));
+        enemy.health = enemy.maxHealth;
+        enemy.damage = Math.round(enemy.damage * (affix.damageMultiplier || 1));
     }
+    
     getRandomEnemyType() {
         // Get a random zone instead of using player's current zone
         const availableZones = Object.keys(this.zoneEnemies);
@@ -1038,14 +1235,22 @@ export class EnemyManager {
         const levelScalingFactor = 1.0 + (playerLevel * COMBAT_BALANCE.enemy.levelScalingFactor);
         
         // Apply difficulty settings from game-balance
-        let difficultySettings = DIFFICULTY_SCALING.difficultyLevels[this.currentDifficulty] || 
+        let difficultySettings = DIFFICULTY_SCALING.difficultyLevels[this.getDifficulty()] || 
                                 DIFFICULTY_SCALING.difficultyLevels.medium;
         
+        // Dynamic difficulty adjustment (bounded by maxAdjustmentFactor)
+        const dynamicMultiplier = this.difficultyDirector.getMultiplier();
+        
+        // Endgame world tier selected by the player
+        const worldTier = this.getWorldTierSettings();
+        
         // Calculate combined scaling factor
         const combinedScalingFactor = this.difficultyMultiplier * 
                                      levelScalingFactor * 
                                      zoneDifficultyMultiplier * 
-                                     difficultySettings.healthMultiplier;
+                                     difficultySettings.healthMultiplier *
+                                     dynamicMultiplier *
+                                     worldTier.difficultyMultiplier;
         
         // Apply scaling to enemy stats using game-balance settings
         // Apply base health multiplier from combat balance
@@ -1056,12 +1261,15 @@ export class EnemyManager {
         scaledType.damage = Math.round(scaledType.damage * 
                            COMBAT_BALANCE.enemy.damageMultiplier * 
                            difficultySettings.damageMultiplier * 
-                           levelScalingFactor);
+                           levelScalingFactor *
+                           dynamicMultiplier *
+                           worldTier.difficultyMultiplier);
         
         // Apply experience scaling
         scaledType.experienceValue = Math.round(scaledType.experienceValue * 
                                    COMBAT_BALANCE.enemy.experienceMultiplier * 
-                                   difficultySettings.experienceMultiplier);
+                                   difficultySettings.experienceMultiplier *
+                                   worldTier.experienceMultiplier);
         
         // Apply special multipliers for boss/elite/champion enemies
         if (scaledType.isBoss) {
@@ -1111,33 +1319,77 @@ export class EnemyManager {
         // Mark this enemy as processed to prevent duplicate drops
         this.processedDrops.set(enemy.id, true);
         
+        // In co-op the host rolls all loot and shares it with the members
+        const loot = this.game && this.game.multiplayerManager && this.game.multiplayerManager.loot;
+        if (loot && !loot.canRollDrops()) {
+            return;
+        }
+        
+        // Instanced loot rolls separately for every player
+        const owners = loot ? loot.getDropOwners() : [null];
+        owners.forEach(ownerId => this.rollEnemyDrops(enemy, ownerId));
+    }
+    
+    /**
+     * Roll the drops of a defeated enemy
+     * @param {Enemy} enemy - The defeated enemy
+     * @param {string|null} ownerId - Player an instanced co-op drop belongs to, or null for a shared drop
+     */
+    rollEnemyDrops(enemy, ownerId) {
+        // Crafting materials are rolled independently of item drops
+        this.handleMaterialDrop(enemy, ownerId);
+        
         // Check if enemy should drop an item
         const dropChance = enemy.isBoss ? DROP_CHANCES.bossDropChance : DROP_CHANCES.normalDropChance;
         
-        if (Math.random() < dropChance) {
+        if (Math.random() >= dropChance) {
+            return;
+        }
+        
+        // World tiers increase both the number and the quality of drops
+        const worldTier = this.getWorldTierSettings();
+        const quantity = worldTier.itemQuantityMultiplier;
+        const dropCount = Math.max(1, Math.floor(quantity) + (Math.random() < quantity % 1 ? 1 : 0));
+        
+        for (let i = 0; i < dropCount; i++) {
             // Generate an item using the ItemGenerator
             let item;
             
             if (enemy.isBoss) {
                 // Generate a higher quality item for bosses
+                let rarity = this.getRandomBossRarity(worldTier.itemQualityMultiplier);
+                
+                // Tiers with guaranteedLegendary make the first boss drop at least legendary
+                if (i === 0 && worldTier.guaranteedLegendary && rarity !== 'mythic') {
+                    rarity = 'legendary';
+                }
+                
                 const bossLevel = Math.max(1, this.player.stats.getLevel());
                 item = this.itemGenerator.generateItem({
                     level: bossLevel,
-                    rarity: this.getRandomBossRarity()
+                    rarity: rarity
                 });
             } else {
                 // Generate a regular item for normal enemies
                 const enemyLevel = Math.max(1, this.player.stats.getLevel() - 1);
                 item = this.itemGenerator.generateItem({
                     level: enemyLevel,
-                    rarity: this.getRandomEnemyRarity()
+                    rarity: this.getRandomEnemyRarity(worldTier.itemQualityMultiplier)
                 });
             }
             
             // If we have an item drop manager, use it to create a visual drop
             if (this.itemDropManager && item) {
-                const enemyPosition = enemy.getPosition();
-                this.itemDropManager.dropItem(item, enemyPosition);
+                const dropPosition = enemy.getPosition().clone();
+                
+                // Spread additional drops around the enemy so they don't overlap
+                if (i > 0) {
+                    const angle = (i / dropCount) * Math.PI * 2;
+                    dropPosition.x += Math.cos(angle);
+                    dropPosition.z += Math.sin(angle);
+                }
+                
+                this.itemDropManager.dropItem(item, dropPosition, ownerId);
             } else if (this.game && this.game.player && item) {
                 // Fallback: Add directly to player inventory if no drop manager
                 this.game.player.addToInventory(item);
@@ -1150,13 +1402,39 @@ export class EnemyManager {
         }
     }
     
+    /**
+     * Drop a crafting material picked from the material entries of the drop table
+     * @param {Enemy} enemy - The defeated enemy
+     * @param {string|null} [ownerId=null] - Player an instanced co-op drop belongs to
+     */
+    handleMaterialDrop(enemy, ownerId = null) {
+        const dropChance = enemy.isBoss ? DROP_CHANCES.bossMaterialDropChance : DROP_CHANCES.materialDropChance;
+        if (Math.random() >= dropChance) {
+            return;
+        }
+        
+        const dropTable = enemy.isBoss ? BOSS_DROP_TABLE : REGULAR_DROP_TABLE;
+        const entry = this.selectWeightedItem(dropTable.filter(drop => drop.type === 'material'));
+        const material = createMaterial(entry.materialId, entry.amount);
+        if (!material) {
+            return;
+        }
+        
+        if (this.itemDropManager) {
+            this.itemDropManager.dropItem(material, enemy.getPosition().clone(), ownerId);
+        } else if (this.game && this.game.player) {
+            this.game.player.addToInventory(material);
+        }
+    }
+    
     /**
      * Get a random rarity for boss drops
      * Bosses have higher chance for rare+ items
+     * @param {number} [qualityMultiplier=1] - World tier item quality multiplier (higher favors better rarities)
      * @returns {string} The rarity
      */
-    getRandomBossRarity() {
-        const rand = Math.random();
+    getRandomBossRarity(qualityMultiplier = 1) {
+        const rand = Math.random() / qualityMultiplier;
         
         if (rand < 0.05) return 'mythic';
         if (rand < 0.20) return 'legendary';
@@ -1168,10 +1446,11 @@ export class EnemyManager {
     
     /**
      * Get a random rarity for normal enemy drops
+     * @param {number} [qualityMultiplier=1] - World tier item quality multiplier (higher favors better rarities)
      * @returns {string} The rarity
      */
-    getRandomEnemyRarity() {
-        const rand = Math.random();
+    getRandomEnemyRarity(qualityMultiplier = 1) {
+        const rand = Math.random() / qualityMultiplier;
         
         if (rand < 0.01) return 'mythic';
         if (rand < 0.05) return 'legendary';
@@ -1376,6 +1655,9 @@ export class EnemyManager {
         
         // Clear the Map instead of redefining it as an array
         this.enemies.clear();
+        
+        // Projectiles already in flight belong to the removed enemies
+        this.projectileManager.clearProjectiles();
     }
     
     onPlayerMovedScreenDistance(playerPosition) {
@@ -0,0 +1,78 @@
+import { StatusEffects } from '../status-effects/StatusEffects.js';
+import { STATUS_EFFECTS, STATUS_EFFECT_IMMUNITIES } from '../../config/status-effects.js';
+
+/**
+ * Status effects on an enemy
+ * Slows scale the enemy's movement speed, stuns and freezes hold it in place (state.isStunned)
+ * and damage over time is dealt by whoever simulates the enemy authoritatively
+ */
+export class EnemyStatusEffects extends StatusEffects {
+    /**
+     * @param {import("./Enemy.js").Enemy} enemy - The enemy the effects are on
+     */
+    constructor(enemy) {
+        super(enemy, enemy.player?.game || null);
+        this.enemy = enemy;
+
+        // Stuns and freezes interrupt the attack being wound up
+        const incapacitatingEffect = {
+            apply: () => {
+                this.enemy.attackStrategy.cancel();
+                this.updateStunned();
+            },
+            remove: () => this.updateStunned()
+        };
+
+        this.effectDefinitions = {
+            stun: incapacitatingEffect,
+            freeze: incapacitatingEffect
+        };
+
+        if (enemy.isBoss) {
+            STATUS_EFFECT_IMMUNITIES.boss.forEach(effectType => this.addImmunity(effectType));
+        }
+    }
+
+    /**
+     * Add the immunities an affix grants (e.g. molten enemies don't burn)
+     * @param {string} affixId - Affix id
+     */
+    addAffixImmunities(affixId) {
+        (STATUS_EFFECT_IMMUNITIES.affixes[affixId] || []).forEach(effectType => this.addImmunity(effectType));
+    }
+
+    /**
+     * Mirror whether a stun or freeze is active in the enemy's state
+     */
+    updateStunned() {
+        this.enemy.state.isStunned = this.isIncapacitated();
+    }
+
+    /**
+     * Deal or heal a tick of an over-time effect
+     * In multiplayer only the host changes enemy health; members just show the effect
+     * @param {string} effectType - The ticking effect
+     * @param {number} amount - Amount for this tick
+     * @param {string} kind - 'damage' or 'heal'
+     */
+    applyTick(effectType, amount, kind) {
+        const enemy = this.enemy;
+        const enemyManager = this.game?.enemyManager;
+        if (enemy.isDead() || (enemyManager && enemyManager.isMultiplayer && !enemyManager.isHost)) {
+            return;
+        }
+
+        if (kind === 'heal') {
+            enemy.health = Math.min(enemy.maxHealth, enemy.health + amount);
+            enemy.updateHealthBar();
+            return;
+        }
+
+        const damage = enemy.takeDamage(Math.max(1, Math.round(amount)), false, null, false, STATUS_EFFECTS[effectType].element || null);
+        if (damage > 0 && this.game?.hudManager) {
+            this.game.hudManager.createDamageNumber(damage, enemy.getPosition(), {
+                color: `#${STATUS_EFFECTS[effectType].color.toString(16).padStart(6, '0')}`
+            });
+        }
+    }
+}
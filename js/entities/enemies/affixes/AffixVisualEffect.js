@@ -0,0 +1,168 @@
+import * as THREE from 'three';
+
+/**
+ * Persistent visual marking an enemy's affix (auras, glows, orbiting orbs)
+ * Parts are attached to the enemy's model group so they follow it automatically
+ */
+export class AffixVisualEffect {
+    /**
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy to decorate
+     * @param {string} effectType - Visual effect id from the affix configuration
+     */
+    constructor(enemy, effectType) {
+        this.enemy = enemy;
+        this.effectType = effectType;
+        this.group = new THREE.Group();
+        this.orbiters = [];
+        this.pulseParts = [];
+        this.time = Math.random() * 10;
+
+        this.createEffect();
+
+        if (enemy.modelGroup) {
+            enemy.modelGroup.add(this.group);
+        }
+    }
+
+    /**
+     * Build the parts for the effect type
+     */
+    createEffect() {
+        switch (this.effectType) {
+            case 'frost_aura':
+                this.createGroundRing(0x9fe8ff, 0.9);
+                this.createOrbiters(0xdff8ff, 4, 0.8, 0.08, 1.2);
+                break;
+                
+            case 'molten_glow':
+                this.createGroundRing(0xff4400, 0.8);
+                this.createGlow(0xff6a00);
+                break;
+                
+            case 'teleport_shimmer':
+                this.createGroundRing(0xb36bff, 0.7);
+                this.createOrbiters(0xb36bff, 3, 0.6, 0.07, 2.5);
+                break;
+                
+            case 'shield_runes':
+                this.createGroundRing(0xffe27a, 0.9);
+                this.createOrbiters(0xffe27a, 6, 0.9, 0.06, 0.8);
+                break;
+                
+            case 'vampiric_aura':
+                this.createGroundRing(0x8b0016, 0.9);
+                this.createGlow(0xaa0022);
+                break;
+                
+            case 'berserker_glow':
+                this.createGroundRing(0xff2a2a, 0.7);
+                this.createOrbiters(0xff5555, 2, 0.5, 0.09, 3);
+                break;
+                
+            case 'arcane_orbs':
+                this.createGroundRing(0xd66bff, 0.8);
+                this.createOrbiters(0xf3d1ff, 3, 1.0, 0.12, 1.6);
+                break;
+                
+            case 'poison_mist':
+                this.createGroundRing(0x6bdc3a, 0.9);
+                this.createGlow(0x4caf50);
+                break;
+                
+            default:
+                console.warn(`Unknown affix visual effect: ${this.effectType}`);
+        }
+    }
+
+    /**
+     * Add a colored ring on the ground around the enemy
+     * @param {number} color - Ring color
+     * @param {number} radius - Ring radius
+     */
+    createGroundRing(color, radius) {
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(radius * 0.8, radius, 32),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.6, side: THREE.DoubleSide, depthWrite: false })
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.y = -0.35;
+        this.group.add(ring);
+        this.pulseParts.push(ring);
+    }
+
+    /**
+     * Add small spheres orbiting the enemy
+     * @param {number} color - Orb color
+     * @param {number} count - Number of orbs
+     * @param {number} radius - Orbit radius
+     * @param {number} size - Orb size
+     * @param {number} speed - Orbit speed in radians per second
+     */
+    createOrbiters(color, count, radius, size, speed) {
+        const material = new THREE.MeshBasicMaterial({ color });
+        for (let i = 0; i < count; i++) {
+            const orb = new THREE.Mesh(new THREE.SphereGeometry(size, 8, 6), material);
+            this.group.add(orb);
+            this.orbiters.push({ mesh: orb, radius, speed, offset: (i / count) * Math.PI * 2 });
+        }
+    }
+
+    /**
+     * Add a colored point light that pulses
+     * @param {number} color - Light color
+     */
+    createGlow(color) {
+        const light = new THREE.PointLight(color, 1.2, 3);
+        light.position.y = 0.8;
+        this.group.add(light);
+        this.glow = light;
+    }
+
+    /**
+     * Animate the effect
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        this.time += delta;
+
+        this.orbiters.forEach(orbiter => {
+            const angle = this.time * orbiter.speed + orbiter.offset;
+            orbiter.mesh.position.set(
+                Math.cos(angle) * orbiter.radius,
+                0.8 + Math.sin(angle * 2) * 0.2,
+                Math.sin(angle) * orbiter.radius
+            );
+        });
+
+        const pulse = 0.45 + Math.sin(this.time * 3) * 0.15;
+        this.pulseParts.forEach(part => {
+            part.material.opacity = pulse;
+        });
+
+        if (this.glow) {
+            this.glow.intensity = 1 + Math.sin(this.time * 4) * 0.3;
+        }
+    }
+
+    /**
+     * Remove the effect and free its resources
+     */
+    dispose() {
+        if (this.group.parent) {
+            this.group.parent.remove(this.group);
+        }
+
+        this.group.traverse(child => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            if (child.material) {
+                child.material.dispose();
+            }
+        });
+
+        this.orbiters = [];
+        this.pulseParts = [];
+        this.glow = null;
+    }
+}
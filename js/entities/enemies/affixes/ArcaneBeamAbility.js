@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+import { EnemyAbility } from './EnemyAbility.js';
+
+/**
+ * Arcane affix: summons a rotating beam anchored where the enemy stood
+ * The beam is a thin telegraph line while arming, then damages the player it sweeps over
+ */
+export class ArcaneBeamAbility extends EnemyAbility {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.castTimer = config.interval * 0.5;
+    }
+
+    /**
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+
+        this.castTimer -= delta;
+        if (this.castTimer > 0 || !this.canAct() || this.hazards.length > 0) {
+            return;
+        }
+
+        if (this.getDistanceToTarget() > this.config.range) {
+            return;
+        }
+
+        this.castTimer = this.config.interval;
+        this.createBeam();
+    }
+
+    /**
+     * Create the beam aimed at the current target
+     */
+    createBeam() {
+        const origin = this.enemy.position;
+        const targetPosition = this.enemy.targetPlayer.getPosition();
+
+        const pivot = new THREE.Group();
+        pivot.position.set(origin.x, this.getGroundHeight(origin.x, origin.z) + 0.8, origin.z);
+        pivot.rotation.y = Math.atan2(targetPosition.x - origin.x, targetPosition.z - origin.z);
+
+        // Beam extends along the pivot's local +Z
+        const beam = new THREE.Mesh(
+            new THREE.BoxGeometry(this.config.width, this.config.width, this.config.length),
+            new THREE.MeshBasicMaterial({ color: 0xd66bff, transparent: true, opacity: 0.8, depthWrite: false })
+        );
+        beam.position.z = this.config.length / 2;
+        beam.scale.set(0.15, 0.15, 1);
+        pivot.add(beam);
+
+        const core = new THREE.Mesh(
+            new THREE.SphereGeometry(0.35, 12, 8),
+            new THREE.MeshBasicMaterial({ color: 0xf3d1ff })
+        );
+        pivot.add(core);
+
+        this.enemy.scene.add(pivot);
+
+        const hazard = this.addHazard(pivot, this.config.armTime + this.config.duration, this.config.width, this.config.armTime);
+        hazard.beam = beam;
+    }
+
+    /**
+     * Rotate the beam and widen it once armed
+     * @param {Object} hazard - The beam
+     * @param {number} delta - Time since last update in seconds
+     */
+    animateHazard(hazard, delta) {
+        const armed = hazard.age >= hazard.armTime;
+        if (armed) {
+            hazard.object.rotation.y += this.config.rotationSpeed * delta;
+            hazard.beam.scale.set(1, 1, 1);
+        }
+
+        const remaining = hazard.lifetime - hazard.age;
+        hazard.beam.material.opacity = armed ? 0.8 * Math.min(1, remaining / 0.5) : 0.4 + Math.sin(hazard.age * 25) * 0.2;
+    }
+
+    /**
+     * Damage the player if the beam crosses them
+     * @param {Object} hazard - The beam
+     */
+    onHazardTick(hazard) {
+        const player = this.enemy.player;
+        if (!player || typeof player.takeDamage !== 'function') {
+            return;
+        }
+
+        const pivot = hazard.object;
+        const playerPosition = player.getPosition();
+        const directionX = Math.sin(pivot.rotation.y);
+        const directionZ = Math.cos(pivot.rotation.y);
+        const offsetX = playerPosition.x - pivot.position.x;
+        const offsetZ = playerPosition.z - pivot.position.z;
+
+        // Project the player onto the beam segment
+        const along = offsetX * directionX + offsetZ * directionZ;
+        if (along < 0 || along > this.config.length) {
+            return;
+        }
+
+        const across = Math.abs(offsetX * directionZ - offsetZ * directionX);
+        if (across <= this.config.width / 2 + 0.4) {
+            player.takeDamage(Math.max(1, Math.round(this.enemy.damage * this.config.damageRatio)));
+        }
+    }
+}
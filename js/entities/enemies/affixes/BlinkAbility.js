@@ -0,0 +1,105 @@
+import * as THREE from 'three';
+import { EnemyAbility } from './EnemyAbility.js';
+
+/**
+ * Teleporter affix: blinks next to the target to engage, or away when hit
+ */
+export class BlinkAbility extends EnemyAbility {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.cooldownTimer = config.cooldown * 0.5;
+    }
+
+    /**
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+
+        this.cooldownTimer -= delta;
+        if (this.cooldownTimer > 0 || !this.canAct()) {
+            return;
+        }
+
+        // Close the gap to a distant target
+        const distance = this.getDistanceToTarget();
+        if (distance > this.enemy.attackRange * 2 && distance <= this.config.engageRange) {
+            this.blinkAroundTarget(this.config.minDistance * 0.5, this.config.minDistance);
+        }
+    }
+
+    /**
+     * Chance to blink away after being hit
+     * @param {number} amount - Damage taken
+     */
+    onDamageTaken(amount) {
+        if (this.cooldownTimer > 0 || !this.canAct() || Math.random() > this.config.chanceOnHit) {
+            return;
+        }
+
+        this.blinkAroundTarget(this.config.minDistance, this.config.maxDistance);
+    }
+
+    /**
+     * Teleport to a random walkable point around the target
+     * @param {number} minDistance - Minimum distance from the target
+     * @param {number} maxDistance - Maximum distance from the target
+     */
+    blinkAroundTarget(minDistance, maxDistance) {
+        const target = this.enemy.targetPlayer;
+        if (!target) {
+            return;
+        }
+
+        const targetPosition = target.getPosition();
+        const navigationManager = this.enemy.world ? this.enemy.world.navigationManager : null;
+
+        for (let attempt = 0; attempt < 6; attempt++) {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = minDistance + Math.random() * (maxDistance - minDistance);
+            const x = targetPosition.x + Math.cos(angle) * distance;
+            const z = targetPosition.z + Math.sin(angle) * distance;
+
+            if (navigationManager && navigationManager.isBlocked(x, z)) {
+                continue;
+            }
+
+            this.playFlash(this.enemy.position);
+            const y = this.getGroundHeight(x, z) + this.enemy.heightOffset;
+            this.enemy.setPosition(x, y, z);
+            this.playFlash(this.enemy.position);
+
+            this.cooldownTimer = this.config.cooldown;
+            return;
+        }
+    }
+
+    /**
+     * Show a short purple flash
+     * @param {THREE.Vector3} position - Flash position
+     */
+    playFlash(position) {
+        const flash = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.6, 0.6, 2.2, 16, 1, true),
+            new THREE.MeshBasicMaterial({ color: 0xb36bff, transparent: true, opacity: 0.8, depthWrite: false, side: THREE.DoubleSide })
+        );
+        flash.position.set(position.x, position.y + 0.6, position.z);
+        this.enemy.scene.add(flash);
+
+        const duration = 350;
+        const startTime = Date.now();
+        const animateFlash = () => {
+            const progress = Math.min((Date.now() - startTime) / duration, 1);
+            flash.scale.set(1 - progress * 0.8, 1 + progress, 1 - progress * 0.8);
+            flash.material.opacity = 0.8 * (1 - progress);
+
+            if (progress < 1) {
+                requestAnimationFrame(animateFlash);
+            } else {
+                this.removeObject(flash);
+            }
+        };
+
+        requestAnimationFrame(animateFlash);
+    }
+}
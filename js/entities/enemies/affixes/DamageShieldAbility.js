@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+import { EnemyAbility } from './EnemyAbility.js';
+
+/**
+ * Shielded affix: periodically raises a bubble that makes the enemy immune to damage
+ */
+export class DamageShieldAbility extends EnemyAbility {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.isActive = false;
+        this.timer = config.cooldown * 0.5;
+        this.bubble = null;
+    }
+
+    /**
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+
+        this.timer -= delta;
+
+        if (this.isActive) {
+            if (this.bubble) {
+                this.bubble.rotation.y += delta * 1.5;
+                this.bubble.material.opacity = 0.3 + Math.sin(Date.now() * 0.008) * 0.08;
+            }
+
+            if (this.timer <= 0) {
+                this.setActive(false);
+            }
+        } else if (this.timer <= 0 && this.canAct()) {
+            this.setActive(true);
+        }
+    }
+
+    /**
+     * Raise or drop the shield
+     * @param {boolean} active - Whether the shield is up
+     */
+    setActive(active) {
+        this.isActive = active;
+        this.timer = active ? this.config.duration : this.config.cooldown;
+
+        if (active && !this.bubble && this.enemy.modelGroup) {
+            this.bubble = new THREE.Mesh(
+                new THREE.IcosahedronGeometry(1.3, 1),
+                new THREE.MeshBasicMaterial({ color: 0xffe27a, transparent: true, opacity: 0.3, wireframe: true, depthWrite: false })
+            );
+            this.bubble.position.y = 0.8;
+            this.enemy.modelGroup.add(this.bubble);
+        } else if (!active && this.bubble) {
+            this.removeObject(this.bubble);
+            this.bubble = null;
+        }
+    }
+
+    /**
+     * Block all damage while the shield is up
+     * @param {number} amount - Incoming damage
+     * @returns {number} - Damage to apply
+     */
+    modifyIncomingDamage(amount) {
+        return this.isActive ? 0 : amount;
+    }
+
+    /**
+     * Drop the shield when the enemy dies
+     */
+    onDeath() {
+        this.setActive(false);
+    }
+
+    dispose() {
+        super.dispose();
+        if (this.bubble) {
+            this.removeObject(this.bubble);
+            this.bubble = null;
+        }
+    }
+}
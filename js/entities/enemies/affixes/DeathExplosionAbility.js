@@ -0,0 +1,68 @@
+import * as THREE from 'three';
+import { EnemyAbility } from './EnemyAbility.js';
+
+/**
+ * Molten affix: the corpse erupts shortly after death
+ * The blast area is telegraphed on the ground for the length of the delay
+ */
+export class DeathExplosionAbility extends EnemyAbility {
+    /**
+     * Telegraph and schedule the explosion
+     */
+    onDeath() {
+        const center = this.enemy.position.clone();
+        const damage = this.enemy.damage * this.config.damageRatio;
+        const scene = this.enemy.scene;
+
+        const warning = this.createGroundDisc(center, this.config.radius, 0xff2200, 0.35);
+        const delayMs = this.config.delay * 1000;
+        const startTime = Date.now();
+
+        const animateWarning = () => {
+            const progress = Math.min((Date.now() - startTime) / delayMs, 1);
+            warning.material.opacity = 0.25 + 0.35 * Math.abs(Math.sin(progress * Math.PI * 6));
+
+            if (progress < 1) {
+                requestAnimationFrame(animateWarning);
+                return;
+            }
+
+            this.removeObject(warning);
+            this.strikePlayerInRadius(center, this.config.radius, damage);
+            this.playBlast(scene, center);
+        };
+
+        requestAnimationFrame(animateWarning);
+    }
+
+    /**
+     * Show an expanding fireball
+     * @param {THREE.Scene} scene - The scene
+     * @param {THREE.Vector3} center - Blast center
+     */
+    playBlast(scene, center) {
+        const blast = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 16, 12),
+            new THREE.MeshBasicMaterial({ color: 0xff7b00, transparent: true, opacity: 0.85, depthWrite: false })
+        );
+        blast.position.set(center.x, center.y + 0.5, center.z);
+        scene.add(blast);
+
+        const duration = 400;
+        const startTime = Date.now();
+        const animateBlast = () => {
+            const progress = Math.min((Date.now() - startTime) / duration, 1);
+            const size = this.config.radius * (0.3 + 0.7 * progress);
+            blast.scale.set(size, size * 0.6, size);
+            blast.material.opacity = 0.85 * (1 - progress);
+
+            if (progress < 1) {
+                requestAnimationFrame(animateBlast);
+            } else {
+                this.removeObject(blast);
+            }
+        };
+
+        requestAnimationFrame(animateBlast);
+    }
+}
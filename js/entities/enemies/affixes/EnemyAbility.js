@@ -0,0 +1,288 @@
+import * as THREE from 'three';
+
+/**
+ * Base class for abilities granted to enemies by affixes
+ * Subclasses override the hooks they need; ground hazards (patches, clouds, trails)
+ * are tracked here so they are updated, ticked and cleaned up consistently
+ */
+export class EnemyAbility {
+    /**
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy owning the ability
+     * @param {Object} config - Ability settings from the affix configuration
+     */
+    constructor(enemy, config) {
+        this.enemy = enemy;
+        this.config = config;
+        this.type = config.type;
+
+        // Active ground hazards: { object, age, lifetime, armTime, tickTimer, radius }
+        this.hazards = [];
+    }
+
+    /**
+     * Update the ability
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        this.updateHazards(delta);
+    }
+
+    /**
+     * Called after the enemy's melee attack hits its target
+     * @param {number} damage - Damage dealt
+     */
+    onAttackHit(damage) {}
+
+    /**
+     * Adjust damage before the enemy takes it
+     * @param {number} amount - Incoming damage
+     * @returns {number} - Damage to apply
+     */
+    modifyIncomingDamage(amount) {
+        return amount;
+    }
+
+    /**
+     * Called after the enemy took damage and survived
+     * @param {number} amount - Damage taken
+     */
+    onDamageTaken(amount) {}
+
+    /**
+     * Called when the enemy dies
+     */
+    onDeath() {}
+
+    /**
+     * Check whether the enemy is able to use active abilities
+     * @returns {boolean} - True if the enemy can act
+     */
+    canAct() {
+        const state = this.enemy.state;
+        return !state.isDead && !state.isStunned && !state.isKnockedBack;
+    }
+
+    /**
+     * Get the horizontal distance from the enemy to its current target
+     * @returns {number} - Distance, or Infinity without a target
+     */
+    getDistanceToTarget() {
+        const target = this.enemy.targetPlayer;
+        if (!target || typeof target.getPosition !== 'function') {
+            return Infinity;
+        }
+
+        const targetPosition = target.getPosition();
+        const dx = targetPosition.x - this.enemy.position.x;
+        const dz = targetPosition.z - this.enemy.position.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    /**
+     * Get the ground height at a position
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {number} - Terrain height
+     */
+    getGroundHeight(x, z) {
+        return this.enemy.world ? this.enemy.world.getTerrainHeight(x, z) : 0;
+    }
+
+    /**
+     * Damage the local player if standing within a radius
+     * Every client simulates its own enemies' hazards against its own player
+     * @param {THREE.Vector3} center - Center of the area
+     * @param {number} radius - Radius of the area
+     * @param {number} damage - Damage to deal
+     * @returns {boolean} - True if the player was hit
+     */
+    damagePlayerInRadius(center, radius, damage) {
+        const player = this.enemy.player;
+        if (!player || typeof player.takeDamage !== 'function') {
+            return false;
+        }
+
+        const playerPosition = player.getPosition();
+        const dx = playerPosition.x - center.x;
+        const dz = playerPosition.z - center.z;
+        if (dx * dx + dz * dz > radius * radius) {
+            return false;
+        }
+
+        player.takeDamage(Math.max(1, Math.round(damage)));
+        return true;
+    }
+
+    /**
+     * Damage the local player inside a radius and apply the ability's status effect
+     * @param {THREE.Vector3} center - Center of the area
+     * @param {number} radius - Radius of the area
+     * @param {number} damage - Damage to deal
+     * @returns {boolean} - True if the player was hit
+     */
+    strikePlayerInRadius(center, radius, damage) {
+        if (!this.damagePlayerInRadius(center, radius, damage)) {
+            return false;
+        }
+
+        this.applyPlayerEffect();
+        return true;
+    }
+
+    /**
+     * Apply the ability's status effect (see STATUS_EFFECTS) to the local player
+     * Damage over time set through effectDamageRatio scales with the enemy's damage
+     */
+    applyPlayerEffect() {
+        const player = this.enemy.player;
+        if (!this.config.effect || !player || typeof player.applyEffect !== 'function') {
+            return;
+        }
+
+        const intensity = this.config.effectDamageRatio ?
+            this.enemy.damage * this.config.effectDamageRatio :
+            this.config.effectIntensity;
+        player.applyEffect(this.config.effect, this.config.effectDuration || 1, intensity);
+    }
+
+    /**
+     * Create a flat disc lying on the terrain
+     * @param {THREE.Vector3} position - Center of the disc
+     * @param {number} radius - Disc radius
+     * @param {number} color - Disc color
+     * @param {number} opacity - Disc opacity
+     * @returns {THREE.Mesh} - The disc mesh (already added to the scene)
+     */
+    createGroundDisc(position, radius, color, opacity) {
+        const geometry = new THREE.CircleGeometry(radius, 24);
+        const material = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+
+        const disc = new THREE.Mesh(geometry, material);
+        disc.rotation.x = -Math.PI / 2;
+        disc.position.set(position.x, this.getGroundHeight(position.x, position.z) + 0.05, position.z);
+        this.enemy.scene.add(disc);
+
+        return disc;
+    }
+
+    /**
+     * Track a ground hazard
+     * @param {THREE.Object3D} object - The hazard's visual
+     * @param {number} lifetime - Seconds the hazard lasts
+     * @param {number} radius - Damage radius
+     * @param {number} [armTime=0] - Seconds before the hazard starts dealing damage (telegraph)
+     * @returns {Object} - The hazard entry
+     */
+    addHazard(object, lifetime, radius, armTime = 0) {
+        const hazard = {
+            object,
+            age: 0,
+            lifetime,
+            armTime,
+            radius,
+            tickTimer: 0,
+            baseOpacity: object.material ? object.material.opacity : 1
+        };
+        this.hazards.push(hazard);
+        return hazard;
+    }
+
+    /**
+     * Age hazards, tick their damage and remove expired ones
+     * @param {number} delta - Time since last update in seconds
+     */
+    updateHazards(delta) {
+        for (let i = this.hazards.length - 1; i >= 0; i--) {
+            const hazard = this.hazards[i];
+            hazard.age += delta;
+
+            if (hazard.age >= hazard.lifetime) {
+                this.removeObject(hazard.object);
+                this.hazards.splice(i, 1);
+                continue;
+            }
+
+            this.animateHazard(hazard, delta);
+
+            if (hazard.age < hazard.armTime) {
+                continue;
+            }
+
+            hazard.tickTimer -= delta;
+            if (hazard.tickTimer <= 0) {
+                hazard.tickTimer = this.config.tickInterval || 0.5;
+                this.onHazardTick(hazard);
+            }
+        }
+    }
+
+    /**
+     * Animate a hazard's visual (fade in while arming, fade out before expiring)
+     * @param {Object} hazard - The hazard entry
+     * @param {number} delta - Time since last update in seconds
+     */
+    animateHazard(hazard, delta) {
+        const material = hazard.object.material;
+        if (!material) {
+            return;
+        }
+
+        const remaining = hazard.lifetime - hazard.age;
+        let opacity = hazard.baseOpacity;
+        if (hazard.age < hazard.armTime) {
+            opacity *= 0.3 + 0.7 * (hazard.age / hazard.armTime);
+        } else if (remaining < 0.5) {
+            opacity *= remaining / 0.5;
+        }
+        material.opacity = opacity;
+    }
+
+    /**
+     * Apply a hazard's effect to anything inside it
+     * @param {Object} hazard - The hazard entry
+     */
+    onHazardTick(hazard) {
+        this.strikePlayerInRadius(hazard.object.position, hazard.radius, this.enemy.damage * (this.config.damageRatio || 0));
+    }
+
+    /**
+     * Remove an object from the scene and free its resources
+     * @param {THREE.Object3D} object - The object to remove
+     */
+    removeObject(object) {
+        if (!object) {
+            return;
+        }
+
+        if (object.parent) {
+            object.parent.remove(object);
+        }
+
+        object.traverse(child => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            if (child.material) {
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(material => material.dispose());
+                } else {
+                    child.material.dispose();
+                }
+            }
+        });
+    }
+
+    /**
+     * Remove all hazards and visuals created by the ability
+     */
+    dispose() {
+        this.hazards.forEach(hazard => this.removeObject(hazard.object));
+        this.hazards = [];
+    }
+}
@@ -0,0 +1,55 @@
+import { IcePatchAbility } from './IcePatchAbility.js';
+import { FireTrailAbility } from './FireTrailAbility.js';
+import { DeathExplosionAbility } from './DeathExplosionAbility.js';
+import { BlinkAbility } from './BlinkAbility.js';
+import { DamageShieldAbility } from './DamageShieldAbility.js';
+import { LifeLeechAbility } from './LifeLeechAbility.js';
+import { EnrageAbility } from './EnrageAbility.js';
+import { ArcaneBeamAbility } from './ArcaneBeamAbility.js';
+import { PoisonCloudAbility } from './PoisonCloudAbility.js';
+
+/**
+ * Factory class for creating affix abilities
+ */
+export class EnemyAbilityFactory {
+    /**
+     * Create the ability described by an affix ability configuration
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy receiving the ability
+     * @param {Object} config - Ability configuration (must include a type)
+     * @returns {import("./EnemyAbility.js").EnemyAbility|null} The ability, or null for unknown types
+     */
+    static createAbility(enemy, config) {
+        switch (config.type) {
+            case 'ice_patch':
+                return new IcePatchAbility(enemy, config);
+                
+            case 'fire_trail':
+                return new FireTrailAbility(enemy, config);
+                
+            case 'death_explosion':
+                return new DeathExplosionAbility(enemy, config);
+                
+            case 'blink':
+                return new BlinkAbility(enemy, config);
+                
+            case 'damage_shield':
+                return new DamageShieldAbility(enemy, config);
+                
+            case 'life_leech':
+                return new LifeLeechAbility(enemy, config);
+                
+            case 'enrage':
+                return new EnrageAbility(enemy, config);
+                
+            case 'arcane_beam':
+                return new ArcaneBeamAbility(enemy, config);
+                
+            case 'poison_cloud':
+                return new PoisonCloudAbility(enemy, config);
+                
+            default:
+                console.warn(`Unknown enemy ability type: ${config.type}`);
+                return null;
+        }
+    }
+}
@@ -0,0 +1,57 @@
+import * as THREE from 'three';
+import { EnemyAbility } from './EnemyAbility.js';
+
+/**
+ * Berserker affix: enrages once health drops below a threshold
+ */
+export class EnrageAbility extends EnemyAbility {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.isEnraged = false;
+        this.rageLight = null;
+    }
+
+    /**
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+
+        if (this.rageLight) {
+            this.rageLight.intensity = 1.5 + Math.sin(Date.now() * 0.015) * 0.5;
+        }
+    }
+
+    /**
+     * Check the health threshold after each hit
+     * @param {number} amount - Damage taken
+     */
+    onDamageTaken(amount) {
+        const enemy = this.enemy;
+        if (this.isEnraged || enemy.health > enemy.maxHealth * this.config.healthThreshold) {
+            return;
+        }
+
+        this.isEnraged = true;
+        enemy.damage *= this.config.damageMultiplier;
+        enemy.attackSpeed *= this.config.attackSpeedMultiplier;
+        enemy.speed *= this.config.speedMultiplier;
+
+        if (enemy.modelGroup) {
+            this.rageLight = new THREE.PointLight(0xff1a1a, 2, 4);
+            this.rageLight.position.y = 1;
+            enemy.modelGroup.add(this.rageLight);
+            enemy.modelGroup.scale.multiplyScalar(1.15);
+        }
+
+        console.debug(`${enemy.name} is enraged`);
+    }
+
+    dispose() {
+        super.dispose();
+        if (this.rageLight && this.rageLight.parent) {
+            this.rageLight.parent.remove(this.rageLight);
+        }
+        this.rageLight = null;
+    }
+}
@@ -0,0 +1,44 @@
+import { EnemyAbility } from './EnemyAbility.js';
+
+/**
+ * Molten affix: leaves burning ground behind while the enemy moves
+ */
+export class FireTrailAbility extends EnemyAbility {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.dropTimer = 0;
+    }
+
+    /**
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+
+        this.dropTimer -= delta;
+        if (this.dropTimer > 0 || !this.enemy.state.isMoving || this.enemy.state.isDead) {
+            return;
+        }
+
+        this.dropTimer = this.config.dropInterval;
+
+        // Drop the oldest segment when the trail is at its limit
+        if (this.hazards.length >= this.config.maxSegments) {
+            this.removeObject(this.hazards.shift().object);
+        }
+
+        const flame = this.createGroundDisc(this.enemy.position, this.config.radius, 0xff5a1f, 0.7);
+        this.addHazard(flame, this.config.duration, this.config.radius);
+    }
+
+    /**
+     * Flicker the flames while they burn
+     * @param {Object} hazard - The trail segment
+     * @param {number} delta - Time since last update in seconds
+     */
+    animateHazard(hazard, delta) {
+        super.animateHazard(hazard, delta);
+        const flicker = 0.9 + Math.sin(hazard.age * 20) * 0.1;
+        hazard.object.scale.set(flicker, flicker, 1);
+    }
+}
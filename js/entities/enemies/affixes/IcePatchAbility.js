@@ -0,0 +1,34 @@
+import { EnemyAbility } from './EnemyAbility.js';
+
+/**
+ * Frozen affix: periodically freezes the ground under the target
+ * Patches arm after a short telegraph, then chill and damage the player standing on them
+ * (chill stacks into a freeze for players who stay on the ice)
+ */
+export class IcePatchAbility extends EnemyAbility {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.castTimer = config.interval * 0.5;
+    }
+
+    /**
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+
+        this.castTimer -= delta;
+        if (this.castTimer > 0 || !this.canAct() || this.hazards.length >= this.config.maxPatches) {
+            return;
+        }
+
+        if (this.getDistanceToTarget() > this.config.range) {
+            return;
+        }
+
+        this.castTimer = this.config.interval;
+        const targetPosition = this.enemy.targetPlayer.getPosition();
+        const patch = this.createGroundDisc(targetPosition, this.config.radius, 0x9fe8ff, 0.55);
+        this.addHazard(patch, this.config.duration, this.config.radius, this.config.armTime);
+    }
+}
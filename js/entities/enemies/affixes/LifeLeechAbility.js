@@ -0,0 +1,28 @@
+import { EnemyAbility } from './EnemyAbility.js';
+
+/**
+ * Vampiric affix: heals for a share of the damage dealt by melee attacks
+ */
+export class LifeLeechAbility extends EnemyAbility {
+    /**
+     * @param {number} damage - Damage dealt
+     */
+    onAttackHit(damage) {
+        const enemy = this.enemy;
+        if (enemy.state.isDead || enemy.health >= enemy.maxHealth) {
+            return;
+        }
+
+        const healAmount = Math.round(damage * this.config.leechRatio);
+        enemy.health = Math.min(enemy.maxHealth, enemy.health + healAmount);
+        enemy.updateHealthBar();
+
+        // Red pulse on the enemy to show the leech
+        const game = enemy.player ? enemy.player.game : null;
+        if (game && game.effectsManager && typeof game.effectsManager.createBleedingEffect === 'function') {
+            const effectPosition = enemy.position.clone();
+            effectPosition.y += 1;
+            game.effectsManager.createBleedingEffect(healAmount, effectPosition, false);
+        }
+    }
+}
@@ -0,0 +1,65 @@
+import * as THREE from 'three';
+import { EnemyAbility } from './EnemyAbility.js';
+
+/**
+ * Poison affix: releases lingering clouds that deal damage over time
+ */
+export class PoisonCloudAbility extends EnemyAbility {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.castTimer = config.interval * 0.5;
+    }
+
+    /**
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+
+        this.castTimer -= delta;
+        if (this.castTimer > 0 || !this.canAct() || this.hazards.length >= this.config.maxClouds) {
+            return;
+        }
+
+        if (this.getDistanceToTarget() > this.config.range) {
+            return;
+        }
+
+        this.castTimer = this.config.interval;
+        this.createCloud(this.enemy.position);
+    }
+
+    /**
+     * Create a cloud at a position
+     * @param {THREE.Vector3} position - Cloud center
+     */
+    createCloud(position) {
+        const radius = this.config.radius;
+        const cloud = new THREE.Group();
+        cloud.position.set(position.x, this.getGroundHeight(position.x, position.z) + 0.3, position.z);
+
+        // A few overlapping puffs give the cloud some volume
+        const material = new THREE.MeshBasicMaterial({ color: 0x6bdc3a, transparent: true, opacity: 0.35, depthWrite: false });
+        for (let i = 0; i < 5; i++) {
+            const angle = (i / 5) * Math.PI * 2;
+            const puff = new THREE.Mesh(new THREE.SphereGeometry(radius * 0.45, 10, 8), material);
+            puff.position.set(Math.cos(angle) * radius * 0.45, 0.2 + (i % 2) * 0.3, Math.sin(angle) * radius * 0.45);
+            puff.scale.y = 0.5;
+            cloud.add(puff);
+        }
+        cloud.material = material;
+
+        this.enemy.scene.add(cloud);
+        this.addHazard(cloud, this.config.duration, radius);
+    }
+
+    /**
+     * Slowly swirl the cloud
+     * @param {Object} hazard - The cloud
+     * @param {number} delta - Time since last update in seconds
+     */
+    animateHazard(hazard, delta) {
+        super.animateHazard(hazard, delta);
+        hazard.object.rotation.y += delta * 0.4;
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Base class for the way an enemy delivers its basic attack
+ * The strategy is chosen from the enemy type's behavior field (see EnemyAttackStrategyFactory)
+ * Attacks wind up for settings.windUpTime seconds (showing a telegraph) before they resolve
+ */
+export class EnemyAttackStrategy {
+    /**
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy using the strategy
+     * @param {Object} [settings={}] - Strategy settings
+     */
+    constructor(enemy, settings = {}) {
+        this.enemy = enemy;
+        this.settings = settings;
+
+        // Attack being wound up: { target, timer, duration }
+        this.pendingAttack = null;
+    }
+
+    /**
+     * Start an attack against a target; it resolves once the wind-up is over
+     * @param {Object} target - Player, remote player or clone wrapper (getPosition/takeDamage)
+     */
+    execute(target) {
+        const windUpTime = this.settings.windUpTime || 0;
+        if (windUpTime <= 0) {
+            this.resolve(target);
+            return;
+        }
+
+        this.pendingAttack = { target, timer: windUpTime, duration: windUpTime };
+        this.showTelegraph(target);
+    }
+
+    /**
+     * Advance the wind-up and resolve the attack when it is over
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        const pendingAttack = this.pendingAttack;
+        if (!pendingAttack) {
+            return;
+        }
+
+        pendingAttack.timer -= delta;
+        this.updateTelegraph(1 - Math.max(pendingAttack.timer, 0) / pendingAttack.duration);
+
+        if (pendingAttack.timer > 0) {
+            return;
+        }
+
+        this.pendingAttack = null;
+        this.hideTelegraph();
+        this.resolve(pendingAttack.target);
+    }
+
+    /**
+     * Check whether an attack is being wound up (the enemy holds position meanwhile)
+     * @returns {boolean} - True while winding up
+     */
+    isWindingUp() {
+        return this.pendingAttack !== null;
+    }
+
+    /**
+     * Interrupt the attack being wound up (stun, knockback, death)
+     */
+    cancel() {
+        this.pendingAttack = null;
+        this.hideTelegraph();
+    }
+
+    /**
+     * Deliver the attack once the wind-up is over
+     * @param {Object} target - Player, remote player or clone wrapper (getPosition/takeDamage)
+     */
+    resolve(target) {}
+
+    /**
+     * Show the wind-up telegraph
+     * @param {Object} target - The target being attacked
+     */
+    showTelegraph(target) {}
+
+    /**
+     * Update the wind-up telegraph
+     * @param {number} progress - Wind-up progress from 0 to 1
+     */
+    updateTelegraph(progress) {}
+
+    /**
+     * Hide the wind-up telegraph
+     */
+    hideTelegraph() {}
+
+    /**
+     * Check whether the enemy can attack its target from where it stands
+     * @param {Object} target - The current target
+     * @param {number} distance - Horizontal distance to the target
+     * @returns {boolean} - True if the target can be attacked
+     */
+    canAttack(target, distance) {
+        return distance <= this.enemy.attackRange;
+    }
+
+    /**
+     * Check whether the enemy should back away from its target instead of holding position
+     * @param {number} distance - Horizontal distance to the target
+     * @returns {boolean} - True if the enemy should retreat
+     */
+    shouldKite(distance) {
+        return false;
+    }
+
+    /**
+     * Roll whether the attack misses because the enemy is blinded
+     * @returns {boolean} - True if the attack misses
+     */
+    rollMiss() {
+        const missChance = this.enemy.statusEffects.getMissChance();
+        return missChance > 0 && Math.random() < missChance;
+    }
+    
+    /**
+     * Apply the hit to the target and let affix abilities react to it
+     * @param {Object} target - The target that was hit
+     * @param {number} damage - Damage to deal
+     */
+    applyHit(target, damage) {
+        target.takeDamage(damage);
+
+        // Let affix abilities react to the hit (e.g. life leech)
+        this.enemy.abilities.forEach(ability => ability.onAttackHit(damage));
+    }
+
+    /**
+     * Release anything the strategy created
+     */
+    dispose() {
+        this.cancel();
+    }
+}
@@ -0,0 +1,44 @@
+import { MeleeAttackStrategy } from './MeleeAttackStrategy.js';
+import { RangedAttackStrategy } from './RangedAttackStrategy.js';
+import { ENEMY_ATTACK_STRATEGIES, ENEMY_MELEE_SETTINGS, ENEMY_RANGED_SETTINGS } from '../../../config/enemy-behavior.js';
+
+/**
+ * Factory class for creating enemy attack strategies
+ */
+export class EnemyAttackStrategyFactory {
+    /**
+     * Create the attack strategy for an enemy based on its behavior
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy
+     * @returns {import("./EnemyAttackStrategy.js").EnemyAttackStrategy} The strategy
+     */
+    static createStrategy(enemy) {
+        const strategy = ENEMY_ATTACK_STRATEGIES[enemy.behavior] || ENEMY_ATTACK_STRATEGIES.default;
+
+        switch (strategy) {
+            case 'ranged':
+                return new RangedAttackStrategy(enemy, {
+                    ...ENEMY_RANGED_SETTINGS.default,
+                    ...(ENEMY_RANGED_SETTINGS.types[enemy.type] || {})
+                });
+
+            case 'melee':
+                return EnemyAttackStrategyFactory.createMeleeStrategy(enemy);
+
+            default:
+                console.warn(`Unknown enemy attack strategy: ${strategy}`);
+                return EnemyAttackStrategyFactory.createMeleeStrategy(enemy);
+        }
+    }
+
+    /**
+     * Create a melee strategy with the enemy type's settings
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy
+     * @returns {MeleeAttackStrategy} The strategy
+     */
+    static createMeleeStrategy(enemy) {
+        return new MeleeAttackStrategy(enemy, {
+            ...ENEMY_MELEE_SETTINGS.default,
+            ...(ENEMY_MELEE_SETTINGS.types[enemy.type] || {})
+        });
+    }
+}
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+import { EffectObjectPool } from '../../../effects/EffectObjectPool.js';
+
+/**
+ * Moves the projectiles fired by ranged enemies
+ * Projectile visuals come from an EffectObjectPool so bursts of fire don't allocate meshes;
+ * hits against players, clones and structures are resolved by CollisionManager
+ */
+export class EnemyProjectileManager {
+    /**
+     * @param {THREE.Scene} scene - The scene projectiles are added to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.effectPool = new EffectObjectPool(scene);
+
+        // Active projectiles: { object, effectType, owner, velocity, damage, radius, travelled, maxDistance }
+        this.projectiles = [];
+
+        // Reused to orient projectiles along their flight direction
+        this.lookTarget = new THREE.Vector3();
+    }
+
+    /**
+     * Launch a projectile
+     * @param {Object} options - Projectile options
+     * @param {import("../Enemy.js").Enemy} options.owner - The enemy firing the projectile
+     * @param {string} options.effectType - EffectObjectPool projectile type (e.g. 'projectile_arrow')
+     * @param {THREE.Vector3} options.origin - Launch position
+     * @param {THREE.Vector3} options.direction - Normalized flight direction
+     * @param {number} options.speed - Units per second
+     * @param {number} options.radius - Hit radius
+     * @param {number} options.damage - Damage dealt on hit
+     * @param {number} options.maxDistance - Distance after which the projectile fizzles
+     * @returns {Object} - The projectile entry
+     */
+    spawnProjectile(options) {
+        const object = this.effectPool.get(options.effectType, {
+            position: options.origin,
+            snapShadowPosition: false,
+            castShadow: false
+        });
+
+        // Pooled objects keep their first creation time; refresh it so stale-effect cleanup skips it
+        object.userData.creationTime = Date.now();
+
+        this.lookTarget.copy(options.origin).add(options.direction);
+        object.lookAt(this.lookTarget);
+
+        const projectile = {
+            object,
+            effectType: options.effectType,
+            owner: options.owner,
+            velocity: options.direction.clone().multiplyScalar(options.speed),
+            damage: options.damage,
+            radius: options.radius,
+            travelled: 0,
+            maxDistance: options.maxDistance
+        };
+
+        this.projectiles.push(projectile);
+        return projectile;
+    }
+
+    /**
+     * Move projectiles and remove the ones that flew out of range
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+
+            projectile.object.position.addScaledVector(projectile.velocity, delta);
+            projectile.travelled += projectile.velocity.length() * delta;
+
+            if (projectile.travelled >= projectile.maxDistance) {
+                this.releaseProjectile(projectile);
+            }
+        }
+
+        this.effectPool.update(delta);
+    }
+
+    /**
+     * Get the projectiles currently in flight
+     * @returns {Array<Object>} - Active projectile entries
+     */
+    getActiveProjectiles() {
+        return this.projectiles;
+    }
+
+    /**
+     * Return a projectile's visual to the pool and stop tracking it
+     * @param {Object} projectile - The projectile entry
+     */
+    releaseProjectile(projectile) {
+        const index = this.projectiles.indexOf(projectile);
+        if (index === -1) {
+            return;
+        }
+
+        this.projectiles.splice(index, 1);
+        this.effectPool.release(projectile.effectType, projectile.object);
+    }
+
+    /**
+     * Remove all projectiles in flight
+     */
+    clearProjectiles() {
+        [...this.projectiles].forEach(projectile => this.releaseProjectile(projectile));
+    }
+
+    /**
+     * Remove all projectiles and free the pooled visuals
+     */
+    dispose() {
+        this.clearProjectiles();
+        this.effectPool.clear();
+    }
+}
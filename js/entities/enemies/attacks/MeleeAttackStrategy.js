@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import { EnemyAttackStrategy } from './EnemyAttackStrategy.js';
+
+/**
+ * Melee attack: the enemy winds up behind a ground marker aimed at its target,
+ * then hits the target if it is still inside the marked sector
+ */
+export class MeleeAttackStrategy extends EnemyAttackStrategy {
+    /**
+     * @param {import("../Enemy.js").Enemy} enemy - The enemy using the strategy
+     * @param {Object} [settings={}] - Strategy settings (see ENEMY_MELEE_SETTINGS)
+     */
+    constructor(enemy, settings = {}) {
+        super(enemy, settings);
+
+        // Direction the current swing is aimed at (world Y angle)
+        this.attackFacing = 0;
+
+        // Ground marker, created on the first swing and reused afterwards
+        this.telegraph = null;
+    }
+
+    /**
+     * Aim the swing and show its marker
+     * @param {Object} target - The target being attacked
+     */
+    showTelegraph(target) {
+        const enemy = this.enemy;
+        const targetPosition = target.getPosition();
+        this.attackFacing = Math.atan2(targetPosition.x - enemy.position.x, targetPosition.z - enemy.position.z);
+        enemy.rotation.y = this.attackFacing;
+
+        if (!this.telegraph) {
+            this.telegraph = this.createTelegraph();
+        }
+
+        const reach = this.getReach();
+        const groundHeight = enemy.world ? enemy.world.getTerrainHeight(enemy.position.x, enemy.position.z) : enemy.position.y - enemy.heightOffset;
+        this.telegraph.position.set(enemy.position.x, groundHeight + 0.06, enemy.position.z);
+        // Laid flat, local +Y points toward -Z, hence the half turn
+        this.telegraph.rotation.set(-Math.PI / 2, 0, this.attackFacing + Math.PI, 'XYZ');
+        this.telegraph.scale.set(reach, reach, 1);
+        this.telegraph.userData.fill.scale.set(0.01, 0.01, 1);
+        this.telegraph.visible = true;
+
+        if (!this.telegraph.parent) {
+            enemy.scene.add(this.telegraph);
+        }
+    }
+
+    /**
+     * Grow the marker's fill toward the moment the hit lands
+     * @param {number} progress - Wind-up progress from 0 to 1
+     */
+    updateTelegraph(progress) {
+        if (this.telegraph) {
+            const scale = Math.max(progress, 0.01);
+            this.telegraph.userData.fill.scale.set(scale, scale, 1);
+        }
+    }
+
+    hideTelegraph() {
+        if (this.telegraph) {
+            this.telegraph.visible = false;
+        }
+    }
+
+    /**
+     * Build the sector marker (unit radius, pointing along local +Y so a Z rotation aims it)
+     * @returns {THREE.Group} - The marker
+     */
+    createTelegraph() {
+        const arc = THREE.MathUtils.degToRad(this.settings.arc || 110);
+        const thetaStart = Math.PI / 2 - arc / 2;
+        const color = this.settings.telegraphColor || 0xff3322;
+
+        const marker = new THREE.Group();
+
+        const outline = new THREE.Mesh(
+            new THREE.CircleGeometry(1, 20, thetaStart, arc),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.2, depthWrite: false, side: THREE.DoubleSide })
+        );
+        marker.add(outline);
+
+        const fill = new THREE.Mesh(
+            new THREE.CircleGeometry(1, 20, thetaStart, arc),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.4, depthWrite: false, side: THREE.DoubleSide })
+        );
+        fill.position.z = 0.01;
+        marker.add(fill);
+        marker.userData.fill = fill;
+
+        return marker;
+    }
+
+    /**
+     * Get the radius the swing reaches
+     * @returns {number} - Reach in world units
+     */
+    getReach() {
+        return this.enemy.attackRange * (this.settings.reachMultiplier || 1);
+    }
+
+    /**
+     * Check whether a position is inside the swing's sector
+     * @param {THREE.Vector3} position - Position to test
+     * @returns {boolean} - True if the position would be hit
+     */
+    isInSwing(position) {
+        const enemy = this.enemy;
+        const dx = position.x - enemy.position.x;
+        const dz = position.z - enemy.position.z;
+        const reach = this.getReach();
+        if (dx * dx + dz * dz > reach * reach) {
+            return false;
+        }
+
+        const arc = THREE.MathUtils.degToRad(this.settings.arc || 110);
+        const angle = Math.atan2(dx, dz) - this.attackFacing;
+        return Math.abs(Math.atan2(Math.sin(angle), Math.cos(angle))) <= arc / 2;
+    }
+
+    /**
+     * Hit the target if it is still inside the marked sector
+     * @param {Object} target - Player, remote player or clone wrapper (getPosition/takeDamage)
+     */
+    resolve(target) {
+        const enemy = this.enemy;
+        const isClone = target !== enemy.player;
+        console.debug(`ENEMY TARGET: Enemy ${enemy.id} has target: ${isClone ? 'CLONE' : 'PLAYER'}`);
+
+        if (typeof target.takeDamage !== 'function') {
+            console.error(`Enemy ${enemy.id} target doesn't have takeDamage function`);
+            return;
+        }
+
+        if (!this.isInSwing(target.getPosition())) {
+            console.debug(`ENEMY MISS: Enemy ${enemy.id} swung at ${isClone ? 'CLONE' : 'PLAYER'} but it moved out of reach`);
+            return;
+        }
+        
+        if (this.rollMiss()) {
+            console.debug(`ENEMY MISS: Enemy ${enemy.id} is blinded and missed`);
+            return;
+        }
+
+        try {
+            console.debug(`ENEMY DAMAGE: Enemy ${enemy.id} dealing ${enemy.damage} damage to ${isClone ? 'CLONE' : 'PLAYER'}`);
+
+            // Apply damage to the target
+            this.applyHit(target, enemy.damage);
+
+            // Visual feedback for attack
+            if (isClone) {
+                console.debug(`ENEMY EFFECT: Creating visual effect for clone attack`);
+
+                // If attacking a clone, create a visual effect
+                const targetPos = target.getPosition();
+                if (targetPos && enemy.player.game && enemy.player.game.effectsManager) {
+                    // Create a simple attack effect at the target position
+                    const effectPos = new THREE.Vector3(targetPos.x, targetPos.y + 1, targetPos.z);
+                    enemy.player.game.effectsManager.createBleedingEffect(enemy.damage, effectPos, false);
+                }
+            }
+        } catch (error) {
+            console.error(`Error in enemy attack: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove the marker from the scene and free its resources
+     */
+    dispose() {
+        super.dispose();
+
+        if (!this.telegraph) {
+            return;
+        }
+
+        if (this.telegraph.parent) {
+            this.telegraph.parent.remove(this.telegraph);
+        }
+        this.telegraph.children.forEach(child => {
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+        this.telegraph = null;
+    }
+}
@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+import { EnemyAttackStrategy } from './EnemyAttackStrategy.js';
+
+/**
+ * Ranged attack: fires a pooled projectile at the target's current position
+ * The projectile travels in a straight line, so it can be outrun, sidestepped or blocked by structures
+ * (collisions are resolved in CollisionManager)
+ */
+export class RangedAttackStrategy extends EnemyAttackStrategy {
+    /**
+     * Fire a projectile toward the target once the aim wind-up is over
+     * @param {Object} target - Player, remote player or clone wrapper (getPosition/takeDamage)
+     */
+    resolve(target) {
+        const enemy = this.enemy;
+        const projectileManager = this.getProjectileManager();
+        if (!projectileManager) {
+            // No projectile system (e.g. preview scenes) - fall back to an instant hit
+            if (typeof target.takeDamage === 'function') {
+                this.applyHit(target, enemy.damage);
+            }
+            return;
+        }
+
+        const targetPosition = target.getPosition();
+        const origin = new THREE.Vector3(
+            enemy.position.x,
+            enemy.position.y + this.settings.launchHeight * enemy.scale,
+            enemy.position.z
+        );
+
+        // Aim at the target's chest height so projectiles fly level over flat ground
+        const aimPoint = new THREE.Vector3(targetPosition.x, targetPosition.y + 1, targetPosition.z);
+        const direction = aimPoint.sub(origin);
+        if (direction.lengthSq() === 0) {
+            return;
+        }
+        direction.normalize();
+
+        // Blinded shooters fire wide of the mark
+        if (this.rollMiss()) {
+            const spread = (0.3 + Math.random() * 0.3) * (Math.random() < 0.5 ? -1 : 1);
+            direction.applyAxisAngle(new THREE.Vector3(0, 1, 0), spread);
+        }
+
+        // Face the shot
+        enemy.rotation.y = Math.atan2(direction.x, direction.z);
+
+        projectileManager.spawnProjectile({
+            owner: enemy,
+            effectType: this.settings.projectile,
+            origin,
+            direction,
+            speed: this.settings.projectileSpeed,
+            radius: this.settings.projectileRadius,
+            damage: enemy.damage,
+            maxDistance: enemy.attackRange * this.settings.maxRangeMultiplier
+        });
+
+        console.debug(`Enemy ${enemy.id} fired ${this.settings.projectile}`);
+    }
+
+    /**
+     * Only shoot with a clear line of fire; otherwise the enemy keeps moving
+     * @param {Object} target - The current target
+     * @param {number} distance - Horizontal distance to the target
+     * @returns {boolean} - True if the target can be shot
+     */
+    canAttack(target, distance) {
+        if (distance > this.enemy.attackRange) {
+            return false;
+        }
+
+        const navigationManager = this.enemy.world ? this.enemy.world.navigationManager : null;
+        if (!navigationManager || !navigationManager.hasObstacles()) {
+            return true;
+        }
+
+        return navigationManager.hasLineOfSight(this.enemy.position, target.getPosition());
+    }
+
+    /**
+     * Back away while reloading when the target gets too close
+     * @param {number} distance - Horizontal distance to the target
+     * @returns {boolean} - True if the enemy should retreat
+     */
+    shouldKite(distance) {
+        return this.enemy.state.attackCooldown > 0 &&
+            distance < this.enemy.attackRange * this.settings.kiteDistanceRatio;
+    }
+
+    /**
+     * Get the projectile manager shared by all enemies
+     * @returns {import("./EnemyProjectileManager.js").EnemyProjectileManager|null} - The manager, if available
+     */
+    getProjectileManager() {
+        const game = this.enemy.player ? this.enemy.player.game : null;
+        return game && game.enemyManager ? game.enemyManager.projectileManager : null;
+    }
+}
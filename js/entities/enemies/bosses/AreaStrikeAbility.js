@@ -0,0 +1,65 @@
+import { BossAbility } from './BossAbility.js';
+
+/**
+ * Circular strikes on the boss (novas, slams) or on the target (storms, meteors, prisons)
+ * Several strikes can be scattered and staggered; strikes may leave a lingering damaging area
+ */
+export class AreaStrikeAbility extends BossAbility {
+    begin() {
+        const center = this.config.targeting === 'target' ? this.getTargetPosition() : this.enemy.position.clone();
+        if (!center) {
+            return;
+        }
+
+        const count = this.config.count || 1;
+        const scatter = this.config.scatter || 0;
+        const stagger = this.config.stagger || 0;
+
+        for (let i = 0; i < count; i++) {
+            const position = center.clone();
+
+            // The first strike lands on the center, the rest are scattered around it
+            if (i > 0 && scatter > 0) {
+                const angle = Math.random() * Math.PI * 2;
+                const distance = Math.sqrt(Math.random()) * scatter;
+                position.x += Math.cos(angle) * distance;
+                position.z += Math.sin(angle) * distance;
+            }
+
+            this.createTelegraph(position, this.config.radius, this.config.castTime + i * stagger, impactPosition => this.resolveStrike(impactPosition));
+        }
+    }
+
+    /**
+     * Deal the strike's damage and leave its lingering area
+     * @param {THREE.Vector3} position - Strike center
+     */
+    resolveStrike(position) {
+        this.playImpact(position, this.config.radius);
+        this.strikePlayerInRadius(position, this.config.radius, this.getDamage());
+
+        if (this.config.lingerDuration) {
+            const area = this.createGroundDisc(position, this.config.radius, this.config.color, 0.35);
+            this.addHazard(area, this.config.lingerDuration, this.config.radius);
+        }
+    }
+
+    /**
+     * Lingering areas deal their own (smaller) damage
+     * @param {Object} hazard - The hazard entry
+     */
+    onHazardTick(hazard) {
+        this.strikePlayerInRadius(hazard.object.position, hazard.radius, this.getDamage(this.config.lingerDamageRatio));
+    }
+
+    /**
+     * Slowly pulse lingering areas
+     * @param {Object} hazard - The hazard entry
+     * @param {number} delta - Time since last update in seconds
+     */
+    animateHazard(hazard, delta) {
+        super.animateHazard(hazard, delta);
+        const pulse = 1 + Math.sin(hazard.age * 4) * 0.04;
+        hazard.object.scale.set(pulse, pulse, 1);
+    }
+}
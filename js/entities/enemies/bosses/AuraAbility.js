@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+import { BossAbility } from './BossAbility.js';
+
+/**
+ * A damaging field around the boss for a while (burning auras, chilling touch, life drain)
+ * With a healRatio the boss heals for a share of the damage the aura deals
+ */
+export class AuraAbility extends BossAbility {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.activeTime = 0;
+        this.tickTimer = 0;
+        this.ring = null;
+    }
+
+    /**
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+
+        if (this.activeTime <= 0) {
+            return;
+        }
+
+        this.activeTime -= delta;
+
+        const enemy = this.enemy;
+        if (this.ring) {
+            this.ring.position.set(enemy.position.x, this.getGroundHeight(enemy.position.x, enemy.position.z) + 0.08, enemy.position.z);
+            this.ring.rotation.z += delta * 0.8;
+        }
+
+        this.tickTimer -= delta;
+        if (this.tickTimer <= 0) {
+            this.tickTimer = this.config.tickInterval;
+            this.pulse();
+        }
+
+        if (this.activeTime <= 0) {
+            this.removeRing();
+        }
+    }
+
+    begin() {
+        this.createTelegraph(this.enemy.position, this.config.radius, this.config.castTime, () => this.activate());
+    }
+
+    /**
+     * Start the aura
+     */
+    activate() {
+        if (this.enemy.state.isDead) {
+            return;
+        }
+
+        this.activeTime = this.config.duration;
+        this.tickTimer = 0;
+        this.removeRing();
+
+        this.ring = new THREE.Mesh(
+            new THREE.RingGeometry(this.config.radius * 0.9, this.config.radius, 48),
+            new THREE.MeshBasicMaterial({ color: this.config.color, transparent: true, opacity: 0.5, depthWrite: false, side: THREE.DoubleSide })
+        );
+        this.ring.rotation.x = -Math.PI / 2;
+        this.enemy.scene.add(this.ring);
+    }
+
+    /**
+     * Damage the local player inside the aura and heal the boss for it
+     */
+    pulse() {
+        const damage = this.getDamage();
+        if (!this.strikePlayerInRadius(this.enemy.position, this.config.radius, damage) || !this.config.healRatio) {
+            return;
+        }
+
+        const enemy = this.enemy;
+        enemy.health = Math.min(enemy.maxHealth, enemy.health + damage * this.config.healRatio);
+        enemy.updateHealthBar();
+    }
+
+    /**
+     * Remove the aura's ring
+     */
+    removeRing() {
+        this.removeObject(this.ring);
+        this.ring = null;
+    }
+
+    onDeath() {
+        super.onDeath();
+        this.activeTime = 0;
+        this.removeRing();
+    }
+
+    dispose() {
+        super.dispose();
+        this.removeRing();
+    }
+}
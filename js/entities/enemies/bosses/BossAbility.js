@@ -0,0 +1,246 @@
+import * as THREE from 'three';
+import { EnemyAbility } from '../affixes/EnemyAbility.js';
+
+/**
+ * Base class for boss abilities
+ * The BossAbilityController decides when an ability is cast; the ability shows its
+ * telegraphed ground markers and resolves its effect once a marker has filled.
+ * Boss abilities live in the enemy's ability list, so hazards and damage hooks
+ * are updated and cleaned up like affix abilities.
+ */
+export class BossAbility extends EnemyAbility {
+    /**
+     * @param {import("../Enemy.js").Enemy} enemy - The boss owning the ability
+     * @param {Object} config - Ability settings from BOSS_ABILITIES (with its id)
+     */
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.id = config.id;
+        this.cooldownTimer = 0;
+
+        // Set by the controller when the boss enters a new phase
+        this.damageMultiplier = 1;
+
+        // Pending ground markers: { object, fill, age, duration, onComplete }
+        this.telegraphs = [];
+    }
+
+    /**
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+
+        if (this.cooldownTimer > 0) {
+            this.cooldownTimer -= delta;
+        }
+
+        this.updateTelegraphs(delta);
+    }
+
+    /**
+     * Only abilities that move the boss or spawn enemies need the simulation authority
+     * (single player or multiplayer host); members receive the result through enemy sync
+     * @returns {boolean} - True if only the authority may cast the ability
+     */
+    requiresAuthority() {
+        return false;
+    }
+
+    /**
+     * Check whether the ability can be cast now
+     * @param {number} phase - Current boss phase index
+     * @param {number} distance - Horizontal distance to the target
+     * @returns {boolean} - True if the ability is ready
+     */
+    isReady(phase, distance) {
+        return this.cooldownTimer <= 0 &&
+            phase >= (this.config.minPhase || 0) &&
+            distance <= this.config.range &&
+            distance >= (this.config.minRange || 0);
+    }
+
+    /**
+     * Start the cast and put the ability on cooldown
+     * @param {number} cooldownMultiplier - Phase cooldown multiplier
+     * @returns {number} - Seconds the boss channels the cast
+     */
+    cast(cooldownMultiplier) {
+        this.cooldownTimer = this.config.cooldown * cooldownMultiplier;
+        console.debug(`${this.enemy.name} casts ${this.config.name}`);
+
+        this.begin();
+        return this.config.castTime || 0;
+    }
+
+    /**
+     * Create the ability's markers (overridden by each module)
+     */
+    begin() {}
+
+    /**
+     * Get the ability's damage for a ratio of the boss's damage
+     * @param {number} [ratio] - Damage ratio (defaults to the ability's damageRatio)
+     * @returns {number} - Damage to deal
+     */
+    getDamage(ratio = this.config.damageRatio || 0) {
+        return this.enemy.damage * ratio * this.damageMultiplier;
+    }
+
+    /**
+     * Get the current target position
+     * @returns {THREE.Vector3|null} - Target position, or null without a target
+     */
+    getTargetPosition() {
+        const target = this.enemy.targetPlayer;
+        if (!target || typeof target.getPosition !== 'function') {
+            return null;
+        }
+        return target.getPosition().clone();
+    }
+
+    /**
+     * Check whether the local player stands within a radius
+     * @param {THREE.Vector3} center - Center of the area
+     * @param {number} radius - Radius of the area
+     * @returns {boolean} - True if the player is inside
+     */
+    isPlayerInRadius(center, radius) {
+        const player = this.enemy.player;
+        if (!player || typeof player.getPosition !== 'function') {
+            return false;
+        }
+
+        const playerPosition = player.getPosition();
+        const dx = playerPosition.x - center.x;
+        const dz = playerPosition.z - center.z;
+        return dx * dx + dz * dz <= radius * radius;
+    }
+
+    /**
+     * Show a ground marker that fills up before the ability resolves
+     * @param {THREE.Vector3} position - Center of the marker
+     * @param {number} radius - Marker radius
+     * @param {number} duration - Seconds until the marker resolves
+     * @param {Function} onComplete - Called with the marker position once it has filled
+     * @param {Object} [options] - Marker shape
+     * @param {number} [options.arc] - Sector angle in radians (full circle by default)
+     * @param {number} [options.facing] - Sector direction as a world Y angle (0 = +Z)
+     * @returns {Object} - The telegraph entry
+     */
+    createTelegraph(position, radius, duration, onComplete, options = {}) {
+        const arc = options.arc || Math.PI * 2;
+
+        // CircleGeometry sweeps counter-clockwise from +X; lying flat, that maps to atan2(-z, x)
+        const thetaStart = arc >= Math.PI * 2 ? 0 : -(Math.PI / 2 - (options.facing || 0)) - arc / 2;
+
+        const marker = new THREE.Group();
+        marker.position.set(position.x, this.getGroundHeight(position.x, position.z) + 0.06, position.z);
+        marker.rotation.x = -Math.PI / 2;
+
+        const outline = new THREE.Mesh(
+            new THREE.CircleGeometry(radius, 32, thetaStart, arc),
+            new THREE.MeshBasicMaterial({ color: this.config.color, transparent: true, opacity: 0.25, depthWrite: false, side: THREE.DoubleSide })
+        );
+        marker.add(outline);
+
+        // The fill grows from the center so players can read how long they have left to move
+        const fill = new THREE.Mesh(
+            new THREE.CircleGeometry(radius, 32, thetaStart, arc),
+            new THREE.MeshBasicMaterial({ color: this.config.color, transparent: true, opacity: 0.45, depthWrite: false, side: THREE.DoubleSide })
+        );
+        fill.position.z = 0.01;
+        fill.scale.set(0.01, 0.01, 1);
+        marker.add(fill);
+
+        this.enemy.scene.add(marker);
+
+        const telegraph = {
+            object: marker,
+            fill,
+            position: position.clone(),
+            age: 0,
+            duration: Math.max(duration, 0.01),
+            onComplete
+        };
+        this.telegraphs.push(telegraph);
+        return telegraph;
+    }
+
+    /**
+     * Fill markers and resolve the ones that are complete
+     * @param {number} delta - Time since last update in seconds
+     */
+    updateTelegraphs(delta) {
+        for (let i = this.telegraphs.length - 1; i >= 0; i--) {
+            const telegraph = this.telegraphs[i];
+            telegraph.age += delta;
+
+            const progress = Math.min(telegraph.age / telegraph.duration, 1);
+            telegraph.fill.scale.set(progress, progress, 1);
+
+            if (progress < 1) {
+                continue;
+            }
+
+            this.telegraphs.splice(i, 1);
+            this.removeObject(telegraph.object);
+
+            if (telegraph.onComplete) {
+                telegraph.onComplete(telegraph.position);
+            }
+        }
+    }
+
+    /**
+     * Show an expanding ring where the ability lands
+     * @param {THREE.Vector3} position - Impact center
+     * @param {number} radius - Final ring radius
+     */
+    playImpact(position, radius) {
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(0.7, 1, 32),
+            new THREE.MeshBasicMaterial({ color: this.config.color, transparent: true, opacity: 0.9, depthWrite: false, side: THREE.DoubleSide })
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(position.x, this.getGroundHeight(position.x, position.z) + 0.1, position.z);
+        this.enemy.scene.add(ring);
+
+        const duration = 400;
+        const startTime = Date.now();
+        const animateRing = () => {
+            const progress = Math.min((Date.now() - startTime) / duration, 1);
+            const scale = radius * (0.3 + 0.7 * progress);
+            ring.scale.set(scale, scale, 1);
+            ring.material.opacity = 0.9 * (1 - progress);
+
+            if (progress < 1) {
+                requestAnimationFrame(animateRing);
+            } else {
+                this.removeObject(ring);
+            }
+        };
+
+        requestAnimationFrame(animateRing);
+    }
+
+    /**
+     * Pending casts are cancelled when the boss dies
+     */
+    onDeath() {
+        this.clearTelegraphs();
+    }
+
+    /**
+     * Remove all pending markers without resolving them
+     */
+    clearTelegraphs() {
+        this.telegraphs.forEach(telegraph => this.removeObject(telegraph.object));
+        this.telegraphs = [];
+    }
+
+    dispose() {
+        super.dispose();
+        this.clearTelegraphs();
+    }
+}
@@ -0,0 +1,148 @@
+import { BOSS_ABILITY_SETTINGS, BOSS_PHASES } from '../../../config/boss-abilities.js';
+import { BossAbilityFactory } from './BossAbilityFactory.js';
+
+/**
+ * Decides when a boss casts the abilities listed in its configuration
+ * Tracks the boss's health-threshold phases, keeps one cast going at a time and
+ * holds the boss in place (playing its attack animation) while it channels
+ */
+export class BossAbilityController {
+    /**
+     * @param {import("../Enemy.js").Enemy} enemy - The boss
+     * @param {Array<string>} abilityIds - Ability ids from BOSS_TYPES
+     */
+    constructor(enemy, abilityIds) {
+        this.enemy = enemy;
+        this.phases = BOSS_PHASES[enemy.type] || BOSS_PHASES.default;
+        this.phaseIndex = 0;
+
+        // Seconds left in the current cast, and until the next cast may start
+        this.castTimer = 0;
+        this.globalCooldown = BOSS_ABILITY_SETTINGS.globalCooldown;
+
+        this.abilities = [];
+        abilityIds.forEach(abilityId => {
+            const ability = BossAbilityFactory.createAbility(enemy, abilityId);
+            if (!ability) {
+                return;
+            }
+
+            ability.cooldownTimer = ability.config.cooldown * BOSS_ABILITY_SETTINGS.initialCooldownRatio;
+            this.abilities.push(ability);
+
+            // Boss abilities share the affix ability hooks (updates, damage modifiers, cleanup)
+            enemy.abilities.push(ability);
+        });
+    }
+
+    /**
+     * Advance phases and start a cast when an ability is ready
+     * @param {number} delta - Time since last update in seconds
+     * @param {number} distanceToTarget - Horizontal distance to the boss's target
+     * @returns {boolean} - True while the boss is channeling (it should neither move nor attack)
+     */
+    update(delta, distanceToTarget) {
+        this.updatePhase();
+
+        if (this.castTimer > 0) {
+            this.castTimer -= delta;
+            if (this.castTimer <= 0) {
+                this.enemy.state.isAttacking = false;
+            }
+            return true;
+        }
+
+        if (this.globalCooldown > 0) {
+            this.globalCooldown -= delta;
+            return false;
+        }
+
+        const hasAuthority = this.hasAuthority();
+        const readyAbilities = this.abilities.filter(ability =>
+            (hasAuthority || !ability.requiresAuthority()) && ability.isReady(this.phaseIndex, distanceToTarget)
+        );
+        if (readyAbilities.length === 0) {
+            return false;
+        }
+
+        const ability = readyAbilities[Math.floor(Math.random() * readyAbilities.length)];
+        this.faceTarget();
+
+        const castTime = ability.cast(this.phases[this.phaseIndex].cooldownMultiplier);
+        this.globalCooldown = BOSS_ABILITY_SETTINGS.globalCooldown;
+        if (castTime <= 0) {
+            return false;
+        }
+
+        this.castTimer = castTime;
+        this.enemy.state.isMoving = false;
+        this.enemy.playAttackAnimation();
+        return true;
+    }
+
+    /**
+     * Enter the next phase once health drops below its threshold
+     * Phases never go back, even if the boss heals
+     */
+    updatePhase() {
+        const enemy = this.enemy;
+        const healthRatio = enemy.health / enemy.maxHealth;
+
+        let phaseIndex = this.phaseIndex;
+        while (phaseIndex + 1 < this.phases.length && healthRatio <= this.phases[phaseIndex + 1].healthThreshold) {
+            phaseIndex++;
+        }
+
+        if (phaseIndex === this.phaseIndex) {
+            return;
+        }
+
+        this.phaseIndex = phaseIndex;
+        const phase = this.phases[phaseIndex];
+
+        this.abilities.forEach(ability => {
+            ability.damageMultiplier = phase.damageMultiplier;
+
+            // Abilities unlocked by this phase are used right away
+            if ((ability.config.minPhase || 0) === phaseIndex) {
+                ability.cooldownTimer = 0;
+            }
+        });
+
+        console.debug(`${enemy.name} entered phase ${phaseIndex + 1}`);
+
+        if (phase.message && enemy.player.game?.hudManager) {
+            enemy.player.game.hudManager.showNotification(`${enemy.name} ${phase.message}`);
+        }
+    }
+
+    /**
+     * Turn the boss toward its target
+     */
+    faceTarget() {
+        const target = this.enemy.targetPlayer;
+        if (!target || typeof target.getPosition !== 'function') {
+            return;
+        }
+
+        const targetPosition = target.getPosition();
+        this.enemy.rotation.y = Math.atan2(targetPosition.x - this.enemy.position.x, targetPosition.z - this.enemy.position.z);
+    }
+
+    /**
+     * Check whether this client simulates the boss authoritatively (single player or host)
+     * @returns {boolean} - True if abilities that move the boss or spawn enemies may be cast
+     */
+    hasAuthority() {
+        const enemyManager = this.enemy.player.game?.enemyManager;
+        return !enemyManager || !enemyManager.isMultiplayer || enemyManager.isHost;
+    }
+
+    /**
+     * Get the current phase index
+     * @returns {number} - Phase index (0 = first phase)
+     */
+    getPhase() {
+        return this.phaseIndex;
+    }
+}
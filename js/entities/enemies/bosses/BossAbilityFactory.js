@@ -0,0 +1,60 @@
+import { BOSS_ABILITIES } from '../../../config/boss-abilities.js';
+import { AreaStrikeAbility } from './AreaStrikeAbility.js';
+import { ConeAbility } from './ConeAbility.js';
+import { ProjectileVolleyAbility } from './ProjectileVolleyAbility.js';
+import { SummonAbility } from './SummonAbility.js';
+import { PullAbility } from './PullAbility.js';
+import { TeleportAbility } from './TeleportAbility.js';
+import { SelfBuffAbility } from './SelfBuffAbility.js';
+import { AuraAbility } from './AuraAbility.js';
+
+/**
+ * Factory class for creating boss abilities from BOSS_ABILITIES
+ */
+export class BossAbilityFactory {
+    /**
+     * Create the ability registered under an id
+     * @param {import("../Enemy.js").Enemy} enemy - The boss receiving the ability
+     * @param {string} abilityId - Ability id from the boss's abilities list
+     * @returns {import("./BossAbility.js").BossAbility|null} The ability, or null for unknown ids or types
+     */
+    static createAbility(enemy, abilityId) {
+        const definition = BOSS_ABILITIES[abilityId];
+        if (!definition) {
+            console.warn(`Unknown boss ability: ${abilityId}`);
+            return null;
+        }
+
+        const config = { ...definition, id: abilityId };
+
+        switch (config.type) {
+            case 'area_strike':
+                return new AreaStrikeAbility(enemy, config);
+
+            case 'cone':
+                return new ConeAbility(enemy, config);
+
+            case 'projectile_volley':
+                return new ProjectileVolleyAbility(enemy, config);
+
+            case 'summon':
+                return new SummonAbility(enemy, config);
+
+            case 'pull':
+                return new PullAbility(enemy, config);
+
+            case 'teleport':
+                return new TeleportAbility(enemy, config);
+
+            case 'self_buff':
+                return new SelfBuffAbility(enemy, config);
+
+            case 'aura':
+                return new AuraAbility(enemy, config);
+
+            default:
+                console.warn(`Unknown boss ability type: ${config.type} (${abilityId})`);
+                return null;
+        }
+    }
+}
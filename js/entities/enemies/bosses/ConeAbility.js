@@ -0,0 +1,46 @@
+import * as THREE from 'three';
+import { BossAbility } from './BossAbility.js';
+
+/**
+ * Frontal cone (breaths, sprays, waves) aimed at the target when the cast starts
+ * Stepping out of the marked sector or behind the boss avoids it
+ */
+export class ConeAbility extends BossAbility {
+    begin() {
+        const targetPosition = this.getTargetPosition();
+        if (!targetPosition) {
+            return;
+        }
+
+        const facing = Math.atan2(targetPosition.x - this.enemy.position.x, targetPosition.z - this.enemy.position.z);
+        this.enemy.rotation.y = facing;
+
+        const arc = THREE.MathUtils.degToRad(this.config.arc);
+        this.createTelegraph(this.enemy.position, this.config.radius, this.config.castTime, origin => this.resolveCone(origin, facing, arc), { arc, facing });
+    }
+
+    /**
+     * Hit the local player if standing inside the cone
+     * @param {THREE.Vector3} origin - Cone origin
+     * @param {number} facing - Cone direction as a world Y angle
+     * @param {number} arc - Cone angle in radians
+     */
+    resolveCone(origin, facing, arc) {
+        this.playImpact(origin, this.config.radius * 0.5);
+
+        const player = this.enemy.player;
+        if (!player || !this.isPlayerInRadius(origin, this.config.radius)) {
+            return;
+        }
+
+        const playerPosition = player.getPosition();
+        const angleToPlayer = Math.atan2(playerPosition.x - origin.x, playerPosition.z - origin.z);
+        const angleDifference = Math.abs(Math.atan2(Math.sin(angleToPlayer - facing), Math.cos(angleToPlayer - facing)));
+        if (angleDifference > arc / 2) {
+            return;
+        }
+
+        player.takeDamage(Math.max(1, Math.round(this.getDamage())));
+        this.applyPlayerEffect();
+    }
+}
@@ -0,0 +1,86 @@
+import * as THREE from 'three';
+import { BossAbility } from './BossAbility.js';
+
+/**
+ * Fans of projectiles fired at the target in one or more waves
+ * Projectiles come from the shared EnemyProjectileManager, so they collide like ranged enemy shots
+ */
+export class ProjectileVolleyAbility extends BossAbility {
+    constructor(enemy, config) {
+        super(enemy, config);
+
+        // Seconds until each remaining wave of the current volley fires
+        this.pendingWaves = [];
+    }
+
+    /**
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+
+        for (let i = this.pendingWaves.length - 1; i >= 0; i--) {
+            this.pendingWaves[i] -= delta;
+            if (this.pendingWaves[i] <= 0) {
+                this.pendingWaves.splice(i, 1);
+                this.fireWave();
+            }
+        }
+    }
+
+    begin() {
+        // A short marker under the boss shows the volley winding up
+        this.createTelegraph(this.enemy.position, 1.5 * this.enemy.scale, this.config.castTime, () => {
+            for (let wave = 0; wave < this.config.waves; wave++) {
+                this.pendingWaves.push(wave * this.config.waveInterval);
+            }
+        });
+    }
+
+    /**
+     * Fire one fan of projectiles at the target's current position
+     */
+    fireWave() {
+        const projectileManager = this.getProjectileManager();
+        const targetPosition = this.getTargetPosition();
+        if (!projectileManager || !targetPosition || !this.canAct()) {
+            return;
+        }
+
+        const enemy = this.enemy;
+        const origin = new THREE.Vector3(enemy.position.x, enemy.position.y + enemy.scale, enemy.position.z);
+        const aimAngle = Math.atan2(targetPosition.x - origin.x, targetPosition.z - origin.z);
+        const spread = THREE.MathUtils.degToRad(this.config.spreadAngle);
+        enemy.rotation.y = aimAngle;
+
+        for (let i = 0; i < this.config.count; i++) {
+            const offset = this.config.count > 1 ? (i / (this.config.count - 1) - 0.5) * spread : 0;
+            const direction = new THREE.Vector3(Math.sin(aimAngle + offset), 0, Math.cos(aimAngle + offset));
+
+            projectileManager.spawnProjectile({
+                owner: enemy,
+                effectType: this.config.projectile,
+                origin,
+                direction,
+                speed: this.config.projectileSpeed,
+                radius: this.config.projectileRadius,
+                damage: Math.max(1, Math.round(this.getDamage())),
+                maxDistance: this.config.range * 1.5
+            });
+        }
+    }
+
+    /**
+     * Get the projectile manager shared by all enemies
+     * @returns {import("../attacks/EnemyProjectileManager.js").EnemyProjectileManager|null} - The manager, if available
+     */
+    getProjectileManager() {
+        const game = this.enemy.player ? this.enemy.player.game : null;
+        return game && game.enemyManager ? game.enemyManager.projectileManager : null;
+    }
+
+    onDeath() {
+        super.onDeath();
+        this.pendingWaves = [];
+    }
+}
@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+import { BossAbility } from './BossAbility.js';
+
+/**
+ * Grabs (tentacles, tendrils) marked under the target that drag a caught player to the boss
+ */
+export class PullAbility extends BossAbility {
+    begin() {
+        const targetPosition = this.getTargetPosition();
+        if (!targetPosition) {
+            return;
+        }
+
+        this.createTelegraph(targetPosition, this.config.radius, this.config.castTime, position => this.resolveGrab(position));
+    }
+
+    /**
+     * Drag the local player to the boss if still standing in the marker
+     * @param {THREE.Vector3} position - Marker center
+     */
+    resolveGrab(position) {
+        this.playImpact(position, this.config.radius);
+
+        const player = this.enemy.player;
+        if (!this.canAct() || !this.isPlayerInRadius(position, this.config.radius)) {
+            return;
+        }
+
+        // Land just inside the boss's melee range, on the side the player was pulled from
+        const direction = player.getPosition().clone().sub(this.enemy.position).setY(0);
+        if (direction.lengthSq() === 0) {
+            direction.set(0, 0, 1);
+        }
+        direction.normalize().multiplyScalar(this.enemy.attackRange * 0.8);
+
+        const x = this.enemy.position.x + direction.x;
+        const z = this.enemy.position.z + direction.z;
+        this.playTendril(player.getPosition(), new THREE.Vector3(x, 0, z));
+        player.setPosition(x, this.getGroundHeight(x, z), z);
+
+        player.takeDamage(Math.max(1, Math.round(this.getDamage())));
+        this.applyPlayerEffect();
+    }
+
+    /**
+     * Show a short-lived tendril between the grab point and the boss
+     * @param {THREE.Vector3} from - Where the player was grabbed
+     * @param {THREE.Vector3} to - Where the player is dropped
+     */
+    playTendril(from, to) {
+        const start = new THREE.Vector3(from.x, from.y + 0.8, from.z);
+        const end = new THREE.Vector3(this.enemy.position.x, this.enemy.position.y + this.enemy.scale * 0.8, this.enemy.position.z);
+        const length = start.distanceTo(end);
+
+        const tendril = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.12, 0.25, length, 8),
+            new THREE.MeshBasicMaterial({ color: this.config.color, transparent: true, opacity: 0.85 })
+        );
+        tendril.position.copy(start).add(end).multiplyScalar(0.5);
+        tendril.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), end.clone().sub(start).normalize());
+        this.enemy.scene.add(tendril);
+
+        const duration = 350;
+        const startTime = Date.now();
+        const animateTendril = () => {
+            const progress = Math.min((Date.now() - startTime) / duration, 1);
+            tendril.material.opacity = 0.85 * (1 - progress);
+
+            if (progress < 1) {
+                requestAnimationFrame(animateTendril);
+            } else {
+                this.removeObject(tendril);
+            }
+        };
+
+        requestAnimationFrame(animateTendril);
+    }
+}
@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+import { BossAbility } from './BossAbility.js';
+
+/**
+ * Temporary protection for the boss: damage reduction (barriers) and/or healing over time
+ */
+export class SelfBuffAbility extends BossAbility {
+    constructor(enemy, config) {
+        super(enemy, config);
+        this.activeTime = 0;
+        this.shell = null;
+    }
+
+    /**
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+
+        if (this.activeTime <= 0) {
+            return;
+        }
+
+        this.activeTime -= delta;
+
+        const enemy = this.enemy;
+        if (this.config.healRatio && !enemy.state.isDead) {
+            const healPerSecond = enemy.maxHealth * this.config.healRatio / this.config.duration;
+            enemy.health = Math.min(enemy.maxHealth, enemy.health + healPerSecond * delta);
+            enemy.updateHealthBar();
+        }
+
+        if (this.shell) {
+            this.shell.position.copy(enemy.position);
+            this.shell.position.y += enemy.scale * 0.8;
+            this.shell.material.opacity = 0.25 + Math.sin(Date.now() * 0.006) * 0.08;
+        }
+
+        if (this.activeTime <= 0) {
+            this.removeShell();
+        }
+    }
+
+    begin() {
+        this.createTelegraph(this.enemy.position, 2 * this.enemy.scale, this.config.castTime, () => this.activate());
+    }
+
+    /**
+     * Start the buff and show a shell around the boss
+     */
+    activate() {
+        if (this.enemy.state.isDead) {
+            return;
+        }
+
+        this.activeTime = this.config.duration;
+        this.removeShell();
+
+        this.shell = new THREE.Mesh(
+            new THREE.SphereGeometry(1.3 * this.enemy.scale, 16, 12),
+            new THREE.MeshBasicMaterial({ color: this.config.color, transparent: true, opacity: 0.3, depthWrite: false })
+        );
+        this.enemy.scene.add(this.shell);
+    }
+
+    /**
+     * Reduce incoming damage while a barrier is up
+     * @param {number} amount - Incoming damage
+     * @returns {number} - Damage to apply
+     */
+    modifyIncomingDamage(amount) {
+        if (this.activeTime > 0 && this.config.damageReduction) {
+            return amount * (1 - this.config.damageReduction);
+        }
+        return amount;
+    }
+
+    /**
+     * Remove the shell shown while the buff is active
+     */
+    removeShell() {
+        this.removeObject(this.shell);
+        this.shell = null;
+    }
+
+    onDeath() {
+        super.onDeath();
+        this.activeTime = 0;
+        this.removeShell();
+    }
+
+    dispose() {
+        super.dispose();
+        this.removeShell();
+    }
+}
@@ -0,0 +1,74 @@
+import { BossAbility } from './BossAbility.js';
+
+/**
+ * Calls minions around the boss
+ * Spawn points are marked while the boss channels; the number of living summons is capped
+ */
+export class SummonAbility extends BossAbility {
+    constructor(enemy, config) {
+        super(enemy, config);
+
+        // Minions summoned by this ability that may still be alive
+        this.summons = [];
+    }
+
+    requiresAuthority() {
+        return true;
+    }
+
+    /**
+     * @param {number} phase - Current boss phase index
+     * @param {number} distance - Horizontal distance to the target
+     * @returns {boolean} - True if the ability is ready and below the summon cap
+     */
+    isReady(phase, distance) {
+        this.summons = this.summons.filter(summon => !summon.isDead());
+        return super.isReady(phase, distance) && this.summons.length < this.config.maxSummons && !!this.getEnemyManager();
+    }
+
+    begin() {
+        const count = Math.min(this.config.count, this.config.maxSummons - this.summons.length);
+
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2 + Math.random() * 0.5;
+            const position = this.enemy.position.clone();
+            position.x += Math.cos(angle) * this.config.spawnRadius;
+            position.z += Math.sin(angle) * this.config.spawnRadius;
+
+            this.createTelegraph(position, 1.2, this.config.castTime, spawnPosition => this.spawnMinion(spawnPosition));
+        }
+    }
+
+    /**
+     * Spawn one minion
+     * @param {THREE.Vector3} position - Spawn position
+     */
+    spawnMinion(position) {
+        const enemyManager = this.getEnemyManager();
+        if (!enemyManager) {
+            return;
+        }
+
+        const types = this.config.summonTypes;
+        const type = types[Math.floor(Math.random() * types.length)];
+        const minion = enemyManager.spawnEnemy(type, position.clone());
+        if (minion) {
+            this.summons.push(minion);
+            this.playImpact(position, 1.5);
+        }
+    }
+
+    /**
+     * Get the enemy manager the minions are spawned through
+     * @returns {import("../EnemyManager.js").EnemyManager|null} - The manager, if available
+     */
+    getEnemyManager() {
+        const game = this.enemy.player ? this.enemy.player.game : null;
+        return game ? game.enemyManager : null;
+    }
+
+    dispose() {
+        super.dispose();
+        this.summons = [];
+    }
+}
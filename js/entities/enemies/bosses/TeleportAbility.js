@@ -0,0 +1,70 @@
+import { BossAbility } from './BossAbility.js';
+
+/**
+ * Marks a spot next to the target, then the boss reappears there with a damaging burst
+ */
+export class TeleportAbility extends BossAbility {
+    requiresAuthority() {
+        return true;
+    }
+
+    begin() {
+        const destination = this.findDestination();
+        if (!destination) {
+            return;
+        }
+
+        this.createTelegraph(destination, this.config.radius, this.config.castTime, position => this.resolveTeleport(position));
+    }
+
+    /**
+     * Pick a walkable point around the target
+     * @returns {THREE.Vector3|null} - Destination, or null if none was found
+     */
+    findDestination() {
+        const targetPosition = this.getTargetPosition();
+        if (!targetPosition) {
+            return null;
+        }
+
+        const navigationManager = this.enemy.world ? this.enemy.world.navigationManager : null;
+        const { minDistance, maxDistance } = this.config;
+
+        for (let attempt = 0; attempt < 6; attempt++) {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = minDistance + Math.random() * (maxDistance - minDistance);
+            const x = targetPosition.x + Math.cos(angle) * distance;
+            const z = targetPosition.z + Math.sin(angle) * distance;
+
+            if (navigationManager && navigationManager.isBlocked(x, z)) {
+                continue;
+            }
+
+            return targetPosition.set(x, targetPosition.y, z);
+        }
+
+        return null;
+    }
+
+    /**
+     * Move the boss to the marker and damage the player standing on it
+     * @param {THREE.Vector3} position - Destination
+     */
+    resolveTeleport(position) {
+        if (!this.canAct()) {
+            return;
+        }
+
+        this.playImpact(this.enemy.position, this.config.radius * 0.5);
+
+        // Bosses keep a fixed height, so move the stored height along with the boss
+        const y = this.getGroundHeight(position.x, position.z) + this.enemy.heightOffset;
+        if (this.enemy.initialYPosition !== null) {
+            this.enemy.initialYPosition = y;
+        }
+        this.enemy.setPosition(position.x, y, position.z);
+
+        this.playImpact(position, this.config.radius);
+        this.strikePlayerInRadius(position, this.config.radius, this.getDamage());
+    }
+}
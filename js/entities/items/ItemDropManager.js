@@ -23,33 +23,60 @@ export class ItemDropManager {
 
     /**
      * Drop an item at a specific position
+     * In co-op the host shares the drop with the players who can see it (see MultiplayerLootManager)
      * @param {Item} item - The item to drop
      * @param {THREE.Vector3} position - The position to drop the item
+     * @param {string|null} [ownerId=null] - Player an instanced co-op drop belongs to
      * @returns {string} The ID of the dropped item
      */
-    dropItem(item, position) {
-        // Create a group for the item
-        const itemGroup = new THREE.Group();
-        itemGroup.position.copy(position);
+    dropItem(item, position, ownerId = null) {
+        const dropPosition = position.clone();
         
         // Add a small random offset to prevent items from stacking exactly
-        itemGroup.position.x += (Math.random() - 0.5) * 0.5;
-        itemGroup.position.z += (Math.random() - 0.5) * 0.5;
+        dropPosition.x += (Math.random() - 0.5) * 0.5;
+        dropPosition.z += (Math.random() - 0.5) * 0.5;
         
         // Ensure item is above ground and more visible
         if (this.game && this.game.world) {
             const terrainHeight = this.game.world.getTerrainHeight(position.x, position.z);
             if (terrainHeight !== null) {
-                itemGroup.position.y = terrainHeight + 0.5; // Higher above ground for better visibility
+                dropPosition.y = terrainHeight + 0.5; // Higher above ground for better visibility
             } else {
                 // Fallback if terrain height is null
-                itemGroup.position.y = position.y + 0.5;
+                dropPosition.y = position.y + 0.5;
             }
         } else {
             // Fallback if world is not available
-            itemGroup.position.y = position.y + 0.5;
+            dropPosition.y = position.y + 0.5;
+        }
+        
+        const loot = this.game && this.game.multiplayerManager && this.game.multiplayerManager.loot;
+        if (loot && loot.isActive()) {
+            const dropId = loot.shareDrop(item, dropPosition, ownerId);
+            
+            // Other players' instanced drops are not shown on the host
+            if (loot.isLocalOwner(ownerId)) {
+                this.spawnDrop(item, dropPosition, dropId, true);
+            }
+            return dropId;
         }
         
+        return this.spawnDrop(item, dropPosition);
+    }
+    
+    /**
+     * Show a dropped item in the world
+     * @param {Item} item - The item to show
+     * @param {THREE.Vector3} position - The item's position
+     * @param {string} [dropId=item.id] - ID of the drop
+     * @param {boolean} [shared=false] - Whether picking the item up must be claimed through the co-op host
+     * @returns {string} The ID of the dropped item
+     */
+    spawnDrop(item, position, dropId = item.id, shared = false) {
+        // Create a group for the item
+        const itemGroup = new THREE.Group();
+        itemGroup.position.copy(position);
+        
         // Create the item model
         const itemModel = ItemModelFactory.createModel(item, itemGroup);
         itemModel.createModel();
@@ -61,31 +88,33 @@ export class ItemDropManager {
         this.scene.add(itemGroup);
         
         // Store reference to dropped item
-        this.droppedItems.set(item.id, {
+        this.droppedItems.set(dropId, {
             item: item,
             group: itemGroup,
             model: itemModel,
-            dropTime: Date.now()
+            dropTime: Date.now(),
+            shared: shared
         });
         
         // Add light beam for all items to make them more visible
         // Different colors/intensities based on rarity
-        this.addLightBeamEffect(item, itemGroup);
+        this.addLightBeamEffect(item, itemGroup, dropId);
         
         // Show notification
         if (this.game && this.game.hudManager) {
             this.game.hudManager.showNotification(`${item.name} dropped!`);
         }
         
-        return item.id;
+        return dropId;
     }
     
     /**
      * Add a light beam effect for items
      * @param {Item} item - The item
      * @param {THREE.Group} itemGroup - The item's group
+     * @param {string} [dropId=item.id] - ID of the drop
      */
-    addLightBeamEffect(item, itemGroup) {
+    addLightBeamEffect(item, itemGroup, dropId = item.id) {
         // Get color based on rarity
         const rarityColors = {
             common: 0xFFFFFF,    // White for common
@@ -126,7 +155,7 @@ export class ItemDropManager {
         beamGroup.add(beam);
         
         // Store reference to light beam and its group
-        this.lightBeams.set(item.id, {
+        this.lightBeams.set(dropId, {
             light: light,
             beam: beam,
             beamGroup: beamGroup,
@@ -150,20 +179,7 @@ export class ItemDropManager {
             const distance = playerPosition.distanceTo(itemPosition);
             
             if (distance > 100) {
-                // Remove item group from scene
-                if (itemData.group) {
-                    this.scene.remove(itemData.group);
-                }
-                
-                // Remove beam group from scene
-                const lightBeam = this.lightBeams.get(id);
-                if (lightBeam && lightBeam.beamGroup) {
-                    this.scene.remove(lightBeam.beamGroup);
-                }
-                
-                // Remove from maps
-                this.droppedItems.delete(id);
-                this.lightBeams.delete(id);
+                this.removeDrop(id);
                 
                 // Skip to next item
                 continue;
@@ -225,22 +241,9 @@ export class ItemDropManager {
                 this.pickupItem(id);
             }
             
-            // Auto-remove item if it's been on the ground for too long
-            if (timeOnGround >= this.autoRemoveDelay) {
-                // Remove item group from scene
-                if (itemData.group) {
-                    this.scene.remove(itemData.group);
-                }
-                
-                // Remove beam group from scene
-                const lightBeam = this.lightBeams.get(id);
-                if (lightBeam && lightBeam.beamGroup) {
-                    this.scene.remove(lightBeam.beamGroup);
-                }
-                
-                // Remove from maps
-                this.droppedItems.delete(id);
-                this.lightBeams.delete(id);
+            // Auto-remove item if it's been on the ground for too long (unless the host is still answering a claim)
+            if (timeOnGround >= this.autoRemoveDelay && !itemData.claimPending) {
+                this.removeDrop(id);
                 
                 // Show notification if HUD is available
                 if (this.game && this.game.hudManager) {
@@ -255,9 +258,33 @@ export class ItemDropManager {
     
     /**
      * Pick up an item
+     * Shared co-op drops are claimed through the host first; members pick the item up once
+     * the host confirms they were first (see MultiplayerLootManager)
      * @param {string} itemId - The ID of the item to pick up
      */
     pickupItem(itemId) {
+        const itemData = this.droppedItems.get(itemId);
+        if (!itemData || itemData.claimPending) return;
+        
+        const loot = this.game && this.game.multiplayerManager && this.game.multiplayerManager.loot;
+        if (itemData.shared && loot && loot.isActive() && !loot.claimDrop(itemId)) {
+            if (this.game.multiplayerManager.isHost) {
+                // Someone else got it first
+                this.removeDrop(itemId);
+            } else {
+                itemData.claimPending = true;
+            }
+            return;
+        }
+        
+        this.collectItem(itemId);
+    }
+    
+    /**
+     * Add a dropped item to the player's inventory and remove it from the world
+     * @param {string} itemId - The ID of the item
+     */
+    collectItem(itemId) {
         // Get item data
         const itemData = this.droppedItems.get(itemId);
         if (!itemData) return;
@@ -266,14 +293,29 @@ export class ItemDropManager {
         if (this.game && this.game.player) {
             this.game.player.addToInventory(itemData.item);
             
+            // Count the item for collect objectives
+            if (this.game.questManager) {
+                this.game.questManager.updateItemCollected(itemData.item);
+            }
+            
             // Show notification
             if (this.game.hudManager) {
                 this.game.hudManager.showNotification(`Picked up ${itemData.item.name}`);
             }
         }
         
+        this.removeDrop(itemId);
+    }
+    
+    /**
+     * Remove a dropped item from the world
+     * @param {string} itemId - The ID of the item
+     */
+    removeDrop(itemId) {
+        const itemData = this.droppedItems.get(itemId);
+        
         // Remove item group from scene
-        if (itemData.group) {
+        if (itemData && itemData.group) {
             this.scene.remove(itemData.group);
         }
         
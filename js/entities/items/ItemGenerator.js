@@ -1,6 +1,9 @@
 import { Item } from './Item.js';
 import { ITEM_TEMPLATES } from '../../config/items.js';
-import { COMBAT_BALANCE } from '../../config/game-balance.js';
+import { COMBAT_BALANCE, PLAYER_PROGRESSION } from '../../config/game-balance.js';
+import { ITEM_SETS } from '../../config/item-sets.js';
+import { SKILL_TREES } from '../../config/skill-tree.js';
+import { parseVariantUnlock } from '../../utils/SkillTreeUtils.js';
 
 export class ItemGenerator {
     constructor(game) {
@@ -20,15 +23,19 @@ export class ItemGenerator {
         // Default to player level if available
         const level = options.level || (this.game.player ? this.game.player.stats.getLevel() : 1);
         
-        // Select item type
-        const type = options.type || this.selectRandomItemType();
-        
-        // Select item subtype based on type
-        const subType = options.subType || this.selectRandomSubType(type);
-        
         // Select rarity based on level and luck
         const rarity = options.rarity || this.selectRarity(level);
         
+        // Legendary and mythic drops can be the named item that unlocks a skill variant
+        const unlock = this.selectVariantUnlock(rarity, options.type, options.subType);
+        
+        // Select item type (the unlock item's slot decides it when it names one; unlock items are never consumables)
+        const type = options.type || (unlock && unlock.slot && unlock.slot.type) ||
+            (unlock ? this.randomElement(['weapon', 'armor', 'accessory']) : this.selectRandomItemType());
+        
+        // Select item subtype based on type
+        const subType = options.subType || (unlock && unlock.slot && unlock.slot.subType) || this.selectRandomSubType(type);
+        
         // Get base template for this type/subtype
         const template = this.getItemTemplate(type, subType);
         
@@ -41,8 +48,8 @@ export class ItemGenerator {
         // Generate special effects based on rarity
         const specialEffects = this.generateSpecialEffects(template, rarity);
         
-        // Determine if it's a set item
-        const setId = this.determineSetId(rarity, type, subType);
+        // Determine if it's a set item (unlock items keep their own name)
+        const setId = unlock ? null : this.determineSetId(rarity, type, subType);
         
         // Create the item
         const item = new Item({
@@ -60,9 +67,40 @@ export class ItemGenerator {
             visual: template.visual
         });
         
+        if (unlock) {
+            // The variant unlocks by item name on pickup, so keep the exact name from unlockedBy
+            item.name = unlock.itemName;
+            item.description = `${item.description} Unlocks the ${unlock.variant} variant of ${unlock.skill}.`.trim();
+        }
+        
         return item;
     }
     
+    /**
+     * Pick a locked skill variant whose unlockedBy item this legendary or mythic drop becomes
+     * @param {string} rarity - Rarity of the item being generated
+     * @param {string} [type] - Forced item type; only unlock items that fit it are considered
+     * @param {string} [subType] - Forced item subtype; only unlock items that fit it are considered
+     * @returns {{skill: string, variant: string, itemName: string, slot: Object|null}|null} - The chosen unlock, or null
+     */
+    selectVariantUnlock(rarity, type, subType) {
+        if (!['legendary', 'mythic'].includes(rarity) || type === 'consumable' || !this.game.player) {
+            return null;
+        }
+        
+        if (Math.random() >= PLAYER_PROGRESSION.SKILL_POINTS.legendaryUnlockChance) {
+            return null;
+        }
+        
+        const candidates = this.game.player.getLockedSkillVariants()
+            .map(locked => ({ ...locked, ...parseVariantUnlock(SKILL_TREES[locked.skill].variants[locked.variant].unlockedBy) }))
+            .filter(unlock => unlock.itemName)
+            .filter(unlock => !unlock.slot ||
+                ((!type || unlock.slot.type === type) && (!subType || !unlock.slot.subType || unlock.slot.subType === subType)));
+        
+        return this.randomElement(candidates);
+    }
+    
     // Helper methods for item generation
     selectRandomItemType() {
         const types = ['weapon', 'armor', 'accessory', 'consumable'];
@@ -88,7 +126,13 @@ export class ItemGenerator {
         return this.randomElement(subTypes[type] || []);
     }
     
-    selectRarity(level) {
+    /**
+     * Select an item rarity
+     * @param {number} level - Item level
+     * @param {number} [qualityMultiplier] - Weight multiplier for non-common rarities (defaults to the world tier's item quality)
+     * @returns {string} - The selected rarity
+     */
+    selectRarity(level, qualityMultiplier = this.getItemQualityMultiplier()) {
         // Base chances adjusted by level
         let chances = {
             common: 100 - (level * 1.5),
@@ -107,6 +151,13 @@ export class ItemGenerator {
         chances.legendary = Math.max(chances.legendary, 1);
         chances.mythic = Math.max(chances.mythic, 0.5);
         
+        // Higher world tiers shift the odds toward better rarities
+        for (const rarity of Object.keys(chances)) {
+            if (rarity !== 'common') {
+                chances[rarity] *= qualityMultiplier;
+            }
+        }
+        
         // Convert to weights array
         const rarities = Object.keys(chances);
         const weights = Object.values(chances);
@@ -114,6 +165,18 @@ export class ItemGenerator {
         return this.weightedRandom(rarities, weights);
     }
     
+    /**
+     * Get the item quality multiplier of the player's world tier
+     * @returns {number} - Quality multiplier (1 without a player)
+     */
+    getItemQualityMultiplier() {
+        const stats = this.game && this.game.player ? this.game.player.stats : null;
+        if (stats && typeof stats.getWorldTierSettings === 'function') {
+            return stats.getWorldTierSettings().itemQualityMultiplier;
+        }
+        return 1;
+    }
+    
     getItemTemplate(type, subType) {
         // Find matching template
         const matchingTemplates = ITEM_TEMPLATES.filter(
@@ -141,6 +204,12 @@ export class ItemGenerator {
         
         // Copy base stats from template
         for (const [key, value] of Object.entries(template.baseStats || {})) {
+            // Keep descriptors such as a consumable's effectType as they are
+            if (typeof value !== 'number') {
+                baseStats[key] = value;
+                continue;
+            }
+            
             // Add some randomness (±10%)
             const randomFactor = 0.9 + (Math.random() * 0.2);
             
@@ -186,8 +255,10 @@ export class ItemGenerator {
         // Get possible secondary stats for this item type
         const possibleStats = template.possibleSecondaryStats || [];
         
+        // Unique templates carry fixed secondary stats (procs, stacks) that every copy keeps
+        const secondaryStats = (template.secondaryStats || []).map(stat => ({ ...stat }));
+        
         // Generate the stats
-        const secondaryStats = [];
         for (let i = 0; i < count && i < possibleStats.length; i++) {
             const statType = this.randomElement(possibleStats);
             
@@ -301,10 +372,10 @@ export class ItemGenerator {
         const setChances = COMBAT_BALANCE.items.setItemChances;
         
         if (Math.random() < setChances[rarity]) {
-            // Get possible sets for this item type/subtype
-            const possibleSets = ITEM_TEMPLATES
-                .filter(template => template.type === type && template.setId)
-                .map(template => template.setId);
+            // Get possible sets that have a piece for this item type/subtype
+            const possibleSets = Object.values(ITEM_SETS)
+                .filter(set => set.pieces.some(piece => piece.type === type && piece.subType === subType))
+                .map(set => set.id);
             
             if (possibleSets.length > 0) {
                 return this.randomElement(possibleSets);
@@ -316,10 +387,11 @@ export class ItemGenerator {
     
     generateItemName(template, rarity, setId) {
         if (setId) {
-            // Use set name pattern
-            const setInfo = ITEM_TEMPLATES.find(t => t.setId === setId);
-            if (setInfo && setInfo.setName) {
-                return `${setInfo.setName} ${template.subType}`;
+            // Use the name of the set piece
+            const setInfo = ITEM_SETS[setId];
+            const piece = setInfo && setInfo.pieces.find(p => p.type === template.type && p.subType === template.subType);
+            if (piece) {
+                return piece.name;
             }
         }
         
@@ -72,6 +72,10 @@ export class ItemModelFactory {
                         return new ItemModel(item, modelGroup);
                 }
                 
+            case 'material':
+                // Crafting materials and gems use the placeholder model
+                return new ItemModel(item, modelGroup);
+                
             default:
                 console.warn(`Unknown item type: ${type}, using default model`);
                 return new ItemModel(item, modelGroup);
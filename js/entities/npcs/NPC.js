@@ -0,0 +1,406 @@
+import * as THREE from 'three';
+import { NPC_TYPES, NPC_PROFESSIONS, NPC_SETTINGS } from '../../config/npcs.js';
+
+/**
+ * A non-hostile character living in a village
+ * NPCs are interactive objects (type 'npc'): the interaction system finds them by
+ * position and the interaction result handler calls talk() when the player uses one.
+ * Villagers and guards use this class directly; quest givers and vendors extend it.
+ */
+export class NPC {
+    /**
+     * @param {THREE.Scene} scene - The scene to add the NPC to
+     * @param {import('../../game/Game.js').Game} game - The game instance
+     * @param {Object} options - NPC options
+     * @param {string} options.id - Unique NPC ID
+     * @param {string} options.profession - Profession ID (see NPC_PROFESSIONS)
+     * @param {string} [options.name] - Display name (defaults to the profession's name)
+     * @param {{x: number, z: number}} options.position - Home position
+     * @param {number} [options.rotation=0] - Direction the NPC faces at home
+     * @param {Array<{x: number, z: number}>} [options.patrolPoints] - Loop walked by patrolling NPCs
+     */
+    constructor(scene, game, options) {
+        this.scene = scene;
+        this.game = game;
+        
+        this.id = options.id;
+        this.profession = options.profession;
+        
+        const professionConfig = NPC_PROFESSIONS[this.profession] || NPC_PROFESSIONS.villager;
+        this.npcType = professionConfig.type;
+        this.config = NPC_TYPES[this.npcType];
+        this.name = options.name || professionConfig.name || 'Villager';
+        this.portrait = professionConfig.portrait || this.config.portrait;
+        this.greetings = professionConfig.greetings || this.config.greetings;
+        
+        // Interactive object interface (see InteractiveObjectManager)
+        this.type = 'npc';
+        this.interactionRadius = NPC_SETTINGS.interactionRadius;
+        this.position = new THREE.Vector3(options.position.x, 0, options.position.z);
+        
+        // Where the NPC lives and walks around
+        this.homePosition = this.position.clone();
+        this.homeRotation = options.rotation || 0;
+        this.patrolPoints = options.patrolPoints || [];
+        this.patrolIndex = 0;
+        
+        // Movement state
+        this.targetPosition = null;
+        this.waitTimer = this.randomIdleTime();
+        this.walkCycle = 0;
+        
+        // Target followed while being escorted
+        this.followTarget = null;
+        
+        this.mesh = null;
+        this.bodyMaterial = null;
+        this.nameTag = null;
+        this.isHighlighted = false;
+        this.isActive = true;
+    }
+    
+    /**
+     * Create the NPC's mesh and add it to the scene
+     */
+    init() {
+        this.mesh = this.createMesh();
+        this.mesh.rotation.y = this.homeRotation;
+        this.snapToGround();
+        this.scene.add(this.mesh);
+    }
+    
+    /**
+     * Build a simple robed figure
+     * @returns {THREE.Group} - The NPC group
+     */
+    createMesh() {
+        const group = new THREE.Group();
+        const robeColors = this.config.robeColors;
+        const robeColor = robeColors[Math.floor(Math.random() * robeColors.length)];
+        
+        this.bodyMaterial = new THREE.MeshStandardMaterial({ color: robeColor, roughness: 0.9 });
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.25, 0.4, 1.2, 8), this.bodyMaterial);
+        body.position.y = 0.6;
+        body.castShadow = true;
+        group.add(body);
+        
+        const skinMaterial = new THREE.MeshStandardMaterial({ color: 0xe0b090, roughness: 0.8 });
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.22, 12, 10), skinMaterial);
+        head.position.y = 1.42;
+        head.castShadow = true;
+        group.add(head);
+        
+        this.createAccessories(group);
+        
+        // Name tag, shown while the player can talk to the NPC
+        this.nameTag = this.createNameTag();
+        this.nameTag.position.y = 2.3;
+        this.nameTag.visible = false;
+        group.add(this.nameTag);
+        
+        group.userData = { type: 'npc', npcId: this.id };
+        return group;
+    }
+    
+    /**
+     * Add type specific details to the mesh
+     * @param {THREE.Group} group - The NPC group
+     */
+    createAccessories(group) {
+        if (this.npcType === 'guard') {
+            // Spear
+            const spear = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.03, 0.03, 2.2, 6),
+                new THREE.MeshStandardMaterial({ color: 0x6b4a2a })
+            );
+            spear.position.set(0.4, 1.1, 0);
+            group.add(spear);
+        }
+    }
+    
+    /**
+     * Create the name tag sprite
+     * @returns {THREE.Sprite} - The name tag
+     */
+    createNameTag() {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        canvas.width = 256;
+        canvas.height = 64;
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#ffe8a0';
+        context.font = '28px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(this.name, canvas.width / 2, canvas.height / 2);
+        
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas) }));
+        sprite.scale.set(2, 0.5, 1);
+        return sprite;
+    }
+    
+    /**
+     * Update movement and animation
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        if (this.followTarget) {
+            this.updateFollow(delta);
+        } else if (this.targetPosition) {
+            this.walkToward(this.targetPosition, delta);
+        } else {
+            this.waitTimer -= delta;
+            if (this.waitTimer <= 0) {
+                this.pickNextTarget();
+            }
+            this.facePlayerIfNear();
+        }
+        
+        this.updateMesh();
+    }
+    
+    /**
+     * Decide where to walk next based on the NPC's behavior
+     */
+    pickNextTarget() {
+        this.waitTimer = this.randomIdleTime();
+        
+        switch (this.config.behavior) {
+            case 'wander':
+                this.targetPosition = this.findWanderPoint();
+                break;
+            
+            case 'patrol':
+                if (this.patrolPoints.length > 0) {
+                    const point = this.patrolPoints[this.patrolIndex];
+                    this.patrolIndex = (this.patrolIndex + 1) % this.patrolPoints.length;
+                    this.targetPosition = new THREE.Vector3(point.x, 0, point.z);
+                }
+                break;
+            
+            case 'idle':
+            default:
+                // Turn back to the home direction after talking
+                if (this.mesh) {
+                    this.mesh.rotation.y = this.homeRotation;
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Pick a random reachable point around home
+     * @returns {THREE.Vector3|null} - The point, or null if none was found
+     */
+    findWanderPoint() {
+        const navigationManager = this.game.world?.navigationManager;
+        
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = Math.random() * this.config.wanderRadius;
+            const point = new THREE.Vector3(
+                this.homePosition.x + Math.cos(angle) * distance,
+                0,
+                this.homePosition.z + Math.sin(angle) * distance
+            );
+            
+            // Don't walk through buildings
+            if (!navigationManager || navigationManager.hasLineOfSight(this.position, point)) {
+                return point;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Walk toward a point, stopping when it is reached
+     * @param {THREE.Vector3} target - Point to walk to
+     * @param {number} delta - Time since last update in seconds
+     * @param {number} [stopDistance=0.2] - Distance at which the point counts as reached
+     * @param {number} [speed=this.config.moveSpeed] - Walking speed
+     * @returns {boolean} - True if the point was reached
+     */
+    walkToward(target, delta, stopDistance = 0.2, speed = this.config.moveSpeed) {
+        const dx = target.x - this.position.x;
+        const dz = target.z - this.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        
+        if (distance <= stopDistance || speed <= 0) {
+            if (target === this.targetPosition) {
+                this.targetPosition = null;
+            }
+            return true;
+        }
+        
+        const step = Math.min(speed * delta, distance - stopDistance);
+        this.position.x += (dx / distance) * step;
+        this.position.z += (dz / distance) * step;
+        this.walkCycle += delta * speed * 6;
+        
+        if (this.mesh) {
+            this.mesh.rotation.y = Math.atan2(dx, dz);
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Follow the escorting player, keeping a little distance
+     * @param {number} delta - Time since last update in seconds
+     */
+    updateFollow(delta) {
+        const targetPosition = this.followTarget.getPosition();
+        
+        // Keep up with the player, but never faster than a run
+        const speed = Math.max(this.config.moveSpeed, NPC_TYPES.villager.moveSpeed) * 3;
+        this.walkToward(targetPosition, delta, 2, speed);
+    }
+    
+    /**
+     * Start or stop following a target (used by escort objectives)
+     * @param {Object|null} target - Object with getPosition(), or null to stop
+     */
+    follow(target) {
+        this.followTarget = target;
+        this.targetPosition = null;
+    }
+    
+    /**
+     * Make a new home, e.g. where an escort ended
+     * @param {{x: number, z: number}} position - New home position
+     */
+    setHome(position) {
+        this.homePosition.set(position.x, 0, position.z);
+    }
+    
+    /**
+     * Turn toward the player while they are close
+     */
+    facePlayerIfNear() {
+        const player = this.game.player;
+        if (!player || !this.mesh) return;
+        
+        const playerPosition = player.getPosition();
+        const dx = playerPosition.x - this.position.x;
+        const dz = playerPosition.z - this.position.z;
+        if (dx * dx + dz * dz < NPC_SETTINGS.facePlayerDistance * NPC_SETTINGS.facePlayerDistance) {
+            this.mesh.rotation.y = Math.atan2(dx, dz);
+        }
+    }
+    
+    /**
+     * Place the NPC on the terrain
+     */
+    snapToGround() {
+        if (this.game.world) {
+            this.position.y = this.game.world.getTerrainHeight(this.position.x, this.position.z);
+        }
+    }
+    
+    /**
+     * Move the mesh to the NPC's position with a small walking bob
+     */
+    updateMesh() {
+        if (!this.mesh) return;
+        
+        this.snapToGround();
+        const bob = this.targetPosition || this.followTarget ? Math.abs(Math.sin(this.walkCycle)) * 0.08 : 0;
+        this.mesh.position.set(this.position.x, this.position.y + bob, this.position.z);
+    }
+    
+    /**
+     * Show or hide the NPC (NPCs far from the player are hidden and not updated)
+     * @param {boolean} active - Whether the NPC is near the player
+     */
+    setActive(active) {
+        this.isActive = active;
+        if (this.mesh) {
+            this.mesh.visible = active;
+        }
+    }
+    
+    /**
+     * Highlight the NPC while it is the closest interactive object
+     * @param {boolean} highlighted - Whether to highlight
+     */
+    setHighlighted(highlighted) {
+        this.isHighlighted = highlighted;
+        if (this.nameTag) {
+            this.nameTag.visible = highlighted;
+        }
+        if (this.bodyMaterial) {
+            this.bodyMaterial.emissive.setHex(highlighted ? 0x333322 : 0x000000);
+        }
+    }
+    
+    /**
+     * Interaction handler (see InteractionResultHandler)
+     * @returns {Object} - Interaction result
+     */
+    onInteract() {
+        return {
+            type: 'npc',
+            npc: this
+        };
+    }
+    
+    /**
+     * Start a conversation with the player
+     */
+    talk() {
+        // Quest objectives that ask to talk to this NPC
+        this.game.questManager?.updateTalk(this);
+        
+        this.game.hudManager.showDialog(this.name, this.getGreeting(), this.getDialogOptions());
+    }
+    
+    /**
+     * Pick one of the NPC's greetings
+     * @returns {string} - Greeting text
+     */
+    getGreeting() {
+        return this.greetings[Math.floor(Math.random() * this.greetings.length)];
+    }
+    
+    /**
+     * Dialog options with the NPC as speaker
+     * @param {Array<Object>} [choices] - Dialog choices
+     * @returns {Object} - Dialog options
+     */
+    getDialogOptions(choices) {
+        return {
+            speaker: this.name,
+            portrait: this.portrait,
+            ...(choices ? { choices } : {})
+        };
+    }
+    
+    /**
+     * Random wait between walks
+     * @returns {number} - Seconds
+     */
+    randomIdleTime() {
+        const [min, max] = this.config.idleTime;
+        return min + Math.random() * (max - min);
+    }
+    
+    /**
+     * Remove the NPC from the scene and free its resources
+     */
+    dispose() {
+        if (!this.mesh) return;
+        
+        this.scene.remove(this.mesh);
+        this.mesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+        this.mesh = null;
+    }
+}
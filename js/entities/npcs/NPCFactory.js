@@ -0,0 +1,36 @@
+import { NPC } from './NPC.js';
+import { QuestGiverNPC } from './QuestGiverNPC.js';
+import { VendorNPC } from './VendorNPC.js';
+import { NPC_PROFESSIONS } from '../../config/npcs.js';
+
+/**
+ * Factory class for creating NPCs by profession
+ */
+export class NPCFactory {
+    /**
+     * Create an NPC of the class matching its profession's type
+     * @param {THREE.Scene} scene - The scene to add the NPC to
+     * @param {import('../../game/Game.js').Game} game - The game instance
+     * @param {Object} options - NPC options (see NPC constructor)
+     * @returns {NPC} - The NPC (not yet initialized)
+     */
+    static createNPC(scene, game, options) {
+        const profession = NPC_PROFESSIONS[options.profession];
+        
+        switch (profession?.type) {
+            case 'questGiver':
+                return new QuestGiverNPC(scene, game, options);
+            
+            case 'vendor':
+                return new VendorNPC(scene, game, options);
+            
+            case 'villager':
+            case 'guard':
+                return new NPC(scene, game, options);
+            
+            default:
+                console.warn(`Unknown NPC profession: ${options.profession}`);
+                return new NPC(scene, game, { ...options, profession: 'villager' });
+        }
+    }
+}
@@ -0,0 +1,245 @@
+import { NPCFactory } from './NPCFactory.js';
+import { NPC_TYPES, NPC_NAMES, NPC_SETTINGS, VILLAGE_BUILDING_NPCS, VILLAGE_FEATURE_NPCS } from '../../config/npcs.js';
+
+/**
+ * Manages the NPCs living in villages
+ * Villages from map data are populated from their buildings as their chunk loads;
+ * NPCs stay until the world is cleared, so reloading a chunk doesn't duplicate them.
+ */
+export class NPCManager {
+    /**
+     * @param {THREE.Scene} scene - The scene to add NPCs to
+     * @param {import('../../world/WorldManager.js').WorldManager} worldManager - The world manager
+     * @param {import('../../game/Game.js').Game} game - The game instance
+     */
+    constructor(scene, worldManager, game) {
+        this.scene = scene;
+        this.worldManager = worldManager;
+        this.game = game;
+        
+        this.npcs = [];
+        this.populatedVillages = new Set();
+        this.nextNameIndex = 0;
+        this.nextId = 0;
+    }
+    
+    /**
+     * Create the NPCs of a village from its map data
+     * Each building gets the NPC of its type (see VILLAGE_BUILDING_NPCS) standing at its door,
+     * central features such as markets get theirs (see VILLAGE_FEATURE_NPCS) at their edge,
+     * and guards patrol around the village center.
+     * @param {Object} villageData - Village data from the map (id, buildings, centralFeature)
+     */
+    populateVillage(villageData) {
+        const villageId = villageData.id;
+        if (!villageId || this.populatedVillages.has(villageId)) return;
+        this.populatedVillages.add(villageId);
+        
+        const buildings = villageData.buildings || [];
+        const buildingCounts = {};
+        let villagers = 0;
+        
+        buildings.forEach(building => {
+            const type = building.type || 'house';
+            const professions = VILLAGE_BUILDING_NPCS[type];
+            if (!professions) return;
+            
+            const index = buildingCounts[type] || 0;
+            buildingCounts[type] = index + 1;
+            const profession = index < professions.length ? professions[index] : professions[0];
+            
+            if (profession === 'villager') {
+                if (villagers >= NPC_SETTINGS.maxVillagersPerVillage) return;
+                villagers++;
+            }
+            
+            this.spawnNPC(profession, this.getDoorPosition(building), {
+                id: `${villageId}_${profession}_${index}`,
+                rotation: building.rotation || 0
+            });
+        });
+        
+        const feature = villageData.centralFeature;
+        const featureProfessions = feature?.position && VILLAGE_FEATURE_NPCS[feature.type];
+        if (featureProfessions) {
+            const distance = (feature.size || 8) / 2 + NPC_SETTINGS.doorOffset;
+            featureProfessions.forEach((profession, index) => {
+                const angle = (index / featureProfessions.length) * Math.PI * 2;
+                this.spawnNPC(profession, {
+                    x: feature.position.x + Math.sin(angle) * distance,
+                    z: feature.position.z + Math.cos(angle) * distance
+                }, {
+                    id: `${villageId}_${feature.type}_${profession}_${index}`,
+                    rotation: angle
+                });
+            });
+        }
+        
+        const center = this.getVillageCenter(villageData);
+        if (!center) return;
+        
+        for (let i = 0; i < NPC_SETTINGS.guardsPerVillage; i++) {
+            const patrolPoints = this.createPatrolPoints(center, NPC_TYPES.guard.wanderRadius, i);
+            this.spawnNPC('guard', patrolPoints[0], {
+                id: `${villageId}_guard_${i}`,
+                patrolPoints
+            });
+        }
+        
+        console.debug(`Populated village ${villageId} with NPCs (${this.npcs.length} total)`);
+    }
+    
+    /**
+     * Create and add an NPC
+     * @param {string} profession - Profession ID (see NPC_PROFESSIONS)
+     * @param {{x: number, z: number}} position - Home position
+     * @param {Object} [options={}] - Extra NPC options (id, name, rotation, patrolPoints)
+     * @returns {import('./NPC.js').NPC} - The NPC
+     */
+    spawnNPC(profession, position, options = {}) {
+        const npc = NPCFactory.createNPC(this.scene, this.game, {
+            ...options,
+            id: options.id || `npc_${this.nextId++}`,
+            profession,
+            position,
+            name: options.name || this.pickName(profession)
+        });
+        
+        npc.init();
+        this.npcs.push(npc);
+        return npc;
+    }
+    
+    /**
+     * Give villagers and guards a name; other professions are named after their profession
+     * @param {string} profession - Profession ID
+     * @returns {string|undefined} - Name, or undefined to use the profession's name
+     */
+    pickName(profession) {
+        if (profession !== 'villager' && profession !== 'guard') return undefined;
+        
+        const name = NPC_NAMES[this.nextNameIndex % NPC_NAMES.length];
+        this.nextNameIndex++;
+        return profession === 'guard' ? `Guard ${name}` : name;
+    }
+    
+    /**
+     * Get the spot in front of a building's door
+     * @param {Object} building - Building data (position, rotation, depth)
+     * @returns {{x: number, z: number}} - Door position
+     */
+    getDoorPosition(building) {
+        const rotation = building.rotation || 0;
+        const distance = (building.depth || 0) / 2 + NPC_SETTINGS.doorOffset;
+        
+        return {
+            x: building.position.x + Math.sin(rotation) * distance,
+            z: building.position.z + Math.cos(rotation) * distance
+        };
+    }
+    
+    /**
+     * Get the center of a village: its central feature, or the middle of its buildings
+     * @param {Object} villageData - Village data
+     * @returns {{x: number, z: number}|null} - Center, or null for an empty village
+     */
+    getVillageCenter(villageData) {
+        if (villageData.centralFeature?.position) {
+            return villageData.centralFeature.position;
+        }
+        
+        const buildings = villageData.buildings || [];
+        if (buildings.length === 0) return null;
+        
+        const sum = buildings.reduce((total, building) => ({
+            x: total.x + building.position.x,
+            z: total.z + building.position.z
+        }), { x: 0, z: 0 });
+        
+        return { x: sum.x / buildings.length, z: sum.z / buildings.length };
+    }
+    
+    /**
+     * Create a square patrol loop around a point
+     * @param {{x: number, z: number}} center - Center of the loop
+     * @param {number} radius - Distance of the corners from the center
+     * @param {number} offset - Guard index, used to start guards at different corners
+     * @returns {Array<{x: number, z: number}>} - Patrol points
+     */
+    createPatrolPoints(center, radius, offset) {
+        const points = [];
+        for (let i = 0; i < 4; i++) {
+            const angle = ((i + offset) / 4) * Math.PI * 2 + Math.PI / 4;
+            points.push({
+                x: center.x + Math.cos(angle) * radius,
+                z: center.z + Math.sin(angle) * radius
+            });
+        }
+        return points;
+    }
+    
+    /**
+     * Find an NPC by ID, or the NPC of a profession closest to a position
+     * Quest objectives use either (e.g. target 'alchemist' matches any alchemist).
+     * @param {string} idOrProfession - NPC ID or profession ID
+     * @param {THREE.Vector3} [nearPosition] - Position used to pick between NPCs of a profession
+     * @returns {import('./NPC.js').NPC|null} - The NPC, or null if none was found
+     */
+    getNPC(idOrProfession, nearPosition) {
+        const byId = this.npcs.find(npc => npc.id === idOrProfession);
+        if (byId) return byId;
+        
+        const candidates = this.npcs.filter(npc => npc.profession === idOrProfession);
+        if (candidates.length === 0) return null;
+        if (!nearPosition) return candidates[0];
+        
+        return candidates.reduce((closest, npc) =>
+            npc.position.distanceTo(nearPosition) < closest.position.distanceTo(nearPosition) ? npc : closest
+        );
+    }
+    
+    /**
+     * Get the NPCs the player can talk to from a position
+     * @param {THREE.Vector3} position - Position to check from
+     * @param {number} radius - Interaction range
+     * @returns {Array<import('./NPC.js').NPC>} - NPCs in range
+     */
+    getNPCsNear(position, radius) {
+        return this.npcs.filter(npc =>
+            npc.isActive && npc.position.distanceTo(position) <= radius + npc.interactionRadius
+        );
+    }
+    
+    /**
+     * Update the NPCs near the player; distant NPCs are hidden and paused
+     * Escorted NPCs always update so they can't be left behind.
+     * @param {THREE.Vector3} playerPosition - The player's position
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(playerPosition, delta) {
+        const updateDistanceSq = NPC_SETTINGS.updateDistance * NPC_SETTINGS.updateDistance;
+        
+        this.npcs.forEach(npc => {
+            const dx = npc.position.x - playerPosition.x;
+            const dz = npc.position.z - playerPosition.z;
+            const active = !!npc.followTarget || dx * dx + dz * dz <= updateDistanceSq;
+            
+            if (active !== npc.isActive) {
+                npc.setActive(active);
+            }
+            if (active) {
+                npc.update(delta);
+            }
+        });
+    }
+    
+    /**
+     * Remove all NPCs
+     */
+    clear() {
+        this.npcs.forEach(npc => npc.dispose());
+        this.npcs = [];
+        this.populatedVillages.clear();
+        this.nextNameIndex = 0;
+    }
+}
@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+import { NPC } from './NPC.js';
+import { NPC_SETTINGS } from '../../config/npcs.js';
+
+// Seconds between checks for quests to offer
+const QUEST_CHECK_INTERVAL = 1;
+
+/**
+ * NPC that offers the quests available to the player
+ * Shows a floating "!" while it has quests to offer (replaces the old quest markers).
+ */
+export class QuestGiverNPC extends NPC {
+    /**
+     * @param {THREE.Scene} scene - The scene
+     * @param {Object} game - The game instance
+     * @param {Object} options - NPC options (see NPC)
+     * @param {Array<string>} [options.questIds] - Only offer these quests (defaults to every available quest)
+     */
+    constructor(scene, game, options) {
+        super(scene, game, options);
+        
+        this.questIds = options.questIds && options.questIds.length > 0 ? options.questIds : null;
+        this.questIndicator = null;
+        this.questCheckTimer = 0;
+        this.hasQuests = false;
+    }
+    
+    /**
+     * Add the quest indicator above the head
+     * @param {THREE.Group} group - The NPC group
+     */
+    createAccessories(group) {
+        // Staff
+        const staff = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.04, 0.04, 1.8, 6),
+            new THREE.MeshStandardMaterial({ color: 0x5a3a1a })
+        );
+        staff.position.set(0.4, 0.9, 0);
+        group.add(staff);
+        
+        // Quest indicator
+        const indicatorMaterial = new THREE.MeshBasicMaterial({ color: NPC_SETTINGS.questIndicatorColor });
+        this.questIndicator = new THREE.Group();
+        
+        const bar = new THREE.Mesh(new THREE.BoxGeometry(0.12, 0.4, 0.12), indicatorMaterial);
+        bar.position.y = 0.15;
+        this.questIndicator.add(bar);
+        
+        const dot = new THREE.Mesh(new THREE.BoxGeometry(0.12, 0.12, 0.12), indicatorMaterial);
+        dot.position.y = -0.2;
+        this.questIndicator.add(dot);
+        
+        this.questIndicator.position.y = 2.0;
+        this.questIndicator.visible = false;
+        group.add(this.questIndicator);
+    }
+    
+    /**
+     * Update movement and the quest indicator
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        super.update(delta);
+        
+        this.questCheckTimer -= delta;
+        if (this.questCheckTimer <= 0) {
+            this.questCheckTimer = QUEST_CHECK_INTERVAL;
+            this.hasQuests = this.getAvailableQuests().length > 0;
+        }
+        
+        if (this.questIndicator) {
+            // Hide while the name tag is shown
+            this.questIndicator.visible = this.hasQuests && !this.isHighlighted;
+            this.questIndicator.rotation.y += delta * 2;
+        }
+    }
+    
+    /**
+     * Get the quests this NPC can offer
+     * @returns {Array<Object>} - Available quests
+     */
+    getAvailableQuests() {
+        if (!this.game.questManager || !this.game.player) return [];
+        
+        const quests = this.game.questManager.getAvailableQuests();
+        return this.questIds ? quests.filter(quest => this.questIds.includes(quest.id)) : quests;
+    }
+    
+    /**
+     * Greet the player and list the available quests
+     */
+    talk() {
+        this.game.questManager?.updateTalk(this);
+        
+        const quests = this.getAvailableQuests();
+        if (quests.length === 0) {
+            this.game.hudManager.showDialog(
+                this.name,
+                'I have nothing for you right now. Come back when you have grown stronger.',
+                this.getDialogOptions()
+            );
+            return;
+        }
+        
+        // Main quests first
+        quests.sort((a, b) => (b.isMainQuest ? 1 : 0) - (a.isMainQuest ? 1 : 0));
+        
+        const choices = quests.map(quest => ({
+            label: quest.isMainQuest ? `★ ${quest.name}` : quest.name,
+            onSelect: () => this.game.questManager.offerQuest(quest, 'New Quest', this.getDialogOptions())
+        }));
+        choices.push({ label: 'Goodbye', cancel: true });
+        
+        this.game.hudManager.showDialog(this.name, this.getGreeting(), this.getDialogOptions(choices));
+    }
+}
@@ -0,0 +1,37 @@
+import * as THREE from 'three';
+import { NPC } from './NPC.js';
+
+/**
+ * NPC that stands at a shop, tavern or forge
+ */
+export class VendorNPC extends NPC {
+    /**
+     * Add a satchel to the mesh
+     * @param {THREE.Group} group - The NPC group
+     */
+    createAccessories(group) {
+        const satchel = new THREE.Mesh(
+            new THREE.BoxGeometry(0.3, 0.3, 0.15),
+            new THREE.MeshStandardMaterial({ color: 0x7a5230, roughness: 0.9 })
+        );
+        satchel.position.set(-0.3, 0.7, 0.2);
+        group.add(satchel);
+    }
+    
+    /**
+     * Greet the player and offer to trade; blacksmiths also offer crafting
+     */
+    talk() {
+        this.game.questManager?.updateTalk(this);
+        
+        const choices = [
+            { label: 'Trade', onSelect: () => this.game.hudManager.openShop(this) },
+            { label: 'Goodbye', cancel: true }
+        ];
+        if (this.profession === 'blacksmith') {
+            choices.splice(1, 0, { label: 'Craft', onSelect: () => this.game.hudManager.openCrafting() });
+        }
+        
+        this.game.hudManager.showDialog(this.name, this.getGreeting(), this.getDialogOptions(choices));
+    }
+}
@@ -28,6 +28,8 @@ import { PlayerMovement } from './PlayerMovement.js';
 import { PlayerSkills } from './PlayerSkills.js';
 import { PlayerCombat } from './PlayerCombat.js';
 import { PlayerStatusEffects } from './PlayerStatusEffects.js';
+import { SKILL_TREES } from '../../config/skill-tree.js';
+import { findVariantsUnlockedBy } from '../../utils/SkillTreeUtils.js';
 
 export class Player {
     /**
@@ -71,7 +73,7 @@ export class Player {
         this.movement = new PlayerMovement(this.state, this.stats, this.model.getModelGroup(), this.camera, this.game);
         this.skills = new PlayerSkills(this.scene, this.stats, this.movement.getPosition(), this.movement.getRotation(), this.game);
         this.combat = new PlayerCombat(this.scene, this.state, this.stats, this.model, this.inventory, this.game);
-        this.statusEffects = new PlayerStatusEffects(this.stats, this.movement, this.game);
+        this.statusEffects = new PlayerStatusEffects(this.stats, this.movement, this.combat, this.game);
         
         // Initialize skills
         this.skills.initializeSkills();
@@ -93,8 +95,11 @@ export class Player {
             return; // Skip all player updates when game is paused
         }
         
+        // A dodge roll overrides keyboard movement until it ends
+        const isDodging = this.movement.updateDodge(delta);
+        
         // Check for keyboard movement input
-        if (this.game && this.game.inputHandler) {
+        if (!isDodging && this.game && this.game.inputHandler) {
             this.movement.handleKeyboardMovement(delta);
         }
         
@@ -140,6 +145,48 @@ export class Player {
         this.movement.moveTo(target);
     }
     
+    /**
+     * Starts a dodge roll in the current movement direction (or the facing direction when standing still)
+     * The roll grants brief invulnerability; see COMBAT_BALANCE.player.dodge
+     * 
+     * @returns {boolean} True if the roll started
+     */
+    dodge() {
+        if (!this.movement || this.state.isDead()) {
+            return false;
+        }
+        
+        const direction = this.game && this.game.inputHandler ? this.game.inputHandler.getMovementDirection() : null;
+        return this.movement.startDodge(direction);
+    }
+    
+    /**
+     * Checks whether a dodge roll is in progress
+     * 
+     * @returns {boolean} True while rolling
+     */
+    isDodging() {
+        return this.movement ? this.movement.isDodging() : false;
+    }
+    
+    /**
+     * Checks whether the player currently ignores incoming damage (dodge roll invulnerability frames)
+     * 
+     * @returns {boolean} True if damage should be ignored
+     */
+    isInvulnerable() {
+        return this.movement ? this.movement.isInvulnerable() : false;
+    }
+    
+    /**
+     * Ends a dodge roll early
+     */
+    cancelDodge() {
+        if (this.movement) {
+            this.movement.cancelDodge();
+        }
+    }
+    
     /**
      * Sets the player's position directly
      * 
@@ -297,14 +344,132 @@ export class Player {
      * @param {number} amount - The amount of experience to add
      */
     addExperience(amount) {
+        const skillPointsBefore = this.stats.getSkillPoints();
         const newLevel = this.stats.addExperience(amount);
         
         // Show level up notification if level changed
         if (newLevel > 0 && this.game && this.game.hudManager) {
             this.game.hudManager.showLevelUp(newLevel);
+            
+            const skillPointsGained = this.stats.getSkillPoints() - skillPointsBefore;
+            if (skillPointsGained > 0) {
+                this.game.hudManager.showNotification(`+${skillPointsGained} skill points`);
+            }
+        }
+    }
+    
+    /**
+     * Gets the player's selected world tier
+     * 
+     * @returns {number} The world tier number
+     */
+    getWorldTier() {
+        return this.stats.getWorldTier();
+    }
+    
+    /**
+     * Selects a world tier and notifies the player
+     * New spawns and drops use the tier's multipliers; enemies already alive keep theirs
+     * 
+     * @param {number} tier - The tier number to select
+     * @returns {boolean} True if the tier was changed
+     */
+    setWorldTier(tier) {
+        if (!this.stats.setWorldTier(tier)) {
+            return false;
+        }
+        
+        if (this.game && this.game.hudManager) {
+            this.game.hudManager.showNotification(`${this.stats.getWorldTierSettings().name} selected`);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Grants skill points and notifies the player
+     * 
+     * @param {number} amount - The number of skill points to grant
+     */
+    addSkillPoints(amount) {
+        if (amount <= 0) {
+            return;
+        }
+        
+        this.stats.addSkillPoints(amount);
+        
+        if (this.game && this.game.hudManager) {
+            this.game.hudManager.showNotification(`+${amount} skill points`);
         }
     }
     
+    /**
+     * Gets the skill variants that are still locked
+     * 
+     * @returns {Array<{skill: string, variant: string, unlockedBy: string}>} Locked variants
+     */
+    getLockedSkillVariants() {
+        const locked = [];
+        Object.entries(SKILL_TREES).forEach(([skillName, skillData]) => {
+            Object.entries(skillData.variants || {}).forEach(([variantName, variantData]) => {
+                if (!this.stats.isVariantUnlocked(variantName)) {
+                    locked.push({ skill: skillName, variant: variantName, unlockedBy: variantData.unlockedBy || '' });
+                }
+            });
+        });
+        return locked;
+    }
+    
+    /**
+     * Unlocks a skill variant and notifies the player
+     * 
+     * @param {string} variantName - The variant to unlock
+     * @returns {boolean} True if the variant was newly unlocked
+     */
+    unlockSkillVariant(variantName) {
+        if (!this.stats.unlockVariant(variantName)) {
+            return false;
+        }
+        
+        if (this.game && this.game.hudManager) {
+            this.game.hudManager.showNotification(`Skill variant unlocked: ${variantName}`);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Unlocks the skill variants whose unlockedBy condition names this legendary item
+     * 
+     * @param {Object} item - The item that was picked up
+     * @returns {Array<string>} The newly unlocked variant names
+     */
+    unlockVariantsFromItem(item) {
+        if (!item || !['legendary', 'mythic'].includes(item.rarity)) {
+            return [];
+        }
+        
+        return findVariantsUnlockedBy(SKILL_TREES, { itemName: item.name })
+            .filter(({ variant }) => this.unlockSkillVariant(variant))
+            .map(({ variant }) => variant);
+    }
+    
+    /**
+     * Unlocks the skill variants whose unlockedBy condition names this quest
+     * 
+     * @param {Object} quest - The completed quest
+     * @returns {Array<string>} The newly unlocked variant names
+     */
+    unlockVariantsFromQuest(quest) {
+        if (!quest || !quest.name) {
+            return [];
+        }
+        
+        return findVariantsUnlockedBy(SKILL_TREES, { questName: quest.name })
+            .filter(({ variant }) => this.unlockSkillVariant(variant))
+            .map(({ variant }) => variant);
+    }
+    
     /**
      * Manually triggers a level up for the player
      * 
@@ -418,12 +583,12 @@ export class Player {
     
     /**
      * Apply a status effect to the player
-     * @param {string} effectType - The type of effect to apply
+     * @param {string} effectType - The type of effect to apply (see STATUS_EFFECTS)
      * @param {number} duration - Duration of the effect in seconds
-     * @param {number} [intensity=1] - Intensity of the effect (1 = 100%)
+     * @param {number} [intensity] - Intensity of the effect (defaults to the effect's defaultIntensity)
      * @returns {boolean} - Whether the effect was successfully applied
      */
-    applyEffect(effectType, duration, intensity = 1) {
+    applyEffect(effectType, duration, intensity) {
         if (!this.statusEffects) {
             console.warn('Cannot apply effect: status effects manager not initialized');
             return false;
@@ -470,6 +635,26 @@ export class Player {
         return this.statusEffects.getAllEffects();
     }
     
+    /**
+     * Remove cleansable debuffs (poison, burning, slows, stuns...)
+     * @returns {number} - Number of effects removed
+     */
+    cleanseEffects() {
+        if (!this.statusEffects) {
+            return 0;
+        }
+        
+        return this.statusEffects.cleanse();
+    }
+    
+    /**
+     * Check if a stun or freeze keeps the player from acting
+     * @returns {boolean} - True while incapacitated
+     */
+    isIncapacitated() {
+        return this.statusEffects ? this.statusEffects.isIncapacitated() : false;
+    }
+    
     // Skills getters - delegate to PlayerSkills
     /**
      * Gets all player skills
@@ -540,9 +725,9 @@ export class Player {
     // Inventory and equipment
     /**
      * Adds an item to the player's inventory
-     * This method adds a new item to the player's inventory. If the item is stackable
-     * and already exists in the inventory, it will increase the quantity instead of
-     * adding a duplicate item.
+     * This method adds a new item to the player's inventory. Consumables that already
+     * exist in the inventory increase the stack's quantity; any other item is added as a
+     * separate instance with its own instance id.
      * 
      * @param {Object} item - The item to add
      * @param {string} item.name - The name of the item
@@ -551,17 +736,22 @@ export class Player {
      */
     addToInventory(item) {
         this.inventory.addToInventory(item);
+        
+        // Legendary items named in a variant's unlockedBy condition unlock that variant
+        this.unlockVariantsFromItem(item);
     }
     
     /**
      * Removes an item from the player's inventory
+     * Non-consumable items are matched by instance id, so pass the item itself
+     * (or its instance id) to remove a specific instance; names still work for consumables
      * 
-     * @param {string} itemName - The name of the item to remove
+     * @param {Object|string} item - The item, its instance id, or its name
      * @param {number} amount - The amount to remove
      * @returns {boolean} True if the item was successfully removed
      */
-    removeFromInventory(itemName, amount) {
-        return this.inventory.removeFromInventory(itemName, amount);
+    removeFromInventory(item, amount) {
+        return this.inventory.removeFromInventory(item, amount);
     }
     
     /**
@@ -590,6 +780,15 @@ export class Player {
         return this.inventory.unequipItem(type);
     }
     
+    /**
+     * Get the status of an item set for the player's equipment
+     * @param {string} setId - The set identifier
+     * @returns {Object|null} - Set status with equipped pieces and active bonuses
+     */
+    getSetStatus(setId) {
+        return this.inventory.getSetStatus(setId);
+    }
+    
     /**
      * Adds gold to the player's inventory
      * 
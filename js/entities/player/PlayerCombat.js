@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import { COMBAT_BALANCE } from '../../config/game-balance.js';
+import { ELEMENT_STATUS_EFFECTS } from '../../config/status-effects.js';
+import { resolveElement } from '../../utils/ElementUtils.js';
 
 /**
  * @typedef {Object} PunchSystem
@@ -80,6 +83,198 @@ export class PlayerCombat {
             knockbackDistance: 3.0,
             knockbackDuration: 0.3
         };
+        
+        /**
+         * State for equipment effects that depend on the sequence of hits
+         * @type {{stacks: number, hitCount: number, lastHitTime: number, combatStartTime: number}}
+         */
+        this.hitState = {
+            stacks: 0,
+            hitCount: 0,
+            lastHitTime: 0,
+            combatStartTime: 0
+        };
+    }
+    
+    /**
+     * Calculate the final damage of an outgoing hit from equipment stats
+     * Applies elemental bonuses, stacking damage, time-in-combat scaling, burst procs and crits
+     * @param {number} baseDamage - Damage before equipment effects
+     * @param {string|null} [element=null] - Element of the hit, if any
+     * @returns {{damage: number, isCrit: boolean, isBurst: boolean}} - The resolved hit
+     */
+    calculateHitDamage(baseDamage, element = null) {
+        const bonuses = this.playerInventory.getEquipmentBonuses();
+        const hitState = this.hitState;
+        const now = Date.now() / 1000;
+        const sinceLastHit = now - hitState.lastHitTime;
+        
+        let damage = baseDamage;
+        
+        // Elemental damage: generic bonus plus the bonus for the hit's element
+        const elementalBonus = bonuses.elementalDamage + 
+            (element ? (bonuses.elementalDamageByElement[element] || 0) : 0);
+        if (elementalBonus > 0) {
+            damage *= 1 + elementalBonus / 100;
+        }
+        
+        // Stacking damage: each consecutive hit adds a stack
+        if (bonuses.stackingDamage) {
+            if (sinceLastHit > COMBAT_BALANCE.player.damageStackDuration) {
+                hitState.stacks = 0;
+            }
+            damage *= 1 + (hitState.stacks * bonuses.stackingDamage.value) / 100;
+            hitState.stacks = Math.min(hitState.stacks + 1, bonuses.stackingDamage.maxStacks);
+        }
+        
+        // Damage scaling: grows with time spent in combat
+        if (sinceLastHit > COMBAT_BALANCE.player.combatTimeout) {
+            hitState.combatStartTime = now;
+        }
+        if (bonuses.damageScaling) {
+            const secondsInCombat = now - hitState.combatStartTime;
+            const scaling = Math.min(bonuses.damageScaling.maxValue, secondsInCombat * bonuses.damageScaling.value);
+            damage *= 1 + scaling / 100;
+        }
+        
+        // Burst damage: every Nth hit deals extra damage
+        hitState.hitCount++;
+        let isBurst = false;
+        if (bonuses.burstDamage && hitState.hitCount % bonuses.burstDamage.frequency === 0) {
+            damage *= 1 + bonuses.burstDamage.value / 100;
+            isBurst = true;
+        }
+        
+        // Critical hits
+        const critChance = Math.min(
+            COMBAT_BALANCE.player.maxCritChance,
+            COMBAT_BALANCE.player.baseCritChance + bonuses.critChance / 100
+        );
+        const isCrit = Math.random() < critChance;
+        if (isCrit) {
+            damage *= COMBAT_BALANCE.player.critDamageMultiplier + bonuses.critDamage / 100;
+        }
+        
+        hitState.lastHitTime = now;
+        
+        return {
+            damage: Math.round(damage),
+            isCrit,
+            isBurst
+        };
+    }
+    
+    /**
+     * Deal a hit to an enemy through the equipment damage pipeline
+     * Used for every skill and primary attack hit
+     * @param {Object} enemy - The enemy to damage
+     * @param {number} baseDamage - Damage before equipment effects
+     * @param {Object} [options={}] - Hit options
+     * @param {string|null} [options.element=null] - Element of the hit (untyped hits are physical)
+     * @returns {{damage: number, isCrit: boolean, isBurst: boolean, element: string}} - The hit with the damage actually dealt
+     */
+    dealDamage(enemy, baseDamage, options = {}) {
+        const element = resolveElement(options.element);
+        
+        // Blinded players miss some of their hits
+        const missChance = this.game?.player?.statusEffects ? this.game.player.statusEffects.getMissChance() : 0;
+        if (missChance > 0 && Math.random() < missChance) {
+            this.showHitFeedback({ damage: 0, isMiss: true }, enemy.getPosition());
+            return { damage: 0, isCrit: false, isBurst: false, element };
+        }
+        
+        const hit = this.calculateHitDamage(baseDamage, element);
+        hit.element = element;
+        hit.damage = enemy.takeDamage(hit.damage, false, null, false, element) || 0;
+        
+        this.applyLifeSteal(hit.damage);
+        this.applyDamageOverTime(enemy);
+        this.showHitFeedback(hit, enemy.getPosition());
+        
+        return hit;
+    }
+    
+    /**
+     * Apply the status effects of equipped damageOverTime stats (burning, poison...) to an enemy
+     * @param {Object} enemy - The enemy that was hit
+     */
+    applyDamageOverTime(enemy) {
+        if (typeof enemy.addStatusEffect !== 'function' || enemy.isDead()) {
+            return;
+        }
+        
+        const damageOverTime = this.playerInventory.getEquipmentBonuses().damageOverTime;
+        for (const [element, damagePerSecond] of Object.entries(damageOverTime)) {
+            const effectType = ELEMENT_STATUS_EFFECTS[element];
+            if (effectType && damagePerSecond > 0) {
+                enemy.addStatusEffect(effectType, COMBAT_BALANCE.player.damageOverTimeDuration, damagePerSecond);
+            }
+        }
+    }
+    
+    /**
+     * Heal the player for a share of the damage dealt
+     * @param {number} damageDealt - Damage dealt by the hit
+     * @returns {number} - Health restored
+     */
+    applyLifeSteal(damageDealt) {
+        const lifeSteal = Math.min(
+            COMBAT_BALANCE.player.maxLifeSteal,
+            this.playerInventory.getEquipmentBonuses().lifeSteal / 100
+        );
+        if (lifeSteal <= 0 || damageDealt <= 0 || this.playerState.isDead()) {
+            return 0;
+        }
+        
+        return this.playerStats.heal(damageDealt * lifeSteal);
+    }
+    
+    /**
+     * Show floating combat text for a hit
+     * @param {{damage: number, isCrit: boolean, isBurst: boolean, isMiss: boolean, element: string}} hit - The resolved hit
+     * @param {THREE.Vector3} position - World position of the target
+     */
+    showHitFeedback(hit, position) {
+        if (!this.game?.hudManager) {
+            return;
+        }
+        
+        if (hit.isMiss) {
+            this.game.hudManager.createDamageNumber(0, position, { text: 'Miss' });
+            return;
+        }
+        
+        if (hit.damage <= 0) {
+            return;
+        }
+        
+        this.game.hudManager.createDamageNumber(hit.damage, position, {
+            isCrit: hit.isCrit,
+            label: hit.isBurst ? 'Burst!' : null,
+            element: hit.element
+        });
+    }
+    
+    /**
+     * Get the cooldown multiplier equipment applies to a skill
+     * Primary attacks are sped up by attack speed; other skills by cooldown reduction
+     * @param {Object} skill - The skill starting its cooldown
+     * @returns {number} - Multiplier for the skill's cooldown
+     */
+    getCooldownMultiplier(skill) {
+        const bonuses = this.playerInventory.getEquipmentBonuses();
+        
+        // Set bonuses can reduce the cooldown of specific skills on top of equipment stats
+        const setReduction = Math.min(COMBAT_BALANCE.player.maxCooldownReduction,
+            this.playerInventory.getSetSkillModifiers(skill.name).cooldownReduction / 100);
+        
+        if (skill.primaryAttack) {
+            const speed = bonuses.weaponAttackSpeed * (1 + bonuses.attackSpeed / 100);
+            return (speed > 0 ? 1 / speed : 1) * (1 - setReduction);
+        }
+        
+        const reduction = Math.min(COMBAT_BALANCE.player.maxCooldownReduction, bonuses.cooldownReduction / 100);
+        return (1 - reduction) * (1 - setReduction);
     }
     
     // setGame method removed - game is now passed in constructor
@@ -91,6 +286,12 @@ export class PlayerCombat {
      * @returns {number} - The actual damage taken after reductions
      */
     takeDamage(damage, ignoreDefense = false) {
+        // Hits landing during a dodge roll's invulnerability frames are ignored
+        if (this.game?.player?.isInvulnerable()) {
+            console.debug(`Player dodged ${damage} damage`);
+            return 0;
+        }
+        
         // Start with the raw damage
         let reducedDamage = damage;
         
@@ -160,6 +361,9 @@ export class PlayerCombat {
         // Apply damage to health
         this.playerStats.setHealth(this.playerStats.getHealth() - reducedDamage);
         
+        // Feed dynamic difficulty
+        this.game?.enemyManager?.difficultyDirector?.recordDamageTaken(reducedDamage);
+        
         // Sound effect
         if (this.game?.audioManager) {
             this.game.audioManager.playSound('playerHit');
@@ -187,6 +391,12 @@ export class PlayerCombat {
         this.playerState.setDead(true);
         this.playerState.setMoving(false);
         
+        // Death ends every buff and debuff
+        this.game?.player?.statusEffects?.clearAllEffects();
+        
+        // Feed dynamic difficulty
+        this.game?.enemyManager?.difficultyDirector?.recordPlayerDeath();
+        
         // Visual and sound effects
         this.playerModel.getModelGroup().rotation.x = Math.PI / 2;
         if (this.game?.audioManager) {
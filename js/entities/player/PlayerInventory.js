@@ -3,6 +3,9 @@
  * Manages the player's inventory and equipment
  */
 
+import { ITEM_SETS } from '../../config/item-sets.js';
+import { resolveElement } from '../../utils/ElementUtils.js';
+
 export class PlayerInventory {
     constructor() {
         // Initialize inventory
@@ -23,32 +26,136 @@ export class PlayerInventory {
         };
         
         // Equipment stat bonuses cache
-        this.equipmentBonuses = {
+        this.equipmentBonuses = this.createEmptyBonuses();
+        
+        // Set bonus state, rebuilt whenever equipment changes
+        // activeSets: setId -> { equippedCount, activeThresholds }
+        // setSkillModifiers: skill name -> { damage, cooldownReduction, manaCostReduction }
+        this.activeSets = {};
+        this.setSkillModifiers = {};
+    }
+    
+    /**
+     * Create an equipment bonus object with no bonuses
+     * Percentage stats (crit, elemental, attack speed, life steal, CDR) are stored as whole percents
+     * @returns {Object} Empty equipment bonuses
+     */
+    createEmptyBonuses() {
+        return {
             manaBonus: 0,
             healthBonus: 0,
             attackBonus: 0,
             defenseBonus: 0,
-            speedBonus: 0
+            speedBonus: 0,
+            critChance: 0,
+            critDamage: 0,
+            elementalDamage: 0,
+            elementalDamageByElement: {},
+            weaponAttackSpeed: 1,
+            attackSpeed: 0,
+            lifeSteal: 0,
+            cooldownReduction: 0,
+            stackingDamage: null,
+            damageScaling: null,
+            burstDamage: null,
+            damageOverTime: {}
         };
     }
     
     // Inventory management
+    
+    /**
+     * Check whether an item stacks with items of the same name
+     * Only consumables, crafting materials and untyped items (which the UI treats as
+     * consumables) stack; everything else is kept as individual instances
+     * @param {Object} item - The item to check
+     * @returns {boolean} - True if the item is stackable
+     */
+    isStackable(item) {
+        return !item.type || item.type === 'consumable' || item.type === 'material' || item.consumable === true;
+    }
+    
+    /**
+     * Create a unique id for an item instance
+     * @returns {string} - The instance id
+     */
+    createInstanceId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `inst-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+    
+    /**
+     * Add an item to the inventory
+     * Consumables are stacked by name; other items are added as separate instances
+     * with their own instance id, one per amount
+     * @param {Object} item - The item to add
+     */
     addToInventory(item) {
-        // Check if item already exists in inventory
-        const existingItem = this.inventory.find(i => i.name === item.name);
-        
-        if (existingItem) {
-            // Increase amount
-            existingItem.amount += item.amount;
-        } else {
-            // Add new item
-            this.inventory.push({ ...item });
+        const amount = item.amount || 1;
+        
+        if (this.isStackable(item)) {
+            // Check if the consumable already exists in inventory
+            const existingItem = this.inventory.find(i => i.name === item.name && this.isStackable(i));
+            
+            if (existingItem) {
+                // Increase amount
+                existingItem.amount += amount;
+            } else {
+                // Add new stack
+                this.inventory.push({ ...item, amount });
+            }
+            return;
+        }
+        
+        for (let i = 0; i < amount; i++) {
+            // Keep an existing instance id (e.g. when unequipping) unless it is already in use
+            const keepId = i === 0 && item.instanceId && !this.findInventoryItem(item.instanceId);
+            this.inventory.push({
+                ...item,
+                amount: 1,
+                instanceId: keepId ? item.instanceId : this.createInstanceId()
+            });
         }
     }
     
-    removeFromInventory(itemName, amount = 1) {
+    /**
+     * Find an inventory item by its instance id
+     * @param {string} instanceId - The instance id
+     * @returns {Object|undefined} - The inventory item
+     */
+    findInventoryItem(instanceId) {
+        return this.inventory.find(i => i.instanceId === instanceId);
+    }
+    
+    /**
+     * Find the index of an inventory entry
+     * Item objects and strings are matched by instance id first; names are the fallback for stacks and legacy callers
+     * @param {Object|string} itemOrId - Item object, instance id or item name
+     * @returns {number} - Index in the inventory, or -1 if not found
+     */
+    findInventoryIndex(itemOrId) {
+        if (itemOrId && typeof itemOrId === 'object') {
+            if (itemOrId.instanceId) {
+                return this.inventory.findIndex(i => i.instanceId === itemOrId.instanceId);
+            }
+            return this.inventory.findIndex(i => i.name === itemOrId.name);
+        }
+        
+        const byInstance = this.inventory.findIndex(i => i.instanceId === itemOrId);
+        return byInstance >= 0 ? byInstance : this.inventory.findIndex(i => i.name === itemOrId);
+    }
+    
+    /**
+     * Remove an item from the inventory
+     * @param {Object|string} itemOrId - Item object, instance id or item name
+     * @param {number} amount - Amount to remove from a consumable stack
+     * @returns {boolean} - True if the item was removed
+     */
+    removeFromInventory(itemOrId, amount = 1) {
         // Find item in inventory
-        const itemIndex = this.inventory.findIndex(i => i.name === itemName);
+        const itemIndex = this.findInventoryIndex(itemOrId);
         
         if (itemIndex >= 0) {
             // Decrease amount
@@ -75,6 +182,11 @@ export class PlayerInventory {
         // Determine the correct equipment slot
         let slot = item.type;
         
+        // Armor pieces with a dedicated slot go there; robes and other armor use the armor slot
+        if (item.type === 'armor' && ['helmet', 'boots', 'gloves', 'belt'].includes(item.subType)) {
+            slot = item.subType;
+        }
+        
         // Handle special cases for accessories
         if (item.type === 'accessory') {
             if (item.subType === 'talisman') {
@@ -102,8 +214,8 @@ export class PlayerInventory {
         // Equip new item
         this.equipment[slot] = item;
         
-        // Remove from inventory
-        this.removeFromInventory(item.name);
+        // Remove this instance from inventory
+        this.removeFromInventory(item);
         
         // Recalculate equipment bonuses
         this.calculateEquipmentBonuses();
@@ -139,18 +251,15 @@ export class PlayerInventory {
      */
     calculateEquipmentBonuses() {
         // Reset bonuses
-        this.equipmentBonuses = {
-            manaBonus: 0,
-            healthBonus: 0,
-            attackBonus: 0,
-            defenseBonus: 0,
-            speedBonus: 0
-        };
+        this.equipmentBonuses = this.createEmptyBonuses();
         
         // Loop through all equipped items
         Object.values(this.equipment).forEach(item => {
             if (!item) return;
             
+            // Combat stats (crits, elemental damage, attack speed, procs)
+            this.addCombatBonuses(item);
+            
             // Process base stats
             if (item.baseStats) {
                 // Add mana bonus
@@ -196,6 +305,102 @@ export class PlayerInventory {
                 });
             }
         });
+        
+        // Set bonuses depend on the full equipment, so evaluate them last
+        this.evaluateSetBonuses();
+    }
+    
+    /**
+     * Evaluate set bonuses for the equipped items
+     * Adds active set stat modifiers to the equipment bonuses and collects skill modifiers
+     */
+    evaluateSetBonuses() {
+        this.activeSets = {};
+        this.setSkillModifiers = {};
+        
+        Object.values(ITEM_SETS).forEach(set => {
+            const equippedCount = this.getEquippedSetPieces(set.id).filter(Boolean).length;
+            if (equippedCount === 0) return;
+            
+            const activeThresholds = Object.keys(set.bonuses)
+                .map(Number)
+                .filter(threshold => equippedCount >= threshold);
+            
+            this.activeSets[set.id] = { equippedCount, activeThresholds };
+            
+            activeThresholds.forEach(threshold => {
+                const bonus = set.bonuses[threshold];
+                
+                if (bonus.stats) {
+                    for (const [stat, value] of Object.entries(bonus.stats)) {
+                        if (typeof this.equipmentBonuses[stat] === 'number') {
+                            this.equipmentBonuses[stat] += value;
+                        }
+                    }
+                }
+                
+                if (bonus.skills) {
+                    for (const [skillName, modifier] of Object.entries(bonus.skills)) {
+                        const current = this.getSetSkillModifiers(skillName);
+                        this.setSkillModifiers[skillName] = {
+                            damage: current.damage + (modifier.damage || 0),
+                            cooldownReduction: current.cooldownReduction + (modifier.cooldownReduction || 0),
+                            manaCostReduction: current.manaCostReduction + (modifier.manaCostReduction || 0)
+                        };
+                    }
+                }
+            });
+            
+            console.debug(`Set ${set.name}: ${equippedCount}/${set.pieces.length} pieces, active bonuses: ${activeThresholds.join(', ') || 'none'}`);
+        });
+    }
+    
+    /**
+     * Check which pieces of a set are equipped
+     * @param {string} setId - The set identifier
+     * @returns {Array<boolean>} - Equipped flag for each piece, in set order
+     */
+    getEquippedSetPieces(setId) {
+        const set = ITEM_SETS[setId];
+        if (!set) return [];
+        
+        const setItems = Object.values(this.equipment).filter(item => item && item.setId === setId);
+        
+        return set.pieces.map(piece => setItems.some(item => item.type === piece.type && item.subType === piece.subType));
+    }
+    
+    /**
+     * Get the display status of a set for the current equipment
+     * @param {string} setId - The set identifier
+     * @returns {Object|null} - Set name, pieces with equipped flags and bonuses with active flags
+     */
+    getSetStatus(setId) {
+        const set = ITEM_SETS[setId];
+        if (!set) return null;
+        
+        const equipped = this.getEquippedSetPieces(setId);
+        const equippedCount = equipped.filter(Boolean).length;
+        
+        return {
+            id: set.id,
+            name: set.name,
+            equippedCount,
+            pieces: set.pieces.map((piece, index) => ({ name: piece.name, equipped: equipped[index] })),
+            bonuses: Object.entries(set.bonuses).map(([threshold, bonus]) => ({
+                pieces: Number(threshold),
+                description: bonus.description,
+                active: equippedCount >= Number(threshold)
+            }))
+        };
+    }
+    
+    /**
+     * Get the skill modifiers granted by active set bonuses
+     * @param {string} skillName - Name of the skill
+     * @returns {{damage: number, cooldownReduction: number, manaCostReduction: number}} - Modifiers in percent
+     */
+    getSetSkillModifiers(skillName) {
+        return this.setSkillModifiers[skillName] || { damage: 0, cooldownReduction: 0, manaCostReduction: 0 };
     }
     
     // Gold management
@@ -224,6 +429,93 @@ export class PlayerInventory {
         return this.gold;
     }
     
+    /**
+     * Add an item's combat stats to the equipment bonuses
+     * Reads base stats, secondary stats and special effect modifiers
+     * @param {Object} item - The equipped item
+     */
+    addCombatBonuses(item) {
+        const bonuses = this.equipmentBonuses;
+        const baseStats = item.baseStats || {};
+        
+        // Weapon attack speed is a multiplier; on other gear it is a percentage
+        if (baseStats.attackSpeed) {
+            if (item.type === 'weapon') {
+                bonuses.weaponAttackSpeed = baseStats.attackSpeed;
+            } else {
+                bonuses.attackSpeed += baseStats.attackSpeed;
+            }
+        }
+        
+        ['critChance', 'critDamage', 'elementalDamage', 'lifeSteal', 'cooldownReduction'].forEach(stat => {
+            if (baseStats[stat]) {
+                bonuses[stat] += baseStats[stat];
+            }
+        });
+        
+        if (Array.isArray(item.secondaryStats)) {
+            item.secondaryStats.forEach(stat => {
+                switch (stat.type) {
+                    case 'critChance':
+                    case 'critDamage':
+                    case 'lifeSteal':
+                    case 'cooldownReduction':
+                    case 'attackSpeed':
+                        bonuses[stat.type] += stat.value;
+                        break;
+                    case 'elementalDamage':
+                        if (stat.element) {
+                            const element = resolveElement(stat.element);
+                            bonuses.elementalDamageByElement[element] = 
+                                (bonuses.elementalDamageByElement[element] || 0) + stat.value;
+                        } else {
+                            bonuses.elementalDamage += stat.value;
+                        }
+                        break;
+                    case 'stackingDamage':
+                        // Each hit adds value% damage, up to maxStacks
+                        bonuses.stackingDamage = {
+                            value: (bonuses.stackingDamage ? bonuses.stackingDamage.value : 0) + stat.value,
+                            maxStacks: Math.max(bonuses.stackingDamage ? bonuses.stackingDamage.maxStacks : 0, stat.maxStacks || 10)
+                        };
+                        break;
+                    case 'damageScaling':
+                        // Damage grows by value% per second in combat, up to maxValue%
+                        bonuses.damageScaling = {
+                            value: (bonuses.damageScaling ? bonuses.damageScaling.value : 0) + stat.value,
+                            maxValue: Math.max(bonuses.damageScaling ? bonuses.damageScaling.maxValue : 0, stat.maxValue || 50)
+                        };
+                        break;
+                    case 'damageOverTime':
+                        // Hits apply the element's status effect, dealing value damage per second
+                        bonuses.damageOverTime[stat.element || 'physical'] = 
+                            (bonuses.damageOverTime[stat.element || 'physical'] || 0) + stat.value;
+                        break;
+                    case 'burstDamage':
+                        // Every frequency-th hit deals value% additional damage
+                        bonuses.burstDamage = {
+                            value: (bonuses.burstDamage ? bonuses.burstDamage.value : 0) + stat.value,
+                            frequency: Math.min(bonuses.burstDamage ? bonuses.burstDamage.frequency : Infinity, stat.frequency || 10)
+                        };
+                        break;
+                }
+            });
+        }
+        
+        if (Array.isArray(item.specialEffects)) {
+            item.specialEffects.forEach(effect => {
+                const modifier = effect.modifier;
+                if (!modifier) return;
+                
+                if (modifier.stat === 'allElementalDamage') {
+                    bonuses.elementalDamage += modifier.value;
+                } else if (['critChance', 'critDamage', 'lifeSteal', 'cooldownReduction'].includes(modifier.stat)) {
+                    bonuses[modifier.stat] += modifier.value;
+                }
+            });
+        }
+    }
+    
     /**
      * Get equipment stat bonuses
      * @returns {Object} Equipment stat bonuses
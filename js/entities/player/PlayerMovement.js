@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { COMBAT_BALANCE } from '../../config/game-balance.js';
 
 export class PlayerMovement {
     /**
@@ -28,6 +29,18 @@ export class PlayerMovement {
         // Collision properties
         this.collisionRadius = 0.5;
         this.heightOffset = 1.0;
+        this.maxSmoothedHeightStep = 0.25; // Larger height changes are applied immediately
+        
+        // Cleared while stunned or frozen (see PlayerStatusEffects)
+        this.canMove = true;
+        
+        // Dodge roll state (settings in COMBAT_BALANCE.player.dodge)
+        this.dodgeState = {
+            active: false,
+            elapsed: 0,
+            cooldown: 0,
+            direction: new THREE.Vector3()
+        };
         
         // Game reference
         this.game = game;
@@ -36,7 +49,7 @@ export class PlayerMovement {
     // setGame method removed - game is now passed in constructor
     
     updateMovement(delta) {
-        if (this.playerState.isMoving()) {
+        if (this.playerState.isMoving() && this.canMove) {
             // Calculate direction to target
             const direction = new THREE.Vector3().subVectors(this.targetPosition, this.position).normalize();
             
@@ -84,6 +97,10 @@ export class PlayerMovement {
     }
     
     handleKeyboardMovement(delta) {
+        if (!this.canMove) {
+            return;
+        }
+        
         // Get movement direction from input handler
         // This now returns a direction that's already transformed based on camera rotation
         const direction = this.game.inputHandler.getMovementDirection();
@@ -131,6 +148,119 @@ export class PlayerMovement {
         }
     }
     
+    /**
+     * Stop any click-to-move and keyboard movement in progress
+     */
+    stopMovement() {
+        this.targetPosition.copy(this.position);
+        this.playerState.setMoving(false);
+    }
+    
+    /**
+     * Start a dodge roll
+     * @param {THREE.Vector3|null} direction - Roll direction (the player's facing is used when empty)
+     * @returns {boolean} - True if the roll started
+     */
+    startDodge(direction) {
+        const dodge = this.dodgeState;
+        if (dodge.active || dodge.cooldown > 0 || this.canMove === false || this.playerState.isDead()) {
+            return false;
+        }
+        
+        if (direction && direction.lengthSq() > 0) {
+            dodge.direction.set(direction.x, 0, direction.z).normalize();
+        } else {
+            dodge.direction.set(Math.sin(this.rotation.y), 0, Math.cos(this.rotation.y));
+        }
+        
+        dodge.active = true;
+        dodge.elapsed = 0;
+        dodge.cooldown = COMBAT_BALANCE.player.dodge.cooldown;
+        
+        // Stop click-to-move so the player doesn't walk back after the roll
+        this.playerState.setMoving(false);
+        this.targetPosition.copy(this.position);
+        
+        // Face the roll; pitch around the model's own right axis while rolling
+        this.rotation.y = Math.atan2(dodge.direction.x, dodge.direction.z);
+        if (this.modelGroup) {
+            this.modelGroup.rotation.order = 'YXZ';
+            this.modelGroup.rotation.y = this.rotation.y;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Move the player along an active dodge roll
+     * @param {number} delta - Time in seconds since the last update
+     * @returns {boolean} - True while the roll is in progress
+     */
+    updateDodge(delta) {
+        const dodge = this.dodgeState;
+        if (dodge.cooldown > 0) {
+            dodge.cooldown -= delta;
+        }
+        
+        if (!dodge.active) {
+            return false;
+        }
+        
+        const settings = COMBAT_BALANCE.player.dodge;
+        dodge.elapsed += delta;
+        
+        const step = settings.distance / settings.duration * delta;
+        this.position.x += dodge.direction.x * step;
+        this.position.z += dodge.direction.z * step;
+        
+        if (this.modelGroup) {
+            this.modelGroup.position.set(this.position.x, this.modelGroup.position.y, this.position.z);
+            this.modelGroup.rotation.x = Math.min(dodge.elapsed / settings.duration, 1) * Math.PI * 2;
+        }
+        
+        if (dodge.elapsed >= settings.duration) {
+            this.endDodge();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Stop the roll early (e.g. when a movement skill takes over)
+     */
+    cancelDodge() {
+        if (this.dodgeState.active) {
+            this.endDodge();
+        }
+    }
+    
+    /**
+     * Finish the roll and restore the model's orientation
+     */
+    endDodge() {
+        this.dodgeState.active = false;
+        
+        // Keep the death pose if the player died during the roll
+        if (this.modelGroup && !this.playerState.isDead()) {
+            this.modelGroup.rotation.x = 0;
+            this.modelGroup.rotation.order = 'XYZ';
+        }
+    }
+    
+    /**
+     * @returns {boolean} - True while a dodge roll is in progress
+     */
+    isDodging() {
+        return this.dodgeState.active;
+    }
+    
+    /**
+     * @returns {boolean} - True during the roll's invulnerability frames
+     */
+    isInvulnerable() {
+        return this.dodgeState.active && this.dodgeState.elapsed < COMBAT_BALANCE.player.dodge.invulnerableTime;
+    }
+    
     updateTerrainHeight() {
         // Ensure player is always at the correct terrain height
         if (this.game && this.game.world) {
@@ -140,12 +270,14 @@ export class PlayerMovement {
             const targetHeight = terrainHeight + this.heightOffset;
             
             // Check if the world's initial terrain has been created
-            if (this.game.world.initialTerrainCreated) {
-                // Use a very small smooth factor to prevent vibration
-                const smoothFactor = 0.05; // Lower value = smoother transition
-                this.position.y += (targetHeight - this.position.y) * smoothFactor;
+            const terrainManager = this.game.world.terrainManager;
+            const heightDifference = targetHeight - this.position.y;
+            if (terrainManager && terrainManager.initialTerrainCreated && Math.abs(heightDifference) < this.maxSmoothedHeightStep) {
+                // Smooth out tiny steps between heightmap samples to prevent vibration
+                const smoothFactor = 0.5; // Lower value = smoother transition
+                this.position.y += heightDifference * smoothFactor;
             } else {
-                // If initial terrain isn't created yet, just set the height directly
+                // Follow slopes directly so the player never sinks into hills
                 this.position.y = targetHeight;
             }
             
@@ -202,6 +334,10 @@ export class PlayerMovement {
     }
     
     moveTo(target) {
+        if (!this.canMove) {
+            return;
+        }
+        
         // Set target position
         this.targetPosition.copy(target);
         
@@ -3,6 +3,8 @@ import { Skill } from '../skills/Skill.js';
 import { SkillEffectFactory } from '../skills/SkillEffectFactory.js';
 import { SKILLS, BATTLE_SKILLS } from '../../config/skills.js';
 import { STORAGE_KEYS } from '../../config/storage-keys.js';
+import { SKILL_TREES } from '../../config/skill-tree.js';
+import { enforceSkillPointBudget } from '../../utils/SkillTreeUtils.js';
 
 /**
  * @typedef {Object} SkillTreeEntry
@@ -118,6 +120,18 @@ export class PlayerSkills {
                 const skillTreeData = JSON.parse(skillTreeDataJson);
                 console.debug('Loaded skill tree data from localStorage:', skillTreeData);
                 
+                // Drop locked variants and allocations the earned points do not cover before
+                // they reach the skills; the skill tree UI saves the trimmed data when opened
+                const { changed } = enforceSkillPointBudget(
+                    SKILL_TREES,
+                    skillTreeData,
+                    this.playerStats.getSkillPoints(),
+                    variantName => this.playerStats.isVariantUnlocked(variantName)
+                );
+                if (changed) {
+                    console.warn('Saved skill tree data exceeds the player\'s skill points or unlocks, ignoring the invalid selections');
+                }
+                
                 // Apply skill variants and buffs to the player's skills
                 // This will be used when creating skill instances
                 this.skillTreeData = skillTreeData;
@@ -128,6 +142,13 @@ export class PlayerSkills {
                 return true;
             } else {
                 console.debug('No skill tree data found in localStorage');
+                
+                // Nothing allocated (e.g. a new hero), so drop any previously applied variants and buffs
+                this.skillTreeData = null;
+                this.skills.forEach(skill => {
+                    skill.variant = '';
+                    skill.buffs = {};
+                });
                 return false;
             }
         } catch (error) {
@@ -151,17 +172,19 @@ export class PlayerSkills {
             
             // If this skill has data in the skill tree
             if (skillTreeEntry) {
-                // Apply variant if one is selected
-                if (skillTreeEntry.activeVariant) {
+                // Apply variant if one is selected and unlocked; otherwise use the base skill
+                if (skillTreeEntry.activeVariant && this.playerStats.isVariantUnlocked(skillTreeEntry.activeVariant)) {
                     console.debug(`Applying variant ${skillTreeEntry.activeVariant} to skill ${skillName}`);
                     skill.variant = skillTreeEntry.activeVariant;
+                } else {
+                    skill.variant = '';
                 }
                 
-                // Apply buffs if any are selected
+                // Apply buffs if any are selected (cleared buffs are removed, e.g. after a respec)
                 if (skillTreeEntry.buffs && Object.keys(skillTreeEntry.buffs).length > 0) {
                     console.debug(`Applying buffs to skill ${skillName}:`, skillTreeEntry.buffs);
-                    skill.buffs = skillTreeEntry.buffs;
                 }
+                skill.buffs = skillTreeEntry.buffs || {};
             }
         });
         
@@ -231,8 +254,8 @@ export class PlayerSkills {
                 if (this.skillTreeData && this.skillTreeData[id]) {
                     const skillTreeEntry = this.skillTreeData[id];
                     
-                    // Apply variant if one is selected
-                    if (skillTreeEntry.activeVariant) {
+                    // Apply variant if one is selected and unlocked
+                    if (skillTreeEntry.activeVariant && this.playerStats.isVariantUnlocked(skillTreeEntry.activeVariant)) {
                         console.debug(`Applying variant ${skillTreeEntry.activeVariant} to skill ${id} during initialization`);
                         skillConfigCopy.variant = skillTreeEntry.activeVariant;
                     }
@@ -329,6 +352,31 @@ export class PlayerSkills {
         this.skills.forEach(skill => skill.updateCooldown(delta));
     }
     
+    /**
+     * Get the cooldown multiplier from the player's equipment
+     * @param {Skill} skill - The skill starting its cooldown
+     * @returns {number} - Multiplier for the skill's cooldown
+     */
+    getCooldownMultiplier(skill) {
+        const combat = this.game && this.game.player ? this.game.player.combat : null;
+        return combat ? combat.getCooldownMultiplier(skill) : 1;
+    }
+    
+    /**
+     * Get a skill's mana cost after set bonus reductions
+     * @param {Skill} skill - The skill being cast
+     * @returns {number} - Mana cost to pay
+     */
+    getManaCost(skill) {
+        const inventory = this.game && this.game.player ? this.game.player.inventory : null;
+        if (!inventory) {
+            return skill.manaCost;
+        }
+        
+        const reduction = Math.min(100, inventory.getSetSkillModifiers(skill.name).manaCostReduction);
+        return Math.round(skill.manaCost * (1 - reduction / 100));
+    }
+    
     /**
      * Activates a skill by its index in the skills array
      * Handles mana cost, cooldown, targeting, and effect creation
@@ -355,16 +403,31 @@ export class PlayerSkills {
         }
         
         // Check if player has enough mana
-        if (this.playerStats.getMana() < skillTemplate.manaCost) {
+        if (this.playerStats.getMana() < this.getManaCost(skillTemplate)) {
             console.debug('Not enough mana for skill:', skillTemplate.name);
             return false;
         }
         
+        // No casting while stunned or frozen
+        if (this.game?.player?.isIncapacitated()) {
+            console.debug('Cannot use skill while incapacitated:', skillTemplate.name);
+            return false;
+        }
+        
+        // Only skills flagged with cancelsDodge (e.g. Flying Kick) can be used mid-roll; they end the roll
+        if (this.game?.player?.isDodging()) {
+            if (!skillTemplate.cancelsDodge) {
+                console.debug('Cannot use skill while dodging:', skillTemplate.name);
+                return false;
+            }
+            this.game.player.cancelDodge();
+        }
+        
         // Use mana
-        this.playerStats.setMana(this.playerStats.getMana() - skillTemplate.manaCost);
+        this.playerStats.setMana(this.playerStats.getMana() - this.getManaCost(skillTemplate));
         
         // Start cooldown on the template (shared cooldown)
-        skillTemplate.startCooldown();
+        skillTemplate.startCooldown(this.getCooldownMultiplier(skillTemplate));
         
         // We no longer clean up existing instances of this skill
         // This allows multiple instances of the same skill to exist simultaneously
@@ -424,8 +487,8 @@ export class PlayerSkills {
         if (this.skillTreeData && this.skillTreeData[skillTemplate.name]) {
             const skillTreeEntry = this.skillTreeData[skillTemplate.name];
             
-            // Apply variant if one is selected
-            if (skillTreeEntry.activeVariant) {
+            // Apply variant if one is selected and unlocked
+            if (skillTreeEntry.activeVariant && this.playerStats.isVariantUnlocked(skillTreeEntry.activeVariant)) {
                 console.debug(`Applying variant ${skillTreeEntry.activeVariant} to new instance of ${skillTemplate.name}`);
                 skillConfigCopy.variant = skillTreeEntry.activeVariant;
             }
@@ -521,13 +584,18 @@ export class PlayerSkills {
         
         console.debug('Using basic attack skill:', skillTemplate.name);
         
+        // No basic attacks mid-roll or while stunned or frozen
+        if (this.game?.player?.isDodging() || this.game?.player?.isIncapacitated()) {
+            return false;
+        }
+        
         // Check if skill is on cooldown
         if (skillTemplate.isOnCooldown()) {
             return false;
         }
         
         // Check if player has enough mana
-        if (this.playerStats.getMana() < skillTemplate.manaCost) {
+        if (this.playerStats.getMana() < this.getManaCost(skillTemplate)) {
             return false;
         }
         
@@ -547,10 +615,10 @@ export class PlayerSkills {
                 this.broadcastSkillCast(skillTemplate.name, meleeEnemy); // No target enemy at this point
                 
                 // Use mana
-                this.playerStats.setMana(this.playerStats.getMana() - skillTemplate.manaCost);
+                this.playerStats.setMana(this.playerStats.getMana() - this.getManaCost(skillTemplate));
                 
                 // Start cooldown
-                skillTemplate.startCooldown();
+                skillTemplate.startCooldown(this.getCooldownMultiplier(skillTemplate));
                 
                 // Create a new instance of the skill
                 const skillConfig = SKILLS.find(config => config.name === skillTemplate.name);
@@ -610,10 +678,10 @@ export class PlayerSkills {
                     this.playerRotation.y = Math.atan2(direction.x, direction.z);
                     
                     // Use mana
-                    this.playerStats.setMana(this.playerStats.getMana() - skillTemplate.manaCost);
+                    this.playerStats.setMana(this.playerStats.getMana() - this.getManaCost(skillTemplate));
                     
                     // Start cooldown
-                    skillTemplate.startCooldown();
+                    skillTemplate.startCooldown(this.getCooldownMultiplier(skillTemplate));
                     
                     // Create a new instance of the skill
                     const skillConfig = SKILLS.find(config => config.name === skillTemplate.name);
@@ -4,8 +4,8 @@
  * @module entities/player/PlayerStats
  */
 
-import { PLAYER_PROGRESSION } from '../../config/game-balance.js';
-const {DEFAULT_PLAYER_STATS, LEVEL_UP_EXPERIENCE_MULTIPLIER, LEVEL_UP_STAT_INCREASES, RESOURCE_REGENERATION} = PLAYER_PROGRESSION
+import { PLAYER_PROGRESSION, DIFFICULTY_SCALING } from '../../config/game-balance.js';
+const {DEFAULT_PLAYER_STATS, LEVEL_UP_EXPERIENCE_MULTIPLIER, LEVEL_UP_STAT_INCREASES, RESOURCE_REGENERATION, SKILL_POINTS} = PLAYER_PROGRESSION
 
 /**
  * @typedef {Object} TemporaryBoost
@@ -34,6 +34,9 @@ const {DEFAULT_PLAYER_STATS, LEVEL_UP_EXPERIENCE_MULTIPLIER, LEVEL_UP_STAT_INCRE
  * @property {number} [intelligence] - Intelligence attribute
  * @property {number} [movementSpeed] - Movement speed
  * @property {number} [attackPower] - Attack power
+ * @property {number} [worldTier] - Selected world tier (endgame difficulty)
+ * @property {number} [skillPoints] - Total skill points earned (spent points are derived from the skill tree)
+ * @property {string[]} [unlockedVariants] - Names of unlocked skill variants
  */
 export class PlayerStats {
     /**
@@ -55,6 +58,19 @@ export class PlayerStats {
         this.movementSpeed = this.validateNumber(initialStats.movementSpeed) || DEFAULT_PLAYER_STATS.movementSpeed;
         this.attackPower = this.validateNumber(initialStats.attackPower) || DEFAULT_PLAYER_STATS.attackPower;
         
+        // Multiplier from slows and hastes (set by PlayerStatusEffects, never saved)
+        this.movementSpeedMultiplier = 1;
+        
+        // Endgame world tier (1 = no bonuses)
+        this.worldTier = this.validateNumber(initialStats.worldTier) || 1;
+        
+        // World tier a multiplayer host imposes for the session (never saved)
+        this.sessionWorldTier = null;
+        
+        // Skill tree progression
+        this.skillPoints = this.validateNumber(initialStats.skillPoints) || this.getSkillPointsForLevel(this.level);
+        this.unlockedVariants = Array.isArray(initialStats.unlockedVariants) ? [...initialStats.unlockedVariants] : [];
+        
         // Track temporary stat boosts
         /** @type {Object.<string, StatBoost>} */
         this.temporaryBoosts = {};
@@ -194,6 +210,9 @@ export class PlayerStats {
             // Restore health and mana to full
             this.health = this.maxHealth;
             this.mana = this.maxMana;
+            
+            // Never take away points, but grant at least the points for the new level
+            this.skillPoints = Math.max(this.skillPoints, this.getSkillPointsForLevel(newLevel));
         }
     }
     
@@ -243,7 +262,7 @@ export class PlayerStats {
      * @returns {number} Current movement speed
      */
     getMovementSpeed() {
-        return this.movementSpeed;
+        return this.movementSpeed * this.movementSpeedMultiplier;
     }
     
     // Setters
@@ -327,6 +346,86 @@ export class PlayerStats {
         return levelChanged ? this.level : 0;
     }
     
+    /**
+     * Check whether world tiers are unlocked at the current level
+     * @returns {boolean} True if the player can choose a world tier
+     */
+    isWorldTierUnlocked() {
+        return this.level >= DIFFICULTY_SCALING.worldTiers.unlockLevel;
+    }
+    
+    /**
+     * Get the active world tier
+     * A multiplayer session tier takes precedence over the player's own selection
+     * @returns {number} World tier number (1-based)
+     */
+    getWorldTier() {
+        return this.sessionWorldTier !== null ? this.sessionWorldTier : this.worldTier;
+    }
+    
+    /**
+     * Get the world tier the player selected, ignoring any session tier
+     * @returns {number} World tier number (1-based)
+     */
+    getSelectedWorldTier() {
+        return this.worldTier;
+    }
+    
+    /**
+     * Use a host's world tier for the current multiplayer session
+     * Unlike setWorldTier this skips the unlock level and does not change the saved selection
+     * @param {number} tier - The tier number to use
+     * @returns {boolean} True if the tier exists
+     */
+    setSessionWorldTier(tier) {
+        const tiers = DIFFICULTY_SCALING.worldTiers.tiers;
+        if (!tiers.some(tierSettings => tierSettings.tier === tier)) {
+            console.warn(`Unknown world tier: ${tier}`);
+            return false;
+        }
+        
+        this.sessionWorldTier = tier;
+        return true;
+    }
+    
+    /**
+     * Return to the player's own world tier after a multiplayer session
+     */
+    clearSessionWorldTier() {
+        this.sessionWorldTier = null;
+    }
+    
+    /**
+     * Select a world tier
+     * @param {number} tier - The tier number to select
+     * @returns {boolean} True if the tier was changed
+     */
+    setWorldTier(tier) {
+        const tiers = DIFFICULTY_SCALING.worldTiers.tiers;
+        if (!tiers.some(tierSettings => tierSettings.tier === tier)) {
+            console.warn(`Unknown world tier: ${tier}`);
+            return false;
+        }
+        
+        // Tiers above the first require the unlock level
+        if (tier > 1 && !this.isWorldTierUnlocked()) {
+            return false;
+        }
+        
+        this.worldTier = tier;
+        return true;
+    }
+    
+    /**
+     * Get the settings of the selected world tier
+     * @returns {Object} World tier settings from DIFFICULTY_SCALING.worldTiers
+     */
+    getWorldTierSettings() {
+        const tiers = DIFFICULTY_SCALING.worldTiers.tiers;
+        const worldTier = this.getWorldTier();
+        return tiers.find(tierSettings => tierSettings.tier === worldTier) || tiers[0];
+    }
+    
     /**
      * Level up the player, increasing stats and resetting resources
      * @returns {number} - The new level after leveling up
@@ -369,9 +468,61 @@ export class PlayerStats {
         this.health = this.maxHealth;
         this.mana = this.maxMana;
         
+        // Grant skill points for the new level
+        this.addSkillPoints(SKILL_POINTS.perLevel);
+        
         return this.level;
     }
     
+    /**
+     * Get the skill points a character earns from leveling alone
+     * @param {number} level - Character level
+     * @returns {number} Skill points for reaching the level
+     */
+    getSkillPointsForLevel(level) {
+        return SKILL_POINTS.starting + SKILL_POINTS.perLevel * (Math.max(1, level) - 1);
+    }
+    
+    /**
+     * Get the total skill points earned
+     * @returns {number} Total skill points
+     */
+    getSkillPoints() {
+        return this.skillPoints;
+    }
+    
+    /**
+     * Add skill points
+     * @param {number} amount - Points to add
+     * @returns {number} New total skill points
+     */
+    addSkillPoints(amount) {
+        this.skillPoints = this.validateNumber(this.skillPoints, 0) + Math.max(0, this.validateNumber(amount, 0));
+        return this.skillPoints;
+    }
+    
+    /**
+     * Check whether a skill variant has been unlocked
+     * @param {string} variantName - Name of the variant
+     * @returns {boolean} True if the variant is unlocked
+     */
+    isVariantUnlocked(variantName) {
+        return this.unlockedVariants.includes(variantName);
+    }
+    
+    /**
+     * Unlock a skill variant
+     * @param {string} variantName - Name of the variant
+     * @returns {boolean} True if the variant was newly unlocked
+     */
+    unlockVariant(variantName) {
+        if (!variantName || this.isVariantUnlocked(variantName)) {
+            return false;
+        }
+        this.unlockedVariants.push(variantName);
+        return true;
+    }
+    
     /**
      * Add a temporary boost to a stat
      * @param {string} statName - The name of the stat to boost (e.g., 'movementSpeed', 'attackPower')
@@ -1,238 +1,96 @@
+import { StatusEffects } from '../status-effects/StatusEffects.js';
+
 /**
  * PlayerStatusEffects.js
  * Manages status effects applied to the player
+ * Durations, stacking, ticks and immunities are handled by StatusEffects; the definitions
+ * below decide what each effect does to the player
  */
-export class PlayerStatusEffects {
+export class PlayerStatusEffects extends StatusEffects {
     /**
      * Creates a new PlayerStatusEffects instance
      * @param {import('./PlayerStats.js').PlayerStats} playerStats - The player's stats
      * @param {import('./PlayerMovement.js').PlayerMovement} playerMovement - The player's movement component
+     * @param {import('./PlayerCombat.js').PlayerCombat} playerCombat - The player's combat component
      * @param {Object} [game=null] - The main game instance
      */
-    constructor(playerStats, playerMovement, game = null) {
+    constructor(playerStats, playerMovement, playerCombat, game = null) {
+        super(null, game);
+
         this.playerStats = playerStats;
         this.playerMovement = playerMovement;
-        this.game = game;
-        
-        /**
-         * Active status effects
-         * @type {Map<string, {duration: number, originalValue: number, intensity: number}>}
-         */
-        this.activeEffects = new Map();
-        
+        this.playerCombat = playerCombat;
+
+        // Slows and hastes share one movement speed multiplier
+        const movementSpeedEffect = {
+            apply: () => this.updateMovementSpeed(),
+            remove: () => this.updateMovementSpeed()
+        };
+
+        // Stuns and freezes keep the player from moving, rolling and casting
+        const incapacitatingEffect = {
+            apply: () => {
+                this.playerMovement.cancelDodge();
+                this.playerMovement.stopMovement();
+                this.updateCanMove();
+            },
+            remove: () => this.updateCanMove()
+        };
+
         /**
          * Effect definitions
          * @type {Object}
          */
         this.effectDefinitions = {
-            slow: {
-                apply: (intensity) => {
-                    // Store original movement speed
-                    const originalSpeed = this.playerStats.getMovementSpeed();
-                    
-                    // Apply slow effect (reduce speed by intensity percentage)
-                    const slowFactor = 1 - (intensity || 0.3); // Default 30% slow
-                    this.playerStats.movementSpeed = originalSpeed * slowFactor;
-                    
-                    // Visual feedback
-                    if (this.game?.hudManager) {
-                        this.game.hudManager.showStatusEffect('slow');
-                    }
-                    
-                    // Return original value for restoration later
-                    return originalSpeed;
-                },
-                remove: (originalValue) => {
-                    // Restore original movement speed
-                    this.playerStats.movementSpeed = originalValue;
-                    
-                    // Remove visual feedback
-                    if (this.game?.hudManager) {
-                        this.game.hudManager.hideStatusEffect('slow');
-                    }
-                }
-            },
-            stun: {
-                apply: (intensity) => {
-                    // Store original can-move state
-                    const originalCanMove = this.playerMovement.canMove;
-                    
-                    // Apply stun effect
-                    this.playerMovement.canMove = false;
-                    
-                    // Visual feedback
-                    if (this.game?.hudManager) {
-                        this.game.hudManager.showStatusEffect('stun');
-                    }
-                    
-                    // Return original value for restoration later
-                    return originalCanMove;
-                },
-                remove: (originalValue) => {
-                    // Restore original can-move state
-                    this.playerMovement.canMove = originalValue;
-                    
-                    // Remove visual feedback
-                    if (this.game?.hudManager) {
-                        this.game.hudManager.hideStatusEffect('stun');
-                    }
-                }
-            },
-            // Add more effects as needed
-        };
-    }
-    
-    /**
-     * Apply a status effect to the player
-     * @param {string} effectType - The type of effect to apply
-     * @param {number} duration - Duration of the effect in seconds
-     * @param {number} [intensity=1] - Intensity of the effect (1 = 100%)
-     * @returns {boolean} - Whether the effect was successfully applied
-     */
-    applyEffect(effectType, duration, intensity = 1) {
-        // Check if effect type exists
-        if (!this.effectDefinitions[effectType]) {
-            console.warn(`Unknown effect type: ${effectType}`);
-            return false;
-        }
-        
-        // Get effect definition
-        const effectDef = this.effectDefinitions[effectType];
-        
-        // Check if effect is already active
-        if (this.activeEffects.has(effectType)) {
-            // Get existing effect
-            const existingEffect = this.activeEffects.get(effectType);
-            
-            // If new effect is more intense or has longer duration, replace it
-            if (intensity > existingEffect.intensity || duration > existingEffect.duration) {
-                // Remove existing effect
-                effectDef.remove(existingEffect.originalValue);
-                
-                // Apply new effect
-                const originalValue = effectDef.apply(intensity);
-                
-                // Update effect data
-                existingEffect.duration = duration;
-                existingEffect.intensity = intensity;
-                existingEffect.originalValue = originalValue;
-            } else {
-                // Just extend duration if new effect is not stronger
-                existingEffect.duration = Math.max(existingEffect.duration, duration);
-            }
-        } else {
-            // Apply new effect
-            const originalValue = effectDef.apply(intensity);
-            
-            // Store effect data
-            this.activeEffects.set(effectType, {
-                duration,
-                originalValue,
-                intensity
-            });
-            
-            // Play sound effect if available
-            if (this.game?.audioManager) {
-                this.game.audioManager.playSound(`effect_${effectType}`);
+            slow: movementSpeedEffect,
+            chill: movementSpeedEffect,
+            haste: movementSpeedEffect,
+            stun: incapacitatingEffect,
+            freeze: incapacitatingEffect,
+            blind: {
+                apply: () => this.setBlindOverlay(true),
+                remove: () => this.setBlindOverlay(false)
             }
-            
-            console.debug(`Applied ${effectType} effect to player for ${duration} seconds at ${intensity * 100}% intensity`);
-        }
-        
-        return true;
-    }
-    
-    /**
-     * Remove a specific status effect
-     * @param {string} effectType - The type of effect to remove
-     * @returns {boolean} - Whether the effect was successfully removed
-     */
-    removeEffect(effectType) {
-        // Check if effect is active
-        if (!this.activeEffects.has(effectType)) {
-            return false;
-        }
-        
-        // Get effect data
-        const effectData = this.activeEffects.get(effectType);
-        
-        // Get effect definition
-        const effectDef = this.effectDefinitions[effectType];
-        
-        // Remove effect
-        effectDef.remove(effectData.originalValue);
-        
-        // Remove from active effects
-        this.activeEffects.delete(effectType);
-        
-        console.debug(`Removed ${effectType} effect from player`);
-        
-        return true;
-    }
-    
-    /**
-     * Update all active effects
-     * @param {number} delta - Time since last update in seconds
-     */
-    update(delta) {
-        // Process each active effect
-        for (const [effectType, effectData] of this.activeEffects.entries()) {
-            // Reduce duration
-            effectData.duration -= delta;
-            
-            // Remove expired effects
-            if (effectData.duration <= 0) {
-                this.removeEffect(effectType);
-            }
-        }
+        };
     }
-    
+
     /**
-     * Check if a specific effect is active
-     * @param {string} effectType - The type of effect to check
-     * @returns {boolean} - Whether the effect is active
+     * Apply the movement speed multiplier of the active slows and hastes
      */
-    hasEffect(effectType) {
-        return this.activeEffects.has(effectType);
+    updateMovementSpeed() {
+        this.playerStats.movementSpeedMultiplier = this.getMovementMultiplier();
     }
-    
+
     /**
-     * Get the remaining duration of an effect
-     * @param {string} effectType - The type of effect to check
-     * @returns {number} - Remaining duration in seconds, or 0 if not active
+     * Let the player move again once no stun or freeze is left
      */
-    getEffectDuration(effectType) {
-        if (!this.activeEffects.has(effectType)) {
-            return 0;
-        }
-        
-        return this.activeEffects.get(effectType).duration;
+    updateCanMove() {
+        this.playerMovement.canMove = !this.isIncapacitated();
     }
-    
+
     /**
-     * Get all active effects
-     * @returns {Object} - Map of active effects with their durations
+     * Darken the screen edges while blinded
+     * @param {boolean} enabled - Whether the overlay is shown
      */
-    getAllEffects() {
-        const effects = {};
-        
-        for (const [effectType, effectData] of this.activeEffects.entries()) {
-            effects[effectType] = {
-                duration: effectData.duration,
-                intensity: effectData.intensity
-            };
+    setBlindOverlay(enabled) {
+        const effectsContainer = document.getElementById('effects-container');
+        if (effectsContainer) {
+            effectsContainer.classList.toggle('status-blind', enabled);
         }
-        
-        return effects;
     }
-    
+
     /**
-     * Clear all active effects
+     * Deal or heal a tick of an over-time effect
+     * @param {string} effectType - The ticking effect
+     * @param {number} amount - Amount for this tick
+     * @param {string} kind - 'damage' or 'heal'
      */
-    clearAllEffects() {
-        // Remove each effect
-        for (const effectType of this.activeEffects.keys()) {
-            this.removeEffect(effectType);
+    applyTick(effectType, amount, kind) {
+        if (kind === 'heal') {
+            this.playerStats.heal(amount);
+            return;
         }
+
+        this.playerCombat.takeDamage(amount);
     }
-}
\ No newline at end of file
+}
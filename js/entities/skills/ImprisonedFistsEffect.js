@@ -390,8 +390,12 @@ export class ImprisonedFistsEffect extends SkillEffect {
                 originalPosition: originalPosition,
             });
 
-            // Apply damage immediately
-            enemy.takeDamage(this.skill.damage);
+            // Apply damage immediately through the player's damage pipeline
+            if (this.skill.game.player) {
+                this.skill.game.player.combat.dealDamage(enemy, this.skill.damage, { element: this.skill.getElement() });
+            } else {
+                enemy.takeDamage(this.skill.damage);
+            }
             
             // Immediately freeze the enemy in place
             enemy.setPosition(
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { SkillEffectFactory } from './SkillEffectFactory.js';
+import { SKILL_TREES } from '../../config/skill-tree.js';
+import { resolveElement } from '../../utils/ElementUtils.js';
 
 /**
  * Base class for all skills
@@ -32,6 +34,8 @@ export class Skill {
     icon;
     /** @type {string} */
     variant;
+    /** @type {string} */
+    element;
     /** @type {Object} */
     sounds;
     /** @type {number} */
@@ -271,6 +275,16 @@ export class Skill {
         }
     }
     
+    /**
+     * Get the element of the skill's damage
+     * The active variant's element (skill-tree.js) takes precedence over the skill's own
+     * @returns {string} - Element id from DAMAGE_ELEMENTS
+     */
+    getElement() {
+        const variantElement = this.variant ? SKILL_TREES[this.name]?.variants?.[this.variant]?.element : null;
+        return resolveElement(variantElement || this.element);
+    }
+    
     /**
      * Get the damage value of the skill
      * @returns {number} - The damage value
@@ -306,11 +320,12 @@ export class Skill {
                     console.debug(`Adding weapon damage: ${weaponDamage}`);
                     
                     // Apply elemental bonuses if matching
-                    if (this.element && equipment.weapon.getStat(`${this.element}Damage`)) {
-                        const elementalBonus = equipment.weapon.getStat(`${this.element}Damage`);
+                    const element = this.getElement();
+                    if (equipment.weapon.getStat(`${element}Damage`)) {
+                        const elementalBonus = equipment.weapon.getStat(`${element}Damage`);
                         const elementalMultiplier = 1 + (elementalBonus / 100);
                         damage *= elementalMultiplier;
-                        console.debug(`Applied ${this.element} damage bonus: ${elementalBonus}%, multiplier: ${elementalMultiplier.toFixed(2)}`);
+                        console.debug(`Applied ${element} damage bonus: ${elementalBonus}%, multiplier: ${elementalMultiplier.toFixed(2)}`);
                     }
                 } else if (equipment.weapon.baseStats && equipment.weapon.baseStats.damage) {
                     // Fallback to directly accessing baseStats if getStat is not available
@@ -403,6 +418,13 @@ export class Skill {
                 damage *= (1 + (specificSkillBonus / 100));
             }
             
+            // Apply set bonus damage for this skill (stacks with others)
+            const setDamageBonus = player.inventory.getSetSkillModifiers(this.name).damage;
+            if (setDamageBonus > 0) {
+                damage *= (1 + (setDamageBonus / 100));
+                console.debug(`Applied set bonus damage to ${this.name}: ${setDamageBonus}%`);
+            }
+            
             // Apply small random variation (±10%)
             const variation = damage * 0.2 * (Math.random() - 0.5);
             damage += variation;
@@ -436,8 +458,9 @@ export class Skill {
      * @returns {number} - Cooldown progress from 0 (not on cooldown) to 1 (full cooldown)
      */
     getCooldownProgress() {
-        if (this.cooldown === 0) return 0;
-        return this.currentCooldown / this.cooldown;
+        const duration = this.cooldownDuration || this.cooldown;
+        if (duration === 0) return 0;
+        return Math.min(1, this.currentCooldown / duration);
     }
     
     /**
@@ -469,9 +492,11 @@ export class Skill {
     
     /**
      * Start the skill's cooldown
+     * @param {number} [multiplier=1] - Cooldown multiplier (cooldown reduction / attack speed)
      */
-    startCooldown() {
-        this.currentCooldown = this.cooldown;
+    startCooldown(multiplier = 1) {
+        this.cooldownDuration = this.cooldown * multiplier;
+        this.currentCooldown = this.cooldownDuration;
     }
     
     /**
@@ -0,0 +1,419 @@
+import { STATUS_EFFECTS, STATUS_EFFECT_ALIASES, STATUS_EFFECT_SETTINGS } from '../../config/status-effects.js';
+
+/**
+ * StatusEffects.js
+ * Buffs and debuffs on a player or an enemy: durations, stacking, ticks, immunities and cleanse
+ * The effects themselves are data (STATUS_EFFECTS); subclasses fill effectDefinitions with
+ * what each effect does to their owner and implement applyTick for damage/heal over time
+ */
+export class StatusEffects {
+    /**
+     * @param {Object} [owner=null] - The player or enemy the effects are on (passed to skill hooks)
+     * @param {Object} [game=null] - The main game instance
+     */
+    constructor(owner = null, game = null) {
+        this.owner = owner;
+        this.game = game;
+
+        /**
+         * Active status effects
+         * @type {Map<string, {duration: number, maxDuration: number, intensity: number, stacks: number, tickTimer: number, originalValue: *, hooks: Object|null}>}
+         */
+        this.activeEffects = new Map();
+
+        /**
+         * Immunities: effect type -> seconds left (Infinity for permanent immunities)
+         * @type {Map<string, number>}
+         */
+        this.immunities = new Map();
+
+        /**
+         * What each effect does to the owner, by effect type
+         * apply(intensity, stacks) returns a value handed back to remove(originalValue)
+         * @type {Object<string, {apply: Function, remove: Function}>}
+         */
+        this.effectDefinitions = {};
+    }
+
+    /**
+     * Resolve alternative effect names (e.g. 'frozen') to the configured effect type
+     * @param {string} effectType - Effect name
+     * @returns {string} - Effect type
+     */
+    static resolveType(effectType) {
+        return STATUS_EFFECT_ALIASES[effectType] || effectType;
+    }
+
+    /**
+     * Apply a status effect
+     * @param {string} effectType - The type of effect to apply
+     * @param {number} duration - Duration of the effect in seconds
+     * @param {number} [intensity] - Intensity of the effect (defaults to the effect's defaultIntensity)
+     * @param {Object} [options={}] - Extra options
+     * @param {Object} [options.hooks] - Skill callbacks: onApply(owner), onTick(delta), onRemove(owner)
+     * @returns {boolean} - Whether the effect was applied
+     */
+    applyEffect(effectType, duration, intensity, options = {}) {
+        const type = StatusEffects.resolveType(effectType);
+        const config = STATUS_EFFECTS[type];
+        if (!config) {
+            console.warn(`Unknown effect type: ${effectType}`);
+            return false;
+        }
+
+        if (!(duration > 0)) {
+            return false;
+        }
+
+        if (this.isImmune(type)) {
+            console.debug(`Immune to ${type}`);
+            return false;
+        }
+
+        if (intensity === undefined || intensity === null) {
+            intensity = config.defaultIntensity;
+        }
+
+        const existingEffect = this.activeEffects.get(type);
+        if (!existingEffect) {
+            const effect = {
+                duration,
+                maxDuration: duration,
+                intensity,
+                stacks: 1,
+                tickTimer: config.tickInterval || 0,
+                originalValue: undefined,
+                hooks: options.hooks || null
+            };
+            this.activeEffects.set(type, effect);
+            effect.originalValue = this.applyDefinition(type, effect);
+
+            if (effect.hooks?.onApply) {
+                effect.hooks.onApply(this.owner);
+            }
+
+            // Play sound effect if available
+            if (this.game?.audioManager) {
+                this.game.audioManager.playSound(`effect_${type}`);
+            }
+
+            console.debug(`Applied ${type} for ${duration} seconds at intensity ${intensity}`);
+            return true;
+        }
+
+        const previousIntensity = existingEffect.intensity;
+        const previousStacks = existingEffect.stacks;
+
+        if (config.stacking === 'stack') {
+            // Each application adds a stack and refreshes the duration
+            existingEffect.stacks = Math.min(existingEffect.stacks + 1, config.maxStacks || 1);
+            existingEffect.intensity = Math.max(existingEffect.intensity, intensity);
+            existingEffect.duration = Math.max(existingEffect.duration, duration);
+        } else {
+            // The strongest intensity and the longest duration win
+            existingEffect.intensity = Math.max(existingEffect.intensity, intensity);
+            existingEffect.duration = Math.max(existingEffect.duration, duration);
+        }
+        existingEffect.maxDuration = Math.max(existingEffect.maxDuration, existingEffect.duration);
+
+        // A full stack turns into a stronger effect (e.g. chill -> freeze)
+        if (config.onMaxStacks && existingEffect.stacks >= config.maxStacks && !this.isImmune(config.onMaxStacks)) {
+            this.removeEffect(type, false);
+            return this.applyEffect(config.onMaxStacks, duration);
+        }
+
+        if (existingEffect.intensity !== previousIntensity || existingEffect.stacks !== previousStacks) {
+            this.reapplyDefinition(type, existingEffect);
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove a specific status effect
+     * @param {string} effectType - The type of effect to remove
+     * @param {boolean} [grantImmunity=true] - Whether the effect's immunityAfter applies
+     * @returns {boolean} - Whether the effect was removed
+     */
+    removeEffect(effectType, grantImmunity = true) {
+        const type = StatusEffects.resolveType(effectType);
+        const effect = this.activeEffects.get(type);
+        if (!effect) {
+            return false;
+        }
+
+        this.activeEffects.delete(type);
+
+        const definition = this.effectDefinitions[type];
+        if (definition) {
+            definition.remove(effect.originalValue);
+        }
+
+        if (effect.hooks?.onRemove) {
+            effect.hooks.onRemove(this.owner);
+        }
+
+        // Brief immunity keeps crowd control from being chained
+        const immunityAfter = STATUS_EFFECTS[type].immunityAfter;
+        if (grantImmunity && immunityAfter) {
+            this.addImmunity(type, immunityAfter);
+        }
+
+        console.debug(`Removed ${type}`);
+        return true;
+    }
+
+    /**
+     * Update durations, ticks and immunities
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        for (const [effectType, timeLeft] of this.immunities.entries()) {
+            if (timeLeft !== Infinity && timeLeft - delta <= 0) {
+                this.immunities.delete(effectType);
+            } else {
+                this.immunities.set(effectType, timeLeft - delta);
+            }
+        }
+
+        for (const [effectType, effect] of this.activeEffects.entries()) {
+            const config = STATUS_EFFECTS[effectType];
+            effect.duration -= delta;
+
+            // Damage/heal over time
+            if (config.tick) {
+                effect.tickTimer -= delta;
+                if (effect.tickTimer <= 0) {
+                    effect.tickTimer += config.tickInterval;
+                    this.applyTick(effectType, effect.intensity * effect.stacks * config.tickInterval, config.tick);
+                }
+            }
+
+            if (effect.hooks?.onTick) {
+                effect.hooks.onTick(delta);
+            }
+
+            // Remove expired effects (ticks may already have removed everything, e.g. on death)
+            if (effect.duration <= 0 && this.activeEffects.get(effectType) === effect) {
+                this.removeEffect(effectType);
+            }
+        }
+    }
+
+    /**
+     * Deal or heal a tick of an over-time effect
+     * @param {string} effectType - The ticking effect
+     * @param {number} amount - Amount for this tick
+     * @param {string} kind - 'damage' or 'heal'
+     */
+    applyTick(effectType, amount, kind) {}
+
+    /**
+     * Remove cleansable debuffs
+     * @returns {number} - Number of effects removed
+     */
+    cleanse() {
+        let removed = 0;
+        for (const effectType of Array.from(this.activeEffects.keys())) {
+            const config = STATUS_EFFECTS[effectType];
+            if (config.category === 'debuff' && config.cleansable && this.removeEffect(effectType, false)) {
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Make the owner immune to an effect
+     * @param {string} effectType - The effect type
+     * @param {number} [duration=Infinity] - Seconds the immunity lasts
+     */
+    addImmunity(effectType, duration = Infinity) {
+        const type = StatusEffects.resolveType(effectType);
+        this.immunities.set(type, Math.max(this.immunities.get(type) || 0, duration));
+    }
+
+    /**
+     * Check if the owner is immune to an effect
+     * @param {string} effectType - The effect type
+     * @returns {boolean} - Whether the effect would be ignored
+     */
+    isImmune(effectType) {
+        return this.immunities.has(StatusEffects.resolveType(effectType));
+    }
+
+    /**
+     * Sum a stat modifier over the active effects
+     * @param {string} modifier - Modifier name (movementSpeed, missChance)
+     * @returns {number} - Total modifier
+     */
+    getModifier(modifier) {
+        let total = 0;
+        for (const [effectType, effect] of this.activeEffects.entries()) {
+            const modifiers = STATUS_EFFECTS[effectType].modifiers;
+            if (modifiers && modifiers[modifier]) {
+                total += modifiers[modifier] * effect.intensity * effect.stacks;
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Get the multiplier active slows and hastes apply to movement speed
+     * @returns {number} - Movement speed multiplier
+     */
+    getMovementMultiplier() {
+        return Math.max(STATUS_EFFECT_SETTINGS.minMovementMultiplier, 1 + this.getModifier('movementSpeed'));
+    }
+
+    /**
+     * Get the chance that the owner's attacks miss
+     * @returns {number} - Miss chance from 0 to 1
+     */
+    getMissChance() {
+        return Math.min(STATUS_EFFECT_SETTINGS.maxMissChance, this.getModifier('missChance'));
+    }
+
+    /**
+     * Check if an effect keeps the owner from moving, attacking and casting
+     * @returns {boolean} - True while stunned or frozen
+     */
+    isIncapacitated() {
+        for (const effectType of this.activeEffects.keys()) {
+            if (STATUS_EFFECTS[effectType].incapacitates) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check if a specific effect is active
+     * @param {string} effectType - The type of effect to check
+     * @returns {boolean} - Whether the effect is active
+     */
+    hasEffect(effectType) {
+        return this.activeEffects.has(StatusEffects.resolveType(effectType));
+    }
+
+    /**
+     * Get the remaining duration of an effect
+     * @param {string} effectType - The type of effect to check
+     * @returns {number} - Remaining duration in seconds, or 0 if not active
+     */
+    getEffectDuration(effectType) {
+        const effect = this.activeEffects.get(StatusEffects.resolveType(effectType));
+        return effect ? effect.duration : 0;
+    }
+
+    /**
+     * Get all active effects
+     * @returns {Object} - Active effects by type with their durations, intensities and stacks
+     */
+    getAllEffects() {
+        const effects = {};
+
+        for (const [effectType, effect] of this.activeEffects.entries()) {
+            effects[effectType] = {
+                duration: effect.duration,
+                maxDuration: effect.maxDuration,
+                intensity: effect.intensity,
+                stacks: effect.stacks
+            };
+        }
+
+        return effects;
+    }
+
+    /**
+     * Clear all active effects (no immunities are granted)
+     */
+    clearAllEffects() {
+        for (const effectType of Array.from(this.activeEffects.keys())) {
+            this.removeEffect(effectType, false);
+        }
+    }
+
+    /**
+     * Serialize the active effects for network sync
+     * @returns {Array<Array>} - [type, duration, intensity, stacks] per effect
+     */
+    serialize() {
+        return Array.from(this.activeEffects.entries()).map(([effectType, effect]) => [
+            effectType,
+            Math.round(effect.duration * 10) / 10,
+            Math.round(effect.intensity * 100) / 100,
+            effect.stacks
+        ]);
+    }
+
+    /**
+     * Mirror effects received over the network
+     * Synced effects bypass immunities and stacking; effects missing from the snapshot are removed
+     * @param {Array<Array>} snapshot - Output of serialize()
+     */
+    applySnapshot(snapshot) {
+        const syncedTypes = new Set();
+
+        (snapshot || []).forEach(([effectType, duration, intensity, stacks]) => {
+            if (!STATUS_EFFECTS[effectType]) {
+                return;
+            }
+            syncedTypes.add(effectType);
+
+            let effect = this.activeEffects.get(effectType);
+            if (!effect) {
+                effect = {
+                    duration,
+                    maxDuration: duration,
+                    intensity,
+                    stacks,
+                    tickTimer: STATUS_EFFECTS[effectType].tickInterval || 0,
+                    originalValue: undefined,
+                    hooks: null
+                };
+                this.activeEffects.set(effectType, effect);
+                effect.originalValue = this.applyDefinition(effectType, effect);
+                return;
+            }
+
+            effect.duration = duration;
+            effect.maxDuration = Math.max(effect.maxDuration, duration);
+            if (effect.intensity !== intensity || effect.stacks !== stacks) {
+                effect.intensity = intensity;
+                effect.stacks = stacks;
+                this.reapplyDefinition(effectType, effect);
+            }
+        });
+
+        for (const effectType of Array.from(this.activeEffects.keys())) {
+            if (!syncedTypes.has(effectType)) {
+                this.removeEffect(effectType, false);
+            }
+        }
+    }
+
+    /**
+     * Run the owner's definition for a newly added effect
+     * @param {string} effectType - The effect type
+     * @param {Object} effect - The active effect entry
+     * @returns {*} - Value to hand back to the definition's remove
+     */
+    applyDefinition(effectType, effect) {
+        const definition = this.effectDefinitions[effectType];
+        return definition ? definition.apply(effect.intensity, effect.stacks) : undefined;
+    }
+
+    /**
+     * Re-run the owner's definition after an effect's intensity or stacks changed
+     * @param {string} effectType - The effect type
+     * @param {Object} effect - The active effect entry
+     */
+    reapplyDefinition(effectType, effect) {
+        const definition = this.effectDefinitions[effectType];
+        if (definition) {
+            definition.remove(effect.originalValue);
+            effect.originalValue = definition.apply(effect.intensity, effect.stacks);
+        }
+    }
+}
@@ -22,6 +22,8 @@ import { InteractionSystem } from '../interaction/InteractionSystem.js';
 import { MultiplayerManager } from '../multiplayer/MultiplayerManager.js';
 import { ItemGenerator } from '../entities/items/ItemGenerator.js';
 import { ItemDropManager } from '../entities/items/ItemDropManager.js';
+import { ShopManager } from '../shop/ShopManager.js';
+import { CraftingManager } from '../crafting/CraftingManager.js';
 import { STORAGE_KEYS } from '../config/storage-keys.js';
 import storageService from '../save-manager/StorageService.js';
 import { SimpleUI } from '../SimpleUI.js';
@@ -72,6 +74,8 @@ export class Game {
         this.events = new GameEvents();
         this.loadingManager = new LoadingManager().getManager();
         this.itemGenerator = new ItemGenerator(this);
+        this.shopManager = new ShopManager(this);
+        this.craftingManager = new CraftingManager(this);
         
         // Initialize simple UI for loading screens
         this.ui = new SimpleUI();
@@ -238,6 +242,7 @@ export class Game {
             
             // Initialize the world
             await this.world.init();
+            this.npcManager = this.world.npcManager;
             
             // Pre-generate terrain in a separate step with loading indicator
             this.updateLoadingProgress(30, 'Pre-generating terrain...', 'Creating world chunks');
@@ -289,6 +294,7 @@ export class Game {
             
             // Initialize quest manager
             this.questManager = new QuestManager(this);
+            await this.questManager.init();
             
             this.updateLoadingProgress(90, 'Loading audio...', 'Initializing sound effects and music');
             
@@ -756,6 +762,11 @@ export class Game {
         // Check collisions
         this.collisionManager.update();
         
+        // Check location based quest objectives
+        if (this.questManager) {
+            this.questManager.update(delta);
+        }
+        
         // Update interaction system
         if (this.interactionSystem) {
             this.interactionSystem.update(delta);
@@ -772,6 +783,11 @@ export class Game {
             this.multiplayerManager.update(delta);
         }
         
+        // Track play time for the active save slot
+        if (this.saveManager) {
+            this.saveManager.update(delta);
+        }
+        
         // Render scene with potential optimizations
         this.renderer.render(this.scene, this.camera);
     }
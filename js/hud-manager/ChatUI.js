@@ -0,0 +1,157 @@
+import { UIComponent } from '../UIComponent.js';
+import { CHAT_KEYS } from '../config/input.js';
+import { CHAT_SETTINGS, QUICK_EMOTES } from '../config/multiplayer.js';
+
+/**
+ * Chat UI component
+ * Shows the multiplayer chat log with a text input and quick emote buttons.
+ * Only visible during a multiplayer session.
+ */
+export class ChatUI extends UIComponent {
+    /**
+     * Create a new ChatUI component
+     * @param {import('../game/Game.js').Game} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('chat-container', game);
+        this.isChatVisible = false;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+    
+    /**
+     * Initialize the component
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        this.logElement = document.getElementById('chat-log');
+        this.input = document.getElementById('chat-input');
+        this.emotesElement = document.getElementById('chat-emotes');
+        
+        this.input.maxLength = CHAT_SETTINGS.maxMessageLength;
+        
+        // Quick emotes for players without a keyboard
+        QUICK_EMOTES.forEach(emote => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'chat-emote';
+            button.textContent = emote.icon;
+            button.title = emote.text;
+            button.addEventListener('click', () => {
+                this.game.multiplayerManager.chat.sendEmote(emote.id);
+                this.emotesElement.style.display = 'none';
+            });
+            this.emotesElement.appendChild(button);
+        });
+        
+        document.getElementById('chat-emote-toggle').addEventListener('click', () => {
+            this.emotesElement.style.display = this.emotesElement.style.display === 'none' ? '' : 'none';
+        });
+        
+        document.getElementById('chat-send').addEventListener('click', () => this.sendInput());
+        
+        // Keys reach the chat before the game's hotkeys
+        window.addEventListener('keydown', this.handleKeyDown, true);
+        
+        this.hide();
+        
+        return true;
+    }
+    
+    /**
+     * Show the chat only during a multiplayer session
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        const multiplayerManager = this.game.multiplayerManager;
+        const active = !!(multiplayerManager && multiplayerManager.isActive());
+        
+        if (active !== this.isChatVisible) {
+            this.isChatVisible = active;
+            if (active) {
+                this.show();
+            } else {
+                this.input.blur();
+                this.hide();
+            }
+        }
+    }
+    
+    /**
+     * Add a line to the chat log
+     * @param {string|null} name - Sender name, or null for a system message
+     * @param {string|null} color - Sender color
+     * @param {string} text - Message text
+     */
+    addMessage(name, color, text) {
+        const line = document.createElement('div');
+        line.className = name ? 'chat-message' : 'chat-message chat-system';
+        
+        if (name) {
+            const nameElement = document.createElement('span');
+            nameElement.className = 'chat-name';
+            nameElement.textContent = `${name}: `;
+            if (color) {
+                nameElement.style.color = color;
+            }
+            line.appendChild(nameElement);
+        }
+        
+        // Text is never parsed as HTML
+        const textElement = document.createElement('span');
+        textElement.textContent = text;
+        line.appendChild(textElement);
+        
+        this.logElement.appendChild(line);
+        
+        while (this.logElement.children.length > CHAT_SETTINGS.maxLogMessages) {
+            this.logElement.removeChild(this.logElement.firstChild);
+        }
+        
+        this.logElement.scrollTop = this.logElement.scrollHeight;
+    }
+    
+    /**
+     * Send the typed message and clear the input
+     */
+    sendInput() {
+        if (this.game.multiplayerManager.chat.sendMessage(this.input.value)) {
+            this.input.value = '';
+        }
+    }
+    
+    /**
+     * Enter opens the chat; while typing, keys go to the input instead of the game's hotkeys
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeyDown(event) {
+        if (!this.isChatVisible) return;
+        
+        if (document.activeElement === this.input) {
+            if (CHAT_KEYS.SEND.includes(event.code)) {
+                this.sendInput();
+                this.input.blur();
+                event.preventDefault();
+            } else if (CHAT_KEYS.CANCEL.includes(event.code)) {
+                this.input.value = '';
+                this.input.blur();
+                event.preventDefault();
+            }
+            event.stopImmediatePropagation();
+            return;
+        }
+        
+        if (CHAT_KEYS.OPEN.includes(event.code) && this.game.isRunning && !this.game.isPaused) {
+            this.input.focus();
+            event.preventDefault();
+            event.stopImmediatePropagation();
+        }
+    }
+    
+    /**
+     * Remove event listeners
+     */
+    dispose() {
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+    }
+}
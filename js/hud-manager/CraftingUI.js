@@ -0,0 +1,291 @@
+import { UIComponent } from '../UIComponent.js';
+import { DIALOG_KEYS } from '../config/input.js';
+import { CRAFTING_MATERIALS } from '../config/crafting.js';
+import { formatItemStats, formatStatName } from '../utils/ItemUtils.js';
+
+/**
+ * Crafting UI component
+ * Shows the player's gear next to their materials; selecting an item lists what can be
+ * done with it (salvage, upgrade, reroll a stat, socket a gem) and what each costs.
+ */
+export class CraftingUI extends UIComponent {
+    /**
+     * Create a new CraftingUI component
+     * @param {import('../game/Game.js').Game} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('crafting', game);
+        this.isCraftingOpen = false;
+        this.pausedGame = false;
+        
+        // Selected inventory item
+        this.selectedItem = null;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+    
+    /**
+     * Initialize the component
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        this.goldElement = document.getElementById('crafting-gold-value');
+        this.gearGrid = document.getElementById('crafting-gear-grid');
+        this.materialsGrid = document.getElementById('crafting-materials-grid');
+        this.detailsEmpty = document.getElementById('crafting-details-empty');
+        this.detailsItem = document.getElementById('crafting-details-item');
+        this.actionsElement = document.getElementById('crafting-actions');
+        
+        document.getElementById('crafting-close').addEventListener('click', () => this.close());
+        
+        // Keys reach the crafting panel before the game's hotkeys
+        window.addEventListener('keydown', this.handleKeyDown, true);
+        
+        this.hide();
+        
+        return true;
+    }
+    
+    /**
+     * Open the crafting panel
+     */
+    open() {
+        this.selectedItem = null;
+        this.render();
+        
+        this.show();
+        this.isCraftingOpen = true;
+        
+        if (!this.game.isPaused) {
+            this.game.pause(false);
+            this.pausedGame = true;
+        }
+    }
+    
+    /**
+     * Close the crafting panel
+     */
+    close() {
+        if (!this.isCraftingOpen) return;
+        
+        this.hide();
+        this.isCraftingOpen = false;
+        this.selectedItem = null;
+        
+        if (this.pausedGame) {
+            this.game.resume(false);
+            this.pausedGame = false;
+        }
+    }
+    
+    /**
+     * Render the gold, gear, materials and the selected item
+     */
+    render() {
+        const crafting = this.game.craftingManager;
+        const inventory = this.game.player.getInventory();
+        
+        this.goldElement.textContent = this.game.player.getGold();
+        
+        // Salvaged items are gone from the inventory
+        if (this.selectedItem && !inventory.includes(this.selectedItem)) {
+            this.selectedItem = null;
+        }
+        
+        this.renderGrid(this.gearGrid, inventory.filter(item => crafting.isCraftable(item)), 'No gear to craft with');
+        this.renderGrid(this.materialsGrid, inventory.filter(item => item.type === 'material'), 'No materials yet');
+        this.renderDetails();
+    }
+    
+    /**
+     * Render a grid of items
+     * @param {HTMLElement} grid - Grid element
+     * @param {Array<Object>} items - Items to show
+     * @param {string} emptyText - Text shown when there are no items
+     */
+    renderGrid(grid, items, emptyText) {
+        grid.innerHTML = '';
+        
+        if (items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'shop-grid-empty';
+            empty.textContent = emptyText;
+            grid.appendChild(empty);
+            return;
+        }
+        
+        items.forEach(item => {
+            const slotElement = document.createElement('div');
+            slotElement.className = `inventory-item shop-item rarity-${item.rarity || 'common'}`;
+            if (item === this.selectedItem) {
+                slotElement.classList.add('selected');
+            }
+            
+            const itemIcon = document.createElement('div');
+            itemIcon.className = 'item-icon';
+            itemIcon.textContent = item.icon || '📦';
+            slotElement.appendChild(itemIcon);
+            
+            const itemCount = document.createElement('div');
+            itemCount.className = 'item-count';
+            itemCount.textContent = item.amount > 1 ? `x${item.amount}` : '';
+            slotElement.appendChild(itemCount);
+            
+            slotElement.title = item.description ? `${item.name}\n${item.description}` : item.name;
+            
+            // Materials are used from the selected item's actions
+            if (item.type !== 'material') {
+                slotElement.addEventListener('click', () => {
+                    this.selectedItem = item;
+                    this.render();
+                });
+            }
+            
+            grid.appendChild(slotElement);
+        });
+    }
+    
+    /**
+     * Render the selected item and its crafting actions
+     */
+    renderDetails() {
+        const item = this.selectedItem;
+        this.detailsEmpty.style.display = item ? 'none' : '';
+        this.detailsItem.style.display = item ? '' : 'none';
+        if (!item) return;
+        
+        const crafting = this.game.craftingManager;
+        
+        this.detailsItem.querySelector('.shop-details-icon').textContent = item.icon || '📦';
+        
+        const nameElement = this.detailsItem.querySelector('.shop-details-name');
+        nameElement.textContent = item.name;
+        nameElement.className = `shop-details-name rarity-${item.rarity || 'common'}`;
+        
+        this.detailsItem.querySelector('.shop-details-type').textContent =
+            `${item.rarity || 'common'} ${item.subType || item.type} · level ${item.level || 1}`;
+        this.detailsItem.querySelector('.shop-details-stats').innerHTML = formatItemStats(item);
+        
+        this.actionsElement.innerHTML = '';
+        
+        // Upgrade
+        const nextRarity = crafting.getNextRarity(item);
+        if (nextRarity) {
+            this.renderAction('Upgrade', `Raise to ${nextRarity} and add a stat.`, crafting.getUpgradeCost(item), [
+                { label: 'Upgrade', onClick: () => crafting.upgradeRarity(item) }
+            ]);
+        }
+        
+        // Reroll
+        const rerollable = crafting.getRerollableStats(item);
+        if (rerollable.length > 0) {
+            this.renderAction('Reroll', 'Replace one stat with a new roll.', crafting.getRerollCost(item),
+                rerollable.map(index => ({
+                    label: `Reroll ${formatStatName(item.secondaryStats[index].type)}`,
+                    onClick: () => crafting.rerollStat(item, index)
+                })));
+        }
+        
+        // Sockets
+        const socketCount = crafting.getSocketCount(item);
+        const freeSockets = socketCount - crafting.getSocketedGems(item).length;
+        if (socketCount > 0) {
+            const gems = this.game.player.getInventory().filter(stack => CRAFTING_MATERIALS[stack.materialId]?.gemStat);
+            const description = freeSockets > 0 ?
+                `${freeSockets} of ${socketCount} sockets free.${gems.length === 0 ? ' You have no gems.' : ''}` :
+                'All sockets are filled.';
+            
+            this.renderAction('Socket', description, crafting.getSocketCost(item),
+                freeSockets > 0 ? gems.map(gem => ({
+                    label: `${gem.icon} ${gem.name}`,
+                    onClick: () => crafting.socketGem(item, gem)
+                })) : []);
+        }
+        
+        // Salvage
+        this.renderAction('Salvage', 'Destroy the item for materials. Socketed gems are returned.', crafting.getSalvageCost(item), [
+            { label: 'Salvage', onClick: () => crafting.salvage(item) }
+        ]);
+    }
+    
+    /**
+     * Render one crafting action with its cost and buttons
+     * @param {string} title - Action title
+     * @param {string} description - What the action does
+     * @param {{gold: number, materials: Object<string, number>}} cost - The action's cost
+     * @param {Array<{label: string, onClick: Function}>} buttons - Buttons performing the action
+     */
+    renderAction(title, description, cost, buttons) {
+        const crafting = this.game.craftingManager;
+        const canAfford = crafting.canAfford(cost);
+        
+        const actionElement = document.createElement('div');
+        actionElement.className = 'crafting-action';
+        
+        const titleElement = document.createElement('h4');
+        titleElement.textContent = title;
+        actionElement.appendChild(titleElement);
+        
+        const descriptionElement = document.createElement('div');
+        descriptionElement.className = 'crafting-action-description';
+        descriptionElement.textContent = description;
+        actionElement.appendChild(descriptionElement);
+        
+        const costElement = document.createElement('div');
+        costElement.className = `crafting-action-cost${canAfford ? '' : ' unaffordable'}`;
+        costElement.textContent = this.formatCost(cost);
+        actionElement.appendChild(costElement);
+        
+        buttons.forEach(button => {
+            const buttonElement = document.createElement('button');
+            buttonElement.className = 'inventory-action-btn crafting-action-button';
+            buttonElement.textContent = button.label;
+            buttonElement.disabled = !canAfford;
+            buttonElement.addEventListener('click', () => {
+                button.onClick();
+                this.render();
+            });
+            actionElement.appendChild(buttonElement);
+        });
+        
+        this.actionsElement.appendChild(actionElement);
+    }
+    
+    /**
+     * Format a cost, showing how much of each material the player has
+     * @param {{gold: number, materials: Object<string, number>}} cost - The cost
+     * @returns {string} - Cost text
+     */
+    formatCost(cost) {
+        const parts = [`${cost.gold} gold`];
+        
+        Object.entries(cost.materials).forEach(([materialId, amount]) => {
+            const material = CRAFTING_MATERIALS[materialId];
+            const owned = this.game.craftingManager.getMaterialCount(materialId);
+            parts.push(`${amount} ${material.icon} ${material.name} (${owned})`);
+        });
+        
+        return `Cost: ${parts.join(', ')}`;
+    }
+    
+    /**
+     * Close the panel with Escape; other keys don't reach the game's hotkeys while crafting
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeyDown(event) {
+        if (!this.isCraftingOpen) return;
+        
+        if (DIALOG_KEYS.CANCEL.includes(event.code)) {
+            this.close();
+            event.preventDefault();
+        }
+        event.stopImmediatePropagation();
+    }
+    
+    /**
+     * Remove event listeners
+     */
+    dispose() {
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+    }
+}
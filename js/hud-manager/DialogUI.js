@@ -1,8 +1,28 @@
 import { UIComponent } from '../UIComponent.js';
+import { DIALOG_KEYS, GAMEPAD_BUTTONS, GAMEPAD_STICK_THRESHOLD } from '../config/input.js';
+
+/**
+ * @typedef {Object} DialogChoice
+ * @property {string} label - Button text
+ * @property {Function} [onSelect] - Called with the choice's value after the dialog closes
+ * @property {*} [value] - Value passed to onSelect
+ * @property {boolean} [cancel] - Chosen when the dialog is cancelled (Escape / B)
+ */
+
+/**
+ * @typedef {Object} DialogOptions
+ * @property {string} [speaker] - Name shown above the text
+ * @property {string} [portrait] - Portrait image URL, or an emoji/short text
+ * @property {Array<DialogChoice>} [choices] - Buttons shown on the last page
+ * @property {Function} [onClose] - Called after the dialog closes (after the choice's onSelect)
+ * @property {boolean} [pause=true] - Pause the game while the dialog is open
+ */
 
 /**
  * Dialog UI component
- * Displays dialog boxes with text and continue button
+ * Displays paged dialog with a speaker, portrait and choice buttons.
+ * Choices can be picked with the mouse/touch, the keyboard (arrows, Enter, Escape, 1-9)
+ * or a gamepad (D-pad/left stick, A, B). Dialogs opened while one is showing are queued.
  */
 export class DialogUI extends UIComponent {
     /**
@@ -13,8 +33,27 @@ export class DialogUI extends UIComponent {
         super('dialog-box', game);
         this.dialogText = null;
         this.dialogContinue = null;
+        this.dialogSpeaker = null;
+        this.dialogPortrait = null;
+        this.dialogChoices = null;
         this.isDialogOpen = false;
         this.game = game;
+        
+        // Whether the game is paused by the dialog (and has to be resumed when it closes)
+        this.pausedGame = false;
+        
+        // Dialog being shown and the ones waiting for it to close
+        this.current = null;
+        this.queue = [];
+        this.pageIndex = 0;
+        this.selectedChoice = 0;
+        
+        // Gamepad polling (the game loop doesn't run while the dialog pauses the game)
+        this.gamepadFrame = null;
+        this.previousGamepadButtons = {};
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.pollGamepad = this.pollGamepad.bind(this);
     }
     
     /**
@@ -25,12 +64,36 @@ export class DialogUI extends UIComponent {
         // Store references to elements we need to update
         this.dialogText = document.getElementById('dialog-text');
         this.dialogContinue = document.getElementById('dialog-continue');
+        this.dialogSpeaker = document.getElementById('dialog-speaker');
+        this.dialogPortrait = document.getElementById('dialog-portrait');
+        this.dialogChoices = document.getElementById('dialog-choices');
         
-        // Add click event to close dialog
+        // Clicking/tapping the dialog advances it, unless it is waiting for a choice
         this.container.addEventListener('click', () => {
-            this.hideDialog();
+            if (!this.hasChoicesShowing()) {
+                this.advance();
+            }
+        });
+        
+        this.dialogChoices.addEventListener('click', (event) => {
+            const button = event.target.closest('.dialog-choice');
+            if (button) {
+                event.stopPropagation();
+                this.selectChoice(Number(button.dataset.index));
+            }
         });
         
+        // Keep the highlight under the mouse so keyboard and mouse agree
+        this.dialogChoices.addEventListener('mouseover', (event) => {
+            const button = event.target.closest('.dialog-choice');
+            if (button) {
+                this.highlightChoice(Number(button.dataset.index));
+            }
+        });
+        
+        // Capture phase, so keys used by the dialog don't also trigger game hotkeys
+        window.addEventListener('keydown', this.handleKeyDown, true);
+        
         // Hide initially
         this.hide();
         
@@ -39,34 +102,319 @@ export class DialogUI extends UIComponent {
     
     /**
      * Show a dialog with title and text
+     * A function as third argument is treated as the accept callback of an Accept/Decline dialog
      * @param {string} title - Dialog title
-     * @param {string} text - Dialog text
+     * @param {string|Array<string>} text - Dialog text, or one entry per page
+     * @param {DialogOptions|Function} [options={}] - Dialog options
      */
-    showDialog(title, text) {
-        // Update dialog text
-        this.dialogText.innerHTML = `<h3>${title}</h3><p>${text}</p>`;
+    showDialog(title, text, options = {}) {
+        if (typeof options === 'function') {
+            options = {
+                choices: [
+                    { label: 'Accept', onSelect: options },
+                    { label: 'Decline', cancel: true }
+                ]
+            };
+        }
+        
+        const dialog = {
+            title,
+            pages: Array.isArray(text) ? text : [text],
+            ...options,
+            choices: options.choices || [],
+            pause: options.pause !== false
+        };
+        
+        if (this.isDialogOpen) {
+            this.queue.push(dialog);
+            console.debug('Dialog queued:', title);
+            return;
+        }
+        
+        this.open(dialog);
+    }
+    
+    /**
+     * Open a dialog
+     * @param {Object} dialog - Dialog built by showDialog
+     */
+    open(dialog) {
+        this.current = dialog;
+        this.pageIndex = 0;
+        this.selectedChoice = 0;
+        
+        // Speaker and portrait
+        this.dialogSpeaker.textContent = dialog.speaker || '';
+        this.dialogSpeaker.style.display = dialog.speaker ? '' : 'none';
+        this.renderPortrait(dialog.portrait);
+        
+        this.renderPage();
         
         // Show dialog box
         this.show();
         this.isDialogOpen = true;
         
         // Pause game
-        this.game.pause(false);
-
-        console.debug('Dialog opened:', title);
+        if (dialog.pause && !this.pausedGame) {
+            this.game.pause(false);
+            this.pausedGame = true;
+        } else if (!dialog.pause && this.pausedGame) {
+            this.game.resume(false);
+            this.pausedGame = false;
+        }
+        
+        // Ignore buttons that were already held when the dialog opened
+        this.previousGamepadButtons = this.readGamepadButtons();
+        if (!this.gamepadFrame) {
+            this.gamepadFrame = requestAnimationFrame(this.pollGamepad);
+        }
+        
+        console.debug('Dialog opened:', dialog.title);
     }
     
     /**
-     * Hide the dialog
+     * Render the portrait
+     * @param {string|undefined} portrait - Image URL or emoji/short text
      */
-    hideDialog() {
-        // Hide dialog box
-        this.hide();
-        this.isDialogOpen = false;
+    renderPortrait(portrait) {
+        if (!portrait) {
+            this.dialogPortrait.innerHTML = '';
+            this.dialogPortrait.style.display = 'none';
+            return;
+        }
+        
+        const isImage = /^data:|\.(png|jpe?g|gif|webp|svg)$/i.test(portrait);
+        this.dialogPortrait.innerHTML = isImage ?
+            `<img src="${portrait}" alt="">` :
+            `<span class="dialog-portrait-icon">${portrait}</span>`;
+        this.dialogPortrait.style.removeProperty('display');
+    }
+    
+    /**
+     * Render the current page, and the choices on the last page
+     */
+    renderPage() {
+        const dialog = this.current;
+        const isLastPage = this.pageIndex >= dialog.pages.length - 1;
+        const page = String(dialog.pages[this.pageIndex] ?? '').replace(/\n/g, '<br>');
+        const pageCounter = dialog.pages.length > 1 ?
+            `<span class="dialog-page">${this.pageIndex + 1}/${dialog.pages.length}</span>` : '';
+        
+        // Update dialog text
+        this.dialogText.innerHTML = `${dialog.title ? `<h3>${dialog.title}</h3>` : ''}<p>${page}</p>${pageCounter}`;
+        
+        if (isLastPage && dialog.choices.length > 0) {
+            this.dialogChoices.innerHTML = dialog.choices.map((choice, index) => `
+                <button class="dialog-choice" data-index="${index}">
+                    <span class="dialog-choice-key">${index + 1}</span>${choice.label}
+                </button>
+            `).join('');
+            this.dialogChoices.style.removeProperty('display');
+            this.dialogContinue.style.display = 'none';
+            this.highlightChoice(this.selectedChoice);
+        } else {
+            this.dialogChoices.innerHTML = '';
+            this.dialogChoices.style.display = 'none';
+            this.dialogContinue.textContent = isLastPage ? 'Click to continue...' : 'Next ▸';
+            this.dialogContinue.style.removeProperty('display');
+        }
+    }
+    
+    /**
+     * Check whether the current page shows choice buttons
+     * @returns {boolean} - True if the dialog is waiting for a choice
+     */
+    hasChoicesShowing() {
+        return !!this.current && this.current.choices.length > 0 &&
+            this.pageIndex >= this.current.pages.length - 1;
+    }
+    
+    /**
+     * Go to the next page, or close the dialog on the last page
+     */
+    advance() {
+        if (!this.current) return;
+        
+        if (this.pageIndex < this.current.pages.length - 1) {
+            this.pageIndex++;
+            this.renderPage();
+        } else if (!this.hasChoicesShowing()) {
+            this.hideDialog();
+        }
+    }
+    
+    /**
+     * Move the choice highlight
+     * @param {number} index - Choice index (wraps around)
+     */
+    highlightChoice(index) {
+        const buttons = this.dialogChoices.querySelectorAll('.dialog-choice');
+        if (buttons.length === 0) return;
         
-        // Resume game
-        this.game.resume(false);
+        this.selectedChoice = (index + buttons.length) % buttons.length;
+        buttons.forEach((button, buttonIndex) => {
+            button.classList.toggle('selected', buttonIndex === this.selectedChoice);
+        });
+    }
+    
+    /**
+     * Pick a choice: close the dialog, then run the choice's callback
+     * @param {number} index - Choice index
+     */
+    selectChoice(index) {
+        const choice = this.current?.choices[index];
+        if (!choice) return;
+        
+        console.debug('Dialog choice selected:', choice.label);
+        this.hideDialog(choice);
+    }
+    
+    /**
+     * Cancel the dialog: picks the cancel choice if there is one, otherwise closes it
+     * Dialogs with choices but no cancel choice can't be dismissed without choosing
+     */
+    cancel() {
+        if (!this.current) return;
+        
+        if (this.current.choices.length === 0) {
+            this.hideDialog();
+            return;
+        }
+        
+        const cancelIndex = this.current.choices.findIndex(choice => choice.cancel);
+        if (cancelIndex !== -1) {
+            this.selectChoice(cancelIndex);
+        }
+    }
+    
+    /**
+     * Handle dialog keys before the game's hotkeys
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeyDown(event) {
+        if (!this.isDialogOpen || !this.current) return;
+        
+        const code = event.code;
+        let handled = true;
+        
+        if (DIALOG_KEYS.CANCEL.includes(code)) {
+            this.cancel();
+        } else if (DIALOG_KEYS.CONFIRM.includes(code)) {
+            if (this.hasChoicesShowing()) {
+                this.selectChoice(this.selectedChoice);
+            } else {
+                this.advance();
+            }
+        } else if (DIALOG_KEYS.PREVIOUS.includes(code)) {
+            this.highlightChoice(this.selectedChoice - 1);
+        } else if (DIALOG_KEYS.NEXT.includes(code)) {
+            this.highlightChoice(this.selectedChoice + 1);
+        } else if (code.startsWith('Digit') && this.hasChoicesShowing()) {
+            this.selectChoice(parseInt(code.charAt(5)) - 1);
+        } else {
+            handled = false;
+        }
+        
+        if (handled) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+        }
+    }
+    
+    /**
+     * Read the dialog buttons of the first connected gamepad (stick counts as D-pad)
+     * @returns {Object<string, boolean>} - Pressed state by GAMEPAD_BUTTONS key
+     */
+    readGamepadButtons() {
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const gamepad = Array.from(gamepads || []).find(pad => pad && pad.connected);
+        if (!gamepad) return {};
+        
+        const pressed = {};
+        Object.entries(GAMEPAD_BUTTONS).forEach(([name, buttonIndex]) => {
+            pressed[name] = !!gamepad.buttons[buttonIndex]?.pressed;
+        });
+        
+        const stickY = gamepad.axes[1] || 0;
+        pressed.UP = pressed.UP || stickY < -GAMEPAD_STICK_THRESHOLD;
+        pressed.DOWN = pressed.DOWN || stickY > GAMEPAD_STICK_THRESHOLD;
+        
+        return pressed;
+    }
+    
+    /**
+     * Poll the gamepad while the dialog is open and act on newly pressed buttons
+     */
+    pollGamepad() {
+        this.gamepadFrame = null;
+        if (!this.isDialogOpen) return;
+        
+        const pressed = this.readGamepadButtons();
+        const justPressed = name => pressed[name] && !this.previousGamepadButtons[name];
+        this.previousGamepadButtons = pressed;
+        
+        if (justPressed('UP') || justPressed('LEFT')) {
+            this.highlightChoice(this.selectedChoice - 1);
+        } else if (justPressed('DOWN') || justPressed('RIGHT')) {
+            this.highlightChoice(this.selectedChoice + 1);
+        } else if (justPressed('CONFIRM')) {
+            if (this.hasChoicesShowing()) {
+                this.selectChoice(this.selectedChoice);
+            } else {
+                this.advance();
+            }
+        } else if (justPressed('CANCEL')) {
+            this.cancel();
+        }
+        
+        if (this.isDialogOpen && !this.gamepadFrame) {
+            this.gamepadFrame = requestAnimationFrame(this.pollGamepad);
+        }
+    }
+    
+    /**
+     * Hide the dialog and show the next queued one
+     * @param {DialogChoice|null} [choice=null] - Choice that closed the dialog
+     */
+    hideDialog(choice = null) {
+        const dialog = this.current;
+        this.current = null;
+        
+        const next = this.queue.shift();
+        if (next) {
+            // The game stays paused between queued dialogs
+            this.open(next);
+        } else {
+            // Hide dialog box
+            this.hide();
+            this.isDialogOpen = false;
+            
+            // Resume game
+            if (this.pausedGame) {
+                this.game.resume(false);
+                this.pausedGame = false;
+            }
+        }
         
         console.debug('Dialog closed');
+        
+        // Callbacks run last so they can open another dialog
+        if (choice && choice.onSelect) {
+            choice.onSelect(choice.value);
+        }
+        if (dialog && dialog.onClose) {
+            dialog.onClose(choice ? choice.value : undefined);
+        }
+    }
+    
+    /**
+     * Remove event listeners
+     */
+    removeEventListeners() {
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+        if (this.gamepadFrame) {
+            cancelAnimationFrame(this.gamepadFrame);
+            this.gamepadFrame = null;
+        }
     }
-}
\ No newline at end of file
+}
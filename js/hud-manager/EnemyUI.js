@@ -1,4 +1,5 @@
 import { UIComponent } from '../UIComponent.js';
+import { StatusEffectIcons } from './StatusEffectIcons.js';
 
 /**
  * Enemy UI component
@@ -14,6 +15,7 @@ export class EnemyUI extends UIComponent {
         this.enemyName = null;
         this.enemyHealthBar = null;
         this.enemyHealthText = null;
+        this.statusEffectIcons = null;
     }
     
     /**
@@ -27,6 +29,7 @@ export class EnemyUI extends UIComponent {
                 <div id="enemy-health-bar"></div>
                 <div id="enemy-health-text"></div>
             </div>
+            <div id="enemy-status-effects" class="status-effect-icons"></div>
         `;
         
         // Render the template
@@ -36,6 +39,7 @@ export class EnemyUI extends UIComponent {
         this.enemyName = document.getElementById('enemy-name');
         this.enemyHealthBar = document.getElementById('enemy-health-bar');
         this.enemyHealthText = document.getElementById('enemy-health-text');
+        this.statusEffectIcons = new StatusEffectIcons(document.getElementById('enemy-status-effects'));
         
         // Hide initially
         this.hide();
@@ -68,6 +72,9 @@ export class EnemyUI extends UIComponent {
             
             // Update enemy health text
             this.enemyHealthText.textContent = `${currentHealth}/${maxHealth}`;
+            
+            // Update status effect icons
+            this.statusEffectIcons.render(closestEnemy.statusEffects);
         } else {
             // Hide enemy health bar
             this.container.style.display = 'none'; // Explicitly set display to none
@@ -3,6 +3,8 @@ import { EnemyUI } from './EnemyUI.js';
 import { SkillsUI } from './SkillsUI.js';
 import { DialogUI } from './DialogUI.js';
 import { InventoryUI } from './InventoryUI.js';
+import { ShopUI } from './ShopUI.js';
+import { CraftingUI } from './CraftingUI.js';
 import { SkillTreeUI } from './SkillTreeUI.js';
 import { SkillSelectionUI } from './SkillSelectionUI.js';
 import { VirtualJoystickUI } from './VirtualJoystickUI.js';
@@ -10,6 +12,7 @@ import { CameraControlUI } from './CameraControlUI.js';
 import { DeathScreenUI } from './DeathScreenUI.js';
 import { NotificationsUI } from './NotificationsUI.js';
 import { QuestLogUI } from './QuestLogUI.js';
+import { ChatUI } from './ChatUI.js';
 import { MiniMapUI } from './MiniMapUI.js';
 import { HomeButton } from './HomeUI.js';
 import { FullscreenButton } from './SkillSelectionButton.js';
@@ -92,6 +95,14 @@ export class HUDManager {
         this.components.inventoryUI = new InventoryUI(this.game);
         this.components.inventoryUI.init();
         
+        // Create shop UI
+        this.components.shopUI = new ShopUI(this.game);
+        this.components.shopUI.init();
+        
+        // Create crafting UI
+        this.components.craftingUI = new CraftingUI(this.game);
+        this.components.craftingUI.init();
+        
         // Create skill tree UI
         this.components.skillTreeUI = new SkillTreeUI(this.game);
         this.components.skillTreeUI.init();
@@ -124,6 +135,10 @@ export class HUDManager {
         this.components.questLogUI = new QuestLogUI(this.game);
         this.components.questLogUI.init();
         
+        // Create multiplayer chat UI
+        this.components.chatUI = new ChatUI(this.game);
+        this.components.chatUI.init();
+        
         // Create map selector UI
         this.components.mapSelectorUI = new MapSelectorUI(this.game);
         
@@ -160,6 +175,9 @@ export class HUDManager {
         // Update notifications UI
         this.components.notificationsUI.update(delta);
         
+        // Update chat UI
+        this.components.chatUI.update(delta);
+        
         // Update UI buttons
         this.components.homeButton.update(delta);
         this.components.skillTreeButton.update(delta);
@@ -178,10 +196,12 @@ export class HUDManager {
     /**
      * Show a dialog with title and text
      * @param {string} title - Dialog title
-     * @param {string} text - Dialog text
+     * @param {string|Array<string>} text - Dialog text, or one entry per page
+     * @param {import('./DialogUI.js').DialogOptions|Function} [options] - Speaker, portrait, choices and
+     *        callbacks; a function is the accept callback of an Accept/Decline dialog
      */
-    showDialog(title, text) {
-        this.components.dialogUI.showDialog(title, text);
+    showDialog(title, text, options) {
+        this.components.dialogUI.showDialog(title, text, options);
     }
     
     /**
@@ -206,6 +226,21 @@ export class HUDManager {
         this.components.inventoryUI.toggleInventory();
     }
     
+    /**
+     * Open a vendor's shop
+     * @param {Object} vendor - Vendor NPC
+     */
+    openShop(vendor) {
+        this.components.shopUI.open(vendor);
+    }
+    
+    /**
+     * Open the crafting panel
+     */
+    openCrafting() {
+        this.components.craftingUI.open();
+    }
+    
     /**
      * Toggle skill tree visibility
      */
@@ -262,6 +297,16 @@ export class HUDManager {
         this.components.questLogUI.updateQuestLog(activeQuests);
     }
     
+    /**
+     * Add a line to the multiplayer chat log
+     * @param {string|null} name - Sender name, or null for a system message
+     * @param {string|null} color - Sender color
+     * @param {string} text - Message text
+     */
+    addChatMessage(name, color, text) {
+        this.components.chatUI.addMessage(name, color, text);
+    }
+    
     /**
      * Create a bleeding effect at the given position
      * @param {number} amount - Damage amount
@@ -278,6 +323,21 @@ export class HUDManager {
         return null;
     }
     
+    /**
+     * Show a floating damage number above a world position
+     * @param {number} amount - Damage amount
+     * @param {Object} position - 3D position {x, y, z}
+     * @param {Object} [options={}] - Display options
+     * @param {boolean} [options.isCrit=false] - Whether the hit was critical
+     * @param {string|null} [options.label=null] - Extra text such as a proc name
+     * @param {string|null} [options.element=null] - Damage element, colors the number (see DAMAGE_ELEMENTS)
+     * @param {string|null} [options.color=null] - CSS color override
+     * @param {string|null} [options.text=null] - Text shown instead of the amount (e.g. 'Miss')
+     */
+    createDamageNumber(amount, position, options = {}) {
+        this.components.notificationsUI.showDamageNumber(amount, position, options);
+    }
+    
     /**
      * Get the current joystick direction
      * @returns {Object} - Direction vector {x, y}
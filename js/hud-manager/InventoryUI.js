@@ -46,6 +46,7 @@ export class InventoryUI extends UIComponent {
     init() {
         // Store references to elements we need to update
         this.inventoryGrid = document.getElementById('inventory-grid');
+        this.goldElement = document.getElementById('gold-value');
         this.modelContainer = document.getElementById('character-model-container');
         this.statsOverlay = document.getElementById('player-stats-overlay');
         
@@ -62,6 +63,13 @@ export class InventoryUI extends UIComponent {
             this.toggleInventory();
         });
         
+        // Add click event to open crafting, closing the inventory
+        const craftButton = document.getElementById('inventory-craft');
+        craftButton.addEventListener('click', () => {
+            this.toggleInventory();
+            this.game.hudManager.openCrafting();
+        });
+        
         // Add click event to teleport to origin
         const teleportButton = document.getElementById('inventory-teleport');
         teleportButton.addEventListener('click', () => {
@@ -123,6 +131,7 @@ export class InventoryUI extends UIComponent {
                 </div>
                 <div id="item-preview-container" class="item-preview-container"></div>
                 <div class="item-popup-stats"></div>
+                <div class="item-popup-set"></div>
                 <div class="item-popup-description"></div>
                 <div class="item-popup-actions">
                     <button class="item-popup-use">Consume</button>
@@ -383,6 +392,9 @@ export class InventoryUI extends UIComponent {
      * Update inventory items
      */
     updateInventoryItems() {
+        // Update gold
+        this.goldElement.textContent = this.game.player.getGold();
+        
         // Clear inventory grid
         this.inventoryGrid.innerHTML = '';
         
@@ -415,6 +427,9 @@ export class InventoryUI extends UIComponent {
                 
                 // Store item reference in the DOM element
                 slotElement.dataset.itemName = item.name;
+                if (item.instanceId) {
+                    slotElement.dataset.instanceId = item.instanceId;
+                }
                 
                 // Clear previous content
                 slotElement.innerHTML = '';
@@ -466,6 +481,7 @@ export class InventoryUI extends UIComponent {
         const nameElement = this.itemPopup.querySelector('.item-popup-name');
         const typeElement = this.itemPopup.querySelector('.item-popup-type');
         const statsElement = this.itemPopup.querySelector('.item-popup-stats');
+        const setElement = this.itemPopup.querySelector('.item-popup-set');
         const descElement = this.itemPopup.querySelector('.item-popup-description');
         const useButton = this.itemPopup.querySelector('.item-popup-use');
         const equipButton = this.itemPopup.querySelector('.item-popup-equip');
@@ -493,6 +509,16 @@ export class InventoryUI extends UIComponent {
             statsElement.style.display = 'none';
         }
         
+        // Set membership, equipped pieces and active bonuses for set items
+        const setStatus = item.setId ? this.game.player.getSetStatus(item.setId) : null;
+        if (setStatus) {
+            setElement.innerHTML = this.createSetInfoHtml(setStatus);
+            setElement.style.display = 'block';
+        } else {
+            setElement.innerHTML = '';
+            setElement.style.display = 'none';
+        }
+        
         // Set description
         descElement.textContent = item.description || `A ${item.name.toLowerCase()}.`;
         
@@ -556,6 +582,29 @@ export class InventoryUI extends UIComponent {
         event.stopPropagation();
     }
     
+    /**
+     * Create the set section of the item popup
+     * @param {Object} setStatus - Set status from the player's inventory
+     * @returns {string} - HTML for the set section
+     */
+    createSetInfoHtml(setStatus) {
+        let html = `<div class="item-set-name">${setStatus.name} (${setStatus.equippedCount}/${setStatus.pieces.length})</div>`;
+        
+        html += '<ul class="item-set-pieces">';
+        setStatus.pieces.forEach(piece => {
+            html += `<li class="${piece.equipped ? 'equipped' : ''}">${piece.name}</li>`;
+        });
+        html += '</ul>';
+        
+        html += '<ul class="item-set-bonuses">';
+        setStatus.bonuses.forEach(bonus => {
+            html += `<li class="${bonus.active ? 'active' : ''}">(${bonus.pieces}) ${bonus.description}</li>`;
+        });
+        html += '</ul>';
+        
+        return html;
+    }
+    
     /**
      * Hide the item popup
      */
@@ -661,6 +710,11 @@ export class InventoryUI extends UIComponent {
                 this.useConsumableItem(item);
                 break;
                 
+            case 'material':
+                // Materials are used from the crafting panel
+                this.game.hudManager.showNotification(`${item.name} is a crafting material. Use it from the crafting panel.`);
+                break;
+                
             default:
                 // If item has consumable flag but no type, treat as consumable
                 if (item.consumable) {
@@ -719,6 +773,13 @@ export class InventoryUI extends UIComponent {
                 }
             }
             
+            // Handle cleansing of harmful status effects
+            if (item.baseStats.cleanse) {
+                const removedCount = this.game.player.cleanseEffects();
+                effectsApplied = true;
+                effectsDescription.push(removedCount > 0 ? `Cleansed ${removedCount} effect${removedCount > 1 ? 's' : ''}` : 'Cleansed');
+            }
+            
             // Handle buff effects based on effectType
             if (item.baseStats.effectType === 'buff' || item.baseStats.effectType === 'over_time') {
                 const duration = item.baseStats.duration || 30; // Default 30 seconds
@@ -838,7 +899,7 @@ export class InventoryUI extends UIComponent {
         
         // Common actions for all consumables that were successfully used
         // Remove item from inventory
-        this.game.player.removeFromInventory(item.name, 1);
+        this.game.player.removeFromInventory(item, 1);
         
         // Update inventory UI and player stats
         this.updateInventoryItems();
@@ -1027,7 +1088,7 @@ export class InventoryUI extends UIComponent {
         }
         
         // Remove item from inventory
-        const success = this.game.player.removeFromInventory(item.name, 1);
+        const success = this.game.player.removeFromInventory(item, 1);
         
         if (success) {
             // Show notification
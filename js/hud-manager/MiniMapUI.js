@@ -1,4 +1,5 @@
 import { UIComponent } from '../UIComponent.js';
+import { formatObjective } from '../utils/QuestUtils.js';
 
 /**
  * Mini Map UI component - Clean rewrite
@@ -735,11 +736,13 @@ export class MiniMapUI extends UIComponent {
         // Add quest indicators if quest manager exists
         if (this.game.questManager && this.game.questManager.activeQuests) {
             this.game.questManager.activeQuests.forEach(quest => {
-                if (!quest.objective || !quest.objective.position) return;
-                
-                this.addIndicator('quest', quest.objective.position, `quest_${quest.id}`, {
-                    name: quest.name,
-                    description: quest.objective.description
+                this.game.questManager.getActiveObjectives(quest).forEach(objective => {
+                    if (!objective.position) return;
+                    
+                    this.addIndicator('quest', objective.position, `quest_${quest.id}_${objective.id}`, {
+                        name: quest.name,
+                        description: formatObjective(objective)
+                    });
                 });
             });
         }
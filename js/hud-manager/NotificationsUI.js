@@ -1,4 +1,6 @@
+import * as THREE from 'three';
 import { UIComponent } from '../UIComponent.js';
+import { DAMAGE_ELEMENTS, DEFAULT_DAMAGE_ELEMENT } from '../config/elements.js';
 /**
  * Notifications UI component
  * Displays game notifications and messages
@@ -21,6 +23,11 @@ export class NotificationsUI extends UIComponent {
         this.maxQueueSize = 20; // Maximum number of messages in queue
         this.processingInterval = 50; // Milliseconds between processing messages
         this.maxVisibleNotifications = 5; // Default max visible notifications
+        this.maxDamageNumbers = 30; // Oldest damage numbers are dropped beyond this
+        this.damageNumberLifetime = 1; // Seconds a damage number stays visible
+        
+        // Reused for projecting world positions to the screen
+        this.projectionVector = new THREE.Vector3();
     }
     
     /**
@@ -90,6 +97,86 @@ export class NotificationsUI extends UIComponent {
     update(delta) {
         // Update notifications
         this.updateNotifications(delta);
+        
+        // Update floating damage numbers
+        this.updateDamageNumbers(delta);
+    }
+    
+    /**
+     * Show a floating damage number above a world position
+     * @param {number} amount - Damage amount
+     * @param {Object} position - 3D position {x, y, z}
+     * @param {Object} [options={}] - Display options
+     * @param {boolean} [options.isCrit=false] - Whether the hit was critical
+     * @param {string|null} [options.label=null] - Extra text such as a proc name
+     * @param {string|null} [options.element=null] - Damage element; non-physical hits use the element's color
+     * @param {string|null} [options.color=null] - CSS color override
+     * @param {string|null} [options.text=null] - Text shown instead of the amount (e.g. 'Miss')
+     */
+    showDamageNumber(amount, position, options = {}) {
+        if (!this.container || !position || !(amount > 0 || options.text)) {
+            return;
+        }
+        
+        const element = document.createElement('div');
+        element.className = options.isCrit ? 'damage-number critical' : 'damage-number physical';
+        if (options.text) {
+            element.textContent = options.text;
+        } else {
+            element.textContent = options.label ? `${options.label} ${Math.round(amount)}` : `${Math.round(amount)}`;
+        }
+        if (options.isCrit) {
+            element.textContent += '!';
+        }
+        const damageElement = options.element && options.element !== DEFAULT_DAMAGE_ELEMENT ? DAMAGE_ELEMENTS[options.element] : null;
+        const color = options.color || (damageElement ? damageElement.color : null);
+        if (color) {
+            element.style.color = color;
+        }
+        this.container.appendChild(element);
+        
+        // Drop the oldest numbers when many hits land at once
+        while (this.damageNumbers.length >= this.maxDamageNumbers) {
+            this.damageNumbers.shift().element.remove();
+        }
+        
+        this.damageNumbers.push({
+            element,
+            position: new THREE.Vector3(position.x, position.y + 2, position.z),
+            offsetX: (Math.random() - 0.5) * 30,
+            age: 0
+        });
+    }
+    
+    /**
+     * Move damage numbers with their world positions, float them up and fade them out
+     * @param {number} delta - Time since last update in seconds
+     */
+    updateDamageNumbers(delta) {
+        const camera = this.game.camera;
+        
+        for (let i = this.damageNumbers.length - 1; i >= 0; i--) {
+            const damageNumber = this.damageNumbers[i];
+            damageNumber.age += delta;
+            
+            if (damageNumber.age >= this.damageNumberLifetime || !camera) {
+                damageNumber.element.remove();
+                this.damageNumbers.splice(i, 1);
+                continue;
+            }
+            
+            // Project the world position to screen coordinates
+            this.projectionVector.copy(damageNumber.position).project(camera);
+            const behindCamera = this.projectionVector.z > 1;
+            const x = (this.projectionVector.x * 0.5 + 0.5) * window.innerWidth + damageNumber.offsetX;
+            const y = (-this.projectionVector.y * 0.5 + 0.5) * window.innerHeight - damageNumber.age * 40;
+            
+            const progress = damageNumber.age / this.damageNumberLifetime;
+            damageNumber.element.style.display = behindCamera ? 'none' : '';
+            damageNumber.element.style.left = `${x}px`;
+            damageNumber.element.style.top = `${y}px`;
+            damageNumber.element.style.opacity = progress > 0.6 ? (1 - progress) / 0.4 : 1;
+        }
     }
     
     /**
@@ -456,6 +543,10 @@ export class NotificationsUI extends UIComponent {
         // Clear the notifications array
         this.notifications = [];
         
+        // Remove floating damage numbers
+        this.damageNumbers.forEach(damageNumber => damageNumber.element.remove());
+        this.damageNumbers = [];
+        
         // Clear the message queue or keep only the most recent few
         if (this.messageQueue.length > 5) {
             // Keep only the 5 most recent messages
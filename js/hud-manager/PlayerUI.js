@@ -1,8 +1,9 @@
 import { UIComponent } from '../UIComponent.js';
+import { StatusEffectIcons } from './StatusEffectIcons.js';
 
 /**
  * Player UI component
- * Displays player health, mana, level, experience, and other stats
+ * Displays player health, mana, level, world tier, experience, and other stats
  */
 export class PlayerUI extends UIComponent {
     /**
@@ -12,12 +13,14 @@ export class PlayerUI extends UIComponent {
     constructor(game) {
         super('player-stats-container', game);
         this.levelIndicator = null;
+        this.worldTierIndicator = null;
         this.healthBar = null;
         this.healthText = null;
         this.manaBar = null;
         this.manaText = null;
         this.experienceBar = null;
         this.experienceText = null;
+        this.statusEffectIcons = null;
     }
     
     /**
@@ -27,12 +30,14 @@ export class PlayerUI extends UIComponent {
     init() {
         // Store references to elements we need to update
         this.levelIndicator = document.getElementById('level-indicator');
+        this.worldTierIndicator = document.getElementById('world-tier-indicator');
         this.healthBar = document.getElementById('health-bar');
         this.healthText = document.getElementById('health-text');
         this.manaBar = document.getElementById('mana-bar');
         this.manaText = document.getElementById('mana-text');
         this.experienceBar = document.getElementById('experience-bar');
         this.experienceText = document.getElementById('experience-text');
+        this.statusEffectIcons = new StatusEffectIcons(document.getElementById('player-status-effects'));
         
         // Initialize with current player data
         this.update();
@@ -49,6 +54,18 @@ export class PlayerUI extends UIComponent {
         // Update level indicator
         this.levelIndicator.textContent = `Level ${this.game.player.getLevel()}`;
         
+        // Update world tier indicator (hidden until tiers are unlocked or a tier is selected)
+        if (this.worldTierIndicator) {
+            const stats = this.game.player.stats;
+            const showTier = stats.isWorldTierUnlocked() || stats.getWorldTier() > 1;
+            this.worldTierIndicator.style.display = showTier ? 'block' : 'none';
+            if (showTier) {
+                const tierName = stats.getWorldTierSettings().name;
+                this.worldTierIndicator.textContent = tierName.replace('World Tier', 'WT');
+                this.worldTierIndicator.title = tierName;
+            }
+        }
+        
         // Get health values
         const currentHealth = Math.round(this.game.player.getHealth());
         const maxHealth = Math.round(this.game.player.getMaxHealth());
@@ -97,5 +114,8 @@ export class PlayerUI extends UIComponent {
         // Set experience bar color
         this.experienceBar.style.backgroundColor = '#ffcc00'; // Gold color
         this.experienceBar.style.boxShadow = '0 0 5px #ffcc00';
+        
+        // Update status effect icons
+        this.statusEffectIcons.render(this.game.player.statusEffects);
     }
 }
\ No newline at end of file
@@ -1,8 +1,9 @@
 import { UIComponent } from '../UIComponent.js';
+import { formatObjective } from '../utils/QuestUtils.js';
 
 /**
  * Quest Log UI component
- * Displays active quests and objectives
+ * Displays active quests with their stages and objectives
  */
 export class QuestLogUI extends UIComponent {
     /**
@@ -46,7 +47,7 @@ export class QuestLogUI extends UIComponent {
                 const questHTML = `
                     <div class="quest-item">
                         <div class="quest-name ${quest.isMainQuest ? 'main-quest' : ''}">${quest.name}</div>
-                        <div class="quest-objective">${this.formatObjective(quest.objective)}</div>
+                        ${this.formatStages(quest)}
                     </div>
                 `;
                 
@@ -57,20 +58,47 @@ export class QuestLogUI extends UIComponent {
     }
     
     /**
-     * Format quest objective based on type
+     * Format the stages of a quest: completed stages are crossed out,
+     * unlocked stages list their objectives and locked stages stay hidden
+     * @param {Object} quest - Active quest
+     * @returns {string} - Stage HTML
+     */
+    formatStages(quest) {
+        const questManager = this.game.questManager;
+        const showStageNames = quest.stages.length > 1;
+        
+        return quest.stages.map(stage => {
+            if (stage.completed) {
+                return showStageNames ?
+                    `<div class="quest-stage completed">${stage.description || 'Stage complete'}</div>` : '';
+            }
+            
+            if (questManager && !questManager.isStageActive(quest, stage)) {
+                return '';
+            }
+            
+            // Objectives of an 'any' stage are alternatives
+            const objectives = stage.objectives.map(objective => `
+                <div class="quest-objective ${objective.completed ? 'completed' : ''}">
+                    ${this.formatObjective(objective)}
+                </div>
+            `).join(stage.completion === 'any' ? '<div class="quest-objective-or">or</div>' : '');
+            
+            return `
+                <div class="quest-stage active">
+                    ${showStageNames && stage.description ? `<div class="quest-stage-name">${stage.description}</div>` : ''}
+                    ${objectives}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Format a quest objective with its progress
      * @param {Object} objective - Quest objective
      * @returns {string} - Formatted objective text
      */
     formatObjective(objective) {
-        switch (objective.type) {
-            case 'kill':
-                return `Kill ${objective.progress}/${objective.count} enemies`;
-            case 'interact':
-                return `Find ${objective.progress}/${objective.count} ${objective.target}s`;
-            case 'explore':
-                return `Discover ${objective.progress}/${objective.count} zones`;
-            default:
-                return objective.description || 'Complete the objective';
-        }
+        return formatObjective(objective);
     }
 }
\ No newline at end of file
@@ -0,0 +1,256 @@
+import { UIComponent } from '../UIComponent.js';
+import { DIALOG_KEYS } from '../config/input.js';
+import { getSellPrice } from '../utils/PriceUtils.js';
+import { formatItemStats } from '../utils/ItemUtils.js';
+
+/**
+ * Shop UI component
+ * Shows a vendor's stock, the buyback list and the player's inventory side by side.
+ * Selecting an item shows its details and the Buy / Sell / Buy back action.
+ */
+export class ShopUI extends UIComponent {
+    /**
+     * Create a new ShopUI component
+     * @param {import('../game/Game.js').Game} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('shop', game);
+        this.isShopOpen = false;
+        this.pausedGame = false;
+        
+        // Vendor and shop being traded with
+        this.vendor = null;
+        this.shop = null;
+        
+        // Selected item: { item, price, action, entry }
+        this.selection = null;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+    
+    /**
+     * Initialize the component
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        this.titleElement = document.getElementById('shop-title');
+        this.goldElement = document.getElementById('shop-gold-value');
+        this.stockGrid = document.getElementById('shop-stock-grid');
+        this.buybackGrid = document.getElementById('shop-buyback-grid');
+        this.inventoryGrid = document.getElementById('shop-inventory-grid');
+        this.detailsEmpty = document.getElementById('shop-details-empty');
+        this.detailsItem = document.getElementById('shop-details-item');
+        this.actionButton = this.detailsItem.querySelector('.shop-details-action');
+        
+        document.getElementById('shop-close').addEventListener('click', () => this.close());
+        this.actionButton.addEventListener('click', () => this.performAction());
+        
+        // Keys reach the shop before the game's hotkeys
+        window.addEventListener('keydown', this.handleKeyDown, true);
+        
+        this.hide();
+        
+        return true;
+    }
+    
+    /**
+     * Open a vendor's shop
+     * @param {Object} vendor - Vendor NPC
+     */
+    open(vendor) {
+        this.vendor = vendor;
+        this.shop = this.game.shopManager.getShop(vendor);
+        this.selection = null;
+        
+        this.titleElement.textContent = `${vendor.name} - ${this.shop.name}`;
+        this.render();
+        
+        this.show();
+        this.isShopOpen = true;
+        
+        if (!this.game.isPaused) {
+            this.game.pause(false);
+            this.pausedGame = true;
+        }
+    }
+    
+    /**
+     * Close the shop
+     */
+    close() {
+        if (!this.isShopOpen) return;
+        
+        this.hide();
+        this.isShopOpen = false;
+        this.vendor = null;
+        this.shop = null;
+        this.selection = null;
+        
+        if (this.pausedGame) {
+            this.game.resume(false);
+            this.pausedGame = false;
+        }
+    }
+    
+    /**
+     * Render the gold, the item grids and the selected item
+     */
+    render() {
+        this.goldElement.textContent = this.game.player.getGold();
+        
+        this.renderGrid(this.stockGrid, this.shop.stock.map(item => ({
+            item,
+            price: this.shop.getPrice(item),
+            action: 'buy'
+        })), 'Sold out');
+        
+        this.renderGrid(this.buybackGrid, this.game.shopManager.buyback.map(entry => ({
+            item: entry.item,
+            price: entry.price,
+            action: 'buyback',
+            entry
+        })), 'Nothing sold yet');
+        
+        this.renderGrid(this.inventoryGrid, this.game.player.getInventory().map(item => ({
+            item,
+            price: getSellPrice(item),
+            action: 'sell'
+        })), 'Your inventory is empty');
+        
+        this.renderDetails();
+    }
+    
+    /**
+     * Render a grid of item slots
+     * @param {HTMLElement} grid - Grid element
+     * @param {Array<Object>} slots - Slot data: { item, price, action, entry }
+     * @param {string} emptyText - Text shown when there are no items
+     */
+    renderGrid(grid, slots, emptyText) {
+        grid.innerHTML = '';
+        
+        if (slots.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'shop-grid-empty';
+            empty.textContent = emptyText;
+            grid.appendChild(empty);
+            return;
+        }
+        
+        slots.forEach(slot => {
+            const slotElement = document.createElement('div');
+            slotElement.className = `inventory-item shop-item rarity-${slot.item.rarity || 'common'}`;
+            if (this.selection && this.selection.item === slot.item) {
+                slotElement.classList.add('selected');
+            }
+            
+            const itemIcon = document.createElement('div');
+            itemIcon.className = 'item-icon';
+            itemIcon.textContent = slot.item.icon || '📦';
+            slotElement.appendChild(itemIcon);
+            
+            const itemCount = document.createElement('div');
+            itemCount.className = 'item-count';
+            itemCount.textContent = slot.item.amount > 1 ? `x${slot.item.amount}` : '';
+            slotElement.appendChild(itemCount);
+            
+            const itemPrice = document.createElement('div');
+            itemPrice.className = 'shop-item-price';
+            itemPrice.textContent = `${slot.price}g`;
+            slotElement.appendChild(itemPrice);
+            
+            slotElement.title = slot.item.name;
+            slotElement.addEventListener('click', () => {
+                this.selection = slot;
+                this.render();
+            });
+            
+            grid.appendChild(slotElement);
+        });
+    }
+    
+    /**
+     * Render the details of the selected item
+     */
+    renderDetails() {
+        const selection = this.selection;
+        this.detailsEmpty.style.display = selection ? 'none' : '';
+        this.detailsItem.style.display = selection ? '' : 'none';
+        if (!selection) return;
+        
+        const item = selection.item;
+        this.detailsItem.querySelector('.shop-details-icon').textContent = item.icon || '📦';
+        
+        const nameElement = this.detailsItem.querySelector('.shop-details-name');
+        nameElement.textContent = item.name;
+        nameElement.className = `shop-details-name rarity-${item.rarity || 'common'}`;
+        
+        this.detailsItem.querySelector('.shop-details-type').textContent =
+            `${item.rarity || 'common'} ${item.subType || item.type || 'item'} · level ${item.level || 1}`;
+        this.detailsItem.querySelector('.shop-details-stats').innerHTML = formatItemStats(item);
+        this.detailsItem.querySelector('.shop-details-description').textContent = item.description || '';
+        
+        const labels = { buy: 'Buy', sell: 'Sell', buyback: 'Buy back' };
+        const canAfford = selection.action === 'sell' || this.game.player.getGold() >= selection.price;
+        
+        this.detailsItem.querySelector('.shop-details-price').textContent =
+            selection.action === 'sell' ? `Sells for ${selection.price} gold` : `Costs ${selection.price} gold`;
+        this.actionButton.textContent = labels[selection.action];
+        this.actionButton.disabled = !canAfford;
+    }
+    
+    /**
+     * Buy, sell or buy back the selected item
+     */
+    performAction() {
+        const selection = this.selection;
+        if (!selection || !this.shop) return;
+        
+        const shopManager = this.game.shopManager;
+        let success = false;
+        
+        switch (selection.action) {
+            case 'buy':
+                success = shopManager.buy(this.shop, selection.item);
+                break;
+            case 'sell':
+                success = shopManager.sell(selection.item);
+                break;
+            case 'buyback':
+                success = shopManager.buyBack(selection.entry);
+                break;
+        }
+        
+        // Keep a stack selected while there is some left
+        if (success) {
+            const list = selection.action === 'buy' ? this.shop.stock :
+                selection.action === 'sell' ? this.game.player.getInventory() : [];
+            if (!list.includes(selection.item)) {
+                this.selection = null;
+            }
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Close the shop with Escape; other keys don't reach the game's hotkeys while trading
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeyDown(event) {
+        if (!this.isShopOpen) return;
+        
+        if (DIALOG_KEYS.CANCEL.includes(event.code)) {
+            this.close();
+            event.preventDefault();
+        }
+        event.stopImmediatePropagation();
+    }
+    
+    /**
+     * Remove event listeners
+     */
+    dispose() {
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+    }
+}
@@ -2,7 +2,14 @@ import { UIComponent } from "../UIComponent.js";
 import { SKILLS } from "../config/skills.js";
 import { getSkillIcon, getBuffIcon } from "../config/skill-icons.js";
 import { SKILL_TREES } from "../config/skill-tree.js";
-import { applyBuffsToVariants } from "../utils/SkillTreeUtils.js";
+import {
+  applyBuffsToVariants,
+  getVariantCost,
+  getBuffCost,
+  getSpentSkillPoints,
+  resetSkillAllocations,
+  enforceSkillPointBudget
+} from "../utils/SkillTreeUtils.js";
 import { STORAGE_KEYS } from "../config/storage-keys.js";
 import storageService from "../save-manager/StorageService.js";
 
@@ -23,7 +30,6 @@ export class SkillTreeUI extends UIComponent {
     this.selectedSkill = null;
     this.selectedVariant = null;
     this.selectedBuff = null;
-    this.skillPoints = 10_000_000; // Will be loaded from player data
     this.selectionMode = 'variants'; // 'variants' or 'buffs'
 
     // Custom skills flag - will be initialized in init()
@@ -44,6 +50,7 @@ export class SkillTreeUI extends UIComponent {
       skillVariants: null,
       skillBuffs: null,
       saveButton: null,
+      respecButton: null,
       continueButton: null, // New button to continue from variants to buffs
       backButton: null      // New button to go back from buffs to variants
     };
@@ -132,6 +139,13 @@ export class SkillTreeUI extends UIComponent {
       console.error("Save button element not found in the DOM");
     }
     
+    // Add event listener for respec button
+    if (this.elements.respecButton) {
+      this.elements.respecButton.addEventListener('click', () => {
+        this.respecSkillTree();
+      });
+    }
+    
     // Initialize available points display
     this.updateAvailablePoints();
 
@@ -151,6 +165,7 @@ export class SkillTreeUI extends UIComponent {
     this.elements.skillVariants = document.getElementById('skill-variants');
     this.elements.skillBuffs = document.getElementById('skill-buffs');
     this.elements.saveButton = document.getElementById('skill-tree-save-btn');
+    this.elements.respecButton = document.getElementById('skill-tree-respec-btn');
     
     // Create continue button for mobile optimization
     this.elements.continueButton = document.createElement('button');
@@ -199,7 +214,7 @@ export class SkillTreeUI extends UIComponent {
     
     // Update skill points display
     if (this.elements.skillPointsValue) {
-      this.elements.skillPointsValue.textContent = this.skillPoints;
+      this.elements.skillPointsValue.textContent = this.getAvailableSkillPoints();
     } else {
       console.error("Skill points value element not found in the DOM");
     }
@@ -300,6 +315,21 @@ export class SkillTreeUI extends UIComponent {
     document.head.appendChild(styleElement);
   }
 
+  /**
+   * Show the skill tree with up-to-date points and unlocks
+   */
+  show() {
+    super.show();
+    
+    // Points and unlocks may have changed since the tree was last open
+    this.enforceSkillPointBudget();
+    this.showSkillVariants(this.selectedSkill);
+    if (this.selectedSkill && this.selectionMode === 'buffs') {
+      this.switchToBuffSelection();
+    }
+    this.updateAvailablePoints();
+  }
+
   /**
    * Initialize player skills data structure
    */
@@ -662,21 +692,23 @@ ${iconData.emoji}
       // Get variant cost and requirements
       const cost = variantData.cost || 5;
       const requiredPoints = variantData.requiredPoints || 0;
+      const isLocked = this.isVariantLocked(variantName);
 
       // Get icon for the variant
       const iconData = getSkillIcon(variantName);
 
       // Create the variant element
       const variantHtml = `
-        <div class="skill-variant ${isActive ? "active" : ""}" data-variant="${variantName}">
+        <div class="skill-variant ${isActive ? "active" : ""} ${isLocked ? "locked" : ""}" data-variant="${variantName}">
           <div class="variant-header">
             <div class="variant-icon ${iconData.cssClass}" style="background-color: rgba(0, 0, 0, 0.7); border: 2px solid ${iconData.color}; box-shadow: 0 0 10px ${iconData.color}40;">
               ${iconData.emoji}
             </div>
             <div class="variant-name">${variantName}</div>
-            <div class="variant-cost">${cost} points</div>
+            <div class="variant-cost">${isLocked ? "🔒 Locked" : `${cost} points`}</div>
           </div>
           <div class="variant-description">${variantData.description || "No description available."}</div>
+          ${isLocked && variantData.unlockedBy ? `<div class="variant-unlock">Unlocked by: ${variantData.unlockedBy}</div>` : ""}
           <div class="variant-effects">
             ${
               variantData.effects
@@ -937,6 +969,23 @@ ${iconData.emoji}
     const isAlreadyActive = 
       this.playerSkills[skillName] && 
       this.playerSkills[skillName].activeVariant === variantName;
+    
+    if (!isAlreadyActive && this.playerSkills[skillName]) {
+      // Locked variants cannot be selected
+      if (this.isVariantLocked(variantName)) {
+        const unlockedBy = this.skillTrees[skillName].variants[variantName].unlockedBy;
+        this.game && this.game.hudManager.showNotification(`${variantName} is locked${unlockedBy ? ` (${unlockedBy})` : ''}`);
+        return;
+      }
+      
+      // Switching variants refunds the current variant and its buffs
+      const previous = this.playerSkills[skillName];
+      const preview = { ...this.playerSkills, [skillName]: { ...previous, activeVariant: variantName, buffs: previous.activeVariant ? {} : previous.buffs } };
+      if (this.getSpentSkillPoints(preview) > this.getTotalSkillPoints()) {
+        this.game && this.game.hudManager.showNotification(`Not enough skill points for ${variantName}`);
+        return;
+      }
+    }
 
     // Clear all active variants first
     document.querySelectorAll(".skill-variant").forEach((variant) => {
@@ -1168,6 +1217,12 @@ ${iconData.emoji}
           button.textContent = "Select Buff";
         }
       } else {
+        // Check that the buff is affordable
+        if (this.getAvailableSkillPoints() < this.getBuffCost(skillName, buffName)) {
+          this.game && this.game.hudManager.showNotification(`Not enough skill points for ${buffName}`);
+          return;
+        }
+        
         // Select the buff
         this.playerSkills[skillName].buffs[buffName] = true;
         
@@ -1215,30 +1270,8 @@ ${iconData.emoji}
    * This method will save the player's skill selections and close the skill tree
    */
   async saveSkillTree() {
-    // Calculate total points spent
-    let totalPointsSpent = 0;
-    
-    // Count points spent on variants and buffs
-    Object.values(this.playerSkills).forEach(skill => {
-      if (skill.activeVariant) {
-        // Get the variant cost
-        const variantCost = this.getVariantCost(skill.activeVariant);
-        totalPointsSpent += variantCost;
-        
-        // Add costs of selected buffs
-        if (skill.buffs) {
-          Object.keys(skill.buffs).forEach(buffName => {
-            if (skill.buffs[buffName]) {
-              const buffCost = this.getBuffCost(skill.activeVariant, buffName);
-              totalPointsSpent += buffCost;
-            }
-          });
-        }
-      }
-    });
-    
     // Check if player has enough points
-    const remainingPoints = this.skillPoints - totalPointsSpent;
+    const remainingPoints = this.getAvailableSkillPoints();
     if (remainingPoints < 0) {
       // Show error message - not enough points
       this.game && this.game.hudManager.showNotification("You don't have enough skill points! Please remove some skills or buffs.");
@@ -1285,34 +1318,124 @@ ${iconData.emoji}
    * @returns {number} - Cost of the variant
    */
   getVariantCost(variantName) {
-    // Search for the variant in all skills
-    for (const skillName in this.skillTrees) {
-      const skill = this.skillTrees[skillName];
-      if (skill.variants && skill.variants[variantName]) {
-        return skill.variants[variantName].cost || 5; // Default cost is 5
-      }
-    }
-    return 5; // Default cost if not found
+    return getVariantCost(this.skillTrees, variantName);
   }
   
   /**
    * Get the cost of a buff
-   * @param {string} variantName - Name of the variant
+   * Buffs are defined per skill and shared by the base skill and its variants
+   * @param {string} skillName - Name of the skill
    * @param {string} buffName - Name of the buff
    * @returns {number} - Cost of the buff
    */
-  getBuffCost(variantName, buffName) {
-    // Search for the buff in all skills
-    for (const skillName in this.skillTrees) {
-      const skill = this.skillTrees[skillName];
-      if (skill.variants && 
-          skill.variants[variantName] && 
-          skill.variants[variantName].buffs && 
-          skill.variants[variantName].buffs[buffName]) {
-        return skill.variants[variantName].buffs[buffName].cost || 3; // Default cost is 3
-      }
+  getBuffCost(skillName, buffName) {
+    return getBuffCost(this.skillTrees, skillName, buffName);
+  }
+  
+  /**
+   * Get the total skill points the player has earned
+   * @returns {number} - Total skill points
+   */
+  getTotalSkillPoints() {
+    return this.game && this.game.player ? this.game.player.stats.getSkillPoints() : 0;
+  }
+  
+  /**
+   * Calculate the points spent on variants and buffs
+   * @param {Object} [playerSkills=this.playerSkills] - Skill allocations to count
+   * @returns {number} - Points spent
+   */
+  getSpentSkillPoints(playerSkills = this.playerSkills) {
+    return getSpentSkillPoints(this.skillTrees, playerSkills);
+  }
+  
+  /**
+   * Get the points left to spend
+   * @returns {number} - Available skill points
+   */
+  getAvailableSkillPoints() {
+    return this.getTotalSkillPoints() - this.getSpentSkillPoints();
+  }
+  
+  /**
+   * Check whether a variant is still locked for the player
+   * @param {string} variantName - Name of the variant
+   * @returns {boolean} - True if the variant cannot be selected yet
+   */
+  isVariantLocked(variantName) {
+    return !!(this.game && this.game.player) && !this.game.player.stats.isVariantUnlocked(variantName);
+  }
+  
+  /**
+   * Drop selections the player can no longer have
+   * Locked variants are cleared, and if the allocation costs more than the
+   * earned points (e.g. saves from before skill points existed) everything is refunded
+   */
+  enforceSkillPointBudget() {
+    if (!this.game || !this.game.player) return;
+    
+    const { changed, reset } = enforceSkillPointBudget(
+      this.skillTrees,
+      this.playerSkills,
+      this.getTotalSkillPoints(),
+      variantName => !this.isVariantLocked(variantName)
+    );
+    
+    if (reset) {
+      this.game.hudManager && this.game.hudManager.showNotification("Your skill tree was reset: not enough skill points for the saved selection");
+    }
+    
+    if (changed) {
+      this.persistSkillTree();
+    }
+  }
+  
+  /**
+   * Clear every variant and buff selection, refunding all spent points
+   */
+  resetAllocations() {
+    resetSkillAllocations(this.playerSkills);
+  }
+  
+  /**
+   * Save the current allocation and apply it to the player's skills
+   */
+  persistSkillTree() {
+    try {
+      localStorage.setItem(STORAGE_KEYS.SKILL_TREE_DATA, JSON.stringify(this.playerSkills));
+    } catch (error) {
+      console.error('Error saving skill tree data to localStorage:', error);
+    }
+    
+    if (this.game && this.game.player) {
+      this.game.player.loadSkillTreeData();
+    }
+  }
+  
+  /**
+   * Refund all spent skill points (respec)
+   */
+  respecSkillTree() {
+    if (this.getSpentSkillPoints() === 0) {
+      this.game && this.game.hudManager.showNotification("No skill points to refund");
+      return;
+    }
+    
+    if (!confirm("Reset all variants and buffs and refund your skill points?")) {
+      return;
+    }
+    
+    this.resetAllocations();
+    this.persistSkillTree();
+    
+    // Refresh the open panels
+    this.showSkillVariants(this.selectedSkill);
+    if (this.selectionMode === 'buffs') {
+      this.switchToVariantSelection();
     }
-    return 3; // Default cost if not found
+    this.updateAvailablePoints();
+    
+    this.game && this.game.hudManager.showNotification("Skill points refunded");
   }
   
   /**
@@ -1326,30 +1449,8 @@ ${iconData.emoji}
       return;
     }
     
-    // Calculate total points spent
-    let totalPointsSpent = 0;
-    
-    // Count points spent on variants and buffs
-    Object.values(this.playerSkills).forEach(skill => {
-      if (skill.activeVariant) {
-        // Get the variant cost
-        const variantCost = this.getVariantCost(skill.activeVariant);
-        totalPointsSpent += variantCost;
-        
-        // Add costs of selected buffs
-        if (skill.buffs) {
-          Object.keys(skill.buffs).forEach(buffName => {
-            if (skill.buffs[buffName]) {
-              const buffCost = this.getBuffCost(skill.activeVariant, buffName);
-              totalPointsSpent += buffCost;
-            }
-          });
-        }
-      }
-    });
-    
     // Calculate remaining points
-    const remainingPoints = this.skillPoints - totalPointsSpent;
+    const remainingPoints = this.getAvailableSkillPoints();
     
     // Update the UI
     this.elements.skillPointsValue.textContent = remainingPoints;
@@ -0,0 +1,57 @@
+import { STATUS_EFFECTS } from '../config/status-effects.js';
+
+/**
+ * Row of status effect icons with remaining time and stacks
+ * Shared by the player and enemy HUD panels
+ */
+export class StatusEffectIcons {
+    /**
+     * @param {HTMLElement} container - Element the icons are rendered into
+     */
+    constructor(container) {
+        this.container = container;
+
+        // Last rendered state, so the DOM is only rebuilt when something visible changed
+        this.lastSignature = '';
+    }
+
+    /**
+     * Render the active effects of a status effect component
+     * @param {import('../entities/status-effects/StatusEffects.js').StatusEffects|null} statusEffects - Effects to show
+     */
+    render(statusEffects) {
+        if (!this.container) return;
+
+        const effects = statusEffects ? statusEffects.getAllEffects() : {};
+        const entries = Object.entries(effects).filter(([type]) => STATUS_EFFECTS[type]);
+
+        // Whole seconds are enough for the timer text
+        const signature = entries
+            .map(([type, effect]) => `${type}:${Math.ceil(effect.duration)}:${effect.stacks}`)
+            .join('|');
+        if (signature === this.lastSignature) return;
+        this.lastSignature = signature;
+
+        this.container.innerHTML = entries.map(([type, effect]) => {
+            const config = STATUS_EFFECTS[type];
+            const color = `#${config.color.toString(16).padStart(6, '0')}`;
+            const remaining = Math.ceil(effect.duration);
+            const stacks = effect.stacks > 1 ? `<span class="status-effect-stacks">${effect.stacks}</span>` : '';
+
+            return `
+                <div class="status-effect-icon ${config.category}" style="border-color: ${color}" title="${config.name}">
+                    <span class="status-effect-symbol">${config.icon}</span>
+                    ${stacks}
+                    <span class="status-effect-timer">${remaining}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Remove all icons
+     */
+    clear() {
+        this.render(null);
+    }
+}
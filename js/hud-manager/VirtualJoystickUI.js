@@ -15,6 +15,7 @@ export class VirtualJoystickUI extends UIComponent {
         this.joystickBase = null;
         this.joystickHandle = null;
         this.joystickOverlay = null;
+        this.dodgeButton = null;
         
         // Initialize joystick state
         this.joystickState = {
@@ -38,6 +39,7 @@ export class VirtualJoystickUI extends UIComponent {
         const sizeMultiplier = joystickConfig.sizeMultiplier;
         const baseSize = joystickConfig.baseSize;
         const handleSize = joystickConfig.handleSize;
+        const dodgeButtonSize = joystickConfig.dodgeButtonSize * sizeMultiplier;
         
         // Apply size multiplier to joystick container
         const scaledBaseSize = baseSize * sizeMultiplier;
@@ -48,6 +50,7 @@ export class VirtualJoystickUI extends UIComponent {
             <div id="virtual-joystick-base"></div>
             <div id="virtual-joystick-handle" style="width: ${handleSize * sizeMultiplier}px; height: ${handleSize * sizeMultiplier}px;"></div>
             <div id="joystick-overlay"></div>
+            <button id="dodge-button" style="width: ${dodgeButtonSize}px; height: ${dodgeButtonSize}px;" aria-label="Dodge">⤼</button>
         `;
         
         // Render the template
@@ -56,12 +59,14 @@ export class VirtualJoystickUI extends UIComponent {
         // Store references to elements we need to update
         this.joystickBase = document.getElementById('virtual-joystick-base');
         this.joystickHandle = document.getElementById('virtual-joystick-handle');
+        this.dodgeButton = document.getElementById('dodge-button');
         
         // Create a full-screen overlay for joystick input that only responds to the left half of the screen
         this.createJoystickOverlay();
         
         // Set up touch event listeners
         this.setupJoystickEvents();
+        this.setupDodgeButton();
         
         return true;
     }
@@ -191,6 +196,24 @@ export class VirtualJoystickUI extends UIComponent {
         };
     }
     
+    /**
+     * Set up the dodge button next to the joystick
+     * It sits above the joystick overlay, so presses don't move the joystick
+     */
+    setupDodgeButton() {
+        this.handleDodgePress = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            
+            if (this.game && !this.game.isPaused && this.game.player) {
+                this.game.player.dodge();
+            }
+        };
+        
+        this.dodgeButton.addEventListener('touchstart', this.handleDodgePress, { passive: false });
+        this.dodgeButton.addEventListener('mousedown', this.handleDodgePress);
+    }
+    
     /**
      * Check if a position is on the left half of the screen
      * @param {number} clientX - X position to check
@@ -299,6 +322,12 @@ export class VirtualJoystickUI extends UIComponent {
             }
         }
         
+        // Remove dodge button listeners
+        if (this.dodgeButton) {
+            this.dodgeButton.removeEventListener('touchstart', this.handleDodgePress);
+            this.dodgeButton.removeEventListener('mousedown', this.handleDodgePress);
+        }
+        
         // Remove document event listeners
         document.removeEventListener('touchmove', this.handleTouchMove);
         document.removeEventListener('touchend', this.handleTouchEnd);
@@ -297,10 +297,9 @@ export class InteractionSystem {
      * @returns {Array} - Array of all interactive objects
      */
     getInteractiveObjects() {
-        // If we have a world with an interactive manager, use it
-        if (this.world && this.world.interactiveManager && 
-            this.world.interactiveManager.getInteractiveObjects) {
-            return this.world.interactiveManager.getInteractiveObjects();
+        // If we have a world, use its interactive objects and NPCs
+        if (this.world && this.world.getInteractiveObjects) {
+            return this.world.getInteractiveObjects();
         }
         
         // Otherwise, return an empty array
@@ -130,6 +130,7 @@ export class ControlsDisplay {
         // Add mobile controls
         this.addControlRow(controlsColumn, 'Left Joystick', 'Movement');
         this.addControlRow(controlsColumn, 'Skill Buttons', 'Activate Skills');
+        this.addControlRow(controlsColumn, 'Dodge Button', 'Dodge Roll');
         this.addControlRow(controlsColumn, 'Tap Enemy', 'Attack Target');
         this.addControlRow(controlsColumn, 'Tap Object', 'Interact');
         
@@ -15,6 +15,12 @@ export class GameMenu extends IMenu {
         this.loadGameButton = document.getElementById('load-game-button');
         this.settingsMenuButton = document.getElementById('settings-menu-button');
         this.googleSignInButton = document.getElementById('google-signin-button');
+        this.menuButtons = document.getElementById('game-menu-buttons');
+        this.characterSelectButton = document.getElementById('character-select-button');
+        this.characterSelect = document.getElementById('character-select');
+        this.characterSlotsContainer = document.getElementById('character-select-slots');
+        this.newCharacterButton = document.getElementById('character-select-new-btn');
+        this.characterSelectBackButton = document.getElementById('character-select-back-btn');
         this.setupEventListeners();
         
         // Listen for Google sign-in/sign-out events
@@ -61,99 +67,31 @@ export class GameMenu extends IMenu {
                     }
                     
                     console.debug("Game resumed - enemies and player are now active");
-                } else  if (this.game.saveManager && this.game.saveManager.hasSaveData()) {
-                    try {
-                        const loadResult = await this.game.saveManager.loadGame();
-                        
-                        if (loadResult) {
-                            console.debug("Game data loaded successfully");
-                            this.hide();
-                            
-                            // Start the game with loaded data - this will set isPaused to false and start the game loop
-                            // Pass true to indicate this is a loaded game, so player position isn't reset
-                            this.game.start(true);
-                            
-                            // Make sure settings button is visible
-                            const homeButton = document.getElementById('home-button');
-                            if (homeButton) {
-                                homeButton.style.display = 'block';
-                            }
-                            
-                            // Show all HUD elements
-                            if (this.game.hudManager) {
-                                this.game.hudManager.showAllUI();
-                            }
-                            
-                            console.debug("Game started with loaded data - enemies and player are now active");
-                        } else {
-                            console.debug("No save data found or failed to load, starting new game instead");
-                            
-                            // Start a new game instead
-                            this.hide();
-                            
-                            // Start the game - this will set isPaused to false and start the game loop
-                            // Pass false to indicate this is a new game, so player position should be reset
-                            this.game.start(false);
-                            
-                            // Make sure settings button is visible
-                            const homeButton = document.getElementById('home-button');
-                            if (homeButton) {
-                                homeButton.style.display = 'block';
-                            }
-                            
-                            // Show all HUD elements
-                            if (this.game.hudManager) {
-                                this.game.hudManager.showAllUI();
-                            }
-                        }
-                    } catch (error) {
-                        console.error("Error loading game data:", error);
-                        alert('An error occurred while loading the game. Starting a new game instead.');
-                        
-                        // Start a new game instead
-                        this.hide();
-                        
-                        // Start the game - this will set isPaused to false and start the game loop
-                        this.game.start(false);
-                        
-                        // Make sure settings button is visible
-                        const homeButton = document.getElementById('home-button');
-                        if (homeButton) {
-                            homeButton.style.display = 'block';
-                        }
-                        
-                        // Show all HUD elements
-                        if (this.game.hudManager) {
-                            this.game.hudManager.showAllUI();
-                        }
-                    }
+                } else if (this.game.saveManager) {
+                    // Let the player pick which hero (save slot) to play
+                    this.showCharacterSelect();
                 } else {
                     // Game has never been started - start a new game
                     console.debug("New Game button clicked - starting new game...");
-                    this.hide();
-                    
-                    // Hide the main background when starting the game
-                    
-                    // Start the game - this will set isPaused to false and start the game loop
-                    // Pass false to indicate this is a new game, so player position should be reset
-                    this.game.start(false);
-                    
-                    // Make sure settings button is visible
-                    const homeButton = document.getElementById('home-button');
-                    if (homeButton) {
-                        homeButton.style.display = 'block';
-                    }
-                    
-                    // Show all HUD elements
-                    if (this.game.hudManager) {
-                        this.game.hudManager.showAllUI();
-                    }
-                    
+                    this.beginGame(false);
                     console.debug("New game started - enemies and player are now active");
                 }
             })
         }
 
+        // Character select button
+        if (this.characterSelectButton) {
+            this.characterSelectButton.addEventListener('click', () => this.showCharacterSelect());
+        }
+        
+        if (this.newCharacterButton) {
+            this.newCharacterButton.addEventListener('click', () => this.createCharacter());
+        }
+        
+        if (this.characterSelectBackButton) {
+            this.characterSelectBackButton.addEventListener('click', () => this.hideCharacterSelect());
+        }
+
         // Settings button
         if (this.settingsMenuButton) {
             this.settingsMenuButton.addEventListener('click', () => {
@@ -199,6 +137,244 @@ export class GameMenu extends IMenu {
         }
     }
 
+    /**
+     * Hide the menu and start the game loop
+     * @param {boolean} isLoadedGame - Whether the player state came from a save
+     */
+    beginGame(isLoadedGame) {
+        this.hide();
+        
+        // Start the game - this will set isPaused to false and start the game loop
+        // Pass true for a loaded game so the saved player position isn't reset
+        this.game.start(isLoadedGame);
+        
+        // Make sure settings button is visible
+        const homeButton = document.getElementById('home-button');
+        if (homeButton) {
+            homeButton.style.display = 'block';
+        }
+        
+        // Show all HUD elements
+        if (this.game.hudManager) {
+            this.game.hudManager.showAllUI();
+        }
+    }
+    
+    /**
+     * Show the character select with one entry per save slot
+     */
+    showCharacterSelect() {
+        if (!this.characterSelect || !this.game.saveManager) {
+            return;
+        }
+        
+        this.renderCharacterSlots();
+        
+        if (this.menuButtons) {
+            this.menuButtons.style.display = 'none';
+        }
+        this.characterSelect.style.display = 'flex';
+    }
+    
+    /**
+     * Return from the character select to the menu buttons
+     */
+    hideCharacterSelect() {
+        if (this.characterSelect) {
+            this.characterSelect.style.display = 'none';
+        }
+        if (this.menuButtons) {
+            this.menuButtons.style.display = 'flex';
+        }
+    }
+    
+    /**
+     * Render the save slot list
+     * @private
+     */
+    renderCharacterSlots() {
+        const saveManager = this.game.saveManager;
+        const slots = saveManager.getSaveSlots();
+        const slotsFull = slots.length >= saveManager.maxSaveSlots;
+        
+        this.characterSlotsContainer.innerHTML = '';
+        
+        if (this.newCharacterButton) {
+            this.newCharacterButton.disabled = slotsFull;
+        }
+        
+        if (slots.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'character-select-empty';
+            empty.textContent = 'No heroes yet. Create a new hero to begin your journey.';
+            this.characterSlotsContainer.appendChild(empty);
+            return;
+        }
+        
+        slots.forEach(slot => {
+            const isActive = slot.id === saveManager.activeSlotId;
+            
+            const slotElement = document.createElement('div');
+            slotElement.className = 'character-slot' + (isActive ? ' active' : '');
+            
+            const info = document.createElement('div');
+            
+            const name = document.createElement('div');
+            name.className = 'character-slot-name';
+            name.textContent = slot.name;
+            info.appendChild(name);
+            
+            const details = document.createElement('div');
+            details.className = 'character-slot-details';
+            if (slot.hasProgress && slot.summary) {
+                const mapName = slot.summary.mapName || 'Unknown map';
+                const savedAt = new Date(slot.summary.timestamp).toLocaleString();
+                details.textContent = `Level ${slot.summary.level} · ${mapName} · ${this.formatPlayTime(slot.summary.playTime)} played · Saved ${savedAt}`;
+            } else {
+                details.textContent = 'New hero · Not played yet';
+            }
+            info.appendChild(details);
+            
+            const actions = document.createElement('div');
+            actions.className = 'character-slot-actions';
+            
+            const playButton = document.createElement('button');
+            playButton.textContent = isActive && this.game.hasStarted ? 'Resume' : 'Play';
+            playButton.addEventListener('click', () => this.playSlot(slot.id));
+            actions.appendChild(playButton);
+            
+            const copyButton = document.createElement('button');
+            copyButton.textContent = 'Copy';
+            copyButton.disabled = slotsFull;
+            copyButton.addEventListener('click', () => this.copyCharacter(slot));
+            actions.appendChild(copyButton);
+            
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = 'Delete';
+            // The hero currently in play can't be deleted from under the running game
+            deleteButton.disabled = isActive && this.game.hasStarted;
+            deleteButton.addEventListener('click', () => this.deleteCharacter(slot));
+            actions.appendChild(deleteButton);
+            
+            slotElement.appendChild(info);
+            slotElement.appendChild(actions);
+            this.characterSlotsContainer.appendChild(slotElement);
+        });
+    }
+    
+    /**
+     * Format play time for the slot summary
+     * @param {number} seconds - Play time in seconds
+     * @returns {string} Formatted time, e.g. "1h 05m"
+     */
+    formatPlayTime(seconds) {
+        const totalMinutes = Math.floor((seconds || 0) / 60);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+    }
+    
+    /**
+     * Play the hero stored in a save slot
+     * Switching heroes during a running game saves the current one and reloads the page,
+     * since the world and player state can't be swapped in place
+     * @param {number} slotId - Slot number
+     */
+    async playSlot(slotId) {
+        const saveManager = this.game.saveManager;
+        
+        if (this.game.hasStarted) {
+            if (slotId === saveManager.activeSlotId) {
+                this.hideCharacterSelect();
+                this.hide();
+                this.game.resume(false);
+                if (this.game.hudManager) {
+                    this.game.hudManager.showAllUI();
+                }
+                return;
+            }
+            
+            if (!confirm('Switch to this hero? Your current progress will be saved.')) {
+                return;
+            }
+            
+            await saveManager.saveGame(true, true);
+            saveManager.selectSlot(slotId);
+            window.location.reload();
+            return;
+        }
+        
+        saveManager.selectSlot(slotId);
+        this.hideCharacterSelect();
+        
+        try {
+            const loadResult = await saveManager.loadGame();
+            
+            if (loadResult) {
+                console.debug("Game data loaded successfully");
+                this.beginGame(true);
+                console.debug("Game started with loaded data - enemies and player are now active");
+            } else {
+                console.debug("Slot has no progress yet, starting new game");
+                this.beginGame(false);
+            }
+        } catch (error) {
+            console.error("Error loading game data:", error);
+            alert('An error occurred while loading the game. Starting a new game instead.');
+            this.beginGame(false);
+        }
+    }
+    
+    /**
+     * Create a new hero in a free save slot and start playing it
+     */
+    async createCharacter() {
+        const saveManager = this.game.saveManager;
+        const name = prompt('Name your hero:', `Hero ${saveManager.getFreeSlotId() || ''}`.trim());
+        if (name === null) {
+            return;
+        }
+        
+        const slotId = await saveManager.createSlot(name);
+        if (slotId === null) {
+            alert('All save slots are in use. Delete a hero to make room.');
+            return;
+        }
+        
+        await this.playSlot(slotId);
+    }
+    
+    /**
+     * Copy a hero into a free save slot
+     * @param {Object} slot - Slot entry from SaveManager.getSaveSlots()
+     */
+    async copyCharacter(slot) {
+        const name = prompt('Name of the copy:', `${slot.name} (Copy)`);
+        if (name === null) {
+            return;
+        }
+        
+        const slotId = await this.game.saveManager.copySlot(slot.id, name);
+        if (slotId === null) {
+            alert('Could not copy this hero. Make sure a save slot is free.');
+        }
+        
+        this.renderCharacterSlots();
+    }
+    
+    /**
+     * Delete a hero after confirmation
+     * @param {Object} slot - Slot entry from SaveManager.getSaveSlots()
+     */
+    async deleteCharacter(slot) {
+        if (!confirm(`Delete ${slot.name}? This can't be undone.`)) {
+            return;
+        }
+        
+        await this.game.saveManager.deleteSlot(slot.id);
+        this.renderCharacterSlots();
+    }
+
     /**
      * Get the menu type/name
      * @returns {string} The menu type/name
@@ -217,6 +393,9 @@ export class GameMenu extends IMenu {
                 this.game.hudManager.hideAllUI();
             }
             
+            // Always open on the menu buttons, not a stale character select
+            this.hideCharacterSelect();
+            
             // Make sure the menu is visible
             this.element.style.display = 'flex';
         }
@@ -6,6 +6,7 @@
 import { SettingsTab } from './SettingsTab.js';
 import { STORAGE_KEYS } from '../../config/storage-keys.js';
 import { DIFFICULTY_SCALING } from '../../config/game-balance.js';
+import { SIGNALING_DEFAULTS } from '../../config/multiplayer.js';
 import storageService from '../../save-manager/StorageService.js';
 import googleAuthManager from '../../save-manager/GoogleAuthManager.js';
 
@@ -29,12 +30,19 @@ export class GameplayTab extends SettingsTab {
         
         // Game settings elements
         this.difficultySelect = document.getElementById('difficulty-select');
+        this.worldTierSelect = document.getElementById('world-tier-select');
+        this.worldTierDescription = document.getElementById('world-tier-description');
         this.customSkillsCheckbox = document.getElementById('custom-skills-checkbox');
         
         // Camera settings
         this.cameraZoomSlider = document.getElementById('camera-zoom-slider');
         this.cameraZoomValue = document.getElementById('camera-zoom-value');
         
+        // Multiplayer signaling server settings
+        this.signalingHostInput = document.getElementById('signaling-host-input');
+        this.signalingPortInput = document.getElementById('signaling-port-input');
+        this.signalingPathInput = document.getElementById('signaling-path-input');
+        
         // New Game button
         this.newGameButton = document.getElementById('new-game-button');
         
@@ -58,11 +66,21 @@ export class GameplayTab extends SettingsTab {
     init() {
         this.initializeGoogleLogin();
         this.initializeDifficultySettings();
+        this.initializeWorldTierSettings();
+        this.initializeSignalingSettings();
         this.initializeReleaseSettings();
         
         return true;
     }
     
+    /**
+     * Called when the tab is activated
+     */
+    onActivate() {
+        // Player level and tier may have changed since the tab was last shown
+        this.updateWorldTierUI();
+    }
+    
     /**
      * Handle storage updates from Google Drive sync
      * @param {CustomEvent} event - Storage update event
@@ -292,6 +310,106 @@ export class GameplayTab extends SettingsTab {
         }
     }
     
+    /**
+     * Initialize world tier selection
+     * The tier belongs to the character and is saved with the player, not as a setting
+     * @private
+     */
+    initializeWorldTierSettings() {
+        if (!this.worldTierSelect) {
+            return;
+        }
+        
+        // Add tier options from DIFFICULTY_SCALING.worldTiers
+        this.worldTierSelect.innerHTML = '';
+        for (const tierSettings of DIFFICULTY_SCALING.worldTiers.tiers) {
+            const option = document.createElement('option');
+            option.value = tierSettings.tier;
+            option.textContent = tierSettings.name;
+            this.worldTierSelect.appendChild(option);
+        }
+        
+        this.worldTierSelect.addEventListener('change', () => {
+            const selectedTier = parseInt(this.worldTierSelect.value, 10);
+            
+            if (this.game && this.game.player) {
+                this.game.player.setWorldTier(selectedTier);
+            }
+            
+            // Reflect the actual tier in case the change was rejected
+            this.updateWorldTierUI();
+        });
+        
+        this.updateWorldTierUI();
+    }
+    
+    /**
+     * Initialize the signaling server inputs
+     * Used the next time a multiplayer game is hosted or joined
+     * @private
+     */
+    initializeSignalingSettings() {
+        if (!this.signalingHostInput) {
+            return;
+        }
+        
+        this.signalingHostInput.value = this.loadSettingSync(STORAGE_KEYS.SIGNALING_HOST, '') || '';
+        this.signalingPortInput.value = this.loadSettingSync(STORAGE_KEYS.SIGNALING_PORT, null) || SIGNALING_DEFAULTS.port;
+        this.signalingPathInput.value = this.loadSettingSync(STORAGE_KEYS.SIGNALING_PATH, null) || SIGNALING_DEFAULTS.path;
+        
+        [this.signalingHostInput, this.signalingPortInput, this.signalingPathInput].forEach(input => {
+            input.addEventListener('change', () => this.saveSignalingSettings());
+        });
+    }
+    
+    /**
+     * Save the signaling server inputs
+     * @returns {Promise<boolean[]>} - Save results
+     * @private
+     */
+    saveSignalingSettings() {
+        return Promise.all([
+            this.saveSetting(STORAGE_KEYS.SIGNALING_HOST, this.signalingHostInput.value.trim()),
+            this.saveSetting(STORAGE_KEYS.SIGNALING_PORT, parseInt(this.signalingPortInput.value, 10) || SIGNALING_DEFAULTS.port),
+            this.saveSetting(STORAGE_KEYS.SIGNALING_PATH, this.signalingPathInput.value.trim() || SIGNALING_DEFAULTS.path)
+        ]);
+    }
+    
+    /**
+     * Sync the world tier select with the player's level and selected tier
+     * @private
+     */
+    updateWorldTierUI() {
+        if (!this.worldTierSelect) {
+            return;
+        }
+        
+        const stats = this.game && this.game.player ? this.game.player.stats : null;
+        const unlocked = stats ? stats.isWorldTierUnlocked() : false;
+        
+        this.worldTierSelect.value = stats ? stats.getWorldTier() : 1;
+        this.worldTierSelect.disabled = !unlocked;
+        
+        if (this.worldTierDescription) {
+            if (!unlocked) {
+                this.worldTierDescription.textContent = `World tiers unlock at level ${DIFFICULTY_SCALING.worldTiers.unlockLevel}. They can also be changed at a world tier shrine.`;
+            } else {
+                const tier = stats.getWorldTierSettings();
+                const bonuses = [
+                    `enemies x${tier.difficultyMultiplier}`,
+                    `item quality x${tier.itemQualityMultiplier}`,
+                    `item quantity x${tier.itemQuantityMultiplier}`,
+                    `experience x${tier.experienceMultiplier}`,
+                    `gold x${tier.goldMultiplier}`
+                ];
+                if (tier.guaranteedLegendary) {
+                    bonuses.push('bosses always drop a legendary');
+                }
+                this.worldTierDescription.textContent = `${tier.name}: ${bonuses.join(', ')}`;
+            }
+        }
+    }
+    
     /**
      * Initialize release settings (moved from ReleaseTab)
      * @private
@@ -425,6 +543,10 @@ export class GameplayTab extends SettingsTab {
             savePromises.push(this.saveSetting(STORAGE_KEYS.CAMERA_ZOOM, parseInt(this.cameraZoomSlider.value).toString()));
         }
         
+        if (this.signalingHostInput) {
+            savePromises.push(this.saveSignalingSettings());
+        }
+        
         // Wait for all saves to complete
         await Promise.all(savePromises);
         return true;
@@ -453,6 +575,12 @@ export class GameplayTab extends SettingsTab {
             }
         }
         
+        if (this.signalingHostInput) {
+            this.signalingHostInput.value = '';
+            this.signalingPortInput.value = SIGNALING_DEFAULTS.port;
+            this.signalingPathInput.value = SIGNALING_DEFAULTS.path;
+        }
+        
         // Save all the reset values
         return this.saveSettings();
     }
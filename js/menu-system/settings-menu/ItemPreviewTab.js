@@ -521,6 +521,30 @@ export class ItemPreviewTab extends SettingsTab {
             });
         }
         
+        // Add set membership, equipped pieces and active bonuses
+        const setStatus = this.currentItem.setId && this.game.player ? this.game.player.getSetStatus(this.currentItem.setId) : null;
+        if (setStatus) {
+            html += `<h4>${setStatus.name} (${setStatus.equippedCount}/${setStatus.pieces.length} equipped)</h4>`;
+            
+            setStatus.pieces.forEach(piece => {
+                html += `
+                    <div class="item-stat">
+                        <span class="stat-label">${piece.name}</span>
+                        <span class="stat-value">${piece.equipped ? 'Equipped' : 'Missing'}</span>
+                    </div>
+                `;
+            });
+            
+            setStatus.bonuses.forEach(bonus => {
+                html += `
+                    <div class="item-effect${bonus.active ? ' active' : ''}">
+                        <span class="effect-name">${bonus.pieces}-Piece Bonus${bonus.active ? ' (Active)' : ''}</span>
+                        <p class="effect-description">${bonus.description}</p>
+                    </div>
+                `;
+            });
+        }
+        
         html += '</div>';
         
         // Set the item details HTML
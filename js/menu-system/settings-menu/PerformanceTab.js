@@ -25,6 +25,11 @@ export class PerformanceTab extends SettingsTab {
         this.debugModeCheckbox = document.getElementById('debug-mode-checkbox');
         this.logEnabledCheckbox = document.getElementById('log-enabled-checkbox');
         
+        // Dynamic difficulty debug overlay
+        this.dynamicDifficultyContainer = document.getElementById('dynamic-difficulty-container');
+        this.dynamicDifficultyStats = document.getElementById('dynamic-difficulty-stats');
+        this.dynamicDifficultyInterval = null;
+        
         // Initialize storage service and tab
         this.initializeTab();
     }
@@ -196,6 +201,8 @@ export class PerformanceTab extends SettingsTab {
                 if (this.game) {
                     this.game.debugMode = this.debugModeCheckbox.checked;
                 }
+                
+                this.updateDynamicDifficultyOverlay();
             });
         }
         
@@ -229,6 +236,64 @@ export class PerformanceTab extends SettingsTab {
         if (!this.initialized && !this.isLoading) {
             this.initializeTab();
         }
+        
+        // Refresh the dynamic difficulty overlay while the tab is visible
+        this.updateDynamicDifficultyOverlay();
+        if (!this.dynamicDifficultyInterval) {
+            this.dynamicDifficultyInterval = setInterval(() => this.updateDynamicDifficultyOverlay(), 1000);
+        }
+    }
+    
+    /**
+     * Called when the tab is deactivated
+     */
+    onDeactivate() {
+        if (this.dynamicDifficultyInterval) {
+            clearInterval(this.dynamicDifficultyInterval);
+            this.dynamicDifficultyInterval = null;
+        }
+    }
+    
+    /**
+     * Show the dynamic difficulty factor and the metrics behind it (debug mode only)
+     */
+    updateDynamicDifficultyOverlay() {
+        if (!this.dynamicDifficultyContainer || !this.dynamicDifficultyStats) {
+            return;
+        }
+        
+        const director = this.game?.enemyManager?.difficultyDirector;
+        const debugMode = this.debugModeCheckbox ? this.debugModeCheckbox.checked : false;
+        
+        if (!director || !debugMode) {
+            this.dynamicDifficultyContainer.style.display = 'none';
+            return;
+        }
+        
+        this.dynamicDifficultyContainer.style.display = '';
+        
+        const info = director.getDebugInfo();
+        const formatPercent = value => value === null ? 'n/a' : `${(value * 100).toFixed(0)}%`;
+        const formatSigned = value => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+        
+        const rows = [
+            ['Status', info.enabled ? 'Enabled' : 'Disabled'],
+            ['Enemy health/damage factor', `x${info.multiplier.toFixed(2)} (${formatSigned(info.adjustment)})`],
+            ['Performance score', info.performance.toFixed(2)],
+            ['Avg damage taken per encounter', info.damageTaken === null ? 'n/a' : `${formatPercent(info.damageTaken)} of max health`],
+            ['Avg time-to-kill vs expected', formatPercent(info.timeToKill)],
+            ['Deaths per encounter', info.deathRate === null ? 'n/a' : info.deathRate.toFixed(2)],
+            ['Encounters / kills tracked', `${info.encounters} / ${info.kills}`],
+            ['In encounter', info.inEncounter ? 'Yes' : 'No'],
+            ['Next adjustment in', `${Math.ceil(info.nextAdjustmentIn)}s`]
+        ];
+        
+        this.dynamicDifficultyStats.innerHTML = rows.map(([label, value]) => `
+            <div class="setting-row">
+                <span class="settings-label">${label}</span>
+                <span class="settings-value">${value}</span>
+            </div>
+        `).join('');
     }
     
     /**
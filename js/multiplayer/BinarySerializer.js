@@ -17,7 +17,14 @@ export const MessageType = {
     PLAYER_POSITION: 8,
     HOST_LEFT: 9,
     PLAYER_DAMAGE: 10,
-    SHARE_EXPERIENCE: 11
+    SHARE_EXPERIENCE: 11,
+    WORLD_STATE: 12,
+    WORLD_LOADED: 13,
+    LOOT_DROP: 14,
+    LOOT_CLAIM: 15,
+    LOOT_CLAIMED: 16,
+    CHAT: 17,
+    JOIN_ORDER: 18
 };
 
 // Schema definitions for different message types
@@ -25,16 +32,23 @@ export const MessageType = {
 const SCHEMAS = {
     [MessageType.WELCOME]: ['message'],
     [MessageType.GAME_STATE]: ['players', 'enemies'],
-    [MessageType.START_GAME]: [],
+    [MessageType.START_GAME]: ['lootMode'],
     [MessageType.PLAYER_JOINED]: ['playerId', 'playerColor'],
     [MessageType.PLAYER_LEFT]: ['playerId'],
     [MessageType.PLAYER_COLORS]: ['colors'],
     [MessageType.SKILL_CAST]: ['skillName', 'playerId', 'variant', 'targetEnemyId'],
     [MessageType.PLAYER_INPUT]: ['input'],
-    [MessageType.PLAYER_POSITION]: ['position', 'rotation', 'animation', 'modelId'],
+    [MessageType.PLAYER_POSITION]: ['position', 'rotation', 'animation', 'modelId', 'statusEffects'],
     [MessageType.HOST_LEFT]: [],
     [MessageType.PLAYER_DAMAGE]: ['amount', 'enemyId'],
-    [MessageType.SHARE_EXPERIENCE]: ['amount', 'enemyId', 'playerCount']
+    [MessageType.SHARE_EXPERIENCE]: ['amount', 'enemyId', 'playerCount'],
+    [MessageType.WORLD_STATE]: ['mapId', 'filename', 'seed', 'difficulty', 'worldTier', 'openedChests', 'activeBoss'],
+    [MessageType.WORLD_LOADED]: ['mapId', 'success'],
+    [MessageType.LOOT_DROP]: ['dropId', 'item', 'position', 'ownerId'],
+    [MessageType.LOOT_CLAIM]: ['dropId'],
+    [MessageType.LOOT_CLAIMED]: ['dropId', 'playerId'],
+    [MessageType.CHAT]: ['playerId', 'text', 'emote'],
+    [MessageType.JOIN_ORDER]: ['players']
 };
 
 export class BinarySerializer {
@@ -240,6 +254,13 @@ export class BinarySerializer {
             case 'hostLeft': return MessageType.HOST_LEFT;
             case 'playerDamage': return MessageType.PLAYER_DAMAGE;
             case 'shareExperience': return MessageType.SHARE_EXPERIENCE;
+            case 'worldState': return MessageType.WORLD_STATE;
+            case 'worldLoaded': return MessageType.WORLD_LOADED;
+            case 'lootDrop': return MessageType.LOOT_DROP;
+            case 'lootClaim': return MessageType.LOOT_CLAIM;
+            case 'lootClaimed': return MessageType.LOOT_CLAIMED;
+            case 'chat': return MessageType.CHAT;
+            case 'joinOrder': return MessageType.JOIN_ORDER;
             default: return undefined;
         }
     }
@@ -263,6 +284,13 @@ export class BinarySerializer {
             case MessageType.HOST_LEFT: return 'hostLeft';
             case MessageType.PLAYER_DAMAGE: return 'playerDamage';
             case MessageType.SHARE_EXPERIENCE: return 'shareExperience';
+            case MessageType.WORLD_STATE: return 'worldState';
+            case MessageType.WORLD_LOADED: return 'worldLoaded';
+            case MessageType.LOOT_DROP: return 'lootDrop';
+            case MessageType.LOOT_CLAIM: return 'lootClaim';
+            case MessageType.LOOT_CLAIMED: return 'lootClaimed';
+            case MessageType.CHAT: return 'chat';
+            case MessageType.JOIN_ORDER: return 'joinOrder';
             default: return 'unknown';
         }
     }
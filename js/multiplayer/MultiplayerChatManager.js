@@ -0,0 +1,169 @@
+/**
+ * MultiplayerChatManager.js
+ * Text chat and quick emotes for co-op sessions
+ */
+
+import { CHAT_SETTINGS, QUICK_EMOTES } from '../config/multiplayer.js';
+
+/**
+ * Sends chat messages over the existing peer connections
+ * Members send their messages to the host, which relays them to the other members.
+ * Both the sender and the host rate limit messages, so a modified client can't flood the session.
+ */
+export class MultiplayerChatManager {
+    /**
+     * Create a new chat manager
+     * @param {MultiplayerManager} multiplayerManager - Reference to the main multiplayer manager
+     */
+    constructor(multiplayerManager) {
+        this.multiplayerManager = multiplayerManager;
+        this.recentMessages = new Map(); // Send times of recent messages by player ID
+    }
+    
+    /**
+     * Send a text message
+     * @param {string} text - The message
+     * @returns {boolean} True if the message was sent
+     */
+    sendMessage(text) {
+        const content = this.sanitize({ text });
+        return content ? this.send(content) : false;
+    }
+    
+    /**
+     * Send a quick emote
+     * @param {string} emoteId - ID from QUICK_EMOTES
+     * @returns {boolean} True if the emote was sent
+     */
+    sendEmote(emoteId) {
+        const content = this.sanitize({ emote: emoteId });
+        return content ? this.send(content) : false;
+    }
+    
+    /**
+     * Show a message locally and send it to the other players
+     * @param {{text?: string, emote?: string}} content - Sanitized message content
+     * @returns {boolean} True if the message was sent
+     */
+    send(content) {
+        if (!this.multiplayerManager.isActive()) return false;
+        
+        const connection = this.multiplayerManager.connection;
+        const localId = connection.peer.id;
+        
+        if (this.isRateLimited(localId)) {
+            this.multiplayerManager.game.hudManager.addChatMessage(null, null, 'You are sending messages too fast.');
+            return false;
+        }
+        
+        this.displayMessage(localId, content);
+        
+        if (connection.isHost) {
+            connection.broadcast({ type: 'chat', playerId: localId, ...content });
+        } else {
+            connection.sendToPeer(connection.hostId, { type: 'chat', ...content });
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Show a member's message and relay it to the other members (host only)
+     * @param {string} peerId - The sending member
+     * @param {Object} data - The chat message
+     */
+    handleMemberMessage(peerId, data) {
+        const content = this.sanitize(data);
+        if (!content) return;
+        
+        // Messages over the limit are dropped for everyone
+        if (this.isRateLimited(peerId)) {
+            console.debug(`[MultiplayerChatManager] Dropped chat message from ${peerId}: rate limited`);
+            return;
+        }
+        
+        this.displayMessage(peerId, content);
+        
+        const connection = this.multiplayerManager.connection;
+        connection.peers.forEach((conn, id) => {
+            if (id !== peerId) {
+                connection.sendToPeer(id, { type: 'chat', playerId: peerId, ...content });
+            }
+        });
+    }
+    
+    /**
+     * Show a message relayed by the host (member only)
+     * @param {Object} data - The chat message
+     */
+    handleHostMessage(data) {
+        const content = this.sanitize(data);
+        if (content) {
+            this.displayMessage(data.playerId || this.multiplayerManager.connection.hostId, content);
+        }
+    }
+    
+    /**
+     * Add a message to the chat log and show it above the sender
+     * @param {string} playerId - The sender
+     * @param {{text?: string, emote?: string}} content - Sanitized message content
+     */
+    displayMessage(playerId, content) {
+        const emote = content.emote && QUICK_EMOTES.find(e => e.id === content.emote);
+        const text = emote ? `${emote.icon} ${emote.text}` : content.text;
+        const isLocal = playerId === this.multiplayerManager.connection.peer.id;
+        
+        const name = isLocal ? 'You' : `Player ${playerId.substring(0, 8)}`;
+        const color = this.multiplayerManager.assignedColors.get(playerId) || null;
+        this.multiplayerManager.game.hudManager.addChatMessage(name, color, text);
+        
+        if (!isLocal) {
+            const remotePlayer = this.multiplayerManager.remotePlayerManager.getPlayer(playerId);
+            if (remotePlayer) {
+                remotePlayer.showSpeechBubble(text, CHAT_SETTINGS.speechBubbleDuration);
+            }
+        }
+    }
+    
+    /**
+     * Keep only a known emote or a trimmed, non-empty text
+     * @param {Object} data - Message data
+     * @returns {{text?: string, emote?: string}|null} The content, or null if there is nothing to send
+     */
+    sanitize(data) {
+        if (data.emote) {
+            return QUICK_EMOTES.some(e => e.id === data.emote) ? { emote: data.emote } : null;
+        }
+        
+        if (typeof data.text !== 'string') return null;
+        
+        const text = data.text.trim().slice(0, CHAT_SETTINGS.maxMessageLength);
+        return text ? { text } : null;
+    }
+    
+    /**
+     * Record a message and check if its sender is over the rate limit
+     * @param {string} playerId - The sender
+     * @returns {boolean} True if the message must not be sent
+     */
+    isRateLimited(playerId) {
+        const now = Date.now();
+        const windowStart = now - CHAT_SETTINGS.rateLimitWindow * 1000;
+        const times = (this.recentMessages.get(playerId) || []).filter(time => time > windowStart);
+        
+        const limited = times.length >= CHAT_SETTINGS.rateLimitCount;
+        if (!limited) {
+            times.push(now);
+        }
+        this.recentMessages.set(playerId, times);
+        
+        return limited;
+    }
+    
+    /**
+     * Forget rate limits when the session ends
+     */
+    reset() {
+        this.recentMessages.clear();
+    }
+}
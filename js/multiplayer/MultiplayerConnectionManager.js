@@ -4,6 +4,9 @@
  */
 
 import { DEFAULT_CHARACTER_MODEL } from '../config/player-models.js';
+import { MULTIPLAYER_SETTINGS, SIGNALING_DEFAULTS } from '../config/multiplayer.js';
+import { STORAGE_KEYS } from '../config/storage-keys.js';
+import storageService from '../save-manager/StorageService.js';
 import { BinarySerializer } from './BinarySerializer.js';
 
 export class MultiplayerConnectionManager {
@@ -21,6 +24,11 @@ export class MultiplayerConnectionManager {
         this.roomId = null; // Room ID (if host)
         this.serializer = new BinarySerializer(); // Binary serializer for efficient data transfer
         this.useBinaryFormat = false; // Flag to indicate if binary format is enabled
+        this.loadedPeers = new Set(); // Members that have loaded the host's world (host only)
+        this.joinOrder = []; // Player IDs in join order, host first; decides host migration
+        this.pendingConnections = new Set(); // Connections from members that elected this client before it took over (member only)
+        this.sessionStarted = false; // True once the host started the game
+        this.signalingOptions = null; // Signaling server of the current session, or null for the PeerJS cloud
     }
 
     /**
@@ -45,6 +53,48 @@ export class MultiplayerConnectionManager {
         }
     }
 
+    /**
+     * Get the PeerJS options for the signaling server
+     * A join link from a self-hosted server carries its signaling address; otherwise it comes from the settings.
+     * @param {URLSearchParams} [urlParams] - Parameters of the join link (defaults to the page URL)
+     * @returns {Object|null} Host, port and path of the signaling server, or null to use the PeerJS cloud
+     */
+    getSignalingOptions(urlParams = new URLSearchParams(window.location.search)) {
+        let host, port, path;
+        if (urlParams.get('signaling-host')) {
+            host = urlParams.get('signaling-host');
+            port = urlParams.get('signaling-port');
+            path = urlParams.get('signaling-path');
+        } else {
+            host = storageService.loadDataSync(STORAGE_KEYS.SIGNALING_HOST);
+            port = storageService.loadDataSync(STORAGE_KEYS.SIGNALING_PORT);
+            path = storageService.loadDataSync(STORAGE_KEYS.SIGNALING_PATH);
+        }
+        
+        if (!host) return null;
+        
+        return {
+            host,
+            port: parseInt(port, 10) || SIGNALING_DEFAULTS.port,
+            path: path || SIGNALING_DEFAULTS.path,
+            secure: window.location.protocol === 'https:'
+        };
+    }
+    
+    /**
+     * Create a PeerJS instance on the session's signaling server
+     * @returns {Peer} The PeerJS instance
+     */
+    createPeer() {
+        const options = this.signalingOptions;
+        if (!options) {
+            return new Peer();
+        }
+        
+        console.debug(`[MultiplayerConnectionManager] Using signaling server ${options.host}:${options.port}${options.path}`);
+        return new Peer(options);
+    }
+
     /**
      * Host a new game
      * Creates a PeerJS instance and waits for connections
@@ -54,7 +104,8 @@ export class MultiplayerConnectionManager {
             this.multiplayerManager.ui.updateConnectionStatus('Initializing host...');
             
             // Initialize PeerJS
-            this.peer = new Peer();
+            this.signalingOptions = this.getSignalingOptions();
+            this.peer = this.createPeer();
             
             // Wait for peer to open
             await new Promise((resolve, reject) => {
@@ -68,6 +119,7 @@ export class MultiplayerConnectionManager {
             // Set host flag
             this.isHost = true;
             this.isConnected = true;
+            this.joinOrder = [this.roomId];
             
             // Update multiplayer button to show "Disconnect"
             this.multiplayerManager.ui.updateMultiplayerButton(true);
@@ -80,11 +132,7 @@ export class MultiplayerConnectionManager {
             this.multiplayerManager.ui.updateHostEntry(this.roomId, hostColor);
             
             // Set up connection handler
-            this.peer.on('connection', conn => {
-                this.handleNewConnection(conn);
-                // Show connection info screen when a player joins
-                this.multiplayerManager.ui.showConnectionInfoScreen();
-            });
+            this.peer.on('connection', conn => this.handleIncomingConnection(conn));
             
             // Show connection info screen immediately
             this.multiplayerManager.ui.showConnectionInfoScreen();
@@ -106,13 +154,15 @@ export class MultiplayerConnectionManager {
     /**
      * Join an existing game
      * @param {string} roomId - The room ID to join
+     * @param {Object|null} [signalingOptions] - Signaling server from a scanned join link
      */
-    async joinGame(roomId) {
+    async joinGame(roomId, signalingOptions = null) {
         try {
             this.multiplayerManager.ui.updateConnectionStatus('Connecting to host...');
             
             // Initialize PeerJS
-            this.peer = new Peer();
+            this.signalingOptions = signalingOptions || this.getSignalingOptions();
+            this.peer = this.createPeer();
             
             // Wait for peer to open
             await new Promise((resolve, reject) => {
@@ -120,6 +170,9 @@ export class MultiplayerConnectionManager {
                 this.peer.on('error', err => reject(err));
             });
             
+            // Other members connect to this client if it is elected host
+            this.peer.on('connection', conn => this.handleIncomingConnection(conn));
+            
             // Connect to host
             this.hostId = roomId;
             const conn = this.peer.connect(roomId, {
@@ -128,11 +181,8 @@ export class MultiplayerConnectionManager {
             
             // Set up connection
             conn.on('open', () => {
-                // Add to peers map
-                this.peers.set(roomId, conn);
-                
-                // Set connected flag
-                this.isConnected = true;
+                // Add to peers map and set up data and close handlers
+                this.attachHostConnection(conn);
                 
                 // Update multiplayer button to show "Disconnect"
                 this.multiplayerManager.ui.updateMultiplayerButton(true);
@@ -144,12 +194,6 @@ export class MultiplayerConnectionManager {
                 this.multiplayerManager.ui.showConnectionInfoScreen();
                 
                 // The connect button is already disabled in the UI handler
-                
-                // Set up data handler
-                conn.on('data', data => this.handleDataFromHost(this.processReceivedData(data)));
-                
-                // Set up close handler
-                conn.on('close', () => this.handleDisconnect(roomId));
             });
             
             conn.on('error', err => {
@@ -165,13 +209,58 @@ export class MultiplayerConnectionManager {
         }
     }
 
+    /**
+     * Handle an incoming connection once it is open
+     * Before this client is host, connections from members that elected it wait until it takes over.
+     * @param {DataConnection} conn - The PeerJS connection
+     */
+    handleIncomingConnection(conn) {
+        // Nothing can be sent over the connection before it opens
+        if (!conn.open) {
+            conn.on('open', () => this.handleIncomingConnection(conn));
+            return;
+        }
+        
+        if (!this.isHost) {
+            this.pendingConnections.add(conn);
+            conn.on('close', () => this.pendingConnections.delete(conn));
+            return;
+        }
+        
+        this.handleNewConnection(conn);
+        
+        // Show connection info screen when a player joins the lobby
+        if (!this.sessionStarted) {
+            this.multiplayerManager.ui.showConnectionInfoScreen();
+        }
+    }
+
     /**
      * Handle new connection from a member (host only)
      * @param {DataConnection} conn - The PeerJS connection
      */
     handleNewConnection(conn) {
-        // Add to peers map
+        // A member that reconnects under a new ID keeps its color
+        const previousId = conn.metadata && conn.metadata.previousId;
+        if (previousId && previousId !== conn.peer && this.multiplayerManager.assignedColors.has(previousId)) {
+            if (this.peers.has(previousId)) {
+                const previousConn = this.peers.get(previousId);
+                this.handleDisconnect(previousId);
+                previousConn.close();
+            }
+            this.multiplayerManager.assignedColors.set(conn.peer, this.multiplayerManager.assignedColors.get(previousId));
+            this.multiplayerManager.assignedColors.delete(previousId);
+        }
+        
+        // Add to peers map; a returning member goes to the end of the join order
+        const staleConn = this.peers.get(conn.peer);
         this.peers.set(conn.peer, conn);
+        if (staleConn && staleConn !== conn) {
+            staleConn.close();
+        }
+        if (!this.joinOrder.includes(conn.peer)) {
+            this.joinOrder.push(conn.peer);
+        }
         
         // Assign a color to the player if not already assigned
         if (!this.multiplayerManager.assignedColors.has(conn.peer)) {
@@ -189,14 +278,18 @@ export class MultiplayerConnectionManager {
         // Update UI
         this.multiplayerManager.ui.addPlayerToList(conn.peer, playerColor);
         
-        // Enable start button if at least one player connected
-        this.multiplayerManager.ui.setStartButtonEnabled(true);
+        // The new player can't start until it has loaded the host's world
+        this.updateStartButton();
         
         // Set up data handler
         conn.on('data', data => this.handleDataFromMember(conn.peer, this.processReceivedData(data)));
         
-        // Set up close handler
-        conn.on('close', () => this.handleDisconnect(conn.peer));
+        // Set up close handler; a connection replaced by a reconnect no longer counts
+        conn.on('close', () => {
+            if (this.peers.get(conn.peer) === conn) {
+                this.handleDisconnect(conn.peer);
+            }
+        });
         
         // Send welcome message
         conn.send({
@@ -215,6 +308,17 @@ export class MultiplayerConnectionManager {
             colors: colors
         });
         
+        // Send the host's world so the member loads the same map before the game starts
+        this.sendToPeer(conn.peer, this.multiplayerManager.getWorldState());
+        
+        // A member returning to a running session goes straight back into the game
+        if (previousId && this.sessionStarted) {
+            this.sendToPeer(conn.peer, {
+                type: 'startGame',
+                lootMode: this.multiplayerManager.loot.mode
+            });
+        }
+        
         // Notify other peers about the new player and their color
         this.peers.forEach((peerConn, peerId) => {
             if (peerId !== conn.peer) {
@@ -228,6 +332,19 @@ export class MultiplayerConnectionManager {
         
         // Create remote player with the assigned color
         this.multiplayerManager.remotePlayerManager.createRemotePlayer(conn.peer, playerColor);
+        
+        this.broadcastJoinOrder();
+    }
+    
+    /**
+     * Send the join order to every member (host only)
+     * Members need it to elect the same new host if this host leaves
+     */
+    broadcastJoinOrder() {
+        this.broadcast({
+            type: 'joinOrder',
+            players: this.joinOrder
+        });
     }
 
     /**
@@ -245,7 +362,21 @@ export class MultiplayerConnectionManager {
                 this.multiplayerManager.updateGameState(data);
                 break;
             case 'startGame':
-                this.multiplayerManager.startGame();
+                if (data.lootMode) {
+                    this.multiplayerManager.loot.setMode(data.lootMode);
+                }
+                
+                // After a reconnect or host migration the game is already running
+                if (!this.sessionStarted) {
+                    this.sessionStarted = true;
+                    this.multiplayerManager.startGame();
+                }
+                break;
+            case 'joinOrder':
+                this.joinOrder = data.players || [];
+                break;
+            case 'worldState':
+                this.multiplayerManager.applyWorldState(data);
                 break;
             case 'playerJoined':
                 // Store the player color
@@ -324,8 +455,12 @@ export class MultiplayerConnectionManager {
                 }
                 break;
             case 'hostLeft':
-                // Handle host leaving the game using the unified method
-                this.handleHostDisconnection();
+                // During a game another member takes over; in the lobby the session ends
+                if (this.sessionStarted) {
+                    this.migrateHost();
+                } else {
+                    this.handleHostDisconnection();
+                }
                 break;
             case 'playerDamage':
                 // Handle damage to the local player from an enemy
@@ -334,6 +469,15 @@ export class MultiplayerConnectionManager {
                     this.multiplayerManager.game.player.takeDamage(data.amount);
                 }
                 break;
+            case 'lootDrop':
+                this.multiplayerManager.loot.handleDrop(data);
+                break;
+            case 'lootClaimed':
+                this.multiplayerManager.loot.handleClaimed(data);
+                break;
+            case 'chat':
+                this.multiplayerManager.chat.handleHostMessage(data);
+                break;
             case 'shareExperience':
                 // Handle experience shared from killing an enemy
                 if (data.amount && this.multiplayerManager.game.player) {
@@ -375,7 +519,10 @@ export class MultiplayerConnectionManager {
                         peerId, 
                         data.position, 
                         data.rotation, 
-                        data.animation || 'idle'
+                        data.animation || 'idle',
+                        undefined,
+                        undefined,
+                        data.statusEffects || []
                     );
                     break;
                 case 'skillCast':
@@ -441,6 +588,15 @@ export class MultiplayerConnectionManager {
                         });
                     }
                     break;
+                case 'worldLoaded':
+                    this.handleWorldLoaded(peerId, data);
+                    break;
+                case 'lootClaim':
+                    this.multiplayerManager.loot.handleClaim(peerId, data);
+                    break;
+                case 'chat':
+                    this.multiplayerManager.chat.handleMemberMessage(peerId, data);
+                    break;
                 default:
                     console.error('[MultiplayerConnectionManager] Unknown data type from member:', data.type);
             }
@@ -449,6 +605,66 @@ export class MultiplayerConnectionManager {
         }
     }
 
+    /**
+     * Send the host's world state to every member (host only)
+     * Called when the host loads another map; members must confirm the new world before the game starts
+     */
+    broadcastWorldState() {
+        if (!this.isHost || this.peers.size === 0) return;
+        
+        this.loadedPeers.clear();
+        this.broadcast(this.multiplayerManager.getWorldState());
+        this.updateStartButton();
+    }
+    
+    /**
+     * Handle a member confirming that it loaded the host's world (host only)
+     * @param {string} peerId - The ID of the peer
+     * @param {Object} data - The worldLoaded message
+     */
+    handleWorldLoaded(peerId, data) {
+        if (!data.success) {
+            console.warn(`[MultiplayerConnectionManager] Member ${peerId} failed to load map ${data.mapId}`);
+            if (this.multiplayerManager.game.hudManager) {
+                this.multiplayerManager.game.hudManager.showNotification('A player failed to load the world', 'error');
+            }
+        } else if (data.mapId === this.multiplayerManager.game.world.currentMapId) {
+            // Confirmations for a map the host has since left are ignored
+            this.loadedPeers.add(peerId);
+        }
+        
+        this.updateStartButton();
+    }
+    
+    /**
+     * Check if every connected member has loaded the host's world (host only)
+     * @returns {boolean} True if all members are ready
+     */
+    areAllPeersLoaded() {
+        for (const peerId of this.peers.keys()) {
+            if (!this.loadedPeers.has(peerId)) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Enable the start button once players have joined and loaded the world (host only)
+     */
+    updateStartButton() {
+        const ui = this.multiplayerManager.ui;
+        const allLoaded = this.areAllPeersLoaded();
+        
+        ui.setStartButtonEnabled(this.peers.size > 0 && allLoaded);
+        
+        if (this.peers.size > 0) {
+            ui.updateConnectionStatus(allLoaded ?
+                'All players are ready' :
+                `Loading world... ${this.loadedPeers.size} of ${this.peers.size} players ready`, 'connection-info-status-bar');
+        }
+    }
+
     /**
      * Handle host disconnection (for members)
      * This is a unified method to handle host disconnection, called from both
@@ -493,6 +709,238 @@ export class MultiplayerConnectionManager {
         }
     }
 
+    /**
+     * Use an open connection as the connection to the host (member only)
+     * @param {DataConnection} conn - The PeerJS connection to the host
+     */
+    attachHostConnection(conn) {
+        this.peers.set(conn.peer, conn);
+        this.isConnected = true;
+        
+        conn.on('data', data => this.handleDataFromHost(this.processReceivedData(data)));
+        
+        // A connection that was given up on or replaced no longer counts
+        conn.on('close', () => {
+            if (this.peers.get(conn.peer) === conn) {
+                this.handleDisconnect(conn.peer);
+            }
+        });
+    }
+    
+    /**
+     * Try to get the connection to the host back after it dropped (member only)
+     * If the host can't be reached, another member takes over as host.
+     */
+    async reconnectToHost() {
+        const hostId = this.hostId;
+        this.isConnected = false;
+        
+        console.debug(`[MultiplayerConnectionManager] Lost connection to host ${hostId}, reconnecting`);
+        if (this.multiplayerManager.game.hudManager) {
+            this.multiplayerManager.game.hudManager.showNotification('Connection to the host lost. Reconnecting...', 'warning');
+        }
+        
+        if (await this.connectWithRetries(hostId)) {
+            if (this.multiplayerManager.game.hudManager) {
+                this.multiplayerManager.game.hudManager.showNotification('Reconnected to the host', 'info');
+            }
+            return;
+        }
+        
+        // Left the session while reconnecting
+        if (this.hostId !== hostId) return;
+        
+        this.migrateHost();
+    }
+    
+    /**
+     * Connect to a host, retrying a few times (member only)
+     * @param {string} hostId - The host to connect to
+     * @returns {Promise<boolean>} True once connected; false if the host can't be reached or the session was left
+     */
+    async connectWithRetries(hostId) {
+        for (let attempt = 1; attempt <= MULTIPLAYER_SETTINGS.reconnectAttempts; attempt++) {
+            if (this.hostId !== hostId) return false;
+            
+            console.debug(`[MultiplayerConnectionManager] Connecting to host ${hostId} (attempt ${attempt} of ${MULTIPLAYER_SETTINGS.reconnectAttempts})`);
+            if (await this.connectToHost(hostId)) {
+                return true;
+            }
+            
+            await new Promise(resolve => setTimeout(resolve, MULTIPLAYER_SETTINGS.reconnectDelay * 1000));
+        }
+        return false;
+    }
+    
+    /**
+     * Open a connection to a host in a running session (member only)
+     * The host recognizes the member by the ID it had before, so it keeps its color.
+     * @param {string} hostId - The host to connect to
+     * @returns {Promise<boolean>} True once the host accepted the connection
+     */
+    async connectToHost(hostId) {
+        if (!this.peer) return false;
+        
+        const previousId = this.peer.id;
+        if (!(await this.ensurePeer()) || this.hostId !== hostId) {
+            return false;
+        }
+        
+        return new Promise(resolve => {
+            const conn = this.peer.connect(hostId, {
+                reliable: true,
+                metadata: { previousId }
+            });
+            
+            const fail = () => {
+                clearTimeout(timeout);
+                conn.close();
+                resolve(false);
+            };
+            const timeout = setTimeout(fail, MULTIPLAYER_SETTINGS.connectTimeout * 1000);
+            conn.on('error', fail);
+            
+            // The host accepted the connection once its welcome message arrives
+            conn.once('data', () => {
+                if (this.hostId !== hostId) {
+                    fail();
+                    return;
+                }
+                
+                clearTimeout(timeout);
+                this.attachHostConnection(conn);
+                resolve(true);
+            });
+        });
+    }
+    
+    /**
+     * Make sure the PeerJS instance is connected to the signaling server
+     * Reconnects it if it lost the server, or creates a new one (with a new ID) if it was destroyed
+     * @returns {Promise<boolean>} True if the peer is ready
+     */
+    async ensurePeer() {
+        if (!this.peer.destroyed && !this.peer.disconnected) {
+            return true;
+        }
+        
+        try {
+            if (this.peer.destroyed) {
+                this.peer = this.createPeer();
+                this.peer.on('connection', conn => this.handleIncomingConnection(conn));
+            } else {
+                this.peer.reconnect();
+            }
+            
+            await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => reject(new Error('Timed out')), MULTIPLAYER_SETTINGS.connectTimeout * 1000);
+                this.peer.once('open', () => {
+                    clearTimeout(timeout);
+                    resolve();
+                });
+            });
+            return true;
+        } catch (error) {
+            console.warn('[MultiplayerConnectionManager] Could not reach the signaling server:', error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * Replace a host that left or can't be reached (member only)
+     */
+    migrateHost() {
+        const oldHostId = this.hostId;
+        console.debug(`[MultiplayerConnectionManager] Host ${oldHostId} is gone, electing a new host`);
+        
+        const oldConn = this.peers.get(oldHostId);
+        this.peers.delete(oldHostId);
+        if (oldConn) {
+            oldConn.close();
+        }
+        
+        this.isConnected = false;
+        this.removeFromSession(oldHostId);
+        this.electHost();
+    }
+    
+    /**
+     * Elect the first remaining player in join order as host and connect to it (member only)
+     * Every member runs the same election on the same join order, so they all pick the same player.
+     * If the elected player can't be reached either, the next one in join order is elected.
+     */
+    async electHost() {
+        const candidateId = this.joinOrder[0];
+        if (!candidateId || candidateId === this.peer.id) {
+            this.promoteToHost();
+            return;
+        }
+        
+        this.hostId = candidateId;
+        if (await this.connectWithRetries(candidateId)) {
+            console.debug(`[MultiplayerConnectionManager] Player ${candidateId} is the new host`);
+            if (this.multiplayerManager.game.hudManager) {
+                this.multiplayerManager.game.hudManager.showNotification(`The host left. Player ${candidateId.substring(0, 8)} is the new host`, 'info');
+            }
+            return;
+        }
+        
+        // Left the session while connecting
+        if (this.hostId !== candidateId) return;
+        
+        this.removeFromSession(candidateId);
+        this.electHost();
+    }
+    
+    /**
+     * Take over as host of the running session (member only)
+     * Enemies continue from the state last synced from the previous host.
+     */
+    promoteToHost() {
+        console.debug('[MultiplayerConnectionManager] Taking over as host');
+        
+        this.isHost = true;
+        this.isConnected = true;
+        this.hostId = null;
+        this.roomId = this.peer.id;
+        this.joinOrder = [this.peer.id];
+        
+        this.multiplayerManager.loot.reset();
+        if (this.multiplayerManager.game.enemyManager) {
+            this.multiplayerManager.game.enemyManager.takeOverAsHost();
+        }
+        
+        if (this.multiplayerManager.game.hudManager) {
+            this.multiplayerManager.game.hudManager.showNotification('The host left. You are now the host', 'info');
+        }
+        
+        // Members that already elected this client are waiting for it
+        this.pendingConnections.forEach(conn => this.handleNewConnection(conn));
+        this.pendingConnections.clear();
+        
+        // Members that don't come back within the time they have to reconnect are gone
+        const reconnectWindow = MULTIPLAYER_SETTINGS.reconnectAttempts * (MULTIPLAYER_SETTINGS.connectTimeout + MULTIPLAYER_SETTINGS.reconnectDelay);
+        setTimeout(() => {
+            if (!this.isHost) return;
+            
+            this.multiplayerManager.remotePlayerManager.getPlayers().forEach((player, peerId) => {
+                if (!this.peers.has(peerId)) {
+                    this.multiplayerManager.remotePlayerManager.removePlayer(peerId);
+                }
+            });
+        }, reconnectWindow * 1000);
+    }
+    
+    /**
+     * Forget a player that left the session during host migration (member only)
+     * @param {string} playerId - The player's ID
+     */
+    removeFromSession(playerId) {
+        this.joinOrder = this.joinOrder.filter(id => id !== playerId);
+        this.multiplayerManager.remotePlayerManager.removePlayer(playerId);
+        this.multiplayerManager.assignedColors.delete(playerId);
+    }
+
     /**
      * Handle disconnection of a peer
      * @param {string} peerId - The ID of the peer that disconnected
@@ -500,6 +948,7 @@ export class MultiplayerConnectionManager {
     handleDisconnect(peerId) {
         // Remove from peers map
         this.peers.delete(peerId);
+        this.loadedPeers.delete(peerId);
         
         if (this.isHost) {
             // Remove player from list
@@ -517,12 +966,15 @@ export class MultiplayerConnectionManager {
             this.multiplayerManager.remotePlayerManager.removePlayer(peerId);
             
             // Disable start button if no players connected
-            if (this.peers.size === 0) {
-                this.multiplayerManager.ui.setStartButtonEnabled(false);
-            }
-        } else {
-            // If host disconnected, handle it with the unified method
-            if (peerId === this.hostId) {
+            this.updateStartButton();
+            
+            this.joinOrder = this.joinOrder.filter(id => id !== peerId);
+            this.broadcastJoinOrder();
+        } else if (peerId === this.hostId) {
+            // During a game, try to get the host back before ending the session
+            if (this.sessionStarted) {
+                this.reconnectToHost();
+            } else {
                 this.handleHostDisconnection();
             }
         }
@@ -755,7 +1207,8 @@ export class MultiplayerConnectionManager {
                 position,
                 rotation,
                 animation,
-                modelId // Include model ID
+                modelId, // Include model ID
+                statusEffects: this.multiplayerManager.game.player.statusEffects.serialize()
             };
             
             // Send to host using binary format if enabled
@@ -849,7 +1302,8 @@ export class MultiplayerConnectionManager {
                 players[this.peer.id] = {
                     position: hostPosition,
                     rotation: hostRotation,
-                    animation: this.multiplayerManager.game.player.currentAnimation || 'idle'
+                    animation: this.multiplayerManager.game.player.currentAnimation || 'idle',
+                    statusEffects: this.multiplayerManager.game.player.statusEffects.serialize()
                 };
             }
         }
@@ -868,7 +1322,8 @@ export class MultiplayerConnectionManager {
                         rotation: player.model ? {
                             y: player.model.rotation.y // Only send y rotation to save bandwidth
                         } : { y: 0 },
-                        animation: player.currentAnimation || 'idle'
+                        animation: player.currentAnimation || 'idle',
+                        statusEffects: player.statusEffects
                     };
                 }
             }
@@ -908,9 +1363,25 @@ export class MultiplayerConnectionManager {
             this.peer = null;
         }
         
+        this.pendingConnections.forEach(conn => conn.close());
+        this.pendingConnections.clear();
+        this.loadedPeers.clear();
+        this.joinOrder = [];
+        this.multiplayerManager.loot.reset();
+        this.multiplayerManager.chat.reset();
+        
+        // Back to the player's own difficulty and world tier
+        if (this.multiplayerManager.game.enemyManager) {
+            this.multiplayerManager.game.enemyManager.clearSessionDifficulty();
+        }
+        if (this.multiplayerManager.game.player) {
+            this.multiplayerManager.game.player.stats.clearSessionWorldTier();
+        }
+        
         // Reset flags
         this.isHost = false;
         this.isConnected = false;
+        this.sessionStarted = false;
         this.hostId = null;
         this.roomId = null;
     }
@@ -0,0 +1,223 @@
+/**
+ * MultiplayerLootManager.js
+ * Host-authoritative loot for co-op sessions
+ */
+
+import * as THREE from 'three';
+import { LOOT_MODES, MULTIPLAYER_SETTINGS } from '../config/multiplayer.js';
+
+/**
+ * Rolls and shares drops through the host
+ * The host rolls every drop and sends it to the players who can see it. Picking a drop up
+ * is a claim the host resolves in the order claims arrive, so only the first player gets it.
+ */
+export class MultiplayerLootManager {
+    /**
+     * Create a new loot manager
+     * @param {MultiplayerManager} multiplayerManager - Reference to the main multiplayer manager
+     */
+    constructor(multiplayerManager) {
+        this.multiplayerManager = multiplayerManager;
+        this.mode = MULTIPLAYER_SETTINGS.defaultLootMode; // Chosen by the host for the session
+        this.drops = new Map(); // Unclaimed drops by drop ID: { ownerId, dropTime } (host only)
+        this.nextDropId = 1;
+    }
+    
+    /**
+     * Check if loot goes through the host
+     * @returns {boolean} True while in a multiplayer session
+     */
+    isActive() {
+        return this.multiplayerManager.isActive();
+    }
+    
+    /**
+     * Check if this client rolls drops for defeated enemies
+     * @returns {boolean} True in single player and for the host
+     */
+    canRollDrops() {
+        return !this.isActive() || this.multiplayerManager.isHost;
+    }
+    
+    /**
+     * Get the players each drop is rolled for
+     * In instanced mode every player gets their own roll; otherwise one roll is shared
+     * @returns {Array<string|null>} Owner IDs, or [null] for a shared roll
+     */
+    getDropOwners() {
+        if (!this.isActive() || this.mode !== LOOT_MODES.INSTANCED) {
+            return [null];
+        }
+        
+        const connection = this.multiplayerManager.connection;
+        return [connection.peer.id, ...connection.peers.keys()];
+    }
+    
+    /**
+     * Check if a drop is shown to the local player
+     * @param {string|null} ownerId - Owner of the drop, or null for a shared drop
+     * @returns {boolean} True if the local player can see and pick up the drop
+     */
+    isLocalOwner(ownerId) {
+        return !ownerId || ownerId === this.multiplayerManager.connection.peer.id;
+    }
+    
+    /**
+     * Register a drop and send it to the players who can see it (host only)
+     * @param {Object} item - The dropped item
+     * @param {THREE.Vector3} position - Where the item lies
+     * @param {string|null} ownerId - Owner of an instanced drop, or null for a shared drop
+     * @returns {string} The drop ID
+     */
+    shareDrop(item, position, ownerId) {
+        this.pruneExpiredDrops();
+        
+        // Prefixed with the host's ID so drops from a previous host never collide after host migration
+        const connection = this.multiplayerManager.connection;
+        const dropId = `${connection.peer.id}-drop-${this.nextDropId++}`;
+        this.drops.set(dropId, { ownerId, dropTime: Date.now() });
+        
+        const message = {
+            type: 'lootDrop',
+            dropId,
+            item: { ...item },
+            position: { x: position.x, y: position.y, z: position.z },
+            ownerId
+        };
+        
+        if (!ownerId) {
+            connection.broadcast(message);
+        } else if (!this.isLocalOwner(ownerId)) {
+            connection.sendToPeer(ownerId, message);
+        }
+        
+        return dropId;
+    }
+    
+    /**
+     * Claim a drop the local player walked over
+     * The host resolves its own claims immediately; members wait for the host's answer
+     * @param {string} dropId - The drop ID
+     * @returns {boolean} True if the item can be picked up now
+     */
+    claimDrop(dropId) {
+        const connection = this.multiplayerManager.connection;
+        if (this.multiplayerManager.isHost) {
+            return this.resolveClaim(dropId, connection.peer.id);
+        }
+        
+        connection.sendToPeer(connection.hostId, { type: 'lootClaim', dropId });
+        return false;
+    }
+    
+    /**
+     * Give a drop to the first player claiming it (host only)
+     * @param {string} dropId - The drop ID
+     * @param {string} playerId - The claiming player
+     * @returns {boolean} True if the player won the claim
+     */
+    resolveClaim(dropId, playerId) {
+        const drop = this.drops.get(dropId);
+        if (!drop || this.isExpired(drop) || (drop.ownerId && drop.ownerId !== playerId)) {
+            return false;
+        }
+        
+        this.drops.delete(dropId);
+        
+        // Instanced drops only exist for their owner; shared drops vanish for everyone else
+        const connection = this.multiplayerManager.connection;
+        const message = { type: 'lootClaimed', dropId, playerId };
+        if (!drop.ownerId) {
+            connection.broadcast(message);
+        } else if (playerId !== connection.peer.id) {
+            connection.sendToPeer(playerId, message);
+        }
+        
+        // The host's own copy goes away when a member wins
+        if (playerId !== connection.peer.id) {
+            this.multiplayerManager.game.itemDropManager.removeDrop(dropId);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Handle a member's claim (host only)
+     * @param {string} peerId - The claiming member
+     * @param {Object} data - The lootClaim message
+     */
+    handleClaim(peerId, data) {
+        if (!this.resolveClaim(data.dropId, peerId)) {
+            // Too late; the member removes its copy
+            this.multiplayerManager.connection.sendToPeer(peerId, { type: 'lootClaimed', dropId: data.dropId, playerId: null });
+        }
+    }
+    
+    /**
+     * Show a drop sent by the host (member only)
+     * @param {Object} data - The lootDrop message
+     */
+    handleDrop(data) {
+        if (!data.item || !data.position) {
+            console.error('[MultiplayerLootManager] Received incomplete loot drop from host');
+            return;
+        }
+        
+        const position = new THREE.Vector3(data.position.x, data.position.y, data.position.z);
+        this.multiplayerManager.game.itemDropManager.spawnDrop(data.item, position, data.dropId, true);
+    }
+    
+    /**
+     * Pick up or remove a drop once the host resolved a claim (member only)
+     * @param {Object} data - The lootClaimed message
+     */
+    handleClaimed(data) {
+        const itemDropManager = this.multiplayerManager.game.itemDropManager;
+        if (data.playerId === this.multiplayerManager.connection.peer.id) {
+            itemDropManager.collectItem(data.dropId);
+        } else {
+            itemDropManager.removeDrop(data.dropId);
+        }
+    }
+    
+    /**
+     * Check if a drop has disappeared for the players who could see it
+     * @param {{dropTime: number}} drop - The drop record
+     * @returns {boolean} True if the drop can no longer be claimed
+     */
+    isExpired(drop) {
+        const lifetime = this.multiplayerManager.game.itemDropManager.getAutoRemoveDelay() + MULTIPLAYER_SETTINGS.lootClaimGrace;
+        return (Date.now() - drop.dropTime) / 1000 > lifetime;
+    }
+    
+    /**
+     * Forget drops that can no longer be claimed (host only)
+     */
+    pruneExpiredDrops() {
+        for (const [dropId, drop] of this.drops) {
+            if (this.isExpired(drop)) {
+                this.drops.delete(dropId);
+            }
+        }
+    }
+    
+    /**
+     * Set the session's loot mode
+     * @param {string} mode - One of LOOT_MODES
+     */
+    setMode(mode) {
+        if (!Object.values(LOOT_MODES).includes(mode)) {
+            console.warn(`[MultiplayerLootManager] Unknown loot mode: ${mode}`);
+            return;
+        }
+        this.mode = mode;
+    }
+    
+    /**
+     * Forget all drops when the session ends
+     */
+    reset() {
+        this.drops.clear();
+        this.nextDropId = 1;
+    }
+}
@@ -1,6 +1,8 @@
 import { RemotePlayerManager } from './RemotePlayerManager.js';
 import { MultiplayerUIManager } from './MultiplayerUIManager.js';
 import { MultiplayerConnectionManager } from './MultiplayerConnectionManager.js';
+import { MultiplayerLootManager } from './MultiplayerLootManager.js';
+import { MultiplayerChatManager } from './MultiplayerChatManager.js';
 import { BinarySerializer } from './BinarySerializer.js';
 
 /**
@@ -18,6 +20,7 @@ export class MultiplayerManager {
         this._lastBroadcast = 0; // Timestamp of last state broadcast
         this._lastUpdateLog = 0; // Timestamp of last update log
         this._lastGameStateLog = 0; // Timestamp of last game state log
+        this.pendingWorldState = null; // World state from the host that is still loading (member only)
         
         // Player colors for multiplayer
         this.playerColors = [
@@ -35,6 +38,8 @@ export class MultiplayerManager {
         // Create UI and connection managers
         this.ui = new MultiplayerUIManager(this);
         this.connection = new MultiplayerConnectionManager(this);
+        this.loot = new MultiplayerLootManager(this);
+        this.chat = new MultiplayerChatManager(this);
     }
 
     /**
@@ -52,6 +57,13 @@ export class MultiplayerManager {
             // Initialize connection manager
             await this.connection.init();
             
+            // Members follow the host into whatever world it loads
+            this.game.events.addEventListener('worldChanged', () => {
+                if (this.connection.isHost) {
+                    this.connection.broadcastWorldState();
+                }
+            });
+            
             console.debug('Multiplayer manager initialized');
             return true;
         } catch (error) {
@@ -71,9 +83,10 @@ export class MultiplayerManager {
     /**
      * Join an existing game
      * @param {string} roomId - The room ID to join
+     * @param {Object|null} [signalingOptions] - Signaling server from a scanned join link
      */
-    async joinGame(roomId) {
-        return this.connection.joinGame(roomId);
+    async joinGame(roomId, signalingOptions = null) {
+        return this.connection.joinGame(roomId, signalingOptions);
     }
 
     /**
@@ -132,7 +145,10 @@ export class MultiplayerManager {
                             playerId,
                             position,
                             rotation,
-                            playerData.animation
+                            playerData.animation,
+                            undefined,
+                            undefined,
+                            playerData.statusEffects || []
                         );
                     }
                 }
@@ -150,6 +166,111 @@ export class MultiplayerManager {
         }
     }
 
+    /**
+     * Get the host's world state for the join handshake (host only)
+     * @returns {Object} - Map, difficulty, world tier, opened chests and active boss
+     */
+    getWorldState() {
+        const world = this.game.world;
+        
+        // Only one boss is tracked; members receive any others through the game state
+        let activeBoss = null;
+        if (this.game.enemyManager) {
+            for (const [id, enemy] of this.game.enemyManager.enemies) {
+                if (enemy.isBoss && !enemy.isDead()) {
+                    const position = enemy.getPosition();
+                    activeBoss = {
+                        id,
+                        type: enemy.type,
+                        health: enemy.health,
+                        maxHealth: enemy.maxHealth,
+                        position: { x: position.x, y: position.y, z: position.z }
+                    };
+                    break;
+                }
+            }
+        }
+        
+        return {
+            type: 'worldState',
+            mapId: world.currentMapId,
+            filename: world.currentMapFilename,
+            seed: world.mapLoader.getMapSeed(),
+            difficulty: this.game.enemyManager.getDifficulty(),
+            worldTier: this.game.player.stats.getWorldTier(),
+            openedChests: world.interactiveManager.getOpenedChestIds(),
+            activeBoss
+        };
+    }
+    
+    /**
+     * Load the host's world and report back once it is ready (member only)
+     * @param {Object} data - World state from the host
+     * @returns {Promise<boolean>} - True if the world was loaded
+     */
+    async applyWorldState(data) {
+        const world = this.game.world;
+        this.pendingWorldState = data;
+        
+        console.debug(`[MultiplayerManager] Loading host world: ${data.mapId}`);
+        this.ui.updateConnectionStatus('Loading the host\'s world...', 'connection-info-status-bar');
+        
+        // Load the host's map unless it is already loaded
+        let success = true;
+        if (world.currentMapId !== data.mapId) {
+            success = data.mapId === 'default-map' ?
+                await world.loadDefaultMap() :
+                await world.loadMap(data.filename);
+        }
+        
+        // A newer world state arrived while loading; that one reports instead
+        if (this.pendingWorldState !== data) {
+            return false;
+        }
+        this.pendingWorldState = null;
+        
+        if (!success) {
+            this.ui.updateConnectionStatus('Failed to load the host\'s world', 'connection-info-status-bar');
+            this.connection.sendToPeer(this.connection.hostId, { type: 'worldLoaded', mapId: data.mapId, success: false });
+            return false;
+        }
+        
+        const seed = world.mapLoader.getMapSeed();
+        if (seed !== data.seed) {
+            console.warn(`[MultiplayerManager] Map seed ${seed} differs from the host's seed ${data.seed}`);
+        }
+        
+        // Difficulty and world tier follow the host for this session only, leaving the saved settings untouched
+        if (data.difficulty) {
+            if (this.game.enemyManager.setSessionDifficulty(data.difficulty)) {
+                console.debug(`[MultiplayerManager] Using the host's difficulty ${data.difficulty} for this session`);
+            } else {
+                console.warn(`[MultiplayerManager] Could not use the host's difficulty ${data.difficulty}`);
+            }
+        }
+        
+        // The host's tier applies even if this player has not unlocked it, and is not saved
+        if (data.worldTier !== undefined) {
+            if (this.game.player.stats.setSessionWorldTier(data.worldTier)) {
+                console.debug(`[MultiplayerManager] Using the host's world tier ${data.worldTier} for this session`);
+            } else {
+                console.warn(`[MultiplayerManager] Could not use the host's world tier ${data.worldTier}`);
+            }
+        }
+        
+        (data.openedChests || []).forEach(chestId => world.interactiveManager.openChest(chestId));
+        
+        // Create the boss with its real max health; game state updates only carry it at full health
+        const boss = data.activeBoss;
+        if (boss && !this.game.enemyManager.getEnemyById(boss.id)) {
+            this.game.enemyManager.createEnemyFromData({ ...boss, isBoss: true });
+        }
+        
+        this.ui.updateConnectionStatus('Connected to host! Waiting for game to start...', 'connection-info-status-bar');
+        this.connection.sendToPeer(this.connection.hostId, { type: 'worldLoaded', mapId: data.mapId, success: true });
+        return true;
+    }
+
     /**
      * Check if multiplayer is active
      * @returns {boolean} True if multiplayer is active
@@ -174,9 +295,25 @@ export class MultiplayerManager {
     startMultiplayerGame() {
         if (!this.connection.isHost) return;
         
+        // Every member must be in the host's world before the game starts
+        if (!this.connection.areAllPeersLoaded()) {
+            this.ui.updateConnectionStatus('Waiting for all players to load the world...', 'connection-info-status-bar');
+            return;
+        }
+        
+        // The loot mode is fixed for the session once the game starts
+        this.loot.setMode(this.ui.getSelectedLootMode());
+        this.connection.sessionStarted = true;
+        
+        // The host controls all enemies
+        if (this.game.enemyManager) {
+            this.game.enemyManager.setMultiplayerMode(true, true);
+        }
+        
         // Notify all peers that game is starting
         this.connection.broadcast({
-            type: 'startGame'
+            type: 'startGame',
+            lootMode: this.loot.mode
         });
         
         // Close multiplayer modal
@@ -251,6 +388,11 @@ export class MultiplayerManager {
         if (!this.connection.isHost) {
             console.debug('[MultiplayerManager] Member starting game - calling game.start()');
             
+            // Enemies follow the host's game state; the member no longer spawns its own
+            if (this.game.enemyManager) {
+                this.game.enemyManager.setMultiplayerMode(true, false);
+            }
+            
             // Show all HUD elements
             if (this.game.hudManager) {
                 console.debug('[MultiplayerManager] Showing all HUD elements');
@@ -365,6 +507,11 @@ export class MultiplayerManager {
             this.connection.dispose();
         }
         
+        // Enemies are local again
+        if (this.game.enemyManager) {
+            this.game.enemyManager.setMultiplayerMode(false, false);
+        }
+        
         // Clean up remote players
         if (this.remotePlayerManager) {
             this.remotePlayerManager.removeAllPlayers();
@@ -379,6 +379,13 @@ export class MultiplayerUIManager {
             }
         }
         
+        // Only the host picks the loot mode
+        const lootModeRow = document.getElementById('loot-mode-row');
+        if (lootModeRow) {
+            const isHost = this.multiplayerManager.connection && this.multiplayerManager.connection.isHost;
+            lootModeRow.style.display = isHost ? 'flex' : 'none';
+        }
+        
         // Update player list
         this.updateConnectionInfoPlayerList();
         
@@ -817,6 +824,7 @@ export class MultiplayerUIManager {
                     
                     // Check if the decoded text is a URL with our parameters
                     let connectId = decodedText;
+                    let signalingOptions = null;
                     
                     try {
                         // Try to parse as URL - more flexible URL detection
@@ -832,6 +840,11 @@ export class MultiplayerUIManager {
                                 connectId = params.get('connect-id');
                                 console.debug('Extracted connection ID from URL:', connectId);
                             }
+                            
+                            // A host on a self-hosted signaling server includes its address
+                            if (params.get('signaling-host')) {
+                                signalingOptions = this.multiplayerManager.connection.getSignalingOptions(params);
+                            }
                         }
                     } catch (e) {
                         console.debug('Not a valid URL or parsing failed:', e);
@@ -845,7 +858,7 @@ export class MultiplayerUIManager {
                     }
                     
                     // Auto-connect with the scanned connection ID
-                    this.multiplayerManager.joinGame(connectId);
+                    this.multiplayerManager.joinGame(connectId, signalingOptions);
                 },
                 (errorMessage) => {
                     // Handle scan errors silently
@@ -912,18 +925,50 @@ export class MultiplayerUIManager {
     }
 
     /**
-     * Generate QR code for connection
-     * @param {string} data - The data to encode in the QR code
+     * Get the LAN address of the local server (see server.js)
+     * @returns {Promise<Object|null>} The server info, or null if the game isn't served by server.js
      */
+    async getServerInfo() {
+        try {
+            const response = await fetch('server-info.json', { cache: 'no-store' });
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Build a connection URL with the given connection ID
      * @param {string} connectionId - The connection ID to include in the URL
+     * @param {Object|null} [serverInfo] - Info from the local server, to link to its LAN address
      * @returns {string} The full URL for joining the game
      */
-    buildConnectionURL(connectionId) {
-        return `${window.location.href.split('?')[0]}?join=true&connect-id=${connectionId}`;
+    buildConnectionURL(connectionId, serverInfo = null) {
+        let baseUrl = window.location.href.split('?')[0];
+        const params = new URLSearchParams({ join: 'true', 'connect-id': connectionId });
+        
+        // Other devices can't open localhost; send them to this machine's LAN address instead
+        const lanUrl = serverInfo && serverInfo.lanAddress ? new URL(serverInfo.lanAddress) : null;
+        if (lanUrl) {
+            baseUrl = `${lanUrl.origin}${window.location.pathname}`;
+        }
+        
+        // Joining players use the same signaling server as the host
+        const signaling = this.multiplayerManager.connection.signalingOptions;
+        if (signaling) {
+            const isLoopback = ['localhost', '127.0.0.1', '[::1]'].includes(signaling.host);
+            params.set('signaling-host', isLoopback && lanUrl ? lanUrl.hostname : signaling.host);
+            params.set('signaling-port', signaling.port);
+            params.set('signaling-path', signaling.path);
+        }
+        
+        return `${baseUrl}?${params}`;
     }
     
+    /**
+     * Generate QR code for connection
+     * @param {string} data - The data to encode in the QR code
+     */
     async generateQRCode(data) {
         const qrContainer = document.getElementById('connection-info-qr');
         if (!qrContainer) return;
@@ -938,7 +983,7 @@ export class MultiplayerUIManager {
             qrContainer.innerHTML = '';
             
             // Create a complete URL with the connection ID using the helper function
-            const fullUrl = this.buildConnectionURL(data);
+            const fullUrl = this.buildConnectionURL(data, await this.getServerInfo());
             
             // Generate new QR code with the full URL
             new QRCode(qrContainer, {
@@ -1110,6 +1155,15 @@ export class MultiplayerUIManager {
         }
     }
 
+    /**
+     * Get the loot mode chosen in the host controls
+     * @returns {string} One of LOOT_MODES
+     */
+    getSelectedLootMode() {
+        const lootModeSelect = document.getElementById('loot-mode-select');
+        return lootModeSelect ? lootModeSelect.value : this.multiplayerManager.loot.mode;
+    }
+
     /**
      * Display the connection code
      * @param {string} code - The connection code to display
@@ -1155,7 +1209,7 @@ export class MultiplayerUIManager {
     loadQRCodeJS() {
         return new Promise((resolve, reject) => {
             const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/qrcodejs@1.0.0/qrcode.min.js';
+            script.src = 'js/lib/qrcodejs-1.0.0.min.js';
             script.onload = () => resolve();
             script.onerror = () => reject(new Error('Failed to load QRCode.js'));
             document.head.appendChild(script);
@@ -1169,7 +1223,7 @@ export class MultiplayerUIManager {
     loadQRScannerJS() {
         return new Promise((resolve, reject) => {
             const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/html5-qrcode@2.3.8/html5-qrcode.min.js';
+            script.src = 'js/lib/html5-qrcode-2.3.8.min.js';
             script.onload = () => resolve();
             script.onerror = () => reject(new Error('Failed to load HTML5-QRCode'));
             document.head.appendChild(script);
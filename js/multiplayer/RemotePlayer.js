@@ -6,6 +6,7 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DEFAULT_CHARACTER_MODEL, CHARACTER_MODELS } from '../config/player-models.js';
+import { STATUS_EFFECTS } from '../config/status-effects.js';
 
 export class RemotePlayer {
     /**
@@ -29,6 +30,9 @@ export class RemotePlayer {
         this.playerColor = playerColor || '#FFFFFF'; // Default to white if no color provided
         this.colorIndicator = null;
         this.modelId = modelId || DEFAULT_CHARACTER_MODEL; // Use default model if none provided
+        this.statusEffects = []; // Snapshot of the player's status effects ([type, duration, intensity, stacks])
+        this.speechBubble = null;
+        this.speechBubbleTimer = 0; // Seconds until the speech bubble disappears
         
         // Create a group to hold the player model and name tag
         this.group = new THREE.Group();
@@ -223,41 +227,164 @@ export class RemotePlayer {
      * Create a name tag for the remote player
      */
     createNameTag() {
-        // Create a canvas for the name tag
+        // Create texture from the name tag canvas
+        const texture = new THREE.CanvasTexture(this.drawNameTag());
+        
+        // Create sprite material
+        const material = new THREE.SpriteMaterial({ map: texture });
+        
+        // Create sprite
+        this.nameTag = new THREE.Sprite(material);
+        this.nameTag.scale.set(2, 1, 1);
+        this.nameTag.position.y = 3; // Position above player
+        
+        // Add to group
+        this.group.add(this.nameTag);
+    }
+    
+    /**
+     * Draw the name tag: player name in a box with the player's color,
+     * with the icons of the player's status effects above it
+     * @returns {HTMLCanvasElement} The name tag canvas
+     */
+    drawNameTag() {
         const canvas = document.createElement('canvas');
         const context = canvas.getContext('2d');
         canvas.width = 256;
-        canvas.height = 64;
+        canvas.height = 128;
         
-        // Draw background
+        // Draw background in the lower half
+        const top = canvas.height / 2;
         context.fillStyle = 'rgba(0, 0, 0, 0.5)';
-        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillRect(0, top, canvas.width, top);
         
         // Draw border with player color
         context.strokeStyle = this.playerColor;
         context.lineWidth = 3;
-        context.strokeRect(2, 2, canvas.width - 4, canvas.height - 4);
+        context.strokeRect(2, top + 2, canvas.width - 4, top - 4);
         
         // Draw text
         context.fillStyle = '#ffffff';
         context.font = '24px Arial';
         context.textAlign = 'center';
         context.textBaseline = 'middle';
-        context.fillText(`Player ${this.peerId.substring(0, 8)}`, canvas.width / 2, canvas.height / 2);
+        context.fillText(`Player ${this.peerId.substring(0, 8)}`, canvas.width / 2, top + top / 2);
+        
+        // Draw status effect icons in the upper half, centered
+        const icons = this.statusEffects
+            .map(([type]) => STATUS_EFFECTS[type])
+            .filter(Boolean)
+            .slice(0, 6);
+        const iconSize = 40;
+        let x = (canvas.width - icons.length * iconSize) / 2;
+        context.font = '28px Arial';
+        icons.forEach(config => {
+            context.strokeStyle = `#${config.color.toString(16).padStart(6, '0')}`;
+            context.lineWidth = 2;
+            context.strokeRect(x + 2, top - iconSize, iconSize - 4, iconSize - 4);
+            context.fillText(config.icon, x + iconSize / 2, top - iconSize / 2 - 2);
+            x += iconSize;
+        });
         
-        // Create texture from canvas
-        const texture = new THREE.CanvasTexture(canvas);
+        return canvas;
+    }
+    
+    /**
+     * Show a chat message above the player, replacing any previous one
+     * @param {string} text - The message
+     * @param {number} duration - Seconds to show the message
+     */
+    showSpeechBubble(text, duration) {
+        this.hideSpeechBubble();
         
-        // Create sprite material
-        const material = new THREE.SpriteMaterial({ map: texture });
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        canvas.width = 512;
+        canvas.height = 128;
+        
+        // Wrap the text into at most three lines
+        context.font = '28px Arial';
+        const lines = [];
+        let line = '';
+        text.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && context.measureText(candidate).width > canvas.width - 40) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+        if (lines.length > 3) {
+            lines.length = 3;
+            lines[2] += '…';
+        }
         
-        // Create sprite
-        this.nameTag = new THREE.Sprite(material);
-        this.nameTag.scale.set(2, 0.5, 1);
-        this.nameTag.position.y = 3; // Position above player
+        // Draw a rounded box sized to the text, at the bottom of the canvas
+        const boxHeight = lines.length * 34 + 16;
+        const top = canvas.height - boxHeight;
+        context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        context.strokeStyle = this.playerColor;
+        context.lineWidth = 3;
+        context.beginPath();
+        context.roundRect(2, top + 2, canvas.width - 4, boxHeight - 4, 16);
+        context.fill();
+        context.stroke();
         
-        // Add to group
-        this.group.add(this.nameTag);
+        // Draw text
+        context.fillStyle = '#000000';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        lines.forEach((lineText, index) => {
+            context.fillText(lineText, canvas.width / 2, top + 8 + index * 34 + 17);
+        });
+        
+        const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false });
+        this.speechBubble = new THREE.Sprite(material);
+        this.speechBubble.scale.set(4, 1, 1);
+        this.speechBubble.position.y = 4; // Above the name tag
+        this.group.add(this.speechBubble);
+        
+        this.speechBubbleTimer = duration;
+    }
+    
+    /**
+     * Remove the speech bubble
+     */
+    hideSpeechBubble() {
+        if (!this.speechBubble) return;
+        
+        this.group.remove(this.speechBubble);
+        this.speechBubble.material.map.dispose();
+        this.speechBubble.material.dispose();
+        this.speechBubble = null;
+    }
+    
+    /**
+     * Redraw the name tag texture (after a color or status effect change)
+     */
+    redrawNameTag() {
+        if (this.nameTag && this.nameTag.material && this.nameTag.material.map) {
+            this.nameTag.material.map.dispose();
+            this.nameTag.material.map = new THREE.CanvasTexture(this.drawNameTag());
+            this.nameTag.material.needsUpdate = true;
+        }
+    }
+    
+    /**
+     * Show the remote player's status effects above its name
+     * @param {Array<Array>} effects - Snapshot from StatusEffects.serialize()
+     */
+    updateStatusEffects(effects) {
+        const nextEffects = Array.isArray(effects) ? effects : [];
+        
+        // Only redraw when the set of effects changed, not on every duration update
+        const previousTypes = this.statusEffects.map(([type]) => type).join(',');
+        this.statusEffects = nextEffects;
+        if (nextEffects.map(([type]) => type).join(',') !== previousTypes) {
+            this.redrawNameTag();
+        }
     }
     
     /**
@@ -370,35 +497,8 @@ export class RemotePlayer {
             this.createColorIndicator();
         }
         
-        // Update name tag color if it exists
-        if (this.nameTag && this.nameTag.material && this.nameTag.material.map) {
-            // Redraw the name tag with the new color
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            canvas.width = 256;
-            canvas.height = 64;
-            
-            // Draw background
-            context.fillStyle = 'rgba(0, 0, 0, 0.5)';
-            context.fillRect(0, 0, canvas.width, canvas.height);
-            
-            // Draw border with player color
-            context.strokeStyle = this.playerColor;
-            context.lineWidth = 3;
-            context.strokeRect(2, 2, canvas.width - 4, canvas.height - 4);
-            
-            // Draw text
-            context.fillStyle = '#ffffff';
-            context.font = '24px Arial';
-            context.textAlign = 'center';
-            context.textBaseline = 'middle';
-            context.fillText(`Player ${this.peerId.substring(0, 8)}`, canvas.width / 2, canvas.height / 2);
-            
-            // Update texture
-            this.nameTag.material.map.dispose();
-            this.nameTag.material.map = new THREE.CanvasTexture(canvas);
-            this.nameTag.material.needsUpdate = true;
-        }
+        // Redraw the name tag with the new color
+        this.redrawNameTag();
     }
     
     /**
@@ -620,12 +720,22 @@ export class RemotePlayer {
         if (this.nameTag && this.game.camera) {
             this.nameTag.lookAt(this.game.camera.position);
         }
+        
+        // Hide the speech bubble once its time is up
+        if (this.speechBubble) {
+            this.speechBubbleTimer -= deltaTime;
+            if (this.speechBubbleTimer <= 0) {
+                this.hideSpeechBubble();
+            }
+        }
     }
     
     /**
      * Dispose of the remote player
      */
     dispose() {
+        this.hideSpeechBubble();
+        
         // Remove from scene
         this.game.scene.remove(this.group);
         
@@ -24,8 +24,9 @@ export class RemotePlayerManager {
      * @param {string} animation - The current animation of the remote player
      * @param {string} [modelId] - The ID of the model to use for this player
      * @param {string} [playerColor] - The color assigned to the player
+     * @param {Array<Array>} [statusEffects] - Snapshot of the player's status effects
      */
-    updatePlayer(peerId, position, rotation, animation, modelId, playerColor) {
+    updatePlayer(peerId, position, rotation, animation, modelId, playerColor, statusEffects) {
         // Check if player exists
         if (!this.remotePlayers.has(peerId)) {
             // Create new remote player with model ID and color
@@ -60,6 +61,11 @@ export class RemotePlayerManager {
         if (playerColor && remotePlayer.playerColor !== playerColor) {
             remotePlayer.setPlayerColor(playerColor);
         }
+        
+        // Update status effect icons if provided
+        if (statusEffects) {
+            remotePlayer.updateStatusEffects(statusEffects);
+        }
     }
     
     /**
@@ -84,9 +90,18 @@ export class RemotePlayerManager {
      * @param {string} peerId - The ID of the remote player
      * @param {string} [playerColor] - The color assigned to the player
      * @param {string} [modelId] - The ID of the model to use for this player
-     * @returns {RemotePlayer} The created remote player
+     * @returns {RemotePlayer} The created (or already existing) remote player
      */
     createRemotePlayer(peerId, playerColor, modelId) {
+        // A player that reconnects keeps its existing remote player
+        if (this.remotePlayers.has(peerId)) {
+            const existingPlayer = this.remotePlayers.get(peerId);
+            if (playerColor) {
+                existingPlayer.setPlayerColor(playerColor);
+            }
+            return existingPlayer;
+        }
+        
         // Create new remote player with model ID
         const remotePlayer = new RemotePlayer(this.game, peerId, playerColor, modelId);
         
@@ -57,7 +57,8 @@ export class GoogleDriveAdapter extends IStorageAdapter {
             STORAGE_KEYS.CAMERA_ZOOM,
             STORAGE_KEYS.MASTER_VOLUME,
             STORAGE_KEYS.MUSIC_VOLUME,
-            STORAGE_KEYS.SFX_VOLUME
+            STORAGE_KEYS.SFX_VOLUME,
+            STORAGE_KEYS.ACTIVE_SAVE_SLOT
         ];
         
         // Add all skill variant keys
@@ -610,6 +611,53 @@ export class GoogleDriveAdapter extends IStorageAdapter {
         }
     }
     
+    /**
+     * List the keys stored in the save folder that start with a prefix
+     * Used to discover save slots that only exist in the cloud
+     * @param {string} prefix - Key prefix to match
+     * @returns {Promise<Array<string>>} Matching keys
+     */
+    async listKeys(prefix) {
+        if (!this.isSignedIn) {
+            return [];
+        }
+        
+        try {
+            const folderId = await this.ensureSaveFolder();
+            if (!folderId) {
+                return [];
+            }
+            
+            // Drive only does prefix matching for "name contains", filter exactly afterwards
+            const response = await fetch(
+                `https://www.googleapis.com/drive/v3/files?q=name contains '${prefix}' and '${folderId}' in parents and trashed=false&fields=files(id,name)`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.accessToken}`
+                    }
+                }
+            );
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error ${response.status}`);
+            }
+            
+            const data = await response.json();
+            const keys = [];
+            
+            (data.files || []).forEach(file => {
+                if (file.name.startsWith(prefix) && !keys.includes(file.name)) {
+                    keys.push(file.name);
+                }
+            });
+            
+            return keys;
+        } catch (error) {
+            console.error(`Error listing keys with prefix ${prefix} in Google Drive:`, error);
+            return [];
+        }
+    }
+    
     /**
      * Check if data exists for the given key
      * @param {string} key - Storage key
@@ -30,7 +30,9 @@ export class LocalStorageAdapter extends IStorageAdapter {
             STORAGE_KEYS.SELECTED_ENEMY_ANIMATION,
             STORAGE_KEYS.SELECTED_ITEM_TYPE,
             STORAGE_KEYS.SELECTED_ITEM_SUBTYPE,
-            STORAGE_KEYS.SELECTED_ITEM_RARITY
+            STORAGE_KEYS.SELECTED_ITEM_RARITY,
+            STORAGE_KEYS.SIGNALING_HOST,
+            STORAGE_KEYS.SIGNALING_PATH
         ];
         
         this.numberKeys = [
@@ -38,7 +40,9 @@ export class LocalStorageAdapter extends IStorageAdapter {
             STORAGE_KEYS.CAMERA_ZOOM,
             STORAGE_KEYS.MASTER_VOLUME,
             STORAGE_KEYS.MUSIC_VOLUME,
-            STORAGE_KEYS.SFX_VOLUME
+            STORAGE_KEYS.SFX_VOLUME,
+            STORAGE_KEYS.ACTIVE_SAVE_SLOT,
+            STORAGE_KEYS.SIGNALING_PORT
         ];
         
         // Add all skill variant keys
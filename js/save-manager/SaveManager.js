@@ -23,7 +23,10 @@ export class SaveManager extends ISaveSystem {
         // Create progress indicators
         this.saveProgress = new SaveOperationProgress(game, 'save');
         this.loadProgress = new SaveOperationProgress(game, 'load');
-        this.saveKey = STORAGE_KEYS.SAVE_DATA;
+        this.saveKey = null; // Key of the active save slot, set by selectSlot()
+        this.activeSlotId = null;
+        this.maxSaveSlots = 5;
+        this.playTime = 0; // Seconds played on the active slot
         this.chunkSaveKeyPrefix = STORAGE_KEYS.CHUNK_PREFIX;
         this.autoSaveInterval = 60_000; // Auto-save every minute (reduced frequency)
         this.autoSaveTimer = null;
@@ -46,6 +49,15 @@ export class SaveManager extends ISaveSystem {
         // Initialize the storage service
         await storageService.init();
         
+        // Move the old single save into slot 1
+        await this.migrateLegacySave();
+        
+        // Restore the slot that was played last on this device
+        const activeSlotId = this.storage.loadDataSync(STORAGE_KEYS.ACTIVE_SAVE_SLOT);
+        if (activeSlotId && this.storage.hasDataSync(this.getSlotKey(activeSlotId))) {
+            this.selectSlot(activeSlotId);
+        }
+        
         // Start auto-save timer
         this.startAutoSave();
         
@@ -54,6 +66,266 @@ export class SaveManager extends ISaveSystem {
         return true;
     }
     
+    /**
+     * Track play time of the active slot
+     * @param {number} delta - Time since last update in seconds
+     */
+    update(delta) {
+        this.playTime += delta;
+    }
+    
+    /**
+     * Get the storage key of a save slot
+     * @param {number} slotId - Slot number (1-based)
+     * @returns {string} Storage key
+     */
+    getSlotKey(slotId) {
+        return `${STORAGE_KEYS.SAVE_SLOT_PREFIX}${slotId}`;
+    }
+    
+    /**
+     * Get all occupied save slots with their summaries
+     * Reads localStorage only so the character select can render immediately
+     * @returns {Array<Object>} Slots: {id, name, createdAt, hasProgress, summary}
+     */
+    getSaveSlots() {
+        const slots = [];
+        
+        for (let slotId = 1; slotId <= this.maxSaveSlots; slotId++) {
+            const slotData = this.storage.loadDataSync(this.getSlotKey(slotId));
+            if (!slotData || typeof slotData !== 'object') {
+                continue;
+            }
+            
+            const slotInfo = slotData.slot || {};
+            slots.push({
+                id: slotId,
+                name: slotInfo.name || `Hero ${slotId}`,
+                createdAt: slotInfo.createdAt || slotData.timestamp || 0,
+                hasProgress: !!slotData.player,
+                summary: slotData.summary || null
+            });
+        }
+        
+        return slots;
+    }
+    
+    /**
+     * Find the lowest free slot number
+     * @returns {number|null} Free slot number, or null if all slots are used
+     */
+    getFreeSlotId() {
+        for (let slotId = 1; slotId <= this.maxSaveSlots; slotId++) {
+            if (!this.storage.hasDataSync(this.getSlotKey(slotId))) {
+                return slotId;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Create a new empty save slot
+     * @param {string} name - Hero name shown in the character select
+     * @returns {Promise<number|null>} The new slot number, or null if all slots are used
+     */
+    async createSlot(name) {
+        const slotId = this.getFreeSlotId();
+        if (slotId === null) {
+            console.debug('No free save slot available');
+            return null;
+        }
+        
+        const now = Date.now();
+        const success = await this.storage.saveData(this.getSlotKey(slotId), {
+            slot: {
+                name: (name || '').trim() || `Hero ${slotId}`,
+                createdAt: now
+            },
+            summary: null,
+            timestamp: now,
+            version: this.currentVersion
+        });
+        
+        return success ? slotId : null;
+    }
+    
+    /**
+     * Copy a save slot into the lowest free slot
+     * @param {number} sourceSlotId - Slot to copy
+     * @param {string} [name] - Name of the copy (defaults to "<name> (Copy)")
+     * @returns {Promise<number|null>} The new slot number, or null on failure
+     */
+    async copySlot(sourceSlotId, name) {
+        const slotId = this.getFreeSlotId();
+        if (slotId === null) {
+            console.debug('No free save slot available');
+            return null;
+        }
+        
+        // Save pending progress first so the copy is up to date
+        if (sourceSlotId === this.activeSlotId && this.game.hasStarted) {
+            await this.saveGame(true, true);
+        }
+        
+        const sourceData = await this.storage.loadData(this.getSlotKey(sourceSlotId));
+        if (!sourceData) {
+            console.debug(`Save slot ${sourceSlotId} not found, nothing to copy`);
+            return null;
+        }
+        
+        const copyData = JSON.parse(JSON.stringify(sourceData));
+        const sourceName = sourceData.slot && sourceData.slot.name ? sourceData.slot.name : `Hero ${sourceSlotId}`;
+        copyData.slot = {
+            name: (name || '').trim() || `${sourceName} (Copy)`,
+            createdAt: Date.now()
+        };
+        
+        const success = await this.storage.saveData(this.getSlotKey(slotId), copyData);
+        return success ? slotId : null;
+    }
+    
+    /**
+     * Delete a save slot locally and in the cloud
+     * @param {number} slotId - Slot to delete
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteSlot(slotId) {
+        const success = await this.storage.deleteData(this.getSlotKey(slotId));
+        
+        if (slotId === this.activeSlotId) {
+            this.activeSlotId = null;
+            this.saveKey = null;
+            this.storage.deleteData(STORAGE_KEYS.ACTIVE_SAVE_SLOT);
+        }
+        
+        console.debug(`Save slot ${slotId} deleted`);
+        return success;
+    }
+    
+    /**
+     * Make a slot the one that is saved to and loaded from
+     * @param {number} slotId - Slot number
+     */
+    selectSlot(slotId) {
+        // The skill tree is edited under its own storage key and restored from the slot's save,
+        // so a different hero must not start with the previous hero's allocation
+        if (this.storage.loadDataSync(STORAGE_KEYS.ACTIVE_SAVE_SLOT) !== slotId) {
+            this.resetSkillTree();
+        }
+        
+        this.activeSlotId = slotId;
+        this.saveKey = this.getSlotKey(slotId);
+        this.playTime = 0;
+        this.lastSaveTime = 0;
+        this.storage.saveData(STORAGE_KEYS.ACTIVE_SAVE_SLOT, slotId);
+        console.debug(`Active save slot: ${slotId}`);
+    }
+    
+    /**
+     * Clear the skill tree allocation of the previously active hero
+     */
+    resetSkillTree() {
+        this.storage.deleteData(STORAGE_KEYS.SKILL_TREE_DATA);
+        
+        const player = this.game.player;
+        if (player && player.skills) {
+            player.skills.loadSkillTreeData();
+        }
+        
+        const skillTreeUI = this.game.hudManager ? this.game.hudManager.components.skillTreeUI : null;
+        if (skillTreeUI) {
+            skillTreeUI.initPlayerSkills();
+        }
+    }
+    
+    /**
+     * Make sure a slot is active before saving, creating one if needed
+     * @returns {Promise<boolean>} Whether a slot is active
+     */
+    async ensureActiveSlot() {
+        if (this.saveKey) {
+            return true;
+        }
+        
+        const slotId = await this.createSlot();
+        if (slotId === null) {
+            return false;
+        }
+        
+        this.selectSlot(slotId);
+        return true;
+    }
+    
+    /**
+     * Build the summary shown for the active slot in the character select
+     * @param {number} timestamp - Save time
+     * @returns {Object} Summary: {level, playTime, mapId, mapName, timestamp}
+     */
+    createSlotSummary(timestamp) {
+        const world = this.game.world;
+        return {
+            level: this.game.player.stats.level,
+            playTime: Math.floor(this.playTime),
+            mapId: world && world.currentMapId ? world.currentMapId : null,
+            mapName: world && world.currentMapName ? world.currentMapName : null,
+            timestamp
+        };
+    }
+    
+    /**
+     * Move the old single save (STORAGE_KEYS.SAVE_DATA) into slot 1
+     * Only runs while no slots exist, so the old save is never merged over a slot
+     * @returns {Promise<boolean>} Whether a save was migrated
+     */
+    async migrateLegacySave() {
+        try {
+            if (this.getSaveSlots().length > 0) {
+                return false;
+            }
+            
+            const legacyData = await this.storage.loadData(STORAGE_KEYS.SAVE_DATA);
+            if (!legacyData || typeof legacyData !== 'object') {
+                return false;
+            }
+            
+            const timestamp = legacyData.timestamp || Date.now();
+            const slotData = {
+                ...legacyData,
+                slot: {
+                    name: 'Hero 1',
+                    createdAt: timestamp
+                },
+                summary: {
+                    level: legacyData.player && legacyData.player.level ? legacyData.player.level : 1,
+                    playTime: 0,
+                    mapId: null,
+                    mapName: null,
+                    timestamp
+                }
+            };
+            
+            // Saves from before the skill tree was stored with the hero only have it under its own key
+            const skillTreeData = await this.storage.loadData(STORAGE_KEYS.SKILL_TREE_DATA);
+            if (slotData.player && !slotData.player.skillTree && skillTreeData) {
+                slotData.player = { ...slotData.player, skillTree: skillTreeData };
+            }
+            
+            const success = await this.storage.saveData(this.getSlotKey(1), slotData);
+            if (!success) {
+                return false;
+            }
+            
+            await this.storage.deleteData(STORAGE_KEYS.SAVE_DATA);
+            this.selectSlot(1);
+            
+            console.debug('Migrated legacy save data into slot 1');
+            return true;
+        } catch (error) {
+            console.error('Error migrating legacy save data:', error);
+            return false;
+        }
+    }
+    
     /**
      * Start auto-save functionality
      */
@@ -120,6 +392,18 @@ export class SaveManager extends ISaveSystem {
                 }
             }
 
+            // Saves always go to a slot; the first save of an unselected hero creates one
+            if (!await this.ensureActiveSlot()) {
+                throw new Error('All save slots are in use');
+            }
+            
+            // Keep the slot's name and creation time
+            const existingData = this.storage.loadDataSync(this.saveKey);
+            const slotInfo = existingData && existingData.slot ? existingData.slot : {
+                name: `Hero ${this.activeSlotId}`,
+                createdAt: currentTime
+            };
+
             // Initialize progress indicator
             !autoSave && this.saveProgress.start('Preparing to save hero data...');
             
@@ -145,6 +429,8 @@ export class SaveManager extends ISaveSystem {
             const settingsData = SettingsSerializer.serialize(this.game);
             
             const saveData = {
+                slot: slotInfo,
+                summary: this.createSlotSummary(currentTime),
                 player: playerData,
                 inventory: inventoryData,
                 quests: questData,
@@ -215,10 +501,10 @@ export class SaveManager extends ISaveSystem {
             this.loadProgress.update('Reading save data...', 20);
             await this.delay(10); // Small delay for UI update
             
-            const saveData = await this.storage.loadData(this.saveKey);
+            const saveData = this.saveKey ? await this.storage.loadData(this.saveKey) : null;
             
-            // Check if save data exists
-            if (!saveData) {
+            // Check if save data exists (a freshly created slot has no player yet)
+            if (!saveData || !saveData.player) {
                 console.debug('No save data found');
                 this.loadProgress.update('No save data found, continuing with new game', 100);
                 await this.delay(10);
@@ -310,6 +596,9 @@ export class SaveManager extends ISaveSystem {
             // Update last save time
             this.lastSaveTime = Date.now();
             
+            // Continue counting play time from the saved value
+            this.playTime = saveData.summary && saveData.summary.playTime ? saveData.summary.playTime : 0;
+            
             this.loadProgress.update('Load complete!', 100);
             await this.delay(10); // Show completion for a moment
             
@@ -543,13 +832,24 @@ export class SaveManager extends ISaveSystem {
     // loadChunk method has been removed
     
     /**
-     * Delete all save data
+     * Delete the active slot's progress
+     * The slot itself (name and creation time) is kept so the hero can be restarted
      * @returns {boolean} Success status
      */
     deleteSave() {
         try {
-            // Remove main save data from storage
-            this.storage.deleteData(this.saveKey);
+            if (!this.saveKey) {
+                return true;
+            }
+            
+            const existingData = this.storage.loadDataSync(this.saveKey);
+            const now = Date.now();
+            this.storage.saveData(this.saveKey, {
+                slot: existingData && existingData.slot ? existingData.slot : { name: `Hero ${this.activeSlotId}`, createdAt: now },
+                summary: null,
+                timestamp: now,
+                version: this.currentVersion
+            });
             
             console.debug('Hero save data deleted successfully');
             return true;
@@ -560,12 +860,16 @@ export class SaveManager extends ISaveSystem {
     }
     
     /**
-     * Check if save data exists
+     * Check if the active slot has saved progress
      * @returns {boolean} Whether save data exists
      */
     hasSaveData() {
         try {
-            return this.storage.hasData(this.saveKey);
+            if (!this.saveKey) {
+                return false;
+            }
+            const saveData = this.storage.loadDataSync(this.saveKey);
+            return !!(saveData && saveData.player);
         } catch (error) {
             console.error('Error checking if save data exists:', error);
             return false;
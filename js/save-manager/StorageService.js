@@ -459,7 +459,8 @@ export class StorageService {
         // Define keys that should not be synced from Google Drive
         const localOnlyKeys = [
             STORAGE_KEYS.GOOGLE_LAST_LOGIN,
-            STORAGE_KEYS.GOOGLE_AUTO_LOGIN
+            STORAGE_KEYS.GOOGLE_AUTO_LOGIN,
+            STORAGE_KEYS.ACTIVE_SAVE_SLOT
         ];
         
         // Get all keys from localStorage that start with 'monk_journey_'
@@ -519,17 +520,49 @@ export class StorageService {
         }
         await Promise.all(promises);
         
-        // Also check for keys that exist in Google Drive but not in localStorage
+        // Also check for save slots that exist in Google Drive but not in localStorage
+        // Each slot is its own file, so slots created on another device are pulled down individually
         try {
-            // This would require listing all files in the Google Drive folder
-            // For simplicity, we'll skip this for now
-            // In a real implementation, you would list all files in the Google Drive folder
-            // and check if they exist in localStorage
+            const cloudSlotKeys = await this.googleDrive.listKeys(STORAGE_KEYS.SAVE_SLOT_PREFIX);
+            for (const key of cloudSlotKeys) {
+                if (keys.includes(key) || this.localStorage.hasData(key)) {
+                    continue;
+                }
+                
+                const cloudData = await this.googleDrive.loadData(key);
+                if (cloudData !== null) {
+                    this.localStorage.saveData(key, cloudData);
+                    console.debug(`Loaded save slot ${key} from Google Drive to localStorage`);
+                }
+            }
         } catch (error) {
             console.error('Error checking for new keys in Google Drive:', error);
         }
     }
     
+    /**
+     * Check if a key holds hero save data (a save slot or the legacy single save)
+     * @param {string} key - Storage key
+     * @returns {boolean} Whether the key is a save key
+     */
+    isSaveKey(key) {
+        return key === STORAGE_KEYS.SAVE_DATA || key.startsWith(STORAGE_KEYS.SAVE_SLOT_PREFIX);
+    }
+    
+    /**
+     * Describe save data for the conflict dialog
+     * @param {Object} data - Save data
+     * @returns {string} Short human readable description
+     */
+    describeSaveData(data) {
+        if (data && data.summary) {
+            const name = data.slot && data.slot.name ? `${data.slot.name} - ` : '';
+            const savedAt = new Date(data.summary.timestamp || data.timestamp).toLocaleString();
+            return `${name}Level ${data.summary.level}, ${data.summary.mapName || 'Unknown map'}, saved ${savedAt}`;
+        }
+        return JSON.stringify(data).substring(0, 100) + '...';
+    }
+    
     /**
      * Sync data from localStorage to Google Drive
      * @private
@@ -554,7 +587,8 @@ export class StorageService {
         // Define keys that should not be synced to Google Drive
         const localOnlyKeys = [
             STORAGE_KEYS.GOOGLE_LAST_LOGIN,
-            STORAGE_KEYS.GOOGLE_AUTO_LOGIN
+            STORAGE_KEYS.GOOGLE_AUTO_LOGIN,
+            STORAGE_KEYS.ACTIVE_SAVE_SLOT
         ];
         
         // Sync each key to Google Drive (except local-only keys)
@@ -596,7 +630,8 @@ export class StorageService {
         // Define keys that should only be stored locally
         const localOnlyKeys = [
             STORAGE_KEYS.GOOGLE_LAST_LOGIN,
-            STORAGE_KEYS.GOOGLE_AUTO_LOGIN
+            STORAGE_KEYS.GOOGLE_AUTO_LOGIN,
+            STORAGE_KEYS.ACTIVE_SAVE_SLOT
         ];
         
         // For local-only keys, always use the local version without asking
@@ -606,8 +641,8 @@ export class StorageService {
             return;
         }
         
-        // Special handling for monk_journey_save key
-        if (key === STORAGE_KEYS.SAVE_DATA) {
+        // Special handling for save data (each save slot is resolved on its own)
+        if (this.isSaveKey(key)) {
             console.debug(`Special conflict handling for save data: ${key}`);
             
             // Use the pre-defined conflict modal in the HTML
@@ -619,8 +654,8 @@ export class StorageService {
                 const useLocalBtn = document.getElementById('conflict-use-local-btn');
                 
                 // Set the data previews
-                localDataEl.textContent = JSON.stringify(localData).substring(0, 100) + '...';
-                cloudDataEl.textContent = JSON.stringify(cloudData).substring(0, 100) + '...';
+                localDataEl.textContent = this.describeSaveData(localData);
+                cloudDataEl.textContent = this.describeSaveData(cloudData);
                 
                 // Show the modal
                 modal.style.display = 'flex';
@@ -685,7 +720,8 @@ export class StorageService {
         // Define keys that should not be synced to Google Drive
         const localOnlyKeys = [
             STORAGE_KEYS.GOOGLE_LAST_LOGIN,
-            STORAGE_KEYS.GOOGLE_AUTO_LOGIN
+            STORAGE_KEYS.GOOGLE_AUTO_LOGIN,
+            STORAGE_KEYS.ACTIVE_SAVE_SLOT
         ];
         
         try {
@@ -727,7 +763,8 @@ export class StorageService {
         // Define keys that should not be synced to Google Drive
         const localOnlyKeys = [
             STORAGE_KEYS.GOOGLE_LAST_LOGIN,
-            STORAGE_KEYS.GOOGLE_AUTO_LOGIN
+            STORAGE_KEYS.GOOGLE_AUTO_LOGIN,
+            STORAGE_KEYS.ACTIVE_SAVE_SLOT
         ];
         
         // For local-only keys, save immediately without debounce
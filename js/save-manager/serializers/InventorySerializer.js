@@ -2,6 +2,17 @@
  * Handles serialization and deserialization of player inventory and equipment
  */
 import { ITEM_TEMPLATES } from '../../config/items.js';
+import { createMaterial, findMaterialId } from '../../utils/CraftingUtils.js';
+
+// Inventory save format; older saves have no format and store items by name only
+const INVENTORY_FORMAT_VERSION = 2;
+
+// Quality prefixes older generated item names carry in front of the template name
+const LEGACY_RARITY_PREFIXES = {
+    'Fine ': 'uncommon',
+    'Superior ': 'rare',
+    'Exquisite ': 'epic'
+};
 
 export class InventorySerializer {
     /**
@@ -21,25 +32,137 @@ export class InventorySerializer {
         // Get equipment items
         const equipment = player.getEquipment() || {};
         
-        // Optimize inventory storage - only store name and amount
-        const optimizedInventory = inventoryItems.map(item => ({
-            name: item.name,
-            amount: item.amount
-        }));
+        // Consumable stacks only store name and amount; other items keep their rolled stats
+        const optimizedInventory = inventoryItems.map(item => InventorySerializer.serializeItem(player, item));
         
-        // Optimize equipment storage - only store item name
         const optimizedEquipment = {};
         Object.entries(equipment).forEach(([slot, item]) => {
-            optimizedEquipment[slot] = item ? item.name : null;
+            optimizedEquipment[slot] = item ? InventorySerializer.serializeItem(player, item) : null;
         });
         
         return {
+            format: INVENTORY_FORMAT_VERSION,
             inventory: optimizedInventory,
             equipment: optimizedEquipment,
             gold: player.getGold() || 0
         };
     }
     
+    /**
+     * Serialize a single item
+     * @param {Object} player - The player object
+     * @param {Object} item - The item to serialize
+     * @returns {Object} Serialized item data
+     */
+    static serializeItem(player, item) {
+        if (player.inventory.isStackable(item)) {
+            return {
+                name: item.name,
+                amount: item.amount
+            };
+        }
+        
+        return {
+            instanceId: item.instanceId,
+            id: item.id,
+            name: item.name,
+            description: item.description,
+            type: item.type,
+            subType: item.subType,
+            icon: item.icon,
+            level: item.level,
+            rarity: item.rarity,
+            baseStats: item.baseStats,
+            secondaryStats: item.secondaryStats,
+            processedSecondaryStats: item.processedSecondaryStats,
+            specialEffects: item.specialEffects,
+            stats: item.stats,
+            setId: item.setId,
+            visual: item.visual
+        };
+    }
+    
+    /**
+     * Restore a single item from save data
+     * Full item data (current format) is restored as saved, including crafted stats and
+     * socketed gems; name-only entries (consumable and material stacks, older saves) are
+     * rebuilt from the item templates or crafting materials
+     * @param {Object|string} itemData - Saved item data, or an item name from older saves
+     * @returns {Object} The restored item
+     */
+    static deserializeItem(itemData) {
+        const data = typeof itemData === 'string' ? { name: itemData } : itemData;
+        
+        if (data.instanceId) {
+            return { ...data, amount: data.amount || 1 };
+        }
+        
+        // Find the item template by name
+        const itemTemplate = ITEM_TEMPLATES.find(template => template.name === data.name);
+        
+        if (itemTemplate) {
+            // Create a new item from the template
+            return { ...itemTemplate, amount: data.amount || 1 };
+        }
+        
+        const materialId = findMaterialId(data.name);
+        if (materialId) {
+            return createMaterial(materialId, data.amount || 1);
+        }
+        
+        const migratedItem = InventorySerializer.migrateLegacyItem(data);
+        if (migratedItem) {
+            return migratedItem;
+        }
+        
+        console.warn(`Item template not found for: ${data.name}`);
+        // Fallback to just the basic item data we have
+        return { ...data, amount: data.amount || 1 };
+    }
+    
+    /**
+     * Rebuild a generated item from an older name-only save
+     * Generated names are a quality prefix plus the template name (e.g. "Superior Monk's Robe");
+     * the prefix gives the rarity and the template gives type and subType, so the item is no
+     * longer treated as a stack and its amount is split into separate instances when added
+     * @param {Object} data - Saved item data with a name and optional amount
+     * @returns {Object|null} The restored item, or null if no template matches the name
+     */
+    static migrateLegacyItem(data) {
+        if (!data.name) {
+            return null;
+        }
+        
+        let baseName = data.name;
+        let rarity = null;
+        
+        for (const [prefix, prefixRarity] of Object.entries(LEGACY_RARITY_PREFIXES)) {
+            if (baseName.startsWith(prefix)) {
+                baseName = baseName.slice(prefix.length);
+                rarity = prefixRarity;
+                break;
+            }
+        }
+        
+        // Older names sometimes dropped the possessive ("Monk Robe" for "Monk's Robe")
+        const normalize = name => name.toLowerCase().replace(/'s\b/g, '').replace(/[^a-z0-9]/g, '');
+        const itemTemplate = ITEM_TEMPLATES.find(template => template.name === baseName) ||
+            ITEM_TEMPLATES.find(template => normalize(template.name) === normalize(baseName));
+        
+        if (!itemTemplate) {
+            return null;
+        }
+        
+        console.debug(`Migrating legacy item "${data.name}" from template ${itemTemplate.id}`);
+        
+        return {
+            ...itemTemplate,
+            name: data.name,
+            rarity: rarity || itemTemplate.rarity || 'common',
+            amount: data.amount || 1
+        };
+    }
+    
     /**
      * Deserialize inventory and equipment data from save
      * @param {Object} player - The player object to update
@@ -58,23 +181,20 @@ export class InventorySerializer {
             player.inventory.inventory = [];
         }
         
+        if (inventoryData.format !== INVENTORY_FORMAT_VERSION) {
+            // Older saves stored names only and stacked equal names; generated names are
+            // matched back to their template (see migrateLegacyItem) and stacks of
+            // non-consumables are split into separate instances when added below
+            console.debug('Migrating name-based inventory save to item instances');
+        }
+        
         // Load inventory items
         if (inventoryData.inventory && Array.isArray(inventoryData.inventory)) {
             console.debug(`Loading ${inventoryData.inventory.length} inventory items`);
             
             inventoryData.inventory.forEach(itemData => {
-                // Find the item template by name
-                const itemTemplate = ITEM_TEMPLATES.find(template => template.name === itemData.name);
-                
-                if (itemTemplate) {
-                    // Create a new item from the template
-                    const item = { ...itemTemplate, amount: itemData.amount };
-                    player.addToInventory(item);
-                } else {
-                    console.warn(`Item template not found for: ${itemData.name}`);
-                    // Fallback to just adding the basic item data we have
-                    player.addToInventory(itemData);
-                }
+                // Items without an instance id get one when added
+                player.addToInventory(InventorySerializer.deserializeItem(itemData));
             });
         }
         
@@ -89,19 +209,16 @@ export class InventorySerializer {
         if (inventoryData.equipment) {
             console.debug('Loading player equipment');
             
-            Object.entries(inventoryData.equipment).forEach(([slot, itemName]) => {
-                if (itemName && player.inventory.equipment.hasOwnProperty(slot)) {
-                    // Find the item template by name
-                    const itemTemplate = ITEM_TEMPLATES.find(template => template.name === itemName);
+            Object.entries(inventoryData.equipment).forEach(([slot, itemData]) => {
+                if (itemData && player.inventory.equipment.hasOwnProperty(slot)) {
+                    const item = InventorySerializer.deserializeItem(itemData);
                     
-                    if (itemTemplate) {
-                        // Set the equipment slot with the full item data
-                        player.inventory.equipment[slot] = { ...itemTemplate };
-                    } else {
-                        console.warn(`Equipment template not found for: ${itemName}`);
-                        // Fallback to just setting the name
-                        player.inventory.equipment[slot] = { name: itemName };
+                    // Equipment from older saves has no instance id yet
+                    if (!item.instanceId) {
+                        item.instanceId = player.inventory.createInstanceId();
                     }
+                    
+                    player.inventory.equipment[slot] = item;
                 }
             });
         }
@@ -1,3 +1,5 @@
+import { STORAGE_KEYS } from '../../config/storage-keys.js';
+
 /**
  * Handles serialization and deserialization of player data
  */
@@ -13,11 +15,17 @@ export class PlayerSerializer {
             return {};
         }
         const { x, y, z } = player.getPosition()
+        // A host's session world tier is not part of the player's progress
+        const { sessionWorldTier, ...stats } = player.stats;
         return {
-            stats: { ...player.stats },
+            stats,
             position: { x, y, z },
             level: player.stats.level,
             experience: player.stats.experience,
+            worldTier: player.stats.getSelectedWorldTier(),
+            skillPoints: player.stats.getSkillPoints(),
+            unlockedVariants: [...player.stats.unlockedVariants],
+            skillTree: player.skills.skillTreeData || null,
             skills: player.skills.getSkills().map(skill => ({
                 name: skill.name,
                 cooldown: skill.cooldown,
@@ -68,11 +76,42 @@ export class PlayerSerializer {
             player.stats.experience = playerData.experience;
         }
         
+        // Older saves have no world tier; they start at tier 1
+        player.stats.worldTier = 1;
+        if (playerData.worldTier !== undefined && !player.stats.setWorldTier(playerData.worldTier)) {
+            console.warn(`Saved world tier ${playerData.worldTier} is not available, using World Tier I`);
+        }
+        
+        // Older saves have no skill points; grant what their level would have earned
+        player.stats.skillPoints = playerData.skillPoints !== undefined
+            ? playerData.skillPoints
+            : player.stats.getSkillPointsForLevel(player.stats.level);
+        player.stats.unlockedVariants = Array.isArray(playerData.unlockedVariants) ? [...playerData.unlockedVariants] : [];
+        
+        // Restore the skill tree allocation; the skill tree UI validates it against the points on open
+        if (playerData.skillTree) {
+            try {
+                localStorage.setItem(STORAGE_KEYS.SKILL_TREE_DATA, JSON.stringify(playerData.skillTree));
+            } catch (error) {
+                console.error('Error restoring skill tree data:', error);
+            }
+            
+            const skillTreeUI = player.game && player.game.hudManager ? player.game.hudManager.components.skillTreeUI : null;
+            if (skillTreeUI) {
+                skillTreeUI.initPlayerSkills();
+            }
+        }
+        
         // Load skills if available
         if (playerData.skills && Array.isArray(playerData.skills) && player.skills) {
             player.skills.loadSkills(playerData.skills);
         }
         
+        // Apply the (possibly restored) skill tree to the player's skills
+        if (player.skills) {
+            player.skills.loadSkillTreeData();
+        }
+        
         console.debug('Player data loaded successfully');
     }
 }
\ No newline at end of file
@@ -13,15 +13,25 @@ export class QuestSerializer {
             return {};
         }
         
-        // For active quests, we need to save progress information
+        // For active quests, we need to save the progress of every stage
         const activeQuestsData = questManager.activeQuests.map(quest => ({
             id: quest.id,
-            objective: {
-                progress: quest.objective.progress,
-                discovered: quest.objective.discovered || []
-            }
+            outcome: quest.outcome || null,
+            stages: quest.stages.map(stage => ({
+                id: stage.id,
+                completed: stage.completed,
+                objectives: stage.objectives.map(objective => ({
+                    id: objective.id,
+                    progress: objective.progress,
+                    completed: objective.completed,
+                    ...(objective.discovered ? { discovered: objective.discovered } : {})
+                }))
+            }))
         }));
         
+        // Quests of maps that weren't visited this session keep their saved progress
+        activeQuestsData.push(...questManager.pendingActiveQuests);
+        
         // For completed quests, only save the IDs
         const completedQuestIds = questManager.completedQuests.map(quest => quest.id);
         
@@ -45,37 +55,17 @@ export class QuestSerializer {
         console.debug('Loading quest data:', Object.keys(questData));
         
         // Reset quest state
-        questManager.activeQuests = [];
-        questManager.completedQuests = [];
+        questManager.resetProgress();
         
-        // Load active quests with their progress
+        // Load active quests with their stage progress
         if (questData.activeQuests && Array.isArray(questData.activeQuests)) {
             console.debug(`Loading ${questData.activeQuests.length} active quests`);
             
             questData.activeQuests.forEach(savedQuest => {
                 try {
-                    // Find the original quest template
-                    const originalQuest = questManager.quests.find(q => q.id === savedQuest.id);
-                    
-                    if (originalQuest) {
-                        // Create a new quest object with progress from saved data
-                        const questWithProgress = {
-                            ...originalQuest,
-                            objective: {
-                                ...originalQuest.objective,
-                                progress: savedQuest.objective && savedQuest.objective.progress ? 
-                                    savedQuest.objective.progress : 0,
-                                discovered: savedQuest.objective && savedQuest.objective.discovered ? 
-                                    savedQuest.objective.discovered : []
-                            }
-                        };
-                        
-                        questManager.activeQuests.push(questWithProgress);
-                        
-                        // Remove from available quests
-                        questManager.quests = questManager.quests.filter(q => q.id !== savedQuest.id);
-                    } else {
-                        console.warn(`Original quest template not found for ID: ${savedQuest.id}`);
+                    // Quests of maps that aren't loaded yet are restored once their definitions load
+                    if (!questManager.restoreActiveQuest(savedQuest)) {
+                        console.debug(`Quest definition not loaded yet for ID: ${savedQuest.id}, keeping its progress`);
                     }
                 } catch (questError) {
                     console.error('Error processing quest:', questError, savedQuest);
@@ -89,7 +79,7 @@ export class QuestSerializer {
             
             questData.completedQuestIds.forEach(questId => {
                 // Find the original quest template
-                const originalQuest = questManager.quests.find(q => q.id === questId);
+                const originalQuest = questManager.questDefinitions.get(questId);
                 
                 if (originalQuest) {
                     // Add to completed quests
@@ -109,7 +99,7 @@ export class QuestSerializer {
             
             questData.completedQuests.forEach(quest => {
                 // Find the original quest template
-                const originalQuest = questManager.quests.find(q => q.id === quest.id);
+                const originalQuest = questManager.questDefinitions.get(quest.id);
                 
                 if (originalQuest) {
                     questManager.completedQuests.push(originalQuest);
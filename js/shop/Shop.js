@@ -0,0 +1,85 @@
+import { SHOP_TYPES, SHOP_SETTINGS } from '../config/shops.js';
+import { getBuyPrice } from '../utils/PriceUtils.js';
+
+/**
+ * A vendor's stock
+ * Stock is generated by ItemGenerator at the player's level and restocked after
+ * SHOP_SETTINGS.restockInterval or when the player has levelled up since.
+ */
+export class Shop {
+    /**
+     * @param {import('../game/Game.js').Game} game - The game instance
+     * @param {string} shopType - Shop type (see SHOP_TYPES), usually the vendor's profession
+     */
+    constructor(game, shopType) {
+        this.game = game;
+        this.shopType = SHOP_TYPES[shopType] ? shopType : 'merchant';
+        this.config = SHOP_TYPES[this.shopType];
+        this.name = this.config.name;
+        this.markup = this.config.markup;
+        
+        this.stock = [];
+        this.stockLevel = 0;
+        this.restockTime = 0;
+    }
+    
+    /**
+     * Restock if the stock is stale
+     */
+    refresh() {
+        const level = this.game.player ? this.game.player.getLevel() : 1;
+        if (this.stock.length === 0 || level !== this.stockLevel || Date.now() >= this.restockTime) {
+            this.restock(level);
+        }
+    }
+    
+    /**
+     * Generate new stock
+     * @param {number} level - Item level
+     */
+    restock(level) {
+        this.stock = [];
+        this.stockLevel = level;
+        this.restockTime = Date.now() + SHOP_SETTINGS.restockInterval;
+        
+        this.config.stock.forEach(entry => {
+            for (let i = 0; i < entry.count; i++) {
+                const item = this.game.itemGenerator.generateItem({
+                    level,
+                    type: entry.type,
+                    subType: entry.subType,
+                    rarity: entry.rarity
+                });
+                item.amount = entry.amount || 1;
+                this.stock.push(item);
+            }
+        });
+        
+        console.debug(`${this.name} restocked with ${this.stock.length} items at level ${level}`);
+    }
+    
+    /**
+     * Get the price of one of an item
+     * @param {Object} item - Item in stock
+     * @returns {number} - Price in gold
+     */
+    getPrice(item) {
+        return getBuyPrice(item, this.markup);
+    }
+    
+    /**
+     * Take one of an item out of stock
+     * @param {Object} item - Item in stock
+     * @returns {boolean} - True if the item was in stock
+     */
+    takeItem(item) {
+        const index = this.stock.indexOf(item);
+        if (index === -1) return false;
+        
+        item.amount -= 1;
+        if (item.amount <= 0) {
+            this.stock.splice(index, 1);
+        }
+        return true;
+    }
+}
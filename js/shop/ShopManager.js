@@ -0,0 +1,116 @@
+import { Shop } from './Shop.js';
+import { SHOP_SETTINGS } from '../config/shops.js';
+import { getSellPrice } from '../utils/PriceUtils.js';
+
+/**
+ * Manages vendor shops and trading
+ * Each vendor NPC gets its own Shop; sold items go to a buyback list shared by all vendors.
+ */
+export class ShopManager {
+    /**
+     * @param {import('../game/Game.js').Game} game - The game instance
+     */
+    constructor(game) {
+        this.game = game;
+        
+        // Shops by vendor ID
+        this.shops = new Map();
+        
+        // Sold items that can be bought back: { item, price }
+        this.buyback = [];
+        
+        // Vendor IDs repeat between maps, so every map gets new shops
+        if (this.game.events) {
+            this.game.events.addEventListener('worldChanged', () => this.clear());
+        }
+    }
+    
+    /**
+     * Get a vendor's shop, creating it on first visit
+     * @param {Object} vendor - Vendor NPC (id and profession)
+     * @returns {Shop} - The shop, with fresh stock if needed
+     */
+    getShop(vendor) {
+        let shop = this.shops.get(vendor.id);
+        if (!shop) {
+            shop = new Shop(this.game, vendor.profession);
+            this.shops.set(vendor.id, shop);
+        }
+        
+        shop.refresh();
+        return shop;
+    }
+    
+    /**
+     * Buy one of an item from a shop
+     * @param {Shop} shop - The shop
+     * @param {Object} item - Item in the shop's stock
+     * @returns {boolean} - True if the item was bought
+     */
+    buy(shop, item) {
+        const price = shop.getPrice(item);
+        if (!this.pay(price, item.name)) return false;
+        
+        shop.takeItem(item);
+        this.game.player.addToInventory({ ...item, amount: 1 });
+        this.game.hudManager.showNotification(`Bought ${item.name} for ${price} gold`);
+        return true;
+    }
+    
+    /**
+     * Sell one of an inventory item
+     * @param {Object} item - Item in the player's inventory
+     * @returns {boolean} - True if the item was sold
+     */
+    sell(item) {
+        const price = getSellPrice(item);
+        if (!this.game.player.removeFromInventory(item, 1)) return false;
+        
+        this.game.player.addGold(price);
+        
+        // Newest first; the oldest sold items are gone for good
+        this.buyback.unshift({ item: { ...item, amount: 1 }, price });
+        if (this.buyback.length > SHOP_SETTINGS.buybackLimit) {
+            this.buyback.length = SHOP_SETTINGS.buybackLimit;
+        }
+        
+        this.game.hudManager.showNotification(`Sold ${item.name} for ${price} gold`);
+        return true;
+    }
+    
+    /**
+     * Buy back a sold item for the price it was sold for
+     * @param {{item: Object, price: number}} entry - Buyback entry
+     * @returns {boolean} - True if the item was bought back
+     */
+    buyBack(entry) {
+        const index = this.buyback.indexOf(entry);
+        if (index === -1 || !this.pay(entry.price, entry.item.name)) return false;
+        
+        this.buyback.splice(index, 1);
+        this.game.player.addToInventory(entry.item);
+        this.game.hudManager.showNotification(`Bought back ${entry.item.name}`);
+        return true;
+    }
+    
+    /**
+     * Take gold from the player
+     * @param {number} price - Price in gold
+     * @param {string} itemName - Name of the item, for the notification
+     * @returns {boolean} - True if the player could afford it
+     */
+    pay(price, itemName) {
+        if (!this.game.player.removeGold(price)) {
+            this.game.hudManager.showNotification(`Not enough gold for ${itemName} (${price} gold)`);
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Forget all shops, e.g. when a new map is loaded
+     */
+    clear() {
+        this.shops.clear();
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * Utility functions for crafting materials
+ */
+
+import { CRAFTING_MATERIALS } from '../config/crafting.js';
+
+/**
+ * Create a stack of a crafting material
+ * @param {string} materialId - Material id from CRAFTING_MATERIALS
+ * @param {number} [amount=1] - Stack size
+ * @returns {Object|null} - The material item, or null for an unknown id
+ */
+export function createMaterial(materialId, amount = 1) {
+    const material = CRAFTING_MATERIALS[materialId];
+    if (!material) {
+        console.warn(`Unknown crafting material: ${materialId}`);
+        return null;
+    }
+    
+    return {
+        id: `${materialId}-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+        materialId,
+        ...material,
+        type: 'material',
+        level: 1,
+        amount,
+        baseStats: {},
+        secondaryStats: []
+    };
+}
+
+/**
+ * Find the material id for a material name
+ * Material stacks are saved by name only (see InventorySerializer)
+ * @param {string} name - Material name
+ * @returns {string|undefined} - Material id
+ */
+export function findMaterialId(name) {
+    return Object.keys(CRAFTING_MATERIALS).find(id => CRAFTING_MATERIALS[id].name === name);
+}
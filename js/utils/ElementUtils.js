@@ -0,0 +1,16 @@
+/**
+ * Utility functions for damage elements
+ */
+
+import { DAMAGE_ELEMENTS, DAMAGE_ELEMENT_ALIASES, DEFAULT_DAMAGE_ELEMENT } from '../config/elements.js';
+
+/**
+ * Resolve an element name to one of the configured damage elements
+ * Alternative names (e.g. 'ice' on items) map to their element; unknown or missing ones are physical
+ * @param {string|null|undefined} element - Element name
+ * @returns {string} - Element id from DAMAGE_ELEMENTS
+ */
+export function resolveElement(element) {
+    const resolved = DAMAGE_ELEMENT_ALIASES[element] || element;
+    return DAMAGE_ELEMENTS[resolved] ? resolved : DEFAULT_DAMAGE_ELEMENT;
+}
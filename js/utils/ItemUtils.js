@@ -0,0 +1,38 @@
+/**
+ * Utility functions for displaying items
+ */
+
+import { CRAFTING_MATERIALS } from '../config/crafting.js';
+
+/**
+ * Turn a stat key such as 'critChance' into 'Crit Chance'
+ * @param {string} stat - Stat key
+ * @returns {string} - Display name
+ */
+export function formatStatName(stat) {
+    const spaced = stat.replace(/([A-Z])/g, ' $1');
+    return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+}
+
+/**
+ * Format an item's base and secondary stats as list items
+ * Secondary stats added by socketed gems are labelled with the gem
+ * @param {Object} item - The item
+ * @returns {string} - HTML list items
+ */
+export function formatItemStats(item) {
+    const lines = [];
+    
+    for (const [stat, value] of Object.entries(item.baseStats || {})) {
+        if (typeof value !== 'number') continue;
+        lines.push(`<li><span class="stat-name">${formatStatName(stat)}:</span> <span class="stat-value">${value}</span></li>`);
+    }
+    
+    (item.secondaryStats || []).forEach(stat => {
+        const element = stat.element ? ` (${stat.element})` : '';
+        const gem = stat.gem ? ` ${CRAFTING_MATERIALS[stat.gem]?.icon || ''}` : '';
+        lines.push(`<li class="secondary${stat.gem ? ' gem' : ''}"><span class="stat-name">${formatStatName(stat.type)}${element}:</span> <span class="stat-value">+${stat.value}</span>${gem}</li>`);
+    });
+    
+    return lines.join('');
+}
@@ -0,0 +1,63 @@
+/**
+ * Utility functions for item prices
+ */
+
+import { ITEM_BASE_VALUES, ITEM_RARITY_VALUE_MULTIPLIERS, SHOP_SETTINGS } from '../config/shops.js';
+
+/**
+ * Get the value of a single item from its type, rarity, level and stats
+ * @param {Object} item - The item
+ * @returns {number} - Value in gold
+ */
+export function getItemValue(item) {
+    const baseValue = ITEM_BASE_VALUES[item.type] ?? ITEM_BASE_VALUES.default;
+    const rarityMultiplier = ITEM_RARITY_VALUE_MULTIPLIERS[item.rarity] || 1;
+    const levelMultiplier = 1 + (item.level || 1) * SHOP_SETTINGS.levelValueScaling;
+    const statValue = item.type === 'consumable' ? SHOP_SETTINGS.consumableStatValue : SHOP_SETTINGS.statValue;
+    
+    return Math.max(1, Math.round((baseValue + getStatScore(item) * statValue) * rarityMultiplier * levelMultiplier));
+}
+
+/**
+ * Get the price of buying one item from a vendor
+ * @param {Object} item - The item
+ * @param {number} [markup=1] - Shop markup
+ * @returns {number} - Price in gold
+ */
+export function getBuyPrice(item, markup = 1) {
+    return Math.max(1, Math.ceil(getItemValue(item) * markup));
+}
+
+/**
+ * Get the gold a vendor pays for one item
+ * @param {Object} item - The item
+ * @returns {number} - Price in gold
+ */
+export function getSellPrice(item) {
+    return Math.max(1, Math.floor(getItemValue(item) * SHOP_SETTINGS.sellRatio));
+}
+
+/**
+ * Sum the numeric base and secondary stats of an item
+ * @param {Object} item - The item
+ * @returns {number} - Stat score
+ */
+function getStatScore(item) {
+    let score = 0;
+    
+    for (const value of Object.values(item.baseStats || {})) {
+        if (Number.isFinite(value)) {
+            score += Math.abs(value);
+        }
+    }
+    
+    if (Array.isArray(item.secondaryStats)) {
+        item.secondaryStats.forEach(stat => {
+            if (Number.isFinite(stat.value)) {
+                score += Math.abs(stat.value);
+            }
+        });
+    }
+    
+    return score;
+}
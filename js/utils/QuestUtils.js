@@ -0,0 +1,59 @@
+/**
+ * Utility functions for quest objectives
+ */
+
+/**
+ * Check whether an objective has reached its required amount
+ * @param {Object} objective - Quest objective with runtime progress
+ * @returns {boolean} - True if the objective is complete
+ */
+export function isObjectiveComplete(objective) {
+    return objective.progress >= (objective.count || 1);
+}
+
+/**
+ * Format an objective for the quest log and progress notifications
+ * @param {Object} objective - Quest objective with runtime progress
+ * @returns {string} - Formatted objective text
+ */
+export function formatObjective(objective) {
+    const count = objective.count || 1;
+    const progress = Math.min(Math.floor(objective.progress || 0), count);
+    const locationName = objective.location?.name || 'the marked location';
+
+    if (objective.description) {
+        return count > 1 ? `${objective.description} (${progress}/${count})` : objective.description;
+    }
+
+    switch (objective.type) {
+        case 'kill':
+            return `Kill ${progress}/${count} ${objective.target === 'any' ? 'enemies' : formatTarget(objective.target)}`;
+        case 'interact':
+            return `Find ${progress}/${count} ${formatTarget(objective.target)}s`;
+        case 'explore':
+            return objective.target === 'zone' ?
+                `Discover ${progress}/${count} zones` :
+                `Discover ${formatTarget(objective.target)}`;
+        case 'collect':
+            return `Collect ${progress}/${count} ${objective.target === 'any' ? 'items' : formatTarget(objective.target)}`;
+        case 'talk':
+            return `Talk to ${formatTarget(objective.target)}`;
+        case 'escort':
+            return `Escort ${formatTarget(objective.target)} to ${locationName}`;
+        case 'defend':
+            return `Defend ${locationName} (${progress}/${count}s)`;
+        case 'reach':
+            return `Travel to ${locationName}`;
+        default:
+            return 'Complete the objective';
+    }
+}
+
+/**
+ * Turn an id such as 'skeleton_king' into display text
+ * @param {string} target - Objective target
+ * @returns {string} - Readable target name
+ */
+function formatTarget(target) {
+    return String(target || '').replace(/_/g, ' ');
+}
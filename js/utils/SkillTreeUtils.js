@@ -82,4 +82,177 @@ export function applyBuffsToVariants(skillTrees) {
             });
         });
     });
-}
\ No newline at end of file
+}
+
+// Item slots named in variant unlock conditions and the item type/subType they drop as;
+// slots without a matching item subType only fix the type
+const UNLOCK_SLOTS = {
+    'item': null,
+    'weapon': { type: 'weapon' },
+    'off-hand': { type: 'accessory', subType: 'talisman' },
+    'head': { type: 'armor', subType: 'helmet' },
+    'chest armor': { type: 'armor', subType: 'robe' },
+    'chest': { type: 'armor', subType: 'robe' },
+    'shoulder': { type: 'armor' },
+    'legs': { type: 'armor' },
+    'gloves': { type: 'armor', subType: 'gloves' },
+    'bracers': { type: 'armor', subType: 'gloves' },
+    'amulet': { type: 'accessory', subType: 'amulet' }
+};
+
+/**
+ * Resolve a variant's unlockedBy text to the legendary item or quest it names
+ * Supported forms are "Legendary <slot> <item name>" and "Quest <quest name>"
+ * @param {string} unlockedBy - The variant's unlockedBy text
+ * @returns {{itemName: string, slot: Object|null}|{questName: string}|null} - The unlock source, or null if the text is not recognized
+ */
+export function parseVariantUnlock(unlockedBy) {
+    if (!unlockedBy) return null;
+    
+    const questMatch = unlockedBy.match(/^Quest\s+(.+)$/);
+    if (questMatch) {
+        return { questName: questMatch[1].trim() };
+    }
+    
+    const legendaryMatch = unlockedBy.match(/^Legendary\s+(.+)$/);
+    if (!legendaryMatch) return null;
+    
+    // Longest slot first so "chest armor" wins over "chest"
+    const slotNames = Object.keys(UNLOCK_SLOTS).sort((a, b) => b.length - a.length);
+    for (const slotName of slotNames) {
+        if (legendaryMatch[1].startsWith(`${slotName} `)) {
+            return {
+                itemName: legendaryMatch[1].slice(slotName.length + 1).trim(),
+                slot: UNLOCK_SLOTS[slotName]
+            };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Find the variants whose unlockedBy condition names a given item or quest
+ * @param {Object} skillTrees - The skill trees object
+ * @param {Object} source - The unlock source
+ * @param {string} [source.itemName] - Name of a legendary item
+ * @param {string} [source.questName] - Name of a completed quest
+ * @returns {Array<{skill: string, variant: string}>} - Matching variants
+ */
+export function findVariantsUnlockedBy(skillTrees, source) {
+    const matches = [];
+    
+    Object.entries(skillTrees).forEach(([skillName, skill]) => {
+        Object.entries(skill.variants || {}).forEach(([variantName, variant]) => {
+            const unlock = parseVariantUnlock(variant.unlockedBy);
+            if (!unlock) return;
+            
+            if ((source.itemName && unlock.itemName === source.itemName) ||
+                (source.questName && unlock.questName === source.questName)) {
+                matches.push({ skill: skillName, variant: variantName });
+            }
+        });
+    });
+    
+    return matches;
+}
+
+/**
+ * Get the cost of a variant
+ * @param {Object} skillTrees - The skill trees object
+ * @param {string} variantName - Name of the variant
+ * @returns {number} - Cost of the variant
+ */
+export function getVariantCost(skillTrees, variantName) {
+    // Search for the variant in all skills
+    for (const skillName in skillTrees) {
+        const skill = skillTrees[skillName];
+        if (skill.variants && skill.variants[variantName]) {
+            return skill.variants[variantName].cost || 5; // Default cost is 5
+        }
+    }
+    return 5; // Default cost if not found
+}
+
+/**
+ * Get the cost of a buff
+ * Buffs are defined per skill and shared by the base skill and its variants
+ * @param {Object} skillTrees - The skill trees object
+ * @param {string} skillName - Name of the skill
+ * @param {string} buffName - Name of the buff
+ * @returns {number} - Cost of the buff
+ */
+export function getBuffCost(skillTrees, skillName, buffName) {
+    const skill = skillTrees[skillName];
+    if (skill && skill.buffs && skill.buffs[buffName]) {
+        return skill.buffs[buffName].cost || 3; // Default cost is 3
+    }
+    return 3; // Default cost if not found
+}
+
+/**
+ * Calculate the points spent on variants and buffs
+ * @param {Object} skillTrees - The skill trees object
+ * @param {Object} allocations - Skill tree data keyed by skill name
+ * @returns {number} - Points spent
+ */
+export function getSpentSkillPoints(skillTrees, allocations) {
+    let totalPointsSpent = 0;
+    
+    Object.entries(allocations).forEach(([skillName, skill]) => {
+        if (skill.activeVariant) {
+            totalPointsSpent += getVariantCost(skillTrees, skill.activeVariant);
+        }
+        
+        // Buffs cost points for the base skill as well as for variants
+        if (skill.buffs) {
+            Object.keys(skill.buffs).forEach(buffName => {
+                if (skill.buffs[buffName]) {
+                    totalPointsSpent += getBuffCost(skillTrees, skillName, buffName);
+                }
+            });
+        }
+    });
+    
+    return totalPointsSpent;
+}
+
+/**
+ * Clear every variant and buff selection, refunding all spent points
+ * @param {Object} allocations - Skill tree data keyed by skill name
+ */
+export function resetSkillAllocations(allocations) {
+    Object.values(allocations).forEach(skill => {
+        skill.activeVariant = null;
+        skill.buffs = {};
+    });
+}
+
+/**
+ * Drop selections the player can no longer have, modifying the allocations in place
+ * Locked variants are cleared, and if the allocation costs more than the
+ * earned points (e.g. saves from before skill points existed) everything is refunded
+ * @param {Object} skillTrees - The skill trees object
+ * @param {Object} allocations - Skill tree data keyed by skill name
+ * @param {number} totalPoints - Skill points the player has earned
+ * @param {function(string): boolean} isVariantUnlocked - Whether the player has unlocked a variant
+ * @returns {{changed: boolean, reset: boolean}} - Whether anything was dropped, and whether everything was refunded
+ */
+export function enforceSkillPointBudget(skillTrees, allocations, totalPoints, isVariantUnlocked) {
+    let changed = false;
+    Object.values(allocations).forEach(skill => {
+        if (skill.activeVariant && !isVariantUnlocked(skill.activeVariant)) {
+            skill.activeVariant = null;
+            skill.buffs = {};
+            changed = true;
+        }
+    });
+    
+    const reset = getSpentSkillPoints(skillTrees, allocations) > totalPoints;
+    if (reset) {
+        resetSkillAllocations(allocations);
+        changed = true;
+    }
+    
+    return { changed, reset };
+}
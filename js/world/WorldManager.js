@@ -10,6 +10,8 @@ import { FogManager } from './environment/FogManager.js';
 import { SkyManager } from './environment/SkyManager.js';
 import { TeleportManager } from './teleport/TeleportManager.js';
 import { MapLoader } from './utils/MapLoader.js';
+import { NavigationManager } from './navigation/NavigationManager.js';
+import { NPCManager } from '../entities/npcs/NPCManager.js';
 
 /**
  * Main World Manager class that coordinates all world-related systems
@@ -31,8 +33,15 @@ export class WorldManager {
         this.environmentFactory = new EnvironmentFactory(scene, this);
         this.interactiveManager = new InteractiveObjectManager(scene, this, game);
         this.zoneManager = new ZoneManager(scene, this, game);
+        this.terrainManager.setZoneManager(this.zoneManager);
         this.teleportManager = new TeleportManager(scene, this, game);
         
+        // Navigation grid for enemy pathfinding (filled by the map loader as chunks load)
+        this.navigationManager = new NavigationManager(this);
+        
+        // Villagers, quest givers and vendors (placed by the map loader as villages load)
+        this.npcManager = new NPCManager(scene, this, game);
+        
         // Map loader for loading existing maps
         this.mapLoader = new MapLoader(this);
         
@@ -243,14 +252,26 @@ export class WorldManager {
      */
     getTerrainHeight(x, z) {
         // Use terrain manager to get height
-        if (this.terrainManager && this.terrainManager.getHeightAt) {
-            return this.terrainManager.getHeightAt(x, z);
+        if (this.terrainManager && this.terrainManager.getTerrainHeight) {
+            return this.terrainManager.getTerrainHeight(x, z);
         }
         
         // Default height if terrain manager is not available
         return 0;
     }
 
+    /**
+     * Get the zone at a specific position
+     * @param {THREE.Vector3} position - The position to check
+     * @returns {object|null} - The zone at the position
+     */
+    getZoneAt(position) {
+        if (this.zoneManager && this.zoneManager.getZoneAt) {
+            return this.zoneManager.getZoneAt(position);
+        }
+        return null;
+    }
+
     /**
      * Update the world based on player position
      * @param {THREE.Vector3} playerPosition - The player's current position
@@ -265,6 +286,11 @@ export class WorldManager {
         
         // Update lighting to follow player
         this.updateLighting(playerPosition);
+        
+        // Update NPCs near the player
+        if (this.npcManager) {
+            this.npcManager.update(playerPosition, delta);
+        }
     }
 
     /**
@@ -316,16 +342,35 @@ export class WorldManager {
 
     /**
      * Get interactive objects near a specific position
-     * This is a wrapper for interactiveManager.getObjectsNear
+     * This is a wrapper for interactiveManager.getObjectsNear that also includes NPCs
      * @param {THREE.Vector3} position - The position to check
      * @param {number} radius - The radius to check
      * @returns {Array} - Array of interactive objects within the radius
      */
     getInteractiveObjectsNear(position, radius) {
+        const objects = [];
         if (this.interactiveManager && this.interactiveManager.getObjectsNear) {
-            return this.interactiveManager.getObjectsNear(position, radius);
+            objects.push(...this.interactiveManager.getObjectsNear(position, radius));
+        }
+        if (this.npcManager) {
+            objects.push(...this.npcManager.getNPCsNear(position, radius));
+        }
+        return objects;
+    }
+
+    /**
+     * Get all interactive objects, including NPCs
+     * @returns {Array} - Array of all interactive objects
+     */
+    getInteractiveObjects() {
+        const objects = [];
+        if (this.interactiveManager && this.interactiveManager.getInteractiveObjects) {
+            objects.push(...this.interactiveManager.getInteractiveObjects());
+        }
+        if (this.npcManager) {
+            objects.push(...this.npcManager.npcs.filter(npc => npc.isActive));
         }
-        return [];
+        return objects;
     }
 
     /**
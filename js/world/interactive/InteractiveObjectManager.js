@@ -1,7 +1,7 @@
 import * as THREE from 'three';
 import { TreasureChest } from './TreasureChest.js';
-import { QuestMarker } from './QuestMarker.js';
 import { BossSpawnPoint } from './BossSpawnPoint.js';
+import { WorldTierShrine } from './WorldTierShrine.js';
 
 /**
  * Manages interactive objects in the world
@@ -77,10 +77,10 @@ export class InteractiveObjectManager {
                         );
                         break;
                     case 'quest':
-                        this.createQuestMarker(
+                        this.createQuestGiver(
                             objData.position.x, 
                             objData.position.z, 
-                            objData.name || 'Quest'
+                            objData.questIds || (objData.questId ? [objData.questId] : undefined)
                         );
                         break;
                     case 'boss_spawn':
@@ -90,6 +90,12 @@ export class InteractiveObjectManager {
                             objData.bossType || 'generic_boss'
                         );
                         break;
+                    case 'world_tier_shrine':
+                        this.createWorldTierShrine(
+                            objData.position.x, 
+                            objData.position.z
+                        );
+                        break;
                     default:
                         console.warn(`Unknown interactive object type: ${objData.type}`);
                 }
@@ -108,10 +114,8 @@ export class InteractiveObjectManager {
         this.createTreasureChest(-15, 5);
         this.createTreasureChest(5, -15);
         
-        // Create quest markers
-        this.createQuestMarker(25, 15, 'Main Quest');
-        this.createQuestMarker(-10, -20, 'Side Quest');
-        this.createQuestMarker(15, -5, 'Exploration');
+        // Create a quest giver
+        this.createQuestGiver(25, 15);
     }
     
     /**
@@ -119,9 +123,11 @@ export class InteractiveObjectManager {
      * @param {number} x - X coordinate
      * @param {number} z - Z coordinate
      * @param {boolean} isOpen - Whether the chest is already open
+     * @param {string} [id] - Stable chest id shared by every player on the map (defaults to one derived from the position)
      * @returns {THREE.Group} - The treasure chest group
      */
-    createTreasureChest(x, z, isOpen = false) {
+    createTreasureChest(x, z, isOpen = false, id = null) {
+        const chestId = this.createChestId(id || `chest-${Math.round(x)}-${Math.round(z)}`);
         const chest = new TreasureChest();
         const chestGroup = chest.createMesh();
         
@@ -140,7 +146,9 @@ export class InteractiveObjectManager {
         // Add to interactive objects
         this.interactiveObjects.push({
             type: 'chest',
+            id: chestId,
             mesh: chestGroup,
+            chest: chest,
             position: new THREE.Vector3(x, y, z),
             interactionRadius: 2,
             isOpen: isOpen,
@@ -173,47 +181,33 @@ export class InteractiveObjectManager {
     }
     
     /**
-     * Create a quest marker at the specified position
+     * Make a chest id unique by numbering repeats in creation order
+     * @param {string} baseId - The preferred id
+     * @returns {string} - An id no other chest uses
+     */
+    createChestId(baseId) {
+        let chestId = baseId;
+        for (let index = 2; this.interactiveObjects.some(obj => obj.type === 'chest' && obj.id === chestId); index++) {
+            chestId = `${baseId}-${index}`;
+        }
+        return chestId;
+    }
+    
+    /**
+     * Spawn a quest giver NPC at the specified position
+     * Quests are offered from the quest manager, so accepting one starts the real quest
      * @param {number} x - X coordinate
      * @param {number} z - Z coordinate
-     * @param {string} questName - Name of the quest
-     * @returns {THREE.Group} - The quest marker group
+     * @param {Array<string>} [questIds] - Quest ids to offer (defaults to every available quest)
+     * @returns {Object|null} - The quest giver NPC, or null if NPCs are not available
      */
-    createQuestMarker(x, z, questName) {
-        const questMarker = new QuestMarker(questName);
-        const markerGroup = questMarker.createMesh();
-        
-        // Position marker on terrain
-        markerGroup.position.set(x, this.worldManager.getTerrainHeight(x, z), z);
-        
-        // Add to scene
-        this.scene.add(markerGroup);
-        
-        // Add to interactive objects
-        this.interactiveObjects.push({
-            type: 'quest',
-            name: questName,
-            mesh: markerGroup,
-            position: new THREE.Vector3(x, this.worldManager.getTerrainHeight(x, z), z),
-            interactionRadius: 3,
-            onInteract: () => {
-                // Return quest information
-                return {
-                    type: 'quest',
-                    quest: {
-                        name: questName,
-                        description: `This is the ${questName}. Complete it to earn rewards!`,
-                        objective: 'Defeat 5 enemies',
-                        reward: {
-                            experience: 100,
-                            gold: 200
-                        }
-                    }
-                };
-            }
-        });
+    createQuestGiver(x, z, questIds) {
+        if (!this.worldManager.npcManager) {
+            console.warn('NPC manager not available, quest giver cannot be spawned');
+            return null;
+        }
         
-        return markerGroup;
+        return this.worldManager.npcManager.spawnNPC('elder', { x, z }, { questIds });
     }
     
     /**
@@ -254,6 +248,40 @@ export class InteractiveObjectManager {
         return markerGroup;
     }
     
+    /**
+     * Create a world tier shrine at the specified position
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {THREE.Group} - The shrine group
+     */
+    createWorldTierShrine(x, z) {
+        const shrine = new WorldTierShrine();
+        const shrineGroup = shrine.createMesh();
+        
+        // Position shrine on terrain
+        shrineGroup.position.set(x, this.worldManager.getTerrainHeight(x, z), z);
+        
+        // Add to scene
+        this.scene.add(shrineGroup);
+        
+        // Add to interactive objects
+        this.interactiveObjects.push({
+            type: 'world_tier_shrine',
+            name: 'World Tier Shrine',
+            mesh: shrineGroup,
+            position: new THREE.Vector3(x, this.worldManager.getTerrainHeight(x, z), z),
+            interactionRadius: 3,
+            onInteract: () => {
+                // The result handler picks the next tier
+                return {
+                    type: 'world_tier'
+                };
+            }
+        });
+        
+        return shrineGroup;
+    }
+    
     /**
      * Get interactive objects near a specific position
      * @param {THREE.Vector3} position - The position to check
@@ -284,6 +312,34 @@ export class InteractiveObjectManager {
         return this.interactiveObjects.find(obj => obj.mesh === mesh);
     }
     
+    /**
+     * Get the ids of all opened chests
+     * @returns {Array<string>} - Opened chest ids
+     */
+    getOpenedChestIds() {
+        return this.interactiveObjects
+            .filter(obj => obj.type === 'chest' && obj.isOpen)
+            .map(obj => obj.id);
+    }
+    
+    /**
+     * Open a closed chest by id without giving its reward
+     * @param {string} chestId - The chest id
+     * @returns {boolean} - True if a chest was opened
+     */
+    openChest(chestId) {
+        const chestObj = this.interactiveObjects.find(obj =>
+            obj.type === 'chest' && !obj.isOpen && obj.id === chestId
+        );
+        if (!chestObj) {
+            return false;
+        }
+        
+        chestObj.chest.open();
+        chestObj.isOpen = true;
+        return true;
+    }
+    
     /**
      * Clear all interactive objects
      */
@@ -307,6 +363,7 @@ export class InteractiveObjectManager {
         return {
             objects: this.interactiveObjects.map(obj => ({
                 type: obj.type,
+                id: obj.id,
                 name: obj.name,
                 position: {
                     x: obj.position.x,
@@ -334,7 +391,7 @@ export class InteractiveObjectManager {
         interactiveState.objects.forEach(objData => {
             switch (objData.type) {
                 case 'chest':
-                    const chest = this.createTreasureChest(objData.position.x, objData.position.z);
+                    const chest = this.createTreasureChest(objData.position.x, objData.position.z, false, objData.id);
                     if (objData.isOpen) {
                         // Find the interactive object and mark it as open
                         const interactiveObj = this.interactiveObjects.find(obj => obj.mesh === chest);
@@ -347,11 +404,14 @@ export class InteractiveObjectManager {
                     }
                     break;
                 case 'quest':
-                    this.createQuestMarker(objData.position.x, objData.position.z, objData.name);
+                    // Older saves contain quest markers; quest givers are NPCs now and are not saved here
                     break;
                 case 'boss_spawn':
                     this.createBossSpawnPoint(objData.position.x, objData.position.z, objData.bossType);
                     break;
+                case 'world_tier_shrine':
+                    this.createWorldTierShrine(objData.position.x, objData.position.z);
+                    break;
             }
         });
     }
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+
+/**
+ * Represents a shrine where the player can change the world tier
+ */
+export class WorldTierShrine {
+    /**
+     * Create a new world tier shrine
+     */
+    constructor() {
+        this.isInteractive = true;
+    }
+
+    /**
+     * Create the world tier shrine mesh
+     * @returns {THREE.Group} - The shrine group
+     */
+    createMesh() {
+        const shrineGroup = new THREE.Group();
+
+        // Create stone base
+        const stoneMaterial = new THREE.MeshStandardMaterial({
+            color: 0x555566,
+            roughness: 0.9,
+            metalness: 0.1
+        });
+
+        const baseGeometry = new THREE.CylinderGeometry(1.2, 1.4, 0.4, 8);
+        const base = new THREE.Mesh(baseGeometry, stoneMaterial);
+        base.position.y = 0.2;
+        base.castShadow = true;
+        base.receiveShadow = true;
+
+        shrineGroup.add(base);
+
+        // Create pillar
+        const pillarGeometry = new THREE.CylinderGeometry(0.3, 0.4, 1.6, 8);
+        const pillar = new THREE.Mesh(pillarGeometry, stoneMaterial);
+        pillar.position.y = 1.2;
+        pillar.castShadow = true;
+        pillar.receiveShadow = true;
+
+        shrineGroup.add(pillar);
+
+        // Create glowing crystal on top
+        const crystalMaterial = new THREE.MeshBasicMaterial({
+            color: 0xff9933,
+            transparent: true,
+            opacity: 0.85
+        });
+
+        const crystalGeometry = new THREE.OctahedronGeometry(0.4, 0);
+        const crystal = new THREE.Mesh(crystalGeometry, crystalMaterial);
+        crystal.position.y = 2.4;
+
+        shrineGroup.add(crystal);
+
+        // Create rune ring on the ground
+        const runeGeometry = new THREE.TorusGeometry(1.8, 0.08, 8, 32);
+        const runeMaterial = new THREE.MeshBasicMaterial({
+            color: 0xff9933,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide
+        });
+        const rune = new THREE.Mesh(runeGeometry, runeMaterial);
+        rune.rotation.x = -Math.PI / 2;
+        rune.position.y = 0.1;
+
+        shrineGroup.add(rune);
+
+        return shrineGroup;
+    }
+}
@@ -0,0 +1,420 @@
+import * as THREE from 'three';
+import { PathFinder } from './PathFinder.js';
+import { ENEMY_NAVIGATION_SETTINGS } from '../../config/enemy-behavior.js';
+
+/**
+ * Navigation grid built from the structures and environment objects of loaded map chunks
+ * Obstacle footprints are registered per map chunk and stamped lazily into
+ * per-chunk blocked-cell grids, which A* searches to route enemies around obstacles
+ */
+export class NavigationManager {
+    /**
+     * @param {import("../WorldManager.js").WorldManager} worldManager - The world manager
+     */
+    constructor(worldManager) {
+        this.worldManager = worldManager;
+        this.config = ENEMY_NAVIGATION_SETTINGS;
+        this.pathFinder = new PathFinder();
+
+        this.chunkSize = this.config.chunkSize;
+        this.cellSize = this.config.cellSize;
+        this.cellsPerChunk = Math.ceil(this.chunkSize / this.cellSize);
+
+        // Footprints by source key (map chunk key, or 'map' when chunking is off)
+        this.obstaclesBySource = new Map();
+
+        // Footprints overlapping each grid chunk, and the lazily built grids
+        this.obstaclesByGridChunk = new Map();
+        this.grids = new Map();
+
+        this.obstacleCount = 0;
+
+        // Reused to avoid allocations while measuring objects
+        this.tempBox = new THREE.Box3();
+    }
+
+    /**
+     * Register the obstacles of a loaded map chunk
+     * @param {string} chunkKey - The map loader chunk key
+     * @param {{structures: Array<THREE.Object3D>, environment: Array<THREE.Object3D>}} chunkObjects - The chunk's objects
+     */
+    addChunkObstacles(chunkKey, chunkObjects) {
+        if (!chunkObjects) {
+            return;
+        }
+
+        let added = 0;
+        (chunkObjects.structures || []).forEach(structure => {
+            added += this.addObstacle(chunkKey, structure, 'structure');
+        });
+        (chunkObjects.environment || []).forEach(envObject => {
+            added += this.addObstacle(chunkKey, envObject, 'environment');
+        });
+
+        if (added > 0) {
+            console.debug(`Navigation: registered ${added} obstacle footprints for chunk ${chunkKey}`);
+        }
+    }
+
+    /**
+     * Register a single object as an obstacle if its type blocks movement
+     * @param {string} sourceKey - Key used to remove the obstacle later
+     * @param {THREE.Object3D} object - The structure or environment object
+     * @param {string} category - 'structure' or 'environment'
+     * @returns {number} - Number of footprints added
+     */
+    addObstacle(sourceKey, object, category) {
+        if (!object || !object.userData) {
+            return 0;
+        }
+
+        const rules = category === 'structure' ? this.config.blockingStructures : this.config.blockingEnvironment;
+        const rule = rules[object.userData.mapType];
+        if (!rule) {
+            return 0;
+        }
+
+        object.updateMatrixWorld(true);
+
+        const footprints = [];
+        if (rule.perChild && object.children.length > 0) {
+            object.children.forEach(child => {
+                // Paths and other flat decorations stay walkable
+                if (child.userData && child.userData.type === 'path') {
+                    return;
+                }
+                const footprint = this.createFootprint(child, rule.footprintScale, true);
+                if (footprint) {
+                    footprints.push(footprint);
+                }
+            });
+        } else {
+            const footprint = this.createFootprint(object, rule.footprintScale, false);
+            if (footprint) {
+                footprints.push(footprint);
+            }
+        }
+
+        footprints.forEach(footprint => this.addFootprint(sourceKey, footprint));
+        return footprints.length;
+    }
+
+    /**
+     * Measure the ground footprint of an object
+     * @param {THREE.Object3D} object - The object to measure
+     * @param {number} scale - Share of the bounds that blocks movement
+     * @param {boolean} skipFlat - Ignore objects that are too flat to block movement
+     * @returns {{minX: number, maxX: number, minZ: number, maxZ: number}|null} - The footprint
+     */
+    createFootprint(object, scale, skipFlat) {
+        const box = this.tempBox.setFromObject(object);
+        if (box.isEmpty()) {
+            return null;
+        }
+
+        if (skipFlat && box.max.y - box.min.y < 0.3) {
+            return null;
+        }
+
+        const halfWidth = (box.max.x - box.min.x) * 0.5 * scale;
+        const halfDepth = (box.max.z - box.min.z) * 0.5 * scale;
+        if (halfWidth * 2 > this.config.maxObstacleSize || halfDepth * 2 > this.config.maxObstacleSize) {
+            return null;
+        }
+
+        const centerX = (box.min.x + box.max.x) * 0.5;
+        const centerZ = (box.min.z + box.max.z) * 0.5;
+        const clearance = this.config.agentClearance;
+
+        return {
+            minX: centerX - halfWidth - clearance,
+            maxX: centerX + halfWidth + clearance,
+            minZ: centerZ - halfDepth - clearance,
+            maxZ: centerZ + halfDepth + clearance
+        };
+    }
+
+    /**
+     * Store a footprint and invalidate the grids it overlaps
+     * @param {string} sourceKey - The source the footprint belongs to
+     * @param {Object} footprint - The footprint bounds
+     */
+    addFootprint(sourceKey, footprint) {
+        if (!this.obstaclesBySource.has(sourceKey)) {
+            this.obstaclesBySource.set(sourceKey, []);
+        }
+        this.obstaclesBySource.get(sourceKey).push(footprint);
+
+        this.forEachGridChunk(footprint, gridKey => {
+            if (!this.obstaclesByGridChunk.has(gridKey)) {
+                this.obstaclesByGridChunk.set(gridKey, new Set());
+            }
+            this.obstaclesByGridChunk.get(gridKey).add(footprint);
+            this.grids.delete(gridKey);
+        });
+
+        this.obstacleCount++;
+    }
+
+    /**
+     * Remove all obstacles registered for a source (called when a map chunk unloads)
+     * @param {string} sourceKey - The source key
+     */
+    removeChunk(sourceKey) {
+        const footprints = this.obstaclesBySource.get(sourceKey);
+        if (!footprints) {
+            return;
+        }
+
+        footprints.forEach(footprint => {
+            this.forEachGridChunk(footprint, gridKey => {
+                const obstacles = this.obstaclesByGridChunk.get(gridKey);
+                if (obstacles) {
+                    obstacles.delete(footprint);
+                    if (obstacles.size === 0) {
+                        this.obstaclesByGridChunk.delete(gridKey);
+                    }
+                }
+                this.grids.delete(gridKey);
+            });
+        });
+
+        this.obstacleCount -= footprints.length;
+        this.obstaclesBySource.delete(sourceKey);
+    }
+
+    /**
+     * Remove every obstacle (called when the world is cleared)
+     */
+    clear() {
+        this.obstaclesBySource.clear();
+        this.obstaclesByGridChunk.clear();
+        this.grids.clear();
+        this.obstacleCount = 0;
+    }
+
+    /**
+     * Check whether any obstacles are registered
+     * @returns {boolean} - True if the grid contains obstacles
+     */
+    hasObstacles() {
+        return this.obstacleCount > 0;
+    }
+
+    /**
+     * Call a function for every grid chunk a footprint overlaps
+     * @param {Object} footprint - The footprint bounds
+     * @param {function(string): void} callback - Receives the grid chunk key
+     */
+    forEachGridChunk(footprint, callback) {
+        const minChunkX = Math.floor(footprint.minX / this.chunkSize);
+        const maxChunkX = Math.floor(footprint.maxX / this.chunkSize);
+        const minChunkZ = Math.floor(footprint.minZ / this.chunkSize);
+        const maxChunkZ = Math.floor(footprint.maxZ / this.chunkSize);
+
+        for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+            for (let chunkZ = minChunkZ; chunkZ <= maxChunkZ; chunkZ++) {
+                callback(`${chunkX}_${chunkZ}`);
+            }
+        }
+    }
+
+    /**
+     * Get the blocked-cell grid of a chunk, building it if needed
+     * @param {number} chunkX - Grid chunk X
+     * @param {number} chunkZ - Grid chunk Z
+     * @returns {Uint8Array|null} - The grid, or null if the chunk has no obstacles
+     */
+    getGrid(chunkX, chunkZ) {
+        const gridKey = `${chunkX}_${chunkZ}`;
+        const obstacles = this.obstaclesByGridChunk.get(gridKey);
+        if (!obstacles) {
+            return null;
+        }
+
+        let grid = this.grids.get(gridKey);
+        if (grid) {
+            return grid;
+        }
+
+        const cells = this.cellsPerChunk;
+        const originCellX = chunkX * cells;
+        const originCellZ = chunkZ * cells;
+        grid = new Uint8Array(cells * cells);
+
+        obstacles.forEach(footprint => {
+            const minCol = Math.max(0, Math.floor(footprint.minX / this.cellSize) - originCellX);
+            const maxCol = Math.min(cells - 1, Math.floor(footprint.maxX / this.cellSize) - originCellX);
+            const minRow = Math.max(0, Math.floor(footprint.minZ / this.cellSize) - originCellZ);
+            const maxRow = Math.min(cells - 1, Math.floor(footprint.maxZ / this.cellSize) - originCellZ);
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    grid[row * cells + col] = 1;
+                }
+            }
+        });
+
+        this.grids.set(gridKey, grid);
+        return grid;
+    }
+
+    /**
+     * Check whether a grid cell is blocked
+     * @param {number} cellX - Global cell X
+     * @param {number} cellZ - Global cell Z
+     * @returns {boolean} - True if the cell is blocked
+     */
+    isCellBlocked(cellX, cellZ) {
+        const cells = this.cellsPerChunk;
+        const chunkX = Math.floor(cellX / cells);
+        const chunkZ = Math.floor(cellZ / cells);
+        const grid = this.getGrid(chunkX, chunkZ);
+        if (!grid) {
+            return false;
+        }
+
+        return grid[(cellZ - chunkZ * cells) * cells + (cellX - chunkX * cells)] === 1;
+    }
+
+    /**
+     * Check whether a world position is blocked
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {boolean} - True if the position is inside an obstacle footprint
+     */
+    isBlocked(x, z) {
+        return this.isCellBlocked(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+    }
+
+    /**
+     * Check whether the straight line between two positions is free of obstacles
+     * @param {{x: number, z: number}} from - Start position
+     * @param {{x: number, z: number}} to - End position
+     * @returns {boolean} - True if nothing blocks the line
+     */
+    hasLineOfSight(from, to) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const steps = Math.ceil(distance / (this.cellSize * 0.5));
+
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            if (this.isBlocked(from.x + dx * t, from.z + dz * t)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Find the nearest walkable cell around a cell
+     * @param {number} cellX - Cell X
+     * @param {number} cellZ - Cell Z
+     * @param {number} radius - Search radius in cells
+     * @returns {{x: number, z: number}|null} - The walkable cell, or null if none is close enough
+     */
+    findWalkableCell(cellX, cellZ, radius) {
+        if (!this.isCellBlocked(cellX, cellZ)) {
+            return { x: cellX, z: cellZ };
+        }
+
+        for (let ring = 1; ring <= radius; ring++) {
+            let best = null;
+            let bestDistance = Infinity;
+
+            for (let offsetX = -ring; offsetX <= ring; offsetX++) {
+                for (let offsetZ = -ring; offsetZ <= ring; offsetZ++) {
+                    if (Math.max(Math.abs(offsetX), Math.abs(offsetZ)) !== ring) {
+                        continue; // Only check the ring's border
+                    }
+                    if (this.isCellBlocked(cellX + offsetX, cellZ + offsetZ)) {
+                        continue;
+                    }
+                    const distance = offsetX * offsetX + offsetZ * offsetZ;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = { x: cellX + offsetX, z: cellZ + offsetZ };
+                    }
+                }
+            }
+
+            if (best) {
+                return best;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find a path between two world positions
+     * @param {{x: number, z: number}} from - Start position
+     * @param {{x: number, z: number}} to - Target position
+     * @returns {Array<THREE.Vector3>|null} - Smoothed waypoints (excluding the start), or null if no path was found
+     */
+    findPath(from, to) {
+        const radius = this.config.goalSearchRadius;
+        const start = this.findWalkableCell(Math.floor(from.x / this.cellSize), Math.floor(from.z / this.cellSize), radius);
+        const goal = this.findWalkableCell(Math.floor(to.x / this.cellSize), Math.floor(to.z / this.cellSize), radius);
+        if (!start || !goal) {
+            return null;
+        }
+
+        const cells = this.pathFinder.findPath(
+            start,
+            goal,
+            (cellX, cellZ) => this.isCellBlocked(cellX, cellZ),
+            this.config.maxSearchNodes
+        );
+        if (!cells) {
+            return null;
+        }
+
+        const waypoints = cells.map(cell => new THREE.Vector3(
+            (cell.x + 0.5) * this.cellSize,
+            0,
+            (cell.z + 0.5) * this.cellSize
+        ));
+
+        // End exactly on the target when its cell was reachable
+        const lastCell = cells[cells.length - 1];
+        if (lastCell.x === goal.x && lastCell.z === goal.z && !this.isBlocked(to.x, to.z)) {
+            waypoints[waypoints.length - 1].set(to.x, 0, to.z);
+        }
+
+        return this.smoothPath(from, waypoints);
+    }
+
+    /**
+     * Remove waypoints that can be skipped with a straight line
+     * @param {{x: number, z: number}} from - Start position
+     * @param {Array<THREE.Vector3>} waypoints - Waypoints from the grid search
+     * @returns {Array<THREE.Vector3>} - The smoothed waypoints
+     */
+    smoothPath(from, waypoints) {
+        const smoothed = [];
+        let anchor = from;
+        let index = 0;
+
+        while (index < waypoints.length) {
+            // Find the furthest waypoint visible from the anchor (bounded look-ahead keeps this cheap)
+            let furthest = index;
+            const lastCandidate = Math.min(waypoints.length - 1, index + 32);
+            for (let next = lastCandidate; next > index; next--) {
+                if (this.hasLineOfSight(anchor, waypoints[next])) {
+                    furthest = next;
+                    break;
+                }
+            }
+
+            smoothed.push(waypoints[furthest]);
+            anchor = waypoints[furthest];
+            index = furthest + 1;
+        }
+
+        return smoothed;
+    }
+}
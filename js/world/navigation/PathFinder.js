@@ -0,0 +1,218 @@
+/**
+ * A* search over an 8-connected grid of cells
+ * The grid itself is provided through a blocked-cell callback so the search
+ * works on any cell source (the navigation manager builds its grid per chunk)
+ */
+export class PathFinder {
+    constructor() {
+        // Neighbor offsets: straight moves first, then diagonals
+        this.neighbors = [
+            { x: 1, z: 0, cost: 1 },
+            { x: -1, z: 0, cost: 1 },
+            { x: 0, z: 1, cost: 1 },
+            { x: 0, z: -1, cost: 1 },
+            { x: 1, z: 1, cost: Math.SQRT2 },
+            { x: 1, z: -1, cost: Math.SQRT2 },
+            { x: -1, z: 1, cost: Math.SQRT2 },
+            { x: -1, z: -1, cost: Math.SQRT2 }
+        ];
+    }
+
+    /**
+     * Find a path between two cells
+     * When the node budget runs out, the path to the explored cell closest to the goal is returned
+     * @param {{x: number, z: number}} start - Start cell
+     * @param {{x: number, z: number}} goal - Goal cell
+     * @param {function(number, number): boolean} isBlocked - Returns true if a cell cannot be entered
+     * @param {number} maxNodes - Maximum number of cells to expand
+     * @returns {Array<{x: number, z: number}>|null} - Cells from start to goal, or null if no progress is possible
+     */
+    findPath(start, goal, isBlocked, maxNodes) {
+        const startKey = this.getKey(start.x, start.z);
+        const goalKey = this.getKey(goal.x, goal.z);
+
+        if (startKey === goalKey) {
+            return [{ x: goal.x, z: goal.z }];
+        }
+
+        const nodes = new Map();
+        const open = [];
+
+        const startNode = {
+            key: startKey,
+            x: start.x,
+            z: start.z,
+            g: 0,
+            h: this.heuristic(start.x, start.z, goal.x, goal.z),
+            parent: null,
+            closed: false
+        };
+        startNode.f = startNode.h;
+        nodes.set(startKey, startNode);
+        this.push(open, { node: startNode, f: startNode.f });
+
+        let bestNode = startNode;
+        let expanded = 0;
+
+        while (open.length > 0 && expanded < maxNodes) {
+            const entry = this.pop(open);
+            const current = entry.node;
+            if (current.closed || entry.f !== current.f) {
+                continue; // Stale heap entry superseded by a cheaper one
+            }
+
+            if (current.key === goalKey) {
+                return this.buildPath(current);
+            }
+
+            current.closed = true;
+            expanded++;
+
+            if (current.h < bestNode.h) {
+                bestNode = current;
+            }
+
+            for (const offset of this.neighbors) {
+                const nx = current.x + offset.x;
+                const nz = current.z + offset.z;
+
+                if (isBlocked(nx, nz)) {
+                    continue;
+                }
+
+                // Do not cut corners around blocked cells
+                if (offset.x !== 0 && offset.z !== 0 &&
+                    (isBlocked(current.x + offset.x, current.z) || isBlocked(current.x, current.z + offset.z))) {
+                    continue;
+                }
+
+                const key = this.getKey(nx, nz);
+                const g = current.g + offset.cost;
+                let node = nodes.get(key);
+
+                if (!node) {
+                    node = {
+                        key,
+                        x: nx,
+                        z: nz,
+                        g,
+                        h: this.heuristic(nx, nz, goal.x, goal.z),
+                        parent: current,
+                        closed: false
+                    };
+                    node.f = g + node.h;
+                    nodes.set(key, node);
+                    this.push(open, { node, f: node.f });
+                } else if (!node.closed && g < node.g) {
+                    // Push a fresh entry with the better cost; the old entry keeps its
+                    // own f so the heap stays ordered, and it is skipped when popped
+                    node.g = g;
+                    node.f = g + node.h;
+                    node.parent = current;
+                    this.push(open, { node, f: node.f });
+                }
+            }
+        }
+
+        // Budget exhausted or goal unreachable: move toward the closest explored cell
+        return bestNode !== startNode ? this.buildPath(bestNode) : null;
+    }
+
+    /**
+     * Walk parent links back to the start
+     * @param {Object} node - The final node
+     * @returns {Array<{x: number, z: number}>} - Cells from start to the node
+     */
+    buildPath(node) {
+        const path = [];
+        let current = node;
+        while (current) {
+            path.push({ x: current.x, z: current.z });
+            current = current.parent;
+        }
+        return path.reverse();
+    }
+
+    /**
+     * Octile distance heuristic for 8-connected grids
+     * @param {number} x1 - Start cell X
+     * @param {number} z1 - Start cell Z
+     * @param {number} x2 - Goal cell X
+     * @param {number} z2 - Goal cell Z
+     * @returns {number} - Estimated cost
+     */
+    heuristic(x1, z1, x2, z2) {
+        const dx = Math.abs(x1 - x2);
+        const dz = Math.abs(z1 - z2);
+        return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    }
+
+    /**
+     * Get a numeric key for a cell
+     * @param {number} x - Cell X
+     * @param {number} z - Cell Z
+     * @returns {number} - Unique cell key
+     */
+    getKey(x, z) {
+        return (x + 50000) * 100000 + (z + 50000);
+    }
+
+    /**
+     * Push an entry onto the binary min-heap
+     * Entries carry their own f so later cost updates on the node never reorder the heap
+     * @param {Array<{node: Object, f: number}>} heap - The heap array
+     * @param {{node: Object, f: number}} entry - The entry to add
+     */
+    push(heap, entry) {
+        heap.push(entry);
+        let index = heap.length - 1;
+
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            if (heap[parentIndex].f <= entry.f) {
+                break;
+            }
+            heap[index] = heap[parentIndex];
+            index = parentIndex;
+        }
+        heap[index] = entry;
+    }
+
+    /**
+     * Pop the entry with the lowest cost from the binary min-heap
+     * @param {Array<{node: Object, f: number}>} heap - The heap array
+     * @returns {{node: Object, f: number}} - The entry with the lowest f cost
+     */
+    pop(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+
+        if (heap.length > 0) {
+            let index = 0;
+            const length = heap.length;
+
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                let smallestF = last.f;
+
+                if (left < length && heap[left].f < smallestF) {
+                    smallest = left;
+                    smallestF = heap[left].f;
+                }
+                if (right < length && heap[right].f < smallestF) {
+                    smallest = right;
+                }
+                if (smallest === index) {
+                    break;
+                }
+                heap[index] = heap[smallest];
+                index = smallest;
+            }
+            heap[index] = last;
+        }
+
+        return top;
+    }
+}
@@ -21,6 +21,11 @@ export class StructureManager {
         this.structures = [];
         this.specialStructures = {}; // Track special structures like Dark Sanctum
         
+        // Structures placed here (not by MapLoader) that block enemy navigation,
+        // and the terrain chunks whose obstacles are currently registered
+        this.navigationObstacles = [];
+        this.navigationChunks = new Set();
+        
         // Structure types
         this.structureTypes = [
             'house', 'tower', 'ruins', 'darkSanctum', 
@@ -37,8 +42,8 @@ export class StructureManager {
         // Only create initial structures if specifically requested
         if (createInitialStructures) {
             // Create initial structures near the player's starting position
-            this.createRuins(0, 0);
-            this.createDarkSanctum(0, -40);
+            this.registerNavigationObstacle(this.createRuins(0, 0), 'ruins');
+            this.registerNavigationObstacle(this.createDarkSanctum(0, -40), 'darkSanctum');
             
             // Mark these initial structures as placed
             this.specialStructures['initial_ruins'] = { x: 0, z: 0, type: 'ruins' };
@@ -143,6 +148,10 @@ export class StructureManager {
                         structure.rotation.y = structureData.rotation;
                     }
                     
+                    // Mountains block movement like the environment mountains MapLoader places
+                    this.registerNavigationObstacle(structure, structureData.type,
+                        structureData.type === 'mountain' ? 'environment' : 'structure');
+                    
                     // Create structure info
                     const structureInfo = {
                         type: structureData.type,
@@ -258,6 +267,8 @@ export class StructureManager {
         const villageCenter = this.createVillage(centerX, centerZ);
         
         if (villageCenter) {
+            this.registerNavigationObstacle(villageCenter, 'village');
+            
             // Create village info
             const villageCenterInfo = {
                 type: 'village',
@@ -430,6 +441,8 @@ export class StructureManager {
             const mountain = this.createMountain(mountainX, mountainZ, scaleFactor);
             
             if (mountain) {
+                this.registerNavigationObstacle(mountain, 'mountain', 'environment');
+                
                 // Create mountain info
                 const mountainInfo = {
                     type: 'mountain',
@@ -491,13 +504,77 @@ export class StructureManager {
     }
     
     /**
-     * Legacy method kept for compatibility
-     * Now just a stub that does nothing
+     * Called when a terrain chunk loads
+     * Structures are no longer generated per chunk, but the navigation obstacles of
+     * structures placed in this chunk are registered again after the chunk was unloaded
+     * @param {number} chunkX - X chunk coordinate
+     * @param {number} chunkZ - Z chunk coordinate
+     * @param {boolean} dataOnly - Only generate data (nothing to do)
      */
     generateStructuresForChunk(chunkX, chunkZ, dataOnly = false) {
-        // This method is kept as a stub for compatibility
-        // It no longer generates structures based on chunks
-        return;
+        if (dataOnly) {
+            return;
+        }
+        
+        const chunkKey = `${chunkX},${chunkZ}`;
+        if (this.navigationChunks.has(chunkKey)) {
+            return;
+        }
+        
+        this.navigationObstacles
+            .filter(structure => structure.userData.navigationChunkKey === chunkKey && structure.parent)
+            .forEach(structure => this.addNavigationObstacle(structure));
+    }
+    
+    /**
+     * Register a structure placed by this manager as an enemy navigation obstacle
+     * MapLoader registers the structures it places itself; obstacles are keyed by
+     * terrain chunk so they are removed when the chunk unloads
+     * @param {THREE.Object3D} structure - The structure
+     * @param {string} type - Structure type, used to look up its blocking rule
+     * @param {string} [category='structure'] - 'structure' or 'environment' blocking rules
+     */
+    registerNavigationObstacle(structure, type, category = 'structure') {
+        if (!structure || !structure.userData) {
+            return;
+        }
+        
+        const terrainChunkSize = this.worldManager.terrainManager.terrainChunkSize;
+        const chunkX = Math.floor(structure.position.x / terrainChunkSize);
+        const chunkZ = Math.floor(structure.position.z / terrainChunkSize);
+        
+        structure.userData.mapType = structure.userData.mapType || type;
+        structure.userData.navigationCategory = category;
+        structure.userData.navigationChunkKey = `${chunkX},${chunkZ}`;
+        
+        this.navigationObstacles.push(structure);
+        this.addNavigationObstacle(structure);
+    }
+    
+    /**
+     * Add a registered structure's footprint to the navigation grid
+     * @param {THREE.Object3D} structure - The structure
+     */
+    addNavigationObstacle(structure) {
+        const navigationManager = this.worldManager.navigationManager;
+        if (!navigationManager) {
+            return;
+        }
+        
+        const chunkKey = structure.userData.navigationChunkKey;
+        navigationManager.addObstacle(`structures:${chunkKey}`, structure, structure.userData.navigationCategory);
+        this.navigationChunks.add(chunkKey);
+    }
+    
+    /**
+     * Remove the navigation obstacles registered for a terrain chunk
+     * @param {string} chunkKey - The chunk key (x,z format)
+     */
+    removeNavigationObstacles(chunkKey) {
+        if (this.worldManager.navigationManager) {
+            this.worldManager.navigationManager.removeChunk(`structures:${chunkKey}`);
+        }
+        this.navigationChunks.delete(chunkKey);
     }
     
     /**
@@ -579,7 +656,7 @@ export class StructureManager {
             structures.forEach(structure => {
                 // Only create important structures like darkSanctum
                 if (structure.type === 'darkSanctum') {
-                    this.createDarkSanctum(structure.x, structure.z);
+                    this.registerNavigationObstacle(this.createDarkSanctum(structure.x, structure.z), 'darkSanctum');
                     this.specialStructures[`darkSanctum_${chunkKey}_${structures.indexOf(structure)}`] = { 
                         x: structure.x, z: structure.z, type: 'darkSanctum' 
                     };
@@ -768,17 +845,25 @@ export class StructureManager {
         this.scene.add(villageGroup);
         this.structures.push(villageGroup);
         
-        // Add interactive objects like NPCs and treasure chests
+        // Add interactive objects like treasure chests
         if (this.worldManager && this.worldManager.interactiveManager) {
             // Add a treasure chest
             const chestX = x + (Math.random() * 10 - 5);
             const chestZ = z + (Math.random() * 10 - 5);
-            this.worldManager.interactiveManager.createTreasureChest(chestX, chestZ);
+            // The chest position is random, so its id comes from the village position every player shares
+            this.worldManager.interactiveManager.createTreasureChest(chestX, chestZ, false, `village-${Math.round(x)}-${Math.round(z)}-chest`);
             
-            // Add quest marker
+            // Add a world tier shrine
+            const shrineX = x + (Math.random() * 10 - 5);
+            const shrineZ = z + (Math.random() * 10 - 5);
+            this.worldManager.interactiveManager.createWorldTierShrine(shrineX, shrineZ);
+        }
+        
+        // Add a quest giver
+        if (this.worldManager && this.worldManager.npcManager) {
             const questX = x + (Math.random() * 10 - 5);
             const questZ = z + (Math.random() * 10 - 5);
-            this.worldManager.interactiveManager.createQuestMarker(questX, questZ, 'village_quest');
+            this.worldManager.npcManager.spawnNPC('elder', { x: questX, z: questZ });
         }
         
         return villageGroup;
@@ -814,6 +899,9 @@ export class StructureManager {
      * @param {boolean} disposeResources - Whether to dispose of geometries and materials
      */
     removeStructuresInChunk(chunkKey, disposeResources = false) {
+        // Enemies far from the player no longer path around this chunk's structures
+        this.removeNavigationObstacles(chunkKey);
+        
         // Check if we have structures in this chunk
         if (this.structuresPlaced[chunkKey]) {
             // Get structures in this chunk
@@ -877,6 +965,9 @@ export class StructureManager {
                 return !(structure.userData && structure.userData.chunkKey === chunkKey);
             });
             
+            // Forget removed structures so they are not registered again
+            this.navigationObstacles = this.navigationObstacles.filter(structure => structure.parent);
+            
             // Remove from structuresPlaced
             delete this.structuresPlaced[chunkKey];
             
@@ -913,10 +1004,14 @@ export class StructureManager {
             }
         });
         
+        // Remove their navigation obstacles
+        [...this.navigationChunks].forEach(chunkKey => this.removeNavigationObstacles(chunkKey));
+        
         // Reset collections
         this.structures = [];
         this.structuresPlaced = {};
         this.specialStructures = {};
+        this.navigationObstacles = [];
     }
     
     /**
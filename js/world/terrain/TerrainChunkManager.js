@@ -4,12 +4,13 @@ import * as THREE from 'three';
  * Manages terrain chunk creation, buffering, and lifecycle
  */
 export class TerrainChunkManager {
-    constructor(scene, worldManager, terrainConfig, templateManager, coloringManager) {
+    constructor(scene, worldManager, terrainConfig, templateManager, coloringManager, heightGenerator) {
         this.scene = scene;
         this.worldManager = worldManager;
         this.terrainConfig = terrainConfig;
         this.templateManager = templateManager;
         this.coloringManager = coloringManager;
+        this.heightGenerator = heightGenerator;
         
         this.terrainBuffer = {}; // Store pre-generated terrain chunks that aren't yet visible
         this.terrainChunks = {}; // Store terrain chunks by chunk key
@@ -68,13 +69,6 @@ export class TerrainChunkManager {
         terrain.receiveShadow = true;
         terrain.castShadow = true;
         
-        // Apply terrain coloring with variations based on zone type
-        const themeColors = this.worldManager.zoneManager ? this.worldManager.zoneManager.currentThemeColors : null;
-        this.coloringManager.colorTerrainUniform(terrain, zoneType, themeColors);
-        
-        // Store zone type on the terrain for later reference
-        terrain.userData.zoneType = zoneType;
-        
         // Position the terrain - ensure y=0 exactly to prevent vibration
         if (position) {
             terrain.position.copy(position);
@@ -90,6 +84,16 @@ export class TerrainChunkManager {
             );
         }
         
+        // Displace vertices by the heightmap (needs the final position)
+        this.applyHeightmap(terrain);
+        
+        // Apply terrain coloring with variations based on zone type
+        const themeColors = this.worldManager.zoneManager ? this.worldManager.zoneManager.currentThemeColors : null;
+        this.coloringManager.colorTerrainUniform(terrain, zoneType, themeColors);
+        
+        // Store zone type on the terrain for later reference
+        terrain.userData.zoneType = zoneType;
+        
         // Add terrain to scene
         this.scene.add(terrain);
         
@@ -300,12 +304,6 @@ export class TerrainChunkManager {
         terrain.receiveShadow = true;
         terrain.castShadow = true;
         
-        // Apply terrain coloring with variations based on zone type
-        this.coloringManager.colorTerrainUniform(terrain, zoneTypeName);
-        
-        // Store zone type on the terrain for later reference
-        terrain.userData.zoneType = zoneTypeName;
-        
         // Position the terrain
         const worldX = chunkX * this.terrainConfig.chunkSize;
         const worldZ = chunkZ * this.terrainConfig.chunkSize;
@@ -316,6 +314,15 @@ export class TerrainChunkManager {
             worldZ + this.terrainConfig.chunkSize / 2
         );
         
+        // Displace vertices by the heightmap
+        this.applyHeightmap(terrain);
+        
+        // Apply terrain coloring with variations based on zone type
+        this.coloringManager.colorTerrainUniform(terrain, zoneTypeName);
+        
+        // Store zone type on the terrain for later reference
+        terrain.userData.zoneType = zoneTypeName;
+        
         // Replace placeholder with real terrain
         this.terrainBuffer[chunkKey] = terrain;
         
@@ -478,8 +485,51 @@ export class TerrainChunkManager {
      * @returns {number} - The height of the terrain at the specified position
      */
     getTerrainHeight(x, z) {
-        // Always return exactly 0 for completely flat terrain
-        // This is critical to prevent vibration
-        return 0;
+        if (!this.heightGenerator) {
+            return 0;
+        }
+        
+        // Sampled from the same cached chunk heightmap used to build the mesh,
+        // so entities stay glued to the rendered surface without vibration
+        return this.heightGenerator.getHeight(x, z);
+    }
+
+    /**
+     * Displace a terrain mesh's vertices using the heightmap
+     * The plane is rotated -90deg around X, so local Z is world height and local Y is world -Z
+     * @param {THREE.Mesh} terrain - The positioned terrain mesh
+     */
+    applyHeightmap(terrain) {
+        if (!this.heightGenerator || !terrain.geometry) {
+            return;
+        }
+        
+        const positions = terrain.geometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            const worldX = terrain.position.x + positions.getX(i);
+            const worldZ = terrain.position.z - positions.getY(i);
+            positions.setZ(i, this.heightGenerator.getHeight(worldX, worldZ));
+        }
+        
+        positions.needsUpdate = true;
+        terrain.geometry.computeVertexNormals();
+        terrain.geometry.computeBoundingBox();
+        terrain.geometry.computeBoundingSphere();
+    }
+
+    /**
+     * Re-apply heightmaps to all existing chunks (e.g. after the seed or zones changed)
+     * @param {THREE.Mesh} baseTerrain - The base terrain mesh (optional)
+     */
+    refreshTerrainHeights(baseTerrain = null) {
+        const refresh = (terrain) => {
+            if (terrain && !terrain.isPlaceholder) {
+                this.applyHeightmap(terrain);
+            }
+        };
+        
+        Object.values(this.terrainChunks).forEach(refresh);
+        Object.values(this.terrainBuffer).forEach(refresh);
+        refresh(baseTerrain);
     }
 }
\ No newline at end of file
@@ -192,10 +192,11 @@ export class TerrainColoringManager {
         const terrainZ = terrain.position.z;
         
         for (let i = 0; i < positions.length; i += 3) {
-            // Get vertex position
+            // Get vertex position (the plane is rotated -90deg around X,
+            // so local Y maps to world -Z and local Z holds the heightmap value)
             const x = positions[i] + terrainX;
-            const z = positions[i + 2] + terrainZ;
-            const y = positions[i + 1]; // Get the height of the vertex
+            const z = terrainZ - positions[i + 1];
+            const y = positions[i + 2]; // Get the height of the vertex
             
             // Very subtle variation for consistency across large areas
             // Use larger scale for smoother transitions
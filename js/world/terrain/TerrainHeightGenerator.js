@@ -0,0 +1,378 @@
+import { RandomGenerator } from '../utils/RandomGenerator.js';
+
+/**
+ * Generates seeded, noise-based heightmaps for terrain chunks
+ * Heights are shaped per zone type (tall Mountains, low Swamp) and can be
+ * overridden or offset by an optional height layer shipped with a map
+ */
+export class TerrainHeightGenerator {
+    /**
+     * @param {Object} heightmapConfig - The heightmap section of TERRAIN_CONFIG
+     * @param {number} chunkSize - Size of each terrain chunk in world units
+     * @param {Object} zoneManager - Zone manager used to look up zones (optional)
+     */
+    constructor(heightmapConfig, chunkSize, zoneManager = null) {
+        this.config = heightmapConfig;
+        this.chunkSize = chunkSize;
+        this.zoneManager = zoneManager;
+
+        // Heightmaps by chunk key, in insertion order for simple LRU eviction
+        this.heightmaps = new Map();
+
+        // Optional height layer from the loaded map
+        this.heightLayer = null;
+
+        this.setSeed(heightmapConfig.seed);
+    }
+
+    /**
+     * Set the zone manager used for zone-based height profiles
+     * @param {Object} zoneManager - The zone manager
+     */
+    setZoneManager(zoneManager) {
+        this.zoneManager = zoneManager;
+        this.clearCache();
+    }
+
+    /**
+     * Set the seed and rebuild the noise permutation table
+     * @param {string|number} seed - The seed for terrain generation
+     */
+    setSeed(seed) {
+        this.seed = seed !== undefined && seed !== null ? seed : this.config.seed;
+
+        const random = RandomGenerator.seededRandom(this.seed);
+        const permutation = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) {
+            permutation[i] = i;
+        }
+
+        // Fisher-Yates shuffle with the seeded random function
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            const temp = permutation[i];
+            permutation[i] = permutation[j];
+            permutation[j] = temp;
+        }
+
+        // Duplicate the table to avoid index wrapping
+        this.permutation = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.permutation[i] = permutation[i & 255];
+        }
+
+        this.clearCache();
+    }
+
+    /**
+     * Set the optional height layer from map data
+     * Layer format: { origin: {x, z}, cellSize, width, depth, data: [], scale = 1, mode = 'add' | 'replace' }
+     * @param {Object|null} heightLayer - The height layer or null to remove it
+     */
+    setHeightLayer(heightLayer) {
+        if (heightLayer && this.isValidHeightLayer(heightLayer)) {
+            this.heightLayer = {
+                originX: heightLayer.origin ? heightLayer.origin.x : 0,
+                originZ: heightLayer.origin ? heightLayer.origin.z : 0,
+                cellSize: heightLayer.cellSize || 1,
+                width: heightLayer.width,
+                depth: heightLayer.depth,
+                data: heightLayer.data,
+                scale: heightLayer.scale !== undefined ? heightLayer.scale : 1,
+                mode: heightLayer.mode === 'replace' ? 'replace' : 'add'
+            };
+        } else {
+            if (heightLayer) {
+                console.warn('Ignoring invalid map height layer');
+            }
+            this.heightLayer = null;
+        }
+
+        this.clearCache();
+    }
+
+    /**
+     * Check that a height layer has enough data for its declared size
+     * @param {Object} heightLayer - The height layer to check
+     * @returns {boolean} - True if the layer can be sampled
+     */
+    isValidHeightLayer(heightLayer) {
+        return Array.isArray(heightLayer.data) &&
+            heightLayer.width > 1 &&
+            heightLayer.depth > 1 &&
+            heightLayer.data.length >= heightLayer.width * heightLayer.depth;
+    }
+
+    /**
+     * Clear all cached chunk heightmaps
+     */
+    clearCache() {
+        this.heightmaps.clear();
+    }
+
+    /**
+     * Get the heightmap for a chunk, generating it if needed
+     * Heights are stored row by row from the chunk's min X/min Z corner
+     * @param {number} chunkX - X chunk coordinate
+     * @param {number} chunkZ - Z chunk coordinate
+     * @returns {Float32Array} - (resolution + 1)^2 height samples
+     */
+    getChunkHeightmap(chunkX, chunkZ) {
+        const chunkKey = `${chunkX},${chunkZ}`;
+
+        let heightmap = this.heightmaps.get(chunkKey);
+        if (heightmap) {
+            return heightmap;
+        }
+
+        const resolution = this.config.chunkResolution;
+        const samples = resolution + 1;
+        const step = this.chunkSize / resolution;
+        const startX = chunkX * this.chunkSize;
+        const startZ = chunkZ * this.chunkSize;
+
+        heightmap = new Float32Array(samples * samples);
+        for (let row = 0; row < samples; row++) {
+            for (let col = 0; col < samples; col++) {
+                heightmap[row * samples + col] = this.sampleHeight(startX + col * step, startZ + row * step);
+            }
+        }
+
+        this.heightmaps.set(chunkKey, heightmap);
+
+        // Evict the oldest heightmaps when the cache is full
+        while (this.heightmaps.size > this.config.cacheSize) {
+            this.heightmaps.delete(this.heightmaps.keys().next().value);
+        }
+
+        return heightmap;
+    }
+
+    /**
+     * Get the terrain height at a world position
+     * Interpolates the chunk heightmap so results match the rendered chunk mesh
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {number} - The terrain height
+     */
+    getHeight(x, z) {
+        const chunkX = Math.floor(x / this.chunkSize);
+        const chunkZ = Math.floor(z / this.chunkSize);
+        const heightmap = this.getChunkHeightmap(chunkX, chunkZ);
+
+        const resolution = this.config.chunkResolution;
+        const samples = resolution + 1;
+        const step = this.chunkSize / resolution;
+
+        // Position inside the chunk in sample units
+        const localX = (x - chunkX * this.chunkSize) / step;
+        const localZ = (z - chunkZ * this.chunkSize) / step;
+        const col = Math.min(Math.floor(localX), resolution - 1);
+        const row = Math.min(Math.floor(localZ), resolution - 1);
+        const fx = localX - col;
+        const fz = localZ - row;
+
+        const h00 = heightmap[row * samples + col];
+        const h10 = heightmap[row * samples + col + 1];
+        const h01 = heightmap[(row + 1) * samples + col];
+        const h11 = heightmap[(row + 1) * samples + col + 1];
+
+        const top = h00 + (h10 - h00) * fx;
+        const bottom = h01 + (h11 - h01) * fx;
+        return top + (bottom - top) * fz;
+    }
+
+    /**
+     * Compute the raw height at a world position (no caching)
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {number} - The terrain height
+     */
+    sampleHeight(x, z) {
+        let height;
+
+        const layerHeight = this.sampleHeightLayer(x, z);
+        if (layerHeight !== null && this.heightLayer.mode === 'replace') {
+            height = layerHeight;
+        } else {
+            const profile = this.getBlendedProfile(x, z);
+            height = profile.offset + profile.amplitude * this.fractalNoise(x, z);
+
+            if (layerHeight !== null) {
+                height += layerHeight;
+            }
+        }
+
+        return height;
+    }
+
+    /**
+     * Blend the height profiles of all zones influencing a position
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {{amplitude: number, offset: number}} - The blended profile
+     */
+    getBlendedProfile(x, z) {
+        const profiles = this.config.zoneProfiles;
+        const defaultProfile = profiles.default;
+
+        let totalWeight = this.config.defaultWeight;
+        let amplitude = defaultProfile.amplitude * totalWeight;
+        let offset = defaultProfile.offset * totalWeight;
+
+        const zones = this.zoneManager ? this.zoneManager.zones : null;
+        if (zones) {
+            for (const zone of zones) {
+                if (!zone.center || !zone.radius || this.config.ignoredZones.includes(zone.name)) {
+                    continue;
+                }
+
+                const dx = x - zone.center.x;
+                const dz = z - zone.center.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                const reach = zone.radius * this.config.zoneBlendRadius;
+                if (distance >= reach) {
+                    continue;
+                }
+
+                // Smooth falloff from the zone center to the edge of its reach
+                const t = 1 - distance / reach;
+                const weight = t * t * (3 - 2 * t);
+                const profile = profiles[zone.name] || defaultProfile;
+
+                amplitude += profile.amplitude * weight;
+                offset += profile.offset * weight;
+                totalWeight += weight;
+            }
+        }
+
+        return {
+            amplitude: amplitude / totalWeight,
+            offset: offset / totalWeight
+        };
+    }
+
+    /**
+     * Sample the map height layer with bilinear interpolation
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {number|null} - The layer height or null if outside the layer
+     */
+    sampleHeightLayer(x, z) {
+        const layer = this.heightLayer;
+        if (!layer) {
+            return null;
+        }
+
+        const gridX = (x - layer.originX) / layer.cellSize;
+        const gridZ = (z - layer.originZ) / layer.cellSize;
+        if (gridX < 0 || gridZ < 0 || gridX > layer.width - 1 || gridZ > layer.depth - 1) {
+            return null;
+        }
+
+        const col = Math.min(Math.floor(gridX), layer.width - 2);
+        const row = Math.min(Math.floor(gridZ), layer.depth - 2);
+        const fx = gridX - col;
+        const fz = gridZ - row;
+
+        const h00 = layer.data[row * layer.width + col];
+        const h10 = layer.data[row * layer.width + col + 1];
+        const h01 = layer.data[(row + 1) * layer.width + col];
+        const h11 = layer.data[(row + 1) * layer.width + col + 1];
+
+        const top = h00 + (h10 - h00) * fx;
+        const bottom = h01 + (h11 - h01) * fx;
+        return (top + (bottom - top) * fz) * layer.scale;
+    }
+
+    /**
+     * Fractal (multi-octave) noise normalized to roughly -1..1
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {number} - The noise value
+     */
+    fractalNoise(x, z) {
+        let frequency = this.config.frequency;
+        let amplitude = 1;
+        let total = 0;
+        let maxAmplitude = 0;
+
+        for (let octave = 0; octave < this.config.octaves; octave++) {
+            total += this.perlin(x * frequency, z * frequency) * amplitude;
+            maxAmplitude += amplitude;
+            amplitude *= this.config.persistence;
+            frequency *= this.config.lacunarity;
+        }
+
+        return total / maxAmplitude;
+    }
+
+    /**
+     * 2D gradient noise using the seeded permutation table
+     * @param {number} x - X coordinate in noise space
+     * @param {number} y - Y coordinate in noise space
+     * @returns {number} - Noise value in roughly -1..1
+     */
+    perlin(x, y) {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const xf = x - xi;
+        const yf = y - yi;
+        const X = xi & 255;
+        const Y = yi & 255;
+
+        const p = this.permutation;
+        const aa = p[p[X] + Y];
+        const ab = p[p[X] + Y + 1];
+        const ba = p[p[X + 1] + Y];
+        const bb = p[p[X + 1] + Y + 1];
+
+        const u = this.fade(xf);
+        const v = this.fade(yf);
+
+        const x1 = this.lerp(this.gradient(aa, xf, yf), this.gradient(ba, xf - 1, yf), u);
+        const x2 = this.lerp(this.gradient(ab, xf, yf - 1), this.gradient(bb, xf - 1, yf - 1), u);
+
+        return this.lerp(x1, x2, v);
+    }
+
+    /**
+     * Quintic fade curve for smooth interpolation
+     * @param {number} t - Value between 0 and 1
+     * @returns {number} - Faded value
+     */
+    fade(t) {
+        return t * t * t * (t * (t * 6 - 15) + 10);
+    }
+
+    /**
+     * Linear interpolation
+     * @param {number} a - Start value
+     * @param {number} b - End value
+     * @param {number} t - Interpolation factor
+     * @returns {number} - Interpolated value
+     */
+    lerp(a, b, t) {
+        return a + (b - a) * t;
+    }
+
+    /**
+     * Dot product of a pseudo-random gradient with the distance vector
+     * @param {number} hash - Hash value from the permutation table
+     * @param {number} x - X distance
+     * @param {number} y - Y distance
+     * @returns {number} - Gradient contribution
+     */
+    gradient(hash, x, y) {
+        switch (hash & 7) {
+            case 0: return x + y;
+            case 1: return -x + y;
+            case 2: return x - y;
+            case 3: return -x - y;
+            case 4: return x;
+            case 5: return -x;
+            case 6: return y;
+            default: return -y;
+        }
+    }
+}
@@ -5,6 +5,7 @@ import { TerrainColoringManager } from './TerrainColoringManager.js';
 import { TerrainQueueManager } from './TerrainQueueManager.js';
 import { TerrainTemplateManager } from './TerrainTemplateManager.js';
 import { TerrainCleanupManager } from './TerrainCleanupManager.js';
+import { TerrainHeightGenerator } from './TerrainHeightGenerator.js';
 
 /**
  * Manages terrain generation and rendering
@@ -37,12 +38,14 @@ export class TerrainManager {
         // Initialize managers
         this.coloringManager = new TerrainColoringManager();
         this.templateManager = new TerrainTemplateManager();
+        this.heightGenerator = new TerrainHeightGenerator(TERRAIN_CONFIG.heightmap, TERRAIN_CONFIG.chunkSize);
         this.chunkManager = new TerrainChunkManager(
             scene, 
             worldManager, 
             TERRAIN_CONFIG, 
             this.templateManager, 
-            this.coloringManager
+            this.coloringManager,
+            this.heightGenerator
         );
         this.queueManager = new TerrainQueueManager(this.chunkManager, TERRAIN_CONFIG);
         this.cleanupManager = new TerrainCleanupManager(scene, worldManager, TERRAIN_CONFIG);
@@ -74,7 +77,7 @@ export class TerrainManager {
     }
     
     /**
-     * Create the base flat terrain
+     * Create the base terrain
      * @returns {Promise<void>}
      */
     async createBaseTerrain() {
@@ -91,7 +94,7 @@ export class TerrainManager {
         // Store reference to the base terrain
         this.terrain = terrain;
         
-        console.debug("Flat terrain created and added to scene");
+        console.debug("Base terrain created and added to scene");
     }
     
     /**
@@ -169,6 +172,28 @@ export class TerrainManager {
         return this.chunkManager.getTerrainHeight(x, z);
     }
     
+    /**
+     * Set the zone manager that drives zone-based height profiles
+     * @param {ZoneManager} zoneManager - The zone manager
+     */
+    setZoneManager(zoneManager) {
+        this.heightGenerator.setZoneManager(zoneManager);
+    }
+    
+    /**
+     * Set the seed and optional height layer for the heightmap, then reshape existing terrain
+     * Call after the map's zones are loaded so zone profiles apply
+     * @param {string|number} seed - The terrain seed (falls back to the config seed)
+     * @param {Object|null} heightLayer - Optional height layer from the map data
+     */
+    setHeightSource(seed, heightLayer = null) {
+        this.heightGenerator.setSeed(seed);
+        this.heightGenerator.setHeightLayer(heightLayer);
+        
+        // Existing chunks were built with the previous heights
+        this.chunkManager.refreshTerrainHeights(this.terrain);
+    }
+    
     /**
      * Clear all terrain objects
      */
@@ -184,6 +209,7 @@ export class TerrainManager {
         this.chunkManager.clear();
         this.queueManager.clear();
         this.templateManager.clear();
+        this.heightGenerator.clearCache();
         
         // Reset terrain reference
         this.terrain = null;
@@ -29,6 +29,9 @@ export class MapLoader {
         this.lastPlayerPosition = null; // Last player position for distance-based updates
         this.minMoveDistance = 5; // Minimum distance player must move to trigger update (reduced from 10)
         
+        // Maximum path segment length so path meshes follow the terrain heightmap
+        this.pathSegmentLength = 4;
+        
         // Spatial index for quick lookup of objects by position
         this.spatialIndex = {
             zones: {},
@@ -74,6 +77,9 @@ export class MapLoader {
             // Always load zones globally (zones affect the entire map and are usually small in data size)
             await this.loadZones(mapData.zones);
             
+            // Shape the terrain before placing anything on it (zone height profiles need the zones above)
+            this.applyMapHeightmap(mapData);
+            
             if (useChunking) {
                 // Process and chunk the map data
                 const chunkedData = this.chunkifyMapData(mapData);
@@ -145,6 +151,16 @@ export class MapLoader {
         // Clear existing procedural paths from WorldManager
         this.clearProceduralPaths();
         
+        // Clear navigation obstacles
+        if (this.worldManager.navigationManager) {
+            this.worldManager.navigationManager.clear();
+        }
+        
+        // Clear NPCs
+        if (this.worldManager.npcManager) {
+            this.worldManager.npcManager.clear();
+        }
+        
         // Clear our tracked objects (handle both chunked and non-chunked modes)
         if (Array.isArray(this.loadedObjects)) {
             // Non-chunked mode
@@ -324,6 +340,25 @@ export class MapLoader {
 
 
 
+    /**
+     * Apply the map's terrain seed and optional height layer
+     * Maps may carry a `heightmap` layer: { origin: {x, z}, cellSize, width, depth, data: [], scale, mode: 'add' | 'replace' }
+     * @param {Object} mapData - The map data
+     */
+    applyMapHeightmap(mapData) {
+        const terrainManager = this.worldManager.terrainManager;
+        if (!terrainManager || !terrainManager.setHeightSource) {
+            return;
+        }
+        
+        terrainManager.setHeightSource(this.getMapSeed(mapData), mapData.heightmap || null);
+        
+        // Recolor so height-based gradients match the new terrain shape
+        if (this.worldManager.zoneManager) {
+            this.worldManager.zoneManager.updateTerrainColors();
+        }
+    }
+
     /**
      * Load paths from map data (non-chunked mode)
      * @param {Array} paths - Path data array
@@ -454,13 +489,12 @@ export class MapLoader {
         // Default visible height for paths
         const defaultVisibleHeight = 0.1;
         
+        // Split long segments so the path follows hills instead of cutting through them
+        points = this.subdividePathPoints(points, this.pathSegmentLength);
+        
         for (let i = 0; i < points.length; i++) {
             const point = points[i];
             
-            // Use a fixed height to ensure visibility
-            // We know getTerrainHeight returns 0, so we add our default height
-            const height = defaultVisibleHeight;
-            
             // Calculate direction for path width
             let direction;
             if (i === 0) {
@@ -480,9 +514,9 @@ export class MapLoader {
             const leftPoint = point.clone().add(perpendicular.clone().multiplyScalar(halfWidth));
             const rightPoint = point.clone().add(perpendicular.clone().multiplyScalar(-halfWidth));
             
-            // Set explicit height to ensure visibility
-            leftPoint.y = height;
-            rightPoint.y = height;
+            // Sit each edge on the terrain, slightly raised to ensure visibility
+            leftPoint.y = this.worldManager.getTerrainHeight(leftPoint.x, leftPoint.z) + defaultVisibleHeight;
+            rightPoint.y = this.worldManager.getTerrainHeight(rightPoint.x, rightPoint.z) + defaultVisibleHeight;
             
             // If the point has a specific height in the data, use that instead
             if (point.y !== undefined && point.y > 0) {
@@ -517,6 +551,32 @@ export class MapLoader {
         return geometry;
     }
 
+    /**
+     * Insert intermediate points so no path segment is longer than maxLength
+     * @param {Array<THREE.Vector3>} points - Original path points
+     * @param {number} maxLength - Maximum segment length
+     * @returns {Array<THREE.Vector3>} - Subdivided path points
+     */
+    subdividePathPoints(points, maxLength) {
+        if (points.length < 2) {
+            return points;
+        }
+        
+        const subdivided = [points[0]];
+        for (let i = 1; i < points.length; i++) {
+            const start = points[i - 1];
+            const end = points[i];
+            const steps = Math.ceil(start.distanceTo(end) / maxLength);
+            
+            for (let step = 1; step < steps; step++) {
+                subdivided.push(start.clone().lerp(end, step / steps));
+            }
+            subdivided.push(end);
+        }
+        
+        return subdivided;
+    }
+
     /**
      * Register loaded path with WorldManager for navigation and AI systems
      * @param {Object} pathData - Original path data
@@ -580,6 +640,11 @@ export class MapLoader {
             if (structure) {
                 // Track in non-chunked array
                 this.loadedObjects.push(structure);
+                
+                // Register as a navigation obstacle
+                if (this.worldManager.navigationManager) {
+                    this.worldManager.navigationManager.addObstacle('map', structure, 'structure');
+                }
             }
         }
     }
@@ -625,9 +690,14 @@ export class MapLoader {
             
             // Check if position exists before accessing it
             if (structure.position && structure.position.y !== undefined) {
+                // Villages stay at the origin since their buildings are already placed on the terrain
+                const groundHeight = structureData.type === 'village'
+                    ? 0
+                    : this.worldManager.getTerrainHeight(position.x, position.z);
+                
                 // Always adjust the height to ensure visibility
-                console.debug(`Adjusting height of ${structureData.type} structure from ${structure.position.y} to ${defaultVisibleHeight}`);
-                structure.position.y = defaultVisibleHeight;
+                console.debug(`Adjusting height of ${structureData.type} structure from ${structure.position.y} to ${groundHeight + defaultVisibleHeight}`);
+                structure.position.y = groundHeight + defaultVisibleHeight;
                 
                 // If the structure has a specific height in the data, use that instead
                 if (position.y !== undefined && position.y > 0) {
@@ -639,6 +709,7 @@ export class MapLoader {
             structure.userData = {
                 ...structure.userData,
                 mapId: structureData.id,
+                mapType: structureData.type,
                 theme: structureData.theme
             };
             
@@ -788,7 +859,11 @@ export class MapLoader {
                     case 'stairs':
                         decorMesh = this.worldManager.environmentFactory.create(
                             'stairs', 
-                            new THREE.Vector3(decorData.position.x, decorData.position.y || 0, decorData.position.z),
+                            new THREE.Vector3(
+                                decorData.position.x,
+                                decorData.position.y || this.worldManager.getTerrainHeight(decorData.position.x, decorData.position.z),
+                                decorData.position.z
+                            ),
                             decorData.width || 4,
                             decorData
                         );
@@ -813,13 +888,14 @@ export class MapLoader {
         // Create central feature if defined
         if (villageData.centralFeature) {
             const feature = villageData.centralFeature;
+            const featureGroundHeight = this.worldManager.getTerrainHeight(feature.position.x, feature.position.z);
             let featureMesh = null;
             
             switch (feature.type) {
                 case 'plaza':
                     featureMesh = this.worldManager.environmentFactory.create(
                         'plaza', 
-                        new THREE.Vector3(feature.position.x, feature.position.y || 0, feature.position.z),
+                        new THREE.Vector3(feature.position.x, feature.position.y || featureGroundHeight, feature.position.z),
                         feature.radius || 8,
                         feature
                     );
@@ -827,7 +903,7 @@ export class MapLoader {
                 case 'square':
                     featureMesh = this.worldManager.environmentFactory.create(
                         'square', 
-                        new THREE.Vector3(feature.position.x, feature.position.y || 0, feature.position.z),
+                        new THREE.Vector3(feature.position.x, feature.position.y || featureGroundHeight, feature.position.z),
                         feature.size || 10,
                         feature
                     );
@@ -835,7 +911,7 @@ export class MapLoader {
                 case 'market':
                     featureMesh = this.worldManager.environmentFactory.create(
                         'market', 
-                        new THREE.Vector3(feature.position.x, feature.position.y || 0, feature.position.z),
+                        new THREE.Vector3(feature.position.x, feature.position.y || featureGroundHeight, feature.position.z),
                         feature.size || 8,
                         feature
                     );
@@ -856,6 +932,12 @@ export class MapLoader {
         }
         
         this.scene.add(villageGroup);
+        
+        // Populate the village with NPCs living in its buildings
+        if (this.worldManager.npcManager) {
+            this.worldManager.npcManager.populateVillage(villageData);
+        }
+        
         return villageGroup;
     }
     
@@ -925,6 +1007,11 @@ export class MapLoader {
             if (envObject) {
                 // Track in non-chunked array
                 this.loadedObjects.push(envObject);
+                
+                // Register as a navigation obstacle
+                if (this.worldManager.navigationManager) {
+                    this.worldManager.navigationManager.addObstacle('map', envObject, 'environment');
+                }
             }
         }
     }
@@ -960,15 +1047,16 @@ export class MapLoader {
         
         if (envObject) {
             // Ensure the object is positioned at the correct height
-            // Since getTerrainHeight always returns 0, we need to set a default height
-            // to ensure objects are visible above the ground
+            // Keep a small offset above the terrain to ensure objects are visible above the ground
             const defaultVisibleHeight = 0.5; // Default height above ground to make objects visible
             
             // Check if position exists before accessing it
             if (envObject.position && envObject.position.y !== undefined) {
+                const groundHeight = this.worldManager.getTerrainHeight(position.x, position.z);
+                
                 // Always adjust the height to ensure visibility
-                console.debug(`Adjusting height of ${envData.type} from ${envObject.position.y} to ${defaultVisibleHeight}`);
-                envObject.position.y = defaultVisibleHeight;
+                console.debug(`Adjusting height of ${envData.type} from ${envObject.position.y} to ${groundHeight + defaultVisibleHeight}`);
+                envObject.position.y = groundHeight + defaultVisibleHeight;
                 
                 // If the object has a specific height in the data, use that instead
                 if (position.y !== undefined && position.y > 0) {
@@ -981,6 +1069,7 @@ export class MapLoader {
             
             envObject.userData = {
                 ...envObject.userData,
+                mapType: envData.type,
                 theme: envData.theme
             };
             
@@ -993,6 +1082,21 @@ export class MapLoader {
         return null;
     }
 
+    /**
+     * Get the terrain seed of a map
+     * @param {Object} [mapData=this.currentMap] - The map data
+     * @returns {number|undefined} - The seed, if the map has one
+     */
+    getMapSeed(mapData = this.currentMap) {
+        if (!mapData) {
+            return undefined;
+        }
+        
+        return mapData.metadata && mapData.metadata.seed !== undefined
+            ? mapData.metadata.seed
+            : mapData.seed;
+    }
+
     /**
      * Get information about the currently loaded map
      * @returns {Object|null} - Map information or null if no map is loaded
@@ -1553,6 +1657,11 @@ export class MapLoader {
             await this.loadChunkEnvironment(chunkData.environment, chunkKey);
         }
         
+        // Register the chunk's obstacles for enemy pathfinding
+        if (this.worldManager.navigationManager) {
+            this.worldManager.navigationManager.addChunkObstacles(chunkKey, this.loadedObjects[chunkKey]);
+        }
+        
         // Mark chunk as loaded
         this.loadedChunks[chunkKey] = chunkData;
         console.debug(`Chunk ${chunkKey} loaded successfully`);
@@ -1602,6 +1711,11 @@ export class MapLoader {
             delete this.loadedObjects[chunkKey];
         }
         
+        // Remove the chunk's navigation obstacles
+        if (this.worldManager.navigationManager) {
+            this.worldManager.navigationManager.removeChunk(chunkKey);
+        }
+        
         // Mark chunk as unloaded
         delete this.loadedChunks[chunkKey];
         console.debug(`Chunk ${chunkKey} unloaded successfully`);
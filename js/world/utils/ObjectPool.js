@@ -0,0 +1,89 @@
+/**
+ * Generic object pool
+ * Reuses objects instead of creating and garbage collecting them every frame
+ * Tracks which objects are currently handed out so owners can update or reclaim them
+ */
+export class ObjectPool {
+    /**
+     * Create a new object pool
+     * @param {Function} factory - Creates a new object when the pool is empty
+     * @param {Function} reset - Restores an object to its initial state when it is released
+     * @param {number} initialSize - Number of objects to create up front
+     */
+    constructor(factory, reset, initialSize = 0) {
+        this.factory = factory;
+        this.reset = reset;
+
+        // Objects ready to be handed out
+        this.available = [];
+
+        // Objects currently in use
+        this.activeObjects = new Set();
+
+        for (let i = 0; i < initialSize; i++) {
+            this.available.push(this.factory());
+        }
+    }
+
+    /**
+     * Get an object from the pool, creating one if none are available
+     * @returns {*} - The object
+     */
+    get() {
+        const object = this.available.length > 0 ? this.available.pop() : this.factory();
+        this.activeObjects.add(object);
+        return object;
+    }
+
+    /**
+     * Return an object to the pool
+     * Releasing an object twice is ignored so it is never handed out to two owners
+     * @param {*} object - The object to return
+     */
+    release(object) {
+        if (!object || this.available.includes(object)) {
+            return;
+        }
+
+        this.activeObjects.delete(object);
+
+        if (this.reset) {
+            this.reset(object);
+        }
+
+        this.available.push(object);
+    }
+
+    /**
+     * Get the number of objects ready to be handed out
+     * @returns {number} - Available object count
+     */
+    size() {
+        return this.available.length;
+    }
+
+    /**
+     * Get the number of objects currently in use
+     * @returns {number} - Active object count
+     */
+    activeCount() {
+        return this.activeObjects.size;
+    }
+
+    /**
+     * Call a function for every object currently in use
+     * Iterates over a copy, so the callback may release the object
+     * @param {Function} callback - Function receiving each active object
+     */
+    applyToActive(callback) {
+        [...this.activeObjects].forEach(callback);
+    }
+
+    /**
+     * Forget all objects (callers dispose of them first)
+     */
+    clear() {
+        this.available = [];
+        this.activeObjects.clear();
+    }
+}
@@ -55,6 +55,13 @@ export class TerrainChunkPool {
                 terrain.position.set(0, 0, 0);
                 terrain.scale.set(1, 1, 1);
                 
+                // Flatten heightmap displacement so the chunk can be reused anywhere
+                const positions = terrain.geometry.attributes.position;
+                for (let i = 0; i < positions.count; i++) {
+                    positions.setZ(i, 0);
+                }
+                positions.needsUpdate = true;
+                
                 // Clear any vertex colors
                 if (terrain.geometry.attributes.color) {
                     const colors = terrain.geometry.attributes.color.array;
@@ -1,15 +1,24 @@
 /**
  * Simple HTTP server for local development
- * Run with: node local-server.js
+ * Run with: node server.js
  * Then open: http://localhost:8080
+ *
+ * For co-op on a LAN without internet, also run a PeerJS signaling server
+ * (the "peer" package is an optional dependency installed by npm install):
+ *   npm run start:signaling
+ * Set SIGNALING_PORT and SIGNALING_PATH to change where it listens (default 9000 and /peerjs).
  */
 
 const http = require('http');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const url = require('url');
 
 const PORT = 8080;
+const SIGNALING_ENABLED = process.argv.includes('--signaling') || process.env.SIGNALING === 'true';
+const SIGNALING_PORT = parseInt(process.env.SIGNALING_PORT, 10) || 9000;
+const SIGNALING_PATH = process.env.SIGNALING_PATH || '/peerjs';
 const MIME_TYPES = {
   '.html': 'text/html',
   '.js': 'text/javascript',
@@ -31,12 +40,56 @@ const MIME_TYPES = {
   '.wasm': 'application/wasm'
 };
 
+/**
+ * Get this machine's address on the local network
+ * @returns {string|null} The first external IPv4 address, or null if there is none
+ */
+function getLanAddress() {
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const address of addresses) {
+      if (address.family === 'IPv4' && !address.internal) {
+        return address.address;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Start a PeerJS signaling server so players on the LAN can connect without the PeerJS cloud
+ */
+function startSignalingServer() {
+  let PeerServer;
+  try {
+    ({ PeerServer } = require('peer'));
+  } catch (err) {
+    console.error('Signaling server needs the optional "peer" package. Install it with: npm install');
+    return;
+  }
+  
+  const peerServer = PeerServer({ port: SIGNALING_PORT, path: SIGNALING_PATH });
+  peerServer.on('connection', client => console.debug(`Signaling: peer ${client.getId()} connected`));
+  peerServer.on('disconnect', client => console.debug(`Signaling: peer ${client.getId()} disconnected`));
+  
+  console.debug(`Signaling server running at ws://localhost:${SIGNALING_PORT}${SIGNALING_PATH}`);
+}
+
 const server = http.createServer((req, res) => {
   console.debug(`${req.method} ${req.url}`);
   
   // Parse URL
   const parsedUrl = url.parse(req.url);
   
+  // Tell the game where other players on the LAN can reach this server (used for the join QR code)
+  if (parsedUrl.pathname === '/server-info.json') {
+    const lanAddress = getLanAddress();
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify({
+      lanAddress: lanAddress ? `http://${lanAddress}:${PORT}` : null
+    }));
+    return;
+  }
+  
   // Extract the path from the URL
   let pathname = `.${parsedUrl.pathname}`;
   
@@ -75,5 +128,15 @@ const server = http.createServer((req, res) => {
 
 server.listen(PORT, () => {
   console.debug(`Server running at http://localhost:${PORT}/`);
+  
+  const lanAddress = getLanAddress();
+  if (lanAddress) {
+    console.debug(`On your network: http://${lanAddress}:${PORT}/`);
+  }
+  
+  if (SIGNALING_ENABLED) {
+    startSignalingServer();
+  }
+  
   console.debug(`Press Ctrl+C to stop the server`);
 });
\ No newline at end of file
@@ -4,13 +4,13 @@
  */
 
 const CACHE_NAME = 'monk-journey-cache';
-const CACHE_VERSION = '52';
+const CACHE_VERSION = '53';
 const CACHE_KEY = CACHE_NAME + '-v' + CACHE_VERSION;
 
 
 // Total cache size in bytes and MB
-const TOTAL_CACHE_SIZE_BYTES = 7143671;
-const TOTAL_CACHE_SIZE_MB = 6.81;
+const TOTAL_CACHE_SIZE_BYTES = 8977678;
+const TOTAL_CACHE_SIZE_MB = 8.56;
 
 // Assets to cache
 const ASSETS_TO_CACHE = [
@@ -18,11 +18,13 @@ const ASSETS_TO_CACHE = [
   'manifest.json',
   'css/animations.css',
   'css/camera-control.css',
+  'css/crafting.css',
   'css/death-screen.css',
   'css/dialog.css',
   'css/difficulty-menu.css',
   'css/game-menu.css',
   'css/game.css',
+  'css/hud/chat.css',
   'css/hud/common.css',
   'css/hud/effects-container.css',
   'css/hud/enemy-health.css',
@@ -32,6 +34,7 @@ const ASSETS_TO_CACHE = [
   'css/hud/player-stats.css',
   'css/hud/quest-log.css',
   'css/hud/skills.css',
+  'css/hud/status-effects.css',
   'css/hud-manager.css',
   'css/icons.css',
   'css/initial-loading.css',
@@ -40,6 +43,7 @@ const ASSETS_TO_CACHE = [
   'css/loading-screen.css',
   'css/login-modal.css',
   'css/main.css',
+  'css/map-selector.css',
   'css/multiplayer.css',
   'css/notifications.css',
   'css/orientation-message.css',
@@ -56,6 +60,7 @@ const ASSETS_TO_CACHE = [
   'css/settings/skills-preview.css',
   'css/settings/tabs.css',
   'css/settings-menu.css',
+  'css/shop.css',
   'css/skill-preview.css',
   'css/skill-selection.css',
   'css/skill-tree.css',
@@ -72,9 +77,40 @@ const ASSETS_TO_CACHE = [
   'js/QuestManager.js',
   'js/SimpleUI.js',
   'js/UIComponent.js',
+  'js/crafting/CraftingManager.js',
   'js/effects/EffectObjectPool.js',
+  'js/entities/enemies/DifficultyDirector.js',
   'js/entities/enemies/Enemy.js',
   'js/entities/enemies/EnemyManager.js',
+  'js/entities/enemies/EnemyStatusEffects.js',
+  'js/entities/enemies/affixes/AffixVisualEffect.js',
+  'js/entities/enemies/affixes/ArcaneBeamAbility.js',
+  'js/entities/enemies/affixes/BlinkAbility.js',
+  'js/entities/enemies/affixes/DamageShieldAbility.js',
+  'js/entities/enemies/affixes/DeathExplosionAbility.js',
+  'js/entities/enemies/affixes/EnemyAbility.js',
+  'js/entities/enemies/affixes/EnemyAbilityFactory.js',
+  'js/entities/enemies/affixes/EnrageAbility.js',
+  'js/entities/enemies/affixes/FireTrailAbility.js',
+  'js/entities/enemies/affixes/IcePatchAbility.js',
+  'js/entities/enemies/affixes/LifeLeechAbility.js',
+  'js/entities/enemies/affixes/PoisonCloudAbility.js',
+  'js/entities/enemies/attacks/EnemyAttackStrategy.js',
+  'js/entities/enemies/attacks/EnemyAttackStrategyFactory.js',
+  'js/entities/enemies/attacks/EnemyProjectileManager.js',
+  'js/entities/enemies/attacks/MeleeAttackStrategy.js',
+  'js/entities/enemies/attacks/RangedAttackStrategy.js',
+  'js/entities/enemies/bosses/AreaStrikeAbility.js',
+  'js/entities/enemies/bosses/AuraAbility.js',
+  'js/entities/enemies/bosses/BossAbility.js',
+  'js/entities/enemies/bosses/BossAbilityController.js',
+  'js/entities/enemies/bosses/BossAbilityFactory.js',
+  'js/entities/enemies/bosses/ConeAbility.js',
+  'js/entities/enemies/bosses/ProjectileVolleyAbility.js',
+  'js/entities/enemies/bosses/PullAbility.js',
+  'js/entities/enemies/bosses/SelfBuffAbility.js',
+  'js/entities/enemies/bosses/SummonAbility.js',
+  'js/entities/enemies/bosses/TeleportAbility.js',
   'js/entities/enemies/models/CorruptedTreantModel.js',
   'js/entities/enemies/models/DefaultModel.js',
   'js/entities/enemies/models/DemonModel.js',
@@ -102,10 +138,16 @@ const ASSETS_TO_CACHE = [
   'js/entities/items/models/accessory/AmuletModel.js',
   'js/entities/items/models/armor/HelmetModel.js',
   'js/entities/items/models/armor/RobeModel.js',
+  'js/entities/items/models/consumable/FoodModel.js',
   'js/entities/items/models/consumable/PotionModel.js',
   'js/entities/items/models/weapons/DaggerModel.js',
   'js/entities/items/models/weapons/FistModel.js',
   'js/entities/items/models/weapons/StaffModel.js',
+  'js/entities/npcs/NPC.js',
+  'js/entities/npcs/NPCFactory.js',
+  'js/entities/npcs/NPCManager.js',
+  'js/entities/npcs/QuestGiverNPC.js',
+  'js/entities/npcs/VendorNPC.js',
   'js/entities/player/Player.js',
   'js/entities/player/PlayerAttackEffect.js',
   'js/entities/player/PlayerCombat.js',
@@ -115,10 +157,12 @@ const ASSETS_TO_CACHE = [
   'js/entities/player/PlayerSkills.js',
   'js/entities/player/PlayerState.js',
   'js/entities/player/PlayerStats.js',
+  'js/entities/player/PlayerStatusEffects.js',
   'js/entities/skills/BleedingEffect.js',
   'js/entities/skills/BreathOfHeavenEffect.js',
   'js/entities/skills/BulBreathOfHeavenEffect.js',
   'js/entities/skills/BulPalmEffect.js',
+  'js/entities/skills/BulShadowCloneEffect.js',
   'js/entities/skills/CycloneStrikeEffect.js',
   'js/entities/skills/DeadlyReachEffect.js',
   'js/entities/skills/ExplodingPalmEffect.js',
@@ -208,14 +252,15 @@ const ASSETS_TO_CACHE = [
   'js/entities/skills/variants/WaveStrike/FrozenWaveEffect.js',
   'js/entities/skills/variants/WaveStrike/ThunderWaveEffect.js',
   'js/entities/skills/variants/WaveStrike/TidalWaveEffect.js',
-  'js/entities/utils/CharacterModelPool.js',
-  'js/entities/utils/EnemyObjectPool.js',
+  'js/entities/status-effects/StatusEffects.js',
   'js/game/Game.js',
   'js/game/GameEvents.js',
   'js/game/GameState.js',
   'js/game/LoadingManager.js',
   'js/game/SceneOptimizer.js',
   'js/hud-manager/CameraControlUI.js',
+  'js/hud-manager/ChatUI.js',
+  'js/hud-manager/CraftingUI.js',
   'js/hud-manager/DeathScreenUI.js',
   'js/hud-manager/DialogUI.js',
   'js/hud-manager/EnemyUI.js',
@@ -223,17 +268,25 @@ const ASSETS_TO_CACHE = [
   'js/hud-manager/HomeUI.js',
   'js/hud-manager/InventoryButton.js',
   'js/hud-manager/InventoryUI.js',
+  'js/hud-manager/MapSelectorButton.js',
+  'js/hud-manager/MapSelectorUI.js',
   'js/hud-manager/MiniMapUI.js',
   'js/hud-manager/NotificationsUI.js',
   'js/hud-manager/PlayerUI.js',
   'js/hud-manager/QuestLogUI.js',
+  'js/hud-manager/ShopUI.js',
   'js/hud-manager/SkillSelectionButton.js',
   'js/hud-manager/SkillSelectionUI.js',
   'js/hud-manager/SkillTreeButton.js',
   'js/hud-manager/SkillTreeUI.js',
   'js/hud-manager/SkillsUI.js',
+  'js/hud-manager/StatusEffectIcons.js',
   'js/hud-manager/VirtualJoystickUI.js',
   'js/interaction/InteractionSystem.js',
+  'js/lib/html5-qrcode-2.3.8.min.js',
+  'js/lib/msgpack-3.1.1.min.js',
+  'js/lib/peerjs-1.4.7.min.js',
+  'js/lib/qrcodejs-1.0.0.min.js',
   'js/menu-system/ControlsDisplay.js',
   'js/menu-system/EnemyPreview.js',
   'js/menu-system/GameMenu.js',
@@ -254,7 +307,9 @@ const ASSETS_TO_CACHE = [
   'js/menu-system/settings-menu/SkillPreview.js',
   'js/menu-system/settings-menu/SkillsPreviewTab.js',
   'js/multiplayer/BinarySerializer.js',
+  'js/multiplayer/MultiplayerChatManager.js',
   'js/multiplayer/MultiplayerConnectionManager.js',
+  'js/multiplayer/MultiplayerLootManager.js',
   'js/multiplayer/MultiplayerManager.js',
   'js/multiplayer/MultiplayerUIManager.js',
   'js/multiplayer/RemotePlayer.js',
@@ -271,34 +326,75 @@ const ASSETS_TO_CACHE = [
   'js/save-manager/serializers/QuestSerializer.js',
   'js/save-manager/serializers/SettingsSerializer.js',
   'js/save-manager/utils/SaveOperationProgress.js',
+  'js/shop/Shop.js',
+  'js/shop/ShopManager.js',
   'js/utils/AnimationUtils.js',
+  'js/utils/CraftingUtils.js',
+  'js/utils/ElementUtils.js',
+  'js/utils/ItemUtils.js',
+  'js/utils/PriceUtils.js',
+  'js/utils/QuestUtils.js',
   'js/utils/SkillTreeUtils.js',
   'js/world/WorldManager.js',
+  'js/world/environment/AncientArtifact.js',
+  'js/world/environment/AncientTree.js',
   'js/world/environment/Bush.js',
+  'js/world/environment/CrystalFormation.js',
+  'js/world/environment/DesertShrine.js',
+  'js/world/environment/EnvironmentFactory.js',
   'js/world/environment/EnvironmentManager.js',
+  'js/world/environment/EnvironmentObject.js',
   'js/world/environment/Flower.js',
   'js/world/environment/FogManager.js',
+  'js/world/environment/Foutain.js',
+  'js/world/environment/LavaFeature.js',
+  'js/world/environment/MagicalStone.js',
+  'js/world/environment/Market.js',
+  'js/world/environment/Moss.js',
+  'js/world/environment/Oasis.js',
+  'js/world/environment/ObsidianFormation.js',
+  'js/world/environment/Plaza.js',
+  'js/world/environment/RarePlant.js',
   'js/world/environment/Rock.js',
   'js/world/environment/SkyManager.js',
+  'js/world/environment/SmallPeak.js',
+  'js/world/environment/SnowPatch.js',
+  'js/world/environment/Square.js',
+  'js/world/environment/Stairs.js',
+  'js/world/environment/Statue.js',
+  'js/world/environment/TallGrass.js',
   'js/world/environment/Tree.js',
+  'js/world/environment/TreeCluster.js',
+  'js/world/environment/WaterFeature.js',
+  'js/world/environment/Waterfall.js',
+  'js/world/environment/Well.js',
   'js/world/interactive/BossSpawnPoint.js',
   'js/world/interactive/InteractiveObjectManager.js',
-  'js/world/interactive/QuestMarker.js',
   'js/world/interactive/TreasureChest.js',
+  'js/world/interactive/WorldTierShrine.js',
   'js/world/lighting/LightingManager.js',
+  'js/world/navigation/NavigationManager.js',
+  'js/world/navigation/PathFinder.js',
   'js/world/structures/Bridge.js',
   'js/world/structures/Building.js',
   'js/world/structures/DarkSanctum.js',
   'js/world/structures/Mountain.js',
   'js/world/structures/Ruins.js',
+  'js/world/structures/Shrine.js',
   'js/world/structures/StructureManager.js',
   'js/world/structures/Tower.js',
   'js/world/structures/Village.js',
   'js/world/teleport/PortalModelFactory.js',
   'js/world/teleport/TeleportManager.js',
+  'js/world/terrain/TerrainChunkManager.js',
+  'js/world/terrain/TerrainCleanupManager.js',
+  'js/world/terrain/TerrainColoringManager.js',
+  'js/world/terrain/TerrainHeightGenerator.js',
   'js/world/terrain/TerrainManager.js',
+  'js/world/terrain/TerrainQueueManager.js',
+  'js/world/terrain/TerrainTemplateManager.js',
   'js/world/utils/EnvironmentObjectPool.js',
-  'js/world/utils/ModelObjectPool.js',
+  'js/world/utils/MapLoader.js',
   'js/world/utils/ObjectPool.js',
   'js/world/utils/RandomGenerator.js',
   'js/world/utils/TerrainChunkPool.js',
@@ -318,7 +414,7 @@ const ASSETS_TO_CACHE = [
   'assets/audio/bell_fade.mp3',
   'assets/audio/bell_ring.mp3',
   'assets/audio/boss_death.mp3',
-  'assets/audio/boss_theme.MP3',
+  'assets/audio/boss_theme.mp3',
   'assets/audio/breath_of_heaven.mp3',
   'assets/audio/button_click.mp3',
   'assets/audio/chain_impact.mp3',
@@ -364,11 +460,15 @@ const ASSETS_TO_CACHE = [
   'assets/audio/wave_strike.mp3',
   'assets/audio/wind_dissipate.mp3',
   'assets/audio/wind_pull.mp3',
+  'assets/default-map.json',
+  'assets/default-map.png',
+  'assets/default-map.quests.json',
   'assets/effects/buddha.glb',
   'assets/effects/flying-dragon.glb',
   'assets/images/background.jpg',
   'assets/models/monk-v3.glb',
-  'assets/models/monk.glb'
+  'assets/models/monk.glb',
+  'assets/quests/quests.json'
 ];
 
 // File sizes in bytes for progress reporting
@@ -551,6 +651,8 @@ const FILE_SIZES =   {
     "js/hud-manager/SkillTreeUI.js": 26754,
     "js/hud-manager/SkillsUI.js": 8306,
     "js/hud-manager/VirtualJoystickUI.js": 6963,
+    "js/lib/msgpack-3.1.1.min.js": 22223,
+    "js/lib/peerjs-1.4.7.min.js": 146151,
     "js/menu-system/ControlsDisplay.js": 8526,
     "js/menu-system/EnemyPreview.js": 12359,
     "js/menu-system/GameMenu.js": 10279,
@@ -592,7 +694,6 @@ const FILE_SIZES =   {
     "js/world/environment/Tree.js": 4528,
     "js/world/interactive/BossSpawnPoint.js": 1470,
     "js/world/interactive/InteractiveObjectManager.js": 15160,
-    "js/world/interactive/QuestMarker.js": 8876,
     "js/world/interactive/TreasureChest.js": 6117,
     "js/world/lighting/LightingManager.js": 6719,
     "js/world/structures/Bridge.js": 14934,